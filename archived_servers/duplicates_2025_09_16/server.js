@@ -18,6 +18,12 @@ const CameraManager = require('./src/camera/CameraManager');
 const VisionEngine = require('./src/vision/VisionEngine');
 const EventDetector = require('./src/detection/EventDetector');
 const AlertManager = require('./src/alerts/AlertManager');
+const ClipRecorder = require('./src/camera/ClipRecorder');
+const ScreenshotService = require('./src/camera/ScreenshotService');
+const PenMapCompositor = require('./src/camera/PenMapCompositor');
+const OnvifDiscovery = require('./src/camera/OnvifDiscovery');
+const PatrolManager = require('./src/camera/PatrolManager');
+const GunCredentialManager = require('./src/auth/GunCredentialManager');
 const ConfigManager = require('./src/config/ConfigManager');
 const DatabaseService = require('./src/storage/DatabaseService');
 const WebSocketHandler = require('./src/websocket/WebSocketHandler');
@@ -90,6 +96,10 @@ app.use(express.static(path.join(__dirname, 'public'), { index: false }));
 
 // Initialize core services
 let cameraManager, visionEngine, eventDetector, alertManager, configManager, database, wsHandler;
+let clipRecorder, screenshotService;
+let penMap = null;
+let onvifDiscovery = null;
+let patrolManager = null;
 
 async function initializeServices() {
   try {
@@ -104,18 +114,53 @@ async function initializeServices() {
     await database.connect();
     
     // Initialize camera manager
-    cameraManager = new CameraManager(configManager.get('cameras'));
+    cameraManager = new CameraManager(configManager.get('cameras'), {
+      health: configManager.get('camera_health'),
+      ptz: configManager.get('ptz'),
+      motion: configManager.get('motion'),
+      enhancement: configManager.get('enhancement'),
+      tamper: configManager.get('tamper'),
+      capture: configManager.get('capture')
+    });
     await cameraManager.initialize();
     
-    // Initialize vision engine
-    visionEngine = new VisionEngine(configManager.get('api'));
+    // Initialize vision engine (ROI cropping is switched in the performance section)
+    visionEngine = new VisionEngine({
+      ...configManager.get('api'),
+      roi_processing: configManager.get('performance.optimization.roi_processing')
+    });
     
     // Initialize event detector
     eventDetector = new EventDetector(configManager.get('detection'));
+    eventDetector.setServices({ database });
+    visionEngine.setRegionsOfInterest(eventDetector.zones);
     
     // Initialize alert manager
     alertManager = new AlertManager(configManager.get('alerts'));
     
+    // Initialize event clip recording and screenshots from the camera frame buffers
+    clipRecorder = new ClipRecorder(cameraManager.frameBufferManager, configManager.get('storage.clips'));
+    screenshotService = new ScreenshotService(cameraManager, configManager.get('storage.screenshots'));
+    alertManager.setServices({ clipRecorder, screenshotService, eventDetector });
+    
+    // Stitched pen map from the floor-calibrated cameras
+    const penMapConfig = configManager.get('pen_map');
+    if (penMapConfig && penMapConfig.enabled) {
+      penMap = new PenMapCompositor(cameraManager, eventDetector, penMapConfig);
+    }
+    
+    // PTZ preset tours; they limit EventDetector to the zones in view
+    const patrolConfig = configManager.get('patrol');
+    if (patrolConfig && patrolConfig.enabled) {
+      patrolManager = new PatrolManager(cameraManager, eventDetector, patrolConfig);
+    }
+    
+    // ONVIF discovery, reusing working URLs from the Gun credential store
+    const discoveryConfig = configManager.get('discovery');
+    if (discoveryConfig && discoveryConfig.enabled) {
+      onvifDiscovery = new OnvifDiscovery(cameraManager, new GunCredentialManager(), discoveryConfig);
+    }
+    
     // Initialize WebSocket handler
     wsHandler = new WebSocketHandler(io, {
       cameraManager,
@@ -134,6 +179,11 @@ async function initializeServices() {
       visionEngine,
       eventDetector,
       alertManager,
+      clipRecorder,
+      screenshotService,
+      penMap,
+      onvifDiscovery,
+      patrolManager,
       configManager,
       database,
       wsHandler
@@ -161,6 +211,11 @@ function setupServiceConnections() {
     database.saveEvent(event);
     wsHandler.broadcastEvent(event);
     
+    // Critical events hold patrol tours on their camera
+    if (patrolManager) {
+      patrolManager.handleEvent(event);
+    }
+    
     // Update camera throttling based on activity
     if (event.cameraId) {
       const hasActivity = ['robot_tipped', 'robot_stuck', 'collision_detected', 'human_in_area'].includes(event.type);
@@ -185,6 +240,37 @@ function setupServiceConnections() {
     }
   });
   
+  // Zone edits from the API or sockets move the vision crops too
+  eventDetector.on('zones-changed', (zones) => {
+    visionEngine.setRegionsOfInterest(zones);
+  });
+  
+  // Supervised camera outages and recoveries become events (and alerts)
+  cameraManager.on('camera-offline', (info) => {
+    eventDetector.processCameraHealth('camera_offline', info);
+  });
+  
+  cameraManager.on('camera-recovered', (info) => {
+    eventDetector.processCameraHealth('camera_recovered', info);
+  });
+  
+  // Covered, bumped, defocused or frozen cameras
+  cameraManager.on('camera-tampered', (info) => {
+    eventDetector.processCameraTamper(info);
+  });
+  
+  // PTZ moves from REST, sockets and patrol tours reach every dashboard
+  cameraManager.on('ptz-command', (update) => {
+    wsHandler.broadcastPtzUpdate(update);
+  });
+  
+  // Zones and robot tracks for dashboards drawing the pen map
+  if (penMap) {
+    penMap.on('map-state', (state) => {
+      wsHandler.broadcastPenMap(state);
+    });
+  }
+  
   // Connect alert manager to WebSocket
   alertManager.on('alert', (alert) => {
     logger.warn(`Alert triggered: ${alert.priority}`, alert);
@@ -244,6 +330,11 @@ async function startMonitoring() {
       logger.error(`Failed to start camera ${camera.id}:`, error);
     }
   }
+  
+  // Tours move cameras, so they start once the streams are up
+  if (patrolManager) {
+    patrolManager.startAll();
+  }
 }
 
 // Health check endpoint
@@ -294,6 +385,11 @@ process.on('SIGINT', gracefulShutdown);
 async function gracefulShutdown() {
   logger.info('Shutting down gracefully...');
   
+  // Stop patrol tours before their cameras
+  if (patrolManager) {
+    patrolManager.destroy();
+  }
+  
   // Stop camera streams
   if (cameraManager) {
     await cameraManager.stopAll();
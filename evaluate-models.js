@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluate vision models against a labelled dataset
+ * Runs each model on every frame of a dataset manifest (see
+ * src/vision/evaluation.js for the format) and prints precision/recall/F1 per
+ * label and latency percentiles, optionally exporting the results.
+ */
+
+const VisionEngine = require('./src/vision/VisionEngine');
+const ModelSelector = require('./src/vision/ModelSelector');
+const { loadDataset } = require('./src/vision/evaluation');
+const fs = require('fs').promises;
+
+const EXPORT_FORMATS = ['json', 'csv', 'evaluation-csv'];
+
+function usage() {
+    console.log(`
+Model Evaluation
+
+Usage: node evaluate-models.js <dataset.json> [options]
+
+Options:
+  --models <a,b>        Models to evaluate (default: all available models)
+  --api-url <url>       Vision server URL (default: $VISION_API_URL or http://localhost:8080)
+  --export <format>     json, csv or evaluation-csv (default: json)
+  --output <file>       Write the export to a file instead of stdout
+  --help                Show this help message
+`);
+}
+
+function parseArgs(argv) {
+    const options = { dataset: null, models: null, apiUrl: process.env.VISION_API_URL || 'http://localhost:8080', format: null, output: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            return argv[++i];
+        };
+        if (arg === '--help') {
+            options.help = true;
+        } else if (arg === '--models') {
+            options.models = next().split(',').map(model => model.trim()).filter(Boolean);
+        } else if (arg === '--api-url') {
+            options.apiUrl = next();
+        } else if (arg === '--export') {
+            options.format = next();
+        } else if (arg === '--output') {
+            options.output = next();
+        } else if (!arg.startsWith('--') && !options.dataset) {
+            options.dataset = arg;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.format && !EXPORT_FORMATS.includes(options.format)) {
+        throw new Error(`--export must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    return options;
+}
+
+function format(value, digits = 3) {
+    return value === null || value === undefined ? '-' : Number(value).toFixed(digits);
+}
+
+function printReport(report) {
+    console.log(`\n📊 ${report.modelId} on ${report.dataset}: ${report.frames} frames, ${report.requests} requests, ${report.errors} errors`);
+
+    for (const [label, score] of Object.entries(report.labels)) {
+        if (score.f1 !== undefined) {
+            console.log(`  ${label.padEnd(14)} P ${format(score.precision)}  R ${format(score.recall)}  F1 ${format(score.f1)}  (tp ${score.tp}, fp ${score.fp}, fn ${score.fn}, tn ${score.tn})`);
+        } else {
+            console.log(`  ${label.padEnd(14)} accuracy ${format(score.accuracy)}  MAE ${format(score.meanAbsoluteError, 2)}  (${score.exact}/${score.frames} exact, ${score.unparsed} unparsed)`);
+        }
+    }
+
+    const { latency } = report;
+    console.log(`  latency ms     mean ${format(latency.mean, 0)}  p50 ${format(latency.p50, 0)}  p90 ${format(latency.p90, 0)}  p95 ${format(latency.p95, 0)}  p99 ${format(latency.p99, 0)}`);
+    console.log(`  macro F1       ${format(report.macroF1)}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.dataset) {
+        usage();
+        return options.help ? 0 : 1;
+    }
+
+    const visionEngine = new VisionEngine({ base_url: options.apiUrl });
+    await visionEngine.loadModelConfigurations();
+    const modelSelector = new ModelSelector(visionEngine);
+
+    const dataset = await loadDataset(options.dataset);
+    console.log(`🚀 Evaluating on ${dataset.name} (${dataset.frames.length} frames) against ${options.apiUrl}`);
+
+    modelSelector.on('evaluation-progress', ({ modelId, current, total }) => {
+        process.stdout.write(`\r  ${modelId}: frame ${current}/${total}`);
+    });
+
+    const results = await modelSelector.evaluateModels(dataset, options.models);
+    for (const report of Object.values(results.results)) {
+        printReport(report);
+    }
+    console.log(`\n🏆 Best model: ${results.bestModel || 'none'}`);
+
+    // Without --output the export is printed only when asked for
+    const exported = modelSelector.exportBenchmarkResults(options.format || 'json');
+    if (options.output) {
+        await fs.writeFile(options.output, exported);
+        console.log(`📄 Results saved to ${options.output}`);
+    } else if (options.format) {
+        console.log(`\n${exported}`);
+    }
+
+    return 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+    main().then(code => {
+        process.exit(code);
+    }).catch(error => {
+        console.error(`❌ Evaluation failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
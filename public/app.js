@@ -17,6 +17,11 @@ let selectedAlertId = null;
 let streamingMode = 'live'; // 'live', 'buffered', 'both'
 let frameSubscription = null;
 
+// Stitched pen map (zones and tracks in metres)
+let penMapState = null;
+let penMapImage = null;
+let penMapAnimation = null;
+
 // Performance monitoring
 let connectionQuality = 'good'; // 'good', 'medium', 'poor'
 let adaptiveStreamingEnabled = true;
@@ -108,7 +113,12 @@ const elements = {
     connectionQuality: null,
     adaptiveToggle: null,
     bufferReplayBtn: null,
-    bufferClearBtn: null
+    bufferClearBtn: null,
+    
+    // Pen map view (to be added dynamically)
+    penMapCanvas: null,
+    penMapToggle: null,
+    penMapInfo: null
 };
 
 // Canvas context
@@ -155,6 +165,7 @@ function setupWebSocket() {
         socket.emit('subscribe', { feed: 'events' });
         socket.emit('subscribe', { feed: 'alerts' });
         socket.emit('subscribe', { feed: 'metrics' });
+        socket.emit('subscribe', { feed: 'map' });
     });
     
     socket.on('disconnect', () => {
@@ -182,6 +193,7 @@ function setupWebSocket() {
     socket.on('system_status', handleSystemStatus);
     socket.on('camera_status', handleCameraStatus);
     socket.on('connection_quality', handleConnectionQuality);
+    socket.on('pen_map', handlePenMap);
     
     // Response handlers
     socket.on('subscribed', (data) => {
@@ -1200,6 +1212,149 @@ function toggleAdaptiveStreaming(enabled) {
     showNotification(`Adaptive streaming ${enabled ? 'enabled' : 'disabled'}`, 'info');
 }
 
+// Create the stitched pen map view
+function createPenMapView() {
+    const viewHTML = `
+        <div class="pen-map-view" style="margin-top: 15px; padding: 15px; background: #f0f0f0; border-radius: 8px;">
+            <div style="display: flex; align-items: center; gap: 10px;">
+                <h4 style="margin: 0;">Pen Map</h4>
+                <label style="margin-left: auto;">
+                    <input type="checkbox" id="penMapToggle" onchange="togglePenMap(this.checked)">
+                    Show stitched map
+                </label>
+            </div>
+            <canvas id="penMapCanvas" width="600" height="400" style="display: none; width: 100%; margin-top: 10px; background: #1f2937;"></canvas>
+            <div id="penMapInfo" style="margin-top: 5px; font-size: 12px; color: #666;"></div>
+        </div>
+    `;
+    
+    const videoSection = elements.videoCanvas.parentElement;
+    const viewDiv = document.createElement('div');
+    viewDiv.innerHTML = viewHTML;
+    videoSection.appendChild(viewDiv);
+    
+    elements.penMapCanvas = document.getElementById('penMapCanvas');
+    elements.penMapToggle = document.getElementById('penMapToggle');
+    elements.penMapInfo = document.getElementById('penMapInfo');
+}
+
+// Start or stop the map stream
+async function togglePenMap(enabled) {
+    if (!enabled) {
+        if (penMapImage) {
+            penMapImage.src = ''; // Closes the MJPEG connection
+            penMapImage = null;
+        }
+        cancelAnimationFrame(penMapAnimation);
+        elements.penMapCanvas.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/map');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        handlePenMap(await response.json());
+    } catch (error) {
+        showNotification('Pen map not available: ' + error.message, 'warning');
+        elements.penMapToggle.checked = false;
+        return;
+    }
+    
+    // Bare stitched image; zones and tracks are drawn here from pen_map updates
+    penMapImage = new Image();
+    penMapImage.src = '/api/map/stream?overlay=0';
+    elements.penMapCanvas.style.display = 'block';
+    
+    const loop = () => {
+        drawPenMap();
+        penMapAnimation = requestAnimationFrame(loop);
+    };
+    loop();
+}
+
+// Handle pen map state (bounds, zones, tracks)
+function handlePenMap(state) {
+    penMapState = state;
+    
+    if (elements.penMapCanvas && elements.penMapCanvas.width !== state.width) {
+        elements.penMapCanvas.width = state.width;
+        elements.penMapCanvas.height = state.height;
+    }
+    if (elements.penMapInfo) {
+        elements.penMapInfo.textContent =
+            `${state.bounds.width} m x ${state.bounds.height} m, ` +
+            `${state.cameras.length} camera(s), ${state.tracks.length} robot(s) tracked`;
+    }
+}
+
+// Draw the map image with zones and robot tracks on top
+function drawPenMap() {
+    const canvas = elements.penMapCanvas;
+    if (!canvas || !penMapState) return;
+    
+    const mapCtx = canvas.getContext('2d');
+    mapCtx.clearRect(0, 0, canvas.width, canvas.height);
+    if (penMapImage && penMapImage.complete && penMapImage.naturalWidth > 0) {
+        mapCtx.drawImage(penMapImage, 0, 0, canvas.width, canvas.height);
+    }
+    
+    const { bounds } = penMapState;
+    const scale = canvas.width / bounds.width;
+    const toCanvas = (point) => [(point.x - bounds.x) * scale, (point.y - bounds.y) * scale];
+    
+    if (!elements.showZones || elements.showZones.checked) {
+        for (const zone of penMapState.zones) {
+            mapCtx.strokeStyle = zone.color || '#00ff00';
+            mapCtx.fillStyle = (zone.color || '#00ff00') + '26';
+            mapCtx.lineWidth = 2;
+            mapCtx.beginPath();
+            
+            const coords = zone.coordinates;
+            if (Array.isArray(coords)) {
+                coords.forEach((point, i) => {
+                    const [x, y] = toCanvas(point);
+                    i === 0 ? mapCtx.moveTo(x, y) : mapCtx.lineTo(x, y);
+                });
+                mapCtx.closePath();
+            } else if (coords.radius !== undefined) {
+                const [x, y] = toCanvas({ x: coords.cx, y: coords.cy });
+                mapCtx.arc(x, y, coords.radius * scale, 0, Math.PI * 2);
+            } else {
+                const [x, y] = toCanvas(coords);
+                mapCtx.rect(x, y, coords.width * scale, coords.height * scale);
+            }
+            
+            mapCtx.fill();
+            mapCtx.stroke();
+        }
+    }
+    
+    const colors = ['#22d3ee', '#f472b6', '#a3e635', '#fb923c', '#c084fc', '#facc15'];
+    penMapState.tracks.forEach((track, index) => {
+        const color = colors[index % colors.length];
+        const points = track.points.map(toCanvas);
+        
+        mapCtx.strokeStyle = color;
+        mapCtx.lineWidth = 2;
+        mapCtx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? mapCtx.moveTo(x, y) : mapCtx.lineTo(x, y)));
+        mapCtx.stroke();
+        
+        const [x, y] = points[points.length - 1];
+        mapCtx.fillStyle = track.status === 'stuck' ? '#ef4444' : color;
+        mapCtx.beginPath();
+        mapCtx.arc(x, y, 6, 0, Math.PI * 2);
+        mapCtx.fill();
+        
+        if (!elements.showRobotIds || elements.showRobotIds.checked) {
+            mapCtx.font = '12px sans-serif';
+            mapCtx.fillText(track.robotId, x + 8, y - 8);
+        }
+    });
+}
+
 // Add CSS animations and styles
 const style = document.createElement('style');
 style.textContent = `
@@ -1259,9 +1414,11 @@ document.head.appendChild(style);
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
         createFrameBufferControls();
+        createPenMapView();
     });
 } else {
     createFrameBufferControls();
+    createPenMapView();
 }
 
 // Initialize when DOM is ready
@@ -66,6 +66,9 @@ class AlertManager extends EventEmitter {
       alertsByPriority: {}
     };
     
+    // Services used by alert actions (injected via setServices)
+    this.services = {};
+    
     // Initialize channels
     this.initializeChannels();
     
@@ -116,6 +119,14 @@ class AlertManager extends EventEmitter {
     }
   }
 
+  /**
+   * Inject services used by alert actions
+   * @param {Object} services - e.g. { clipRecorder, screenshotService, eventDetector }
+   */
+  setServices(services = {}) {
+    this.services = { ...this.services, ...services };
+  }
+
   /**
    * Handle event from event detector
    */
@@ -255,6 +266,11 @@ class AlertManager extends EventEmitter {
     this.alerts.set(alert.id, alert);
     this.addToHistory(alert);
     
+    // Capture evidence before sending so channels can include it
+    if (alert.actions?.some(action => action.type === 'capture_screenshot')) {
+      await this.captureScreenshot(alert);
+    }
+    
     // Send to channels
     const results = await this.sendToChannels(alert);
     
@@ -371,6 +387,18 @@ class AlertManager extends EventEmitter {
       text: this.generateEmailText(alert)
     };
     
+    // The alert only links the screenshot; the file comes from the service
+    const screenshot = alert.screenshot && this.services.screenshotService
+      ? this.services.screenshotService.getScreenshot(alert.screenshot.id)
+      : null;
+    if (screenshot) {
+      mailOptions.attachments = [{
+        filename: screenshot.fileName,
+        path: screenshot.path,
+        cid: `screenshot-${screenshot.id}`
+      }];
+    }
+    
     const info = await this.emailTransporter.sendMail(mailOptions);
     logger.info(`Email sent: ${info.messageId}`);
     
@@ -423,7 +451,8 @@ class AlertManager extends EventEmitter {
       alert: {
         title: alert.title,
         message: alert.message,
-        priority: alert.priority
+        priority: alert.priority,
+        screenshot_url: alert.screenshot ? alert.screenshot.url : null
       }
     };
     
@@ -465,8 +494,11 @@ class AlertManager extends EventEmitter {
       try {
         switch (action.type) {
           case 'capture_screenshot':
-            logger.info('Action: Capturing screenshot for alert');
-            // This would trigger screenshot capture via camera manager
+            // Usually captured in processAlert before sending; escalated
+            // copies keep the original screenshot
+            if (!alert.screenshot) {
+              await this.captureScreenshot(alert);
+            }
             break;
           
           case 'emergency_stop':
@@ -481,7 +513,7 @@ class AlertManager extends EventEmitter {
           
           case 'record_video':
             logger.info('Action: Starting video recording');
-            // This would start video recording
+            this.recordVideo(alert, action.params || {});
             break;
           
           default:
@@ -493,6 +525,101 @@ class AlertManager extends EventEmitter {
     }
   }
 
+  /**
+   * Save an annotated screenshot of the frame that triggered the alert's event
+   * and link it to the alert and its event
+   */
+  async captureScreenshot(alert) {
+    const screenshotService = this.services.screenshotService;
+    if (!screenshotService) {
+      logger.warn('Action: capture_screenshot skipped - screenshot service not configured');
+      return null;
+    }
+    
+    const event = alert.metadata.event;
+    if (!event.cameraId) {
+      logger.warn(`Action: capture_screenshot skipped - event ${event.id} has no camera`);
+      return null;
+    }
+    
+    logger.info('Action: Capturing screenshot for alert');
+    
+    try {
+      const zones = this.services.eventDetector ? this.services.eventDetector.getZones() : [];
+      const screenshot = this.summarizeScreenshot(await screenshotService.captureEventScreenshot(event, { zones }));
+      
+      // Link the public fields only; the file path stays server-side
+      alert.screenshot = screenshot;
+      event.metadata = event.metadata || {};
+      event.metadata.screenshot = screenshot;
+      
+      return screenshot;
+    } catch (error) {
+      logger.error(`Action: capture_screenshot failed for alert ${alert.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Start an event clip (pre-roll from the frame buffer plus post-roll) and
+   * link it to the alert and its event. Recording finishes in the background
+   * so the alert is not held up for the post-roll.
+   */
+  recordVideo(alert, params = {}) {
+    const clipRecorder = this.services.clipRecorder;
+    if (!clipRecorder) {
+      logger.warn('Action: record_video skipped - clip recorder not configured');
+      return null;
+    }
+    
+    const event = alert.metadata.event;
+    if (!event.cameraId) {
+      logger.warn(`Action: record_video skipped - event ${event.id} has no camera`);
+      return null;
+    }
+    
+    const clip = clipRecorder.startClip({
+      cameraId: event.cameraId,
+      eventId: event.id,
+      alertId: alert.id,
+      eventTime: event.timestamp,
+      preRollSeconds: params.pre_roll_seconds,
+      postRollSeconds: params.post_roll_seconds
+    });
+    
+    // Link the public clip fields from both records (the file path stays
+    // server-side); state and format update in place when it is saved
+    const summary = this.summarizeClip(clip);
+    alert.clips = [...(alert.clips || []), summary];
+    event.metadata = event.metadata || {};
+    event.metadata.clips = [...(event.metadata.clips || []), summary];
+    
+    clipRecorder.waitForClip(clip.id).then((finished) => {
+      Object.assign(summary, this.summarizeClip(finished || clip));
+      this.emit('alert-updated', alert);
+    }).catch((error) => {
+      logger.error(`Action: record_video failed for alert ${alert.id}: ${error.message}`);
+    });
+    
+    return summary;
+  }
+
+  /**
+   * Fields of a screenshot record that are safe to send to clients
+   */
+  summarizeScreenshot(screenshot) {
+    const { id, url, frameId, frameTimestamp, zones, createdAt } = screenshot;
+    return { id, url, frameId, frameTimestamp, zones, createdAt };
+  }
+
+  /**
+   * Fields of a clip record that are safe to send to clients
+   */
+  summarizeClip(clip) {
+    const { id, url, state, format, eventTime } = clip;
+    return { id, url, state, format, eventTime };
+  }
+
   /**
    * Escalation handling
    */
@@ -623,6 +750,7 @@ class AlertManager extends EventEmitter {
       .replace('{type}', event.type)
       .replace('{robot}', event.robotId || 'Unknown')
       .replace('{zone}', event.zoneId || 'Unknown')
+      .replace('{camera}', event.cameraId || 'Unknown')
       .replace('{priority}', event.priority);
   }
   
@@ -658,6 +786,9 @@ class AlertManager extends EventEmitter {
           ${alert.metadata.event.zoneId ?
             `<p><strong>Zone:</strong> ${alert.metadata.event.zoneId}</p>` : ''}
           <p><strong>Confidence:</strong> ${(alert.metadata.event.confidence * 100).toFixed(0)}%</p>
+          ${alert.screenshot ?
+            `<p><img src="cid:screenshot-${alert.screenshot.id}" alt="Event screenshot" style="max-width: 100%;"></p>
+          <p><a href="${alert.screenshot.url}">View screenshot</a></p>` : ''}
           <hr>
           <p style="color: #666; font-size: 12px;">
             Alert ID: ${alert.id}<br>
@@ -685,6 +816,7 @@ Camera: ${alert.metadata.event.cameraId}
 ${alert.metadata.event.robotId ? `Robot: ${alert.metadata.event.robotId}` : ''}
 ${alert.metadata.event.zoneId ? `Zone: ${alert.metadata.event.zoneId}` : ''}
 Confidence: ${(alert.metadata.event.confidence * 100).toFixed(0)}%
+${alert.screenshot ? `Screenshot: ${alert.screenshot.url}` : ''}
 
 Alert ID: ${alert.id}
 This is an automated alert from the Robot Overhead Monitor system.
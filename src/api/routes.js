@@ -3,6 +3,7 @@
  */
 
 const express = require('express');
+const path = require('path');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
@@ -151,6 +152,52 @@ router.get('/cameras', optionalAuth, (req, res) => {
     res.json({ cameras });
 });
 
+// Discover ONVIF cameras on the local subnet and register working ones
+router.post('/cameras/discover', authenticate, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({
+            error: {
+                code: 'FORBIDDEN',
+                message: 'Admin access required'
+            }
+        });
+    }
+    
+    if (!services.onvifDiscovery) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera discovery not available'
+            }
+        });
+    }
+    
+    try {
+        const result = await services.onvifDiscovery.provision({
+            dryRun: req.body.dry_run === true
+        });
+        
+        res.json({
+            discovered: result.discovered.map(candidate => ({
+                ip: candidate.ip,
+                name: candidate.name,
+                hardware: candidate.hardware,
+                xaddrs: candidate.xaddrs
+            })),
+            provisioned: result.provisioned,
+            skipped: result.skipped,
+            failed: result.failed
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: {
+                code: 'DISCOVERY_FAILED',
+                message: error.message
+            }
+        });
+    }
+});
+
 // Get camera by ID
 router.get('/cameras/:cameraId', optionalAuth, (req, res) => {
     if (!services.cameraManager) {
@@ -176,7 +223,257 @@ router.get('/cameras/:cameraId', optionalAuth, (req, res) => {
     res.json(camera);
 });
 
-// Update camera settings
+// Get camera connection health and state history
+router.get('/cameras/:cameraId/health', optionalAuth, (req, res) => {
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    const health = services.cameraManager.getCameraHealth(req.params.cameraId);
+    
+    if (!health) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not supervised'
+            }
+        });
+    }
+    
+    res.json(health);
+});
+
+// Low-light enhancement profile and measured brightness
+router.get('/cameras/:cameraId/enhancement', optionalAuth, (req, res) => {
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    const enhancement = services.cameraManager.getEnhancementState(req.params.cameraId);
+    
+    if (!enhancement) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    res.json({ cameraId: req.params.cameraId, ...enhancement });
+});
+
+// Tamper reference view and active tamper conditions
+router.get('/cameras/:cameraId/tamper', optionalAuth, (req, res) => {
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    const tamper = services.cameraManager.getTamperState(req.params.cameraId);
+    
+    if (!tamper) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    res.json({ cameraId: req.params.cameraId, ...tamper });
+});
+
+// Use the latest frame as the tamper reference view (after re-aiming a camera)
+router.post('/cameras/:cameraId/tamper/reference', authenticate, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({
+            error: {
+                code: 'FORBIDDEN',
+                message: 'Admin access required'
+            }
+        });
+    }
+    
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    if (!services.cameraManager.getCameraInfo(req.params.cameraId)) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    try {
+        const reference = await services.cameraManager.setTamperReference(req.params.cameraId);
+        res.json({ cameraId: req.params.cameraId, reference });
+    } catch (error) {
+        res.status(400).json({
+            error: {
+                code: 'INVALID_REFERENCE',
+                message: error.message
+            }
+        });
+    }
+});
+
+// PTZ capability and presets stored on the camera
+router.get('/cameras/:cameraId/ptz', optionalAuth, async (req, res) => {
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    if (!services.cameraManager.getCameraInfo(req.params.cameraId)) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    const ptz = services.cameraManager.getPtzConfig(req.params.cameraId);
+    if (!ptz) {
+        return res.status(404).json({
+            error: {
+                code: 'PTZ_NOT_SUPPORTED',
+                message: 'Camera has no PTZ configuration'
+            }
+        });
+    }
+    
+    try {
+        const presets = await services.cameraManager.getPtzPresets(req.params.cameraId);
+        res.json({
+            camera_id: req.params.cameraId,
+            type: ptz.type,
+            presets
+        });
+    } catch (error) {
+        res.status(502).json({
+            error: {
+                code: 'PTZ_FAILED',
+                message: error.message
+            }
+        });
+    }
+});
+
+// Move, zoom, stop, go to or save a preset
+router.post('/cameras/:cameraId/ptz', authenticate, async (req, res) => {
+    if (!['admin', 'operator'].includes(req.user.role)) {
+        return res.status(403).json({
+            error: {
+                code: 'FORBIDDEN',
+                message: 'Operator access required'
+            }
+        });
+    }
+    
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    if (!services.cameraManager.getCameraInfo(req.params.cameraId)) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    if (!services.cameraManager.getPtzConfig(req.params.cameraId)) {
+        return res.status(404).json({
+            error: {
+                code: 'PTZ_NOT_SUPPORTED',
+                message: 'Camera has no PTZ configuration'
+            }
+        });
+    }
+    
+    const invalid = services.cameraManager.validatePtzCommand(req.body);
+    if (invalid) {
+        return res.status(400).json({
+            error: {
+                code: 'INVALID_COMMAND',
+                message: invalid
+            }
+        });
+    }
+    
+    try {
+        const result = await services.cameraManager.ptzCommand(req.params.cameraId, req.body, req.user.userId);
+        res.json(result);
+    } catch (error) {
+        res.status(502).json({
+            error: {
+                code: 'PTZ_FAILED',
+                message: error.message
+            }
+        });
+    }
+});
+
+// Capture settings and the resolved capture profile
+router.get('/cameras/:cameraId/settings', optionalAuth, (req, res) => {
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    const settings = services.cameraManager.getCaptureSettings(req.params.cameraId);
+    
+    if (!settings) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    res.json(settings);
+});
+
+// Update camera capture settings (capture profile, fps, resolution)
 router.put('/cameras/:cameraId/settings', authenticate, async (req, res) => {
     if (req.user.role !== 'admin') {
         return res.status(403).json({
@@ -187,13 +484,155 @@ router.put('/cameras/:cameraId/settings', authenticate, async (req, res) => {
         });
     }
     
-    // Update camera settings
-    // This would need implementation in CameraManager
-    res.json({
-        success: true,
-        message: 'Camera settings updated',
-        camera_id: req.params.cameraId
-    });
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    if (!services.cameraManager.getCameraInfo(req.params.cameraId)) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    const { capture_profile, fps, resolution } = req.body;
+    const changes = {};
+    if (capture_profile !== undefined) changes.capture_profile = capture_profile;
+    if (fps !== undefined) changes.fps = fps;
+    if (resolution !== undefined) changes.resolution = resolution;
+    
+    let settings;
+    try {
+        settings = await services.cameraManager.updateCameraSettings(req.params.cameraId, changes);
+    } catch (error) {
+        return res.status(400).json({
+            error: {
+                code: 'INVALID_SETTINGS',
+                message: error.message
+            }
+        });
+    }
+    
+    // Persist the new settings with the camera's config
+    if (services.configManager) {
+        try {
+            const cameras = (services.configManager.get('cameras') || []).map(camera => {
+                if (camera.id !== req.params.cameraId) {
+                    return camera;
+                }
+                const updated = { ...camera, fps: settings.fps, resolution: settings.resolution };
+                if (changes.capture_profile !== undefined) {
+                    updated.capture_profile = changes.capture_profile;
+                }
+                return updated;
+            });
+            services.configManager.set('cameras', cameras);
+            await services.configManager.save();
+        } catch (error) {
+            return res.status(500).json({
+                error: {
+                    code: 'SAVE_FAILED',
+                    message: error.message
+                }
+            });
+        }
+    }
+    
+    res.json(settings);
+});
+
+// Lens and floor calibration for a camera
+router.get('/cameras/:cameraId/calibration', optionalAuth, (req, res) => {
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    const calibration = services.cameraManager.getCalibration(req.params.cameraId);
+    
+    if (!calibration) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    res.json(calibration);
+});
+
+// Set calibration from intrinsics or checkerboard corners plus floor points
+router.put('/cameras/:cameraId/calibration', authenticate, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({
+            error: {
+                code: 'FORBIDDEN',
+                message: 'Admin access required'
+            }
+        });
+    }
+    
+    if (!services.cameraManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Camera service not available'
+            }
+        });
+    }
+    
+    if (!services.cameraManager.getCameraInfo(req.params.cameraId)) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Camera not found'
+            }
+        });
+    }
+    
+    let calibration;
+    try {
+        calibration = services.cameraManager.setCalibration(req.params.cameraId, req.body);
+    } catch (error) {
+        return res.status(400).json({
+            error: {
+                code: 'INVALID_CALIBRATION',
+                message: error.message
+            }
+        });
+    }
+    
+    // Persist the solved calibration with the camera's config
+    if (services.configManager) {
+        try {
+            const cameras = (services.configManager.get('cameras') || []).map(camera =>
+                camera.id === req.params.cameraId ? { ...camera, calibration: calibration.config } : camera
+            );
+            services.configManager.set('cameras', cameras);
+            await services.configManager.save();
+        } catch (error) {
+            return res.status(500).json({
+                error: {
+                    code: 'SAVE_FAILED',
+                    message: error.message
+                }
+            });
+        }
+    }
+    
+    res.json(calibration);
 });
 
 // Capture snapshot
@@ -230,6 +669,216 @@ router.post('/cameras/:cameraId/snapshot', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * Patrol Tour Endpoints
+ */
+
+// List patrol tours and where each one is
+router.get('/patrols', optionalAuth, (req, res) => {
+    if (!services.patrolManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Patrol tours not available'
+            }
+        });
+    }
+    
+    res.json({ tours: services.patrolManager.getAllTourStatus() });
+});
+
+// Start, stop, pause or resume a tour
+router.post('/patrols/:tourId/:action(start|stop|pause|resume)', authenticate, (req, res) => {
+    if (!['admin', 'operator'].includes(req.user.role)) {
+        return res.status(403).json({
+            error: {
+                code: 'FORBIDDEN',
+                message: 'Operator access required'
+            }
+        });
+    }
+    
+    if (!services.patrolManager) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Patrol tours not available'
+            }
+        });
+    }
+    
+    const { tourId, action } = req.params;
+    if (!services.patrolManager.getTourStatus(tourId)) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Tour not found'
+            }
+        });
+    }
+    
+    try {
+        if (action === 'pause') {
+            services.patrolManager.pause(tourId, `paused by ${req.user.userId}`);
+        } else {
+            services.patrolManager[action](tourId);
+        }
+        res.json(services.patrolManager.getTourStatus(tourId));
+    } catch (error) {
+        res.status(409).json({
+            error: {
+                code: 'PATROL_CONFLICT',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Pen Map Endpoints
+ */
+
+// Map extent, zones and robot tracks in pen floor metres
+router.get('/map', optionalAuth, (req, res) => {
+    if (!services.penMap) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Pen map not available'
+            }
+        });
+    }
+    
+    res.json(services.penMap.getMapState());
+});
+
+// Single stitched map image
+router.get('/map/snapshot', optionalAuth, async (req, res) => {
+    if (!services.penMap) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Pen map not available'
+            }
+        });
+    }
+    
+    try {
+        const image = await services.penMap.render({ overlay: req.query.overlay !== '0' });
+        res.set('Content-Type', 'image/jpeg');
+        res.send(image);
+    } catch (error) {
+        res.status(500).json({
+            error: {
+                code: 'RENDER_FAILED',
+                message: error.message
+            }
+        });
+    }
+});
+
+// Live stitched map as MJPEG (overlay=0 for the bare map)
+router.get('/map/stream', optionalAuth, (req, res) => {
+    if (!services.penMap) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Pen map not available'
+            }
+        });
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'multipart/x-mixed-replace; boundary=frame',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Pragma': 'no-cache'
+    });
+    
+    const unsubscribe = services.penMap.subscribe((image) => {
+        if (!res.writable || res.destroyed) {
+            return;
+        }
+        
+        res.write('--frame\r\n');
+        res.write('Content-Type: image/jpeg\r\n');
+        res.write(`Content-Length: ${image.length}\r\n\r\n`);
+        res.write(image);
+        res.write('\r\n');
+    }, { overlay: req.query.overlay !== '0' });
+    
+    req.on('close', unsubscribe);
+});
+
+/**
+ * Clip Endpoints
+ */
+
+// Download event clip
+router.get('/clips/:clipId', optionalAuth, async (req, res) => {
+    if (!services.clipRecorder) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Clip recording not available'
+            }
+        });
+    }
+    
+    const clip = services.clipRecorder.getClip(req.params.clipId);
+    
+    if (!clip) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Clip not found'
+            }
+        });
+    }
+    
+    if (clip.state !== 'saved') {
+        return res.status(409).json({
+            error: {
+                code: 'CLIP_NOT_READY',
+                message: `Clip is ${clip.state}`
+            }
+        });
+    }
+    
+    res.type(clip.format === 'mp4' ? 'video/mp4' : 'video/x-motion-jpeg');
+    res.sendFile(path.resolve(clip.path));
+});
+
+/**
+ * Screenshot Endpoints
+ */
+
+// Download event screenshot
+router.get('/screenshots/:screenshotId', optionalAuth, async (req, res) => {
+    if (!services.screenshotService) {
+        return res.status(503).json({
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Screenshot service not available'
+            }
+        });
+    }
+    
+    const screenshot = services.screenshotService.getScreenshot(req.params.screenshotId);
+    
+    if (!screenshot) {
+        return res.status(404).json({
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Screenshot not found'
+            }
+        });
+    }
+    
+    res.type('image/jpeg');
+    res.sendFile(path.resolve(screenshot.path));
+});
+
 /**
  * Event Endpoints
  */
@@ -389,6 +1038,8 @@ router.post('/zones', authenticate, async (req, res) => {
         coordinates: req.body.coordinates,
         color: req.body.color,
         priority: req.body.priority,
+        camera_id: req.body.camera_id,
+        rule: req.body.rule,
         alerts: req.body.alerts
     };
     
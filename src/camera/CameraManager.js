@@ -3,12 +3,23 @@
  */
 
 const EventEmitter = require('events');
+const fs = require('fs').promises;
 const Stream = require('node-rtsp-stream');
 const axios = require('axios');
 const sharp = require('sharp');
 const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
 const FrameCaptureService = require('./FrameCaptureService');
 const FrameBufferManager = require('./FrameBufferManager');
+const CameraSupervisor = require('./CameraSupervisor');
+const MjpegParser = require('./MjpegParser');
+const SimulatedCamera = require('./SimulatedCamera');
+const PtzController = require('./PtzController');
+const MotionDetector = require('./MotionDetector');
+const ImageEnhancer = require('./ImageEnhancer');
+const TamperDetector = require('./TamperDetector');
+const calibration = require('./calibration');
+const captureProfiles = require('./captureProfiles');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -37,6 +48,39 @@ class CameraManager extends EventEmitter {
     this.frameCaptureService.on('error', (error) => this.handleCaptureError(error));
     this.frameCaptureService.on('capture-ended', (info) => this.handleCaptureEnded(info));
     
+    // Health supervisor for FFmpeg captures: stall detection and backoff restarts
+    const health = config.health || {};
+    this.supervisor = health.enabled === false
+      ? null
+      : new CameraSupervisor(this.frameCaptureService, health);
+    
+    if (this.supervisor) {
+      this.supervisor.on('state-change', (change) => this.handleHealthChange(change));
+      this.supervisor.on('camera-offline', (info) => this.emit('camera-offline', info));
+      this.supervisor.on('camera-recovered', (info) => this.emit('camera-recovered', info));
+    }
+    
+    // Frame differencing for the activity throttle and vision gating
+    this.motionDetector = new MotionDetector(config.motion || {});
+    
+    // Brightness-driven low-light profiles applied before frames reach vision
+    this.imageEnhancer = new ImageEnhancer(config.enhancement || {});
+    this.imageEnhancer.on('profile-change', (change) => this.emit('enhancement-change', change));
+    
+    // Covered, bumped, defocused or frozen cameras, judged against a reference view
+    this.tamperDetector = new TamperDetector(config.tamper || {});
+    this.tamperDetector.on('tamper', (info) => this.emit('camera-tampered', info));
+    this.tamperDetector.on('tamper-cleared', (info) => this.emit('camera-tamper-cleared', info));
+    
+    // Pan/tilt/zoom control for PTZ domes
+    this.ptzController = new PtzController(config.ptz || {});
+    
+    // Lens/floor calibration per camera: cameraId -> { intrinsics, floor, undistortMaps }
+    this.calibrations = new Map();
+    
+    // Named FFmpeg capture profiles (main/sub-stream, hwaccel, keyframes, recording)
+    this.captureConfig = config.capture || {};
+    
     // Storage service reference (to be injected)
     this.storageService = null;
     this.frameStorageEnabled = config.frameStorageEnabled || false;
@@ -75,10 +119,20 @@ class CameraManager extends EventEmitter {
       name: config.name,
       protocol: config.protocol || 'rtsp',
       url: config.url,
+      sub_url: config.sub_url || null,
       username: config.username,
       password: config.password,
       resolution: config.resolution || { width: 1920, height: 1080 },
       fps: config.fps || 30,
+      onvif: config.onvif || null,
+      simulation: config.simulation || null,
+      ptz: config.ptz || null,
+      calibration: config.calibration || null,
+      enhancement: config.enhancement || null,
+      ffmpeg_filters: config.ffmpeg_filters || null,
+      capture_profile: config.capture_profile || null,
+      capture_profiles: config.capture_profiles || null,
+      tamper: config.tamper || null,
       status: 'disconnected',
       lastFrame: null,
       stats: {
@@ -91,6 +145,32 @@ class CameraManager extends EventEmitter {
 
     this.cameras.set(config.id, camera);
     
+    if (camera.calibration) {
+      try {
+        this.loadCalibration(camera);
+      } catch (error) {
+        logger.error(`Ignoring invalid calibration for camera ${config.id}: ${error.message}`);
+      }
+    }
+    
+    try {
+      this.imageEnhancer.configureCamera(camera.id, camera.enhancement || {});
+    } catch (error) {
+      logger.error(`Ignoring invalid enhancement for camera ${config.id}: ${error.message}`);
+      this.imageEnhancer.configureCamera(camera.id);
+    }
+    
+    // A PTZ camera's view moves on purpose, so it skips the shift check by default
+    const tamper = { ...(camera.tamper || {}) };
+    if (!tamper.checks && camera.ptz) {
+      tamper.checks = TamperDetector.TAMPER_TYPES.filter(check => check !== 'shifted');
+    }
+    try {
+      this.tamperDetector.configureCamera(camera.id, tamper);
+    } catch (error) {
+      logger.error(`Ignoring invalid tamper settings for camera ${config.id}: ${error.message}`);
+    }
+    
     // Attempt connection
     await this.connectCamera(config.id);
   }
@@ -108,6 +188,8 @@ class CameraManager extends EventEmitter {
         await this.connectHTTP(camera);
       } else if (camera.protocol === 'mjpeg') {
         await this.connectMJPEG(camera);
+      } else if (camera.protocol === 'simulated') {
+        await this.connectSimulated(camera);
       } else {
         throw new Error(`Unsupported protocol: ${camera.protocol}`);
       }
@@ -119,14 +201,23 @@ class CameraManager extends EventEmitter {
       camera.status = 'error';
       logger.error(`Failed to connect camera ${cameraId}:`, error.message);
       
-      // Schedule reconnection
-      setTimeout(() => this.reconnectCamera(cameraId), 5000);
+      // Supervised cameras are retried by the supervisor with backoff
+      if (!this.isSupervised(cameraId)) {
+        setTimeout(() => this.reconnectCamera(cameraId), 5000);
+      }
       throw error;
     }
   }
 
   async connectRTSP(camera) {
-    const streamUrl = this.buildStreamUrl(camera);
+    const profile = captureProfiles.resolveCaptureProfile(camera, this.captureConfig);
+    const { url, ffmpegOptions, recordingDir } = captureProfiles.buildCaptureOptions(camera, profile, {
+      recordingPath: this.captureConfig.recording_path
+    });
+    
+    if (recordingDir) {
+      await fs.mkdir(recordingDir, { recursive: true });
+    }
     
     // Initialize frame buffer for this camera
     this.frameBufferManager.initializeBuffer(camera.id, {
@@ -136,19 +227,20 @@ class CameraManager extends EventEmitter {
     // Start frame capture service
     await this.frameCaptureService.startCapture({
       cameraId: camera.id,
-      url: streamUrl,
-      ffmpegOptions: {
-        fps: camera.fps || 30,
-        resolution: `${camera.resolution.width}x${camera.resolution.height}`,
-        quality: 5
-      },
+      url: this.buildStreamUrl(camera, url),
+      ffmpegOptions,
       metadata: {
         cameraName: camera.name,
-        protocol: 'rtsp'
+        protocol: 'rtsp',
+        captureProfile: profile.name
       }
     });
     
-    this.streams.set(camera.id, { type: 'rtsp', capturing: true });
+    this.streams.set(camera.id, { type: 'rtsp', capturing: true, profile: profile.name });
+    
+    if (this.supervisor) {
+      this.supervisor.watch(camera.id, () => this.connectCamera(camera.id));
+    }
   }
 
   async connectHTTP(camera) {
@@ -192,42 +284,88 @@ class CameraManager extends EventEmitter {
     this.streams.set(camera.id, { type: 'mjpeg', stream: response.data });
     
     // Parse MJPEG stream for frames
-    this.parseMJPEGStream(camera.id, response.data);
+    this.parseMJPEGStream(camera.id, response.data, response.headers['content-type']);
+  }
+
+  /**
+   * Hardware-free camera: replays a recording or renders a synthetic pen
+   * Frames go through the same buffer path as FFmpeg captures.
+   */
+  async connectSimulated(camera) {
+    const simulator = new SimulatedCamera({
+      fps: camera.fps,
+      width: camera.resolution.width,
+      height: camera.resolution.height,
+      ...camera.simulation
+    });
+    await simulator.load();
+    
+    this.frameBufferManager.initializeBuffer(camera.id, {
+      bufferSize: camera.bufferSize || 100
+    });
+    
+    let sequenceNumber = 0;
+    simulator.on('frame', (data) => {
+      this.handleCapturedFrame({
+        id: uuidv4(),
+        cameraId: camera.id,
+        timestamp: new Date().toISOString(),
+        sequenceNumber: sequenceNumber++,
+        data,
+        metadata: {
+          cameraName: camera.name,
+          protocol: 'simulated',
+          size: data.length,
+          format: 'jpeg'
+        }
+      });
+    });
+    simulator.on('scenario', (step) => this.emit('simulation-step', { cameraId: camera.id, ...step }));
+    simulator.on('error', (error) => {
+      logger.error(`Simulated camera ${camera.id} error: ${error.message}`);
+    });
+    
+    simulator.start();
+    this.streams.set(camera.id, {
+      type: 'simulated',
+      simulator,
+      stop: () => simulator.stop()
+    });
   }
 
-  buildStreamUrl(camera) {
+  buildStreamUrl(camera, url = camera.url) {
     if (camera.username && camera.password) {
-      const urlObj = new URL(camera.url);
+      const urlObj = new URL(url);
       urlObj.username = camera.username;
       urlObj.password = camera.password;
       return urlObj.toString();
     }
-    return camera.url;
+    return url;
   }
 
-  parseMJPEGStream(cameraId, stream) {
-    let buffer = Buffer.alloc(0);
-    const boundary = '--myboundary';
+  /**
+   * Split a multipart/x-mixed-replace stream into JPEG frames
+   * @param {string} cameraId - Camera identifier
+   * @param {Stream} stream - HTTP response body
+   * @param {string} contentType - Response Content-Type carrying the boundary
+   */
+  parseMJPEGStream(cameraId, stream, contentType) {
+    const boundary = MjpegParser.getBoundary(contentType);
+    if (!boundary) {
+      logger.warn(`No boundary in Content-Type for camera ${cameraId} (${contentType}), detecting from stream`);
+    }
     
-    stream.on('data', (chunk) => {
-      buffer = Buffer.concat([buffer, chunk]);
-      
-      let boundaryIndex;
-      while ((boundaryIndex = buffer.indexOf(boundary)) !== -1) {
-        if (boundaryIndex > 0) {
-          const frame = buffer.slice(0, boundaryIndex);
-          const jpegStart = frame.indexOf(Buffer.from([0xFF, 0xD8]));
-          const jpegEnd = frame.indexOf(Buffer.from([0xFF, 0xD9]));
-          
-          if (jpegStart !== -1 && jpegEnd !== -1) {
-            const jpeg = frame.slice(jpegStart, jpegEnd + 2);
-            this.handleFrameData(cameraId, jpeg);
-          }
-        }
-        
-        buffer = buffer.slice(boundaryIndex + boundary.length);
-      }
+    const parser = new MjpegParser({ boundary });
+    
+    parser.on('frame', (frame) => this.handleFrameData(cameraId, frame.data));
+    parser.on('error', (error) => {
+      logger.warn(`MJPEG parse error for camera ${cameraId}: ${error.message}`);
     });
+    
+    stream.on('data', (chunk) => parser.push(chunk));
+    stream.on('end', () => parser.end());
+    
+    return parser;
   }
 
   async startStream(cameraId, options = {}) {
@@ -457,8 +595,19 @@ class CameraManager extends EventEmitter {
       frameData = latestFrame;
     }
 
-    // Process frame (resize, compress)
-    const processedFrame = await this.processFrame(frameBuffer, camera.resolution);
+    // Motion since the previous capture drives the throttle; static frames
+    // are flagged so VisionEngine can skip them
+    const motion = await this.scoreMotion(cameraId, frameBuffer);
+    if (motion) {
+      this.updateActivityThrottle(cameraId, motion.hasMotion);
+    }
+    
+    // Raw frame against the reference view (rate-limited inside the detector)
+    await this.checkTamper(cameraId, frameBuffer, frameData.id);
+    
+    // Process frame (resize, undistort, enhance, compress)
+    const processedFrame = await this.processFrame(frameBuffer, camera.resolution, cameraId);
+    const enhancement = this.imageEnhancer.getState(cameraId);
     
     // Update stats
     camera.stats.framesCapured++;
@@ -470,10 +619,39 @@ class CameraManager extends EventEmitter {
       image: processedFrame.toString('base64'),
       format: 'jpeg',
       resolution: camera.resolution,
-      frameId: frameData.id
+      frameId: frameData.id,
+      motion,
+      enhancement: enhancement && enhancement.enabled
+        ? { profile: enhancement.profile, brightness: enhancement.brightness }
+        : null,
+      calibration: await this.getFrameCalibration(cameraId, processedFrame)
     });
   }
 
+  /**
+   * Motion score for a captured frame, or null when it cannot be decoded
+   */
+  async scoreMotion(cameraId, frameBuffer) {
+    try {
+      return await this.motionDetector.score(cameraId, frameBuffer);
+    } catch (error) {
+      logger.warn(`Motion scoring failed for ${cameraId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Tamper check for a captured frame; failures are logged, not thrown
+   */
+  async checkTamper(cameraId, frameBuffer, frameId) {
+    try {
+      return await this.tamperDetector.check(cameraId, frameBuffer, { frameId });
+    } catch (error) {
+      logger.warn(`Tamper check failed for ${cameraId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Capture snapshot using buffered frames
    */
@@ -510,7 +688,7 @@ class CameraManager extends EventEmitter {
     };
   }
 
-  async processFrame(frameBuffer, targetResolution) {
+  async processFrame(frameBuffer, targetResolution, cameraId = null) {
     try {
       const processed = await sharp(frameBuffer)
         .resize(targetResolution.width, targetResolution.height, {
@@ -520,7 +698,22 @@ class CameraManager extends EventEmitter {
         .jpeg({ quality: 80 })
         .toBuffer();
       
-      return processed;
+      // Lens correction runs at the output size so the remap stays cheap
+      const calibrated = cameraId && this.calibrations.get(cameraId);
+      const corrected = calibrated && calibrated.intrinsics
+        ? await calibration.undistortImage(processed, calibrated.intrinsics, {
+          mapCache: calibrated.undistortMaps,
+          quality: 80
+        })
+        : processed;
+      
+      if (!cameraId) {
+        return corrected;
+      }
+      
+      // Brightness is measured on the corrected frame, before enhancement
+      const { image } = await this.imageEnhancer.enhance(cameraId, corrected);
+      return image;
     } catch (error) {
       logger.error('Frame processing error:', error);
       return frameBuffer;
@@ -544,10 +737,6 @@ class CameraManager extends EventEmitter {
     if (this.frameStorageEnabled && this.storageService) {
       this.storeFrameToDisk(frame);
     }
-    
-    // Update activity throttle based on frame analysis
-    // (This would be updated by event detection results)
-    this.updateActivityThrottle(frame.cameraId, false);
   }
 
   /**
@@ -590,12 +779,34 @@ class CameraManager extends EventEmitter {
       camera.status = 'disconnected';
     }
     
-    // Schedule reconnection if needed
-    if (info.code !== 0) {
+    // Schedule reconnection if needed (supervised cameras restart with backoff,
+    // and a capture stopped on request is restarted by whoever stopped it)
+    if (info.code !== 0 && !info.stopped && !this.isSupervised(info.cameraId)) {
       setTimeout(() => this.reconnectCamera(info.cameraId), 5000);
     }
   }
 
+  /**
+   * Mirror supervisor state onto the camera and forward it to listeners
+   */
+  handleHealthChange(change) {
+    const camera = this.cameras.get(change.cameraId);
+    if (camera) {
+      camera.health = change.state;
+      if (change.state === 'stalled') {
+        camera.status = 'stalled';
+      } else if (change.state === 'online') {
+        camera.status = 'connected';
+      }
+    }
+    
+    this.emit('camera-state', change);
+  }
+
+  isSupervised(cameraId) {
+    return !!this.supervisor && this.supervisor.isWatching(cameraId);
+  }
+
   handleFrameData(cameraId, data) {
     const camera = this.cameras.get(cameraId);
     if (camera) {
@@ -605,6 +816,11 @@ class CameraManager extends EventEmitter {
   }
 
   async stopStream(cameraId) {
+    // Stopped on purpose, so the exit is not a failure
+    if (this.supervisor) {
+      this.supervisor.unwatch(cameraId);
+    }
+    
     // Clear capture interval/timeout
     if (this.captureIntervals.has(cameraId)) {
       const intervalOrTimeout = this.captureIntervals.get(cameraId);
@@ -623,6 +839,9 @@ class CameraManager extends EventEmitter {
     
     // Clear frame buffer for this camera
     this.frameBufferManager.clearBuffer(cameraId);
+    
+    // A restarted stream starts from a fresh reference frame
+    this.motionDetector.reset(cameraId);
 
     // Stop stream if needed
     const stream = this.streams.get(cameraId);
@@ -666,6 +885,268 @@ class CameraManager extends EventEmitter {
     }
   }
 
+  /**
+   * Change a camera's capture settings and restart its capture to apply them
+   * @param {Object} settings - { capture_profile, fps, resolution } where
+   *   resolution is "WxH" or { width, height }
+   * @returns {Promise<Object>} Capture settings as returned by getCaptureSettings
+   */
+  async updateCameraSettings(cameraId, settings = {}) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) {
+      throw new Error(`Camera ${cameraId} not found`);
+    }
+    
+    const updates = {};
+    if (settings.capture_profile !== undefined) {
+      if (camera.protocol !== 'rtsp') {
+        throw new Error(`Capture profiles only apply to RTSP cameras, not ${camera.protocol}`);
+      }
+      captureProfiles.resolveCaptureProfile(camera, this.captureConfig, settings.capture_profile);
+      updates.capture_profile = settings.capture_profile;
+    }
+    if (settings.fps !== undefined) {
+      if (!(settings.fps > 0 && settings.fps <= 60)) {
+        throw new Error('fps must be between 0 and 60');
+      }
+      updates.fps = settings.fps;
+    }
+    if (settings.resolution !== undefined) {
+      let resolution = settings.resolution;
+      if (typeof resolution === 'string') {
+        const [width, height] = resolution.split('x').map(Number);
+        resolution = { width, height };
+      }
+      if (!resolution || !(resolution.width > 0) || !(resolution.height > 0)) {
+        throw new Error('resolution must be "WIDTHxHEIGHT" or { width, height }');
+      }
+      updates.resolution = { width: resolution.width, height: resolution.height };
+    }
+    
+    Object.assign(camera, updates);
+    logger.info(`Updated capture settings for camera ${cameraId}: ${Object.keys(updates).join(', ') || 'none'}`);
+    
+    // Only FFmpeg captures need a restart; other protocols pick changes up per frame
+    if (camera.protocol === 'rtsp' && this.streams.has(cameraId) && Object.keys(updates).length > 0) {
+      await this.restartCapture(cameraId);
+    }
+    
+    const summary = this.getCaptureSettings(cameraId);
+    this.emit('settings-updated', summary);
+    return summary;
+  }
+
+  /**
+   * Stop an FFmpeg capture and start it again with the camera's current settings
+   */
+  async restartCapture(cameraId) {
+    if (this.supervisor) {
+      this.supervisor.unwatch(cameraId);
+    }
+    await this.frameCaptureService.stopCapture(cameraId);
+    this.streams.delete(cameraId);
+    await this.connectCamera(cameraId);
+  }
+
+  /**
+   * Capture settings and the resolved capture profile for a camera
+   */
+  getCaptureSettings(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) {
+      return null;
+    }
+    
+    const summary = {
+      cameraId,
+      protocol: camera.protocol,
+      fps: camera.fps,
+      resolution: camera.resolution
+    };
+    
+    if (camera.protocol === 'rtsp') {
+      try {
+        summary.captureProfile = captureProfiles.resolveCaptureProfile(camera, this.captureConfig);
+      } catch (error) {
+        summary.captureProfile = null;
+        summary.profileError = error.message;
+      }
+      summary.availableProfiles = captureProfiles.listCaptureProfiles(camera, this.captureConfig);
+      summary.capture = this.frameCaptureService.getCaptureStatus(cameraId);
+    }
+    
+    return summary;
+  }
+
+  /**
+   * Connection health and state history from the supervisor
+   */
+  getCameraHealth(cameraId) {
+    return this.supervisor ? this.supervisor.getHealth(cameraId) : null;
+  }
+
+  /**
+   * Send a PTZ command (move, zoom, stop, goto_preset, save_preset)
+   */
+  async ptzCommand(cameraId, command, requestedBy = null) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) {
+      throw new Error(`Camera ${cameraId} not found`);
+    }
+    
+    const result = await this.ptzController.execute(camera, command);
+    this.emit('ptz-command', { ...result, requestedBy });
+    return result;
+  }
+
+  async getPtzPresets(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) {
+      throw new Error(`Camera ${cameraId} not found`);
+    }
+    
+    return this.ptzController.getPresets(camera);
+  }
+
+  /**
+   * PTZ settings for a camera, or null when it cannot be moved
+   */
+  getPtzConfig(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    return camera ? this.ptzController.getPtzConfig(camera) : null;
+  }
+
+  /**
+   * @returns {string|null} Validation error for a PTZ command
+   */
+  validatePtzCommand(command) {
+    return PtzController.validateCommand(command);
+  }
+
+  /**
+   * Prepare a camera's calibration config (solving the checkerboard views if
+   * no intrinsics are given yet)
+   */
+  loadCalibration(camera) {
+    const prepared = calibration.prepareCalibration(camera.calibration, camera.resolution);
+    this.calibrations.set(camera.id, { ...prepared, undistortMaps: new Map() });
+    
+    // Keep solved intrinsics instead of re-solving the views on every restart
+    if (camera.calibration.checkerboard && !camera.calibration.intrinsics) {
+      const { checkerboard, ...rest } = camera.calibration;
+      camera.calibration = {
+        ...rest,
+        intrinsics: prepared.intrinsics,
+        reprojection_error: prepared.reprojectionError
+      };
+    }
+    
+    return prepared;
+  }
+
+  /**
+   * Replace a camera's calibration
+   * @param {Object|null} config - { intrinsics?, checkerboard?, floor? }; null or {} removes it
+   * @returns {Object} Calibration summary as returned by getCalibration
+   */
+  setCalibration(cameraId, config) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) {
+      throw new Error(`Camera ${cameraId} not found`);
+    }
+    
+    if (!config || Object.keys(config).length === 0) {
+      camera.calibration = null;
+      this.calibrations.delete(cameraId);
+    } else {
+      const previous = camera.calibration;
+      camera.calibration = config;
+      try {
+        this.loadCalibration(camera);
+      } catch (error) {
+        camera.calibration = previous;
+        throw error;
+      }
+    }
+    
+    const summary = this.getCalibration(cameraId);
+    this.emit('calibration-updated', summary);
+    return summary;
+  }
+
+  /**
+   * Calibration config and derived floor homography for a camera
+   */
+  getCalibration(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) {
+      return null;
+    }
+    
+    const prepared = this.calibrations.get(cameraId);
+    return {
+      cameraId,
+      calibrated: Boolean(prepared),
+      config: camera.calibration,
+      homography: prepared && prepared.floor ? prepared.floor.homography : null,
+      units: prepared && prepared.floor ? 'metres' : 'pixels'
+    };
+  }
+
+  /**
+   * Floor homography for an emitted frame, rescaled from the size the floor
+   * points were measured at
+   * @returns {Promise<Object|null>} { homography, inverse, units } or null when uncalibrated
+   */
+  async getFrameCalibration(cameraId, frame) {
+    const prepared = this.calibrations.get(cameraId);
+    if (!prepared || !prepared.floor) {
+      return null;
+    }
+    
+    try {
+      const { width, height } = await sharp(frame).metadata();
+      const homography = calibration.rescaleHomography(prepared.floor.homography, prepared.floor.imageSize, { width, height });
+      return { homography, inverse: calibration.invert3x3(homography), units: 'metres' };
+    } catch (error) {
+      logger.warn(`Could not size frame for calibration on ${cameraId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Map detection coordinates onto a raw buffered frame
+   * Zones and robot positions are in emitted-frame pixels (resized and
+   * undistorted by processFrame), or floor metres for a floor-calibrated
+   * camera; buffered frames are the camera's original size and distortion.
+   * @param {Object} rawSize - { width, height } of the buffered frame
+   * @returns {Function} point => { x, y } in buffered-frame pixels
+   */
+  getRawFrameProjection(cameraId, rawSize) {
+    const camera = this.cameras.get(cameraId);
+    const target = camera ? camera.resolution : rawSize;
+    
+    // processFrame fits the frame inside the camera resolution without enlarging it
+    const scale = Math.min(1, target.width / rawSize.width, target.height / rawSize.height);
+    const processedSize = { width: Math.round(rawSize.width * scale), height: Math.round(rawSize.height * scale) };
+    
+    const prepared = this.calibrations.get(cameraId);
+    const toPixels = prepared && prepared.floor
+      ? calibration.invert3x3(calibration.rescaleHomography(prepared.floor.homography, prepared.floor.imageSize, processedSize))
+      : null;
+    const intrinsics = prepared && prepared.intrinsics
+      ? calibration.scaleIntrinsics(prepared.intrinsics, processedSize.width, processedSize.height)
+      : null;
+    
+    return (point) => {
+      let projected = toPixels ? calibration.applyHomography(toPixels, point) : point;
+      if (intrinsics) {
+        projected = calibration.distortPoint(intrinsics, projected);
+      }
+      return { x: projected.x / scale, y: projected.y / scale };
+    };
+  }
+
   getCameraInfo(cameraId) {
     return this.cameras.get(cameraId);
   }
@@ -714,10 +1195,69 @@ class CameraManager extends EventEmitter {
       currentInterval: camera.throttling.currentInterval,
       activityLevel: camera.throttling.activityLevel,
       resourceSaving: camera.throttling.resourceSaving,
-      timeSinceActivity: Date.now() - camera.throttling.lastActivityTime
+      timeSinceActivity: Date.now() - camera.throttling.lastActivityTime,
+      motion: this.motionDetector.getMotionState(cameraId)
     };
   }
 
+  /**
+   * Active low-light profile and last measured brightness for a camera
+   */
+  getEnhancementState(cameraId) {
+    if (!this.cameras.has(cameraId)) {
+      return null;
+    }
+    return this.imageEnhancer.getState(cameraId);
+  }
+
+  /**
+   * Reference view and active tamper conditions for a camera
+   */
+  getTamperState(cameraId) {
+    if (!this.cameras.has(cameraId)) {
+      return null;
+    }
+    return this.tamperDetector.getState(cameraId);
+  }
+
+  /**
+   * Make the camera's latest frame its tamper reference view, e.g. after it
+   * was re-aimed on purpose
+   */
+  async setTamperReference(cameraId) {
+    if (!this.cameras.has(cameraId)) {
+      throw new Error(`Camera ${cameraId} not found`);
+    }
+    
+    const latestFrame = this.frameBufferManager.getLatestFrame(cameraId);
+    if (!latestFrame) {
+      throw new Error('No frame available in buffer');
+    }
+    
+    return this.tamperDetector.setReference(cameraId, latestFrame.data);
+  }
+
+  /**
+   * Get tamper detection statistics
+   */
+  getTamperStatistics() {
+    return this.tamperDetector.getStatistics();
+  }
+
+  /**
+   * Get low-light enhancement statistics
+   */
+  getEnhancementStatistics() {
+    return this.imageEnhancer.getStatistics();
+  }
+
+  /**
+   * Get motion gating statistics
+   */
+  getMotionStatistics() {
+    return this.motionDetector.getStatistics();
+  }
+
   /**
    * Check if camera is in resource saving mode
    */
@@ -733,6 +1273,13 @@ class CameraManager extends EventEmitter {
     return this.frameBufferManager.getFrames(cameraId, count, newest);
   }
 
+  /**
+   * Get a buffered frame by ID
+   */
+  getFrameById(cameraId, frameId) {
+    return this.frameBufferManager.getFrameById(cameraId, frameId);
+  }
+
   /**
    * Subscribe to frame updates
    */
@@ -766,6 +1313,10 @@ class CameraManager extends EventEmitter {
    */
   async cleanup() {
     await this.stopAll();
+    if (this.supervisor) {
+      this.supervisor.destroy();
+    }
+    this.ptzController.destroy();
     this.frameBufferManager.destroy();
     logger.info('Camera Manager cleaned up');
   }
@@ -0,0 +1,327 @@
+/**
+ * Camera Supervisor - Watches FrameCaptureService captures and restarts them
+ *
+ * A capture is treated as failed when its FFmpeg process exits or when it is
+ * alive but has produced no frame for stall_timeout ms. Failed captures are
+ * restarted with exponential backoff and jitter; the first failure of an
+ * outage emits 'camera-offline' and the first frame after it emits
+ * 'camera-recovered'.
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Connection states
+const CAMERA_STATES = {
+  CONNECTING: 'connecting',
+  ONLINE: 'online',
+  STALLED: 'stalled',
+  OFFLINE: 'offline'
+};
+
+class CameraSupervisor extends EventEmitter {
+  /**
+   * @param {FrameCaptureService} frameCaptureService - Capture service to watch
+   * @param {Object} config - camera_health configuration section
+   */
+  constructor(frameCaptureService, config = {}) {
+    super();
+    
+    this.frameCaptureService = frameCaptureService;
+    
+    // Configuration
+    this.checkInterval = config.check_interval || 2000;
+    this.stallTimeout = config.stall_timeout || 10000;
+    this.initialBackoff = config.initial_backoff || 1000;
+    this.maxBackoff = config.max_backoff || 60000;
+    this.backoffMultiplier = config.backoff_multiplier || 2;
+    this.jitter = config.jitter ?? 0.3;
+    this.historySize = config.history_size || 100;
+    
+    // Map of cameraId -> supervision state
+    this.cameras = new Map();
+    this.checkTimer = null;
+    
+    this.stats = {
+      stallsDetected: 0,
+      restarts: 0,
+      outages: 0,
+      recoveries: 0
+    };
+    
+    this.frameCaptureService.on('frame', (frame) => this.recordFrame(frame.cameraId));
+    this.frameCaptureService.on('capture-ended', (info) => this.handleCaptureEnded(info));
+  }
+
+  /**
+   * Start supervising a capture
+   * @param {string} cameraId - Camera identifier
+   * @param {Function} restart - Async function that starts the capture again
+   */
+  watch(cameraId, restart) {
+    const existing = this.cameras.get(cameraId);
+    if (existing) {
+      existing.restart = restart;
+      return;
+    }
+    
+    const now = Date.now();
+    this.cameras.set(cameraId, {
+      cameraId,
+      restart,
+      state: null,
+      lastFrameAt: null,
+      // Stall timer starts from the later of the last frame and the last (re)start
+      lastStartAt: now,
+      attempts: 0,
+      restartTimer: null,
+      outageStartedAt: null,
+      history: []
+    });
+    
+    this.setState(cameraId, CAMERA_STATES.CONNECTING, 'watch');
+    this.start();
+  }
+
+  /**
+   * Stop supervising a capture (e.g. the stream was stopped on purpose)
+   */
+  unwatch(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) return;
+    
+    clearTimeout(camera.restartTimer);
+    this.cameras.delete(cameraId);
+    
+    if (this.cameras.size === 0) {
+      this.stop();
+    }
+  }
+
+  isWatching(cameraId) {
+    return this.cameras.has(cameraId);
+  }
+
+  start() {
+    if (this.checkTimer) return;
+    
+    this.checkTimer = setInterval(() => this.checkStalls(), this.checkInterval);
+    if (this.checkTimer.unref) {
+      this.checkTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  /**
+   * Record frame arrival; the first frame after a failure ends the outage
+   */
+  recordFrame(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) return;
+    
+    camera.lastFrameAt = Date.now();
+    
+    if (camera.state === CAMERA_STATES.ONLINE) return;
+    
+    // Frames are flowing again, so a pending restart is no longer needed
+    clearTimeout(camera.restartTimer);
+    camera.restartTimer = null;
+    
+    const attempts = camera.attempts;
+    camera.attempts = 0;
+    this.setState(cameraId, CAMERA_STATES.ONLINE, 'frame received');
+    
+    if (camera.outageStartedAt) {
+      const downtime = camera.lastFrameAt - camera.outageStartedAt;
+      camera.outageStartedAt = null;
+      this.stats.recoveries++;
+      
+      logger.info(`Camera ${cameraId} recovered after ${Math.round(downtime / 1000)}s (${attempts} restart attempts)`);
+      this.emit('camera-recovered', {
+        cameraId,
+        downtime,
+        attempts,
+        timestamp: new Date(camera.lastFrameAt).toISOString()
+      });
+    }
+  }
+
+  /**
+   * Kill captures that are running but have stopped producing frames
+   */
+  checkStalls() {
+    const now = Date.now();
+    
+    for (const camera of this.cameras.values()) {
+      if (camera.restartTimer || camera.state === CAMERA_STATES.STALLED) continue;
+      if (camera.state === CAMERA_STATES.OFFLINE) continue;
+      
+      const lastProgress = Math.max(camera.lastFrameAt || 0, camera.lastStartAt);
+      if (now - lastProgress < this.stallTimeout) continue;
+      
+      this.stats.stallsDetected++;
+      logger.warn(`Camera ${camera.cameraId} stalled: no frames for ${now - lastProgress}ms`);
+      
+      this.setState(camera.cameraId, CAMERA_STATES.STALLED, `no frames for ${now - lastProgress}ms`);
+      this.markOutage(camera, 'stalled');
+      
+      // The capture-ended event from the killed process schedules the restart;
+      // without a live process there is nothing to wait for
+      if (!this.frameCaptureService.getCaptureStatus(camera.cameraId).isCapturing) {
+        this.reportFailure(camera.cameraId, 'stalled');
+        continue;
+      }
+      
+      this.frameCaptureService.stopCapture(camera.cameraId).catch(error => {
+        logger.error(`Failed to stop stalled capture for ${camera.cameraId}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Handle a capture process exit
+   */
+  handleCaptureEnded(info) {
+    const camera = this.cameras.get(info.cameraId);
+    if (!camera) return;
+    
+    const reason = camera.state === CAMERA_STATES.STALLED
+      ? 'stalled'
+      : `capture exited with code ${info.code}`;
+    
+    this.reportFailure(info.cameraId, reason);
+  }
+
+  /**
+   * Report a failed capture or failed restart and schedule the next attempt
+   */
+  reportFailure(cameraId, reason) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera || camera.restartTimer) return;
+    
+    this.setState(cameraId, CAMERA_STATES.OFFLINE, reason);
+    this.markOutage(camera, reason);
+    this.scheduleRestart(camera);
+  }
+
+  markOutage(camera, reason) {
+    if (camera.outageStartedAt) return;
+    
+    camera.outageStartedAt = Date.now();
+    this.stats.outages++;
+    
+    logger.warn(`Camera ${camera.cameraId} offline: ${reason}`);
+    this.emit('camera-offline', {
+      cameraId: camera.cameraId,
+      reason,
+      lastFrameAt: camera.lastFrameAt ? new Date(camera.lastFrameAt).toISOString() : null,
+      timestamp: new Date(camera.outageStartedAt).toISOString()
+    });
+  }
+
+  scheduleRestart(camera) {
+    const delay = this.getBackoffDelay(camera.attempts);
+    camera.attempts++;
+    
+    logger.info(`Restarting capture for ${camera.cameraId} in ${delay}ms (attempt ${camera.attempts})`);
+    
+    camera.restartTimer = setTimeout(async () => {
+      camera.restartTimer = null;
+      if (!this.cameras.has(camera.cameraId)) return;
+      
+      this.stats.restarts++;
+      camera.lastStartAt = Date.now();
+      this.setState(camera.cameraId, CAMERA_STATES.CONNECTING, `restart attempt ${camera.attempts}`);
+      
+      try {
+        await camera.restart();
+      } catch (error) {
+        this.reportFailure(camera.cameraId, `restart failed: ${error.message}`);
+      }
+    }, delay);
+  }
+
+  /**
+   * Exponential backoff with +/- jitter so cameras on a shared switch or NVR
+   * don't all reconnect at the same moment
+   * @param {number} attempt - Zero-based attempt number
+   */
+  getBackoffDelay(attempt) {
+    const base = Math.min(this.maxBackoff, this.initialBackoff * Math.pow(this.backoffMultiplier, attempt));
+    const spread = base * this.jitter;
+    return Math.round(base - spread + Math.random() * spread * 2);
+  }
+
+  setState(cameraId, state, reason) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera || camera.state === state) return;
+    
+    const previous = camera.state;
+    const entry = {
+      state,
+      previous,
+      reason,
+      timestamp: new Date().toISOString()
+    };
+    
+    camera.state = state;
+    camera.history.push(entry);
+    if (camera.history.length > this.historySize) {
+      camera.history.shift();
+    }
+    
+    this.emit('state-change', { cameraId, ...entry });
+  }
+
+  /**
+   * Public methods
+   */
+
+  getHealth(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) return null;
+    
+    return {
+      cameraId,
+      state: camera.state,
+      lastFrameAt: camera.lastFrameAt ? new Date(camera.lastFrameAt).toISOString() : null,
+      restartAttempts: camera.attempts,
+      restartPending: !!camera.restartTimer,
+      outageStartedAt: camera.outageStartedAt ? new Date(camera.outageStartedAt).toISOString() : null,
+      history: [...camera.history]
+    };
+  }
+
+  getAllHealth() {
+    return Array.from(this.cameras.keys()).map(cameraId => this.getHealth(cameraId));
+  }
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      watched: this.cameras.size,
+      online: Array.from(this.cameras.values()).filter(camera => camera.state === CAMERA_STATES.ONLINE).length
+    };
+  }
+
+  destroy() {
+    this.stop();
+    for (const camera of this.cameras.values()) {
+      clearTimeout(camera.restartTimer);
+    }
+    this.cameras.clear();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = CameraSupervisor;
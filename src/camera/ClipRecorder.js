@@ -0,0 +1,392 @@
+/**
+ * Clip Recorder
+ * Writes event clips from the frame buffer: pre-event frames already held
+ * in the circular buffer plus a post-roll of live frames
+ */
+
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Clip states
+const CLIP_STATES = {
+  RECORDING: 'recording',
+  SAVED: 'saved',
+  FAILED: 'failed'
+};
+
+class ClipRecorder extends EventEmitter {
+  /**
+   * @param {FrameBufferManager} frameBufferManager - Source of buffered and live frames
+   * @param {Object} config - storage.clips configuration section
+   */
+  constructor(frameBufferManager, config = {}) {
+    super();
+
+    if (!frameBufferManager) {
+      throw new Error('frameBufferManager is required');
+    }
+
+    this.frameBufferManager = frameBufferManager;
+
+    // Configuration
+    this.enabled = config.enabled !== false;
+    this.storagePath = config.path || './data/clips';
+    this.format = config.format || 'mp4';
+    this.preRollSeconds = config.pre_roll_seconds ?? 10;
+    this.postRollSeconds = config.post_roll_seconds ?? 5;
+    this.fps = config.fps || 15;
+    this.urlPrefix = config.url_prefix || '/api/clips';
+    this.maxClips = config.max_clips || 1000;
+
+    // Clip tracking
+    this.clips = new Map();        // Map of clipId -> clip record, oldest first
+    this.pendingClips = new Map(); // Map of clipId -> completion promise
+
+    // Statistics
+    this.stats = {
+      clipsStarted: 0,
+      clipsSaved: 0,
+      clipsFailed: 0
+    };
+
+    logger.info(`Clip Recorder initialized (${this.format}, pre-roll ${this.preRollSeconds}s, post-roll ${this.postRollSeconds}s)`);
+  }
+
+  /**
+   * Start recording a clip around an event
+   * Returns the clip record immediately; the file is written once the
+   * post-roll has been collected and a 'clip-saved' event is emitted.
+   * @param {Object} options - Clip options
+   * @param {string} options.cameraId - Camera to record
+   * @param {string} options.eventId - Event the clip belongs to
+   * @param {string} options.alertId - Alert that triggered the recording
+   * @param {string|number} options.eventTime - Event timestamp (ISO string or ms)
+   * @param {number} options.preRollSeconds - Seconds of buffered frames before the event
+   * @param {number} options.postRollSeconds - Seconds of live frames after the event
+   */
+  startClip(options) {
+    const { cameraId, eventId = null, alertId = null } = options;
+
+    if (!this.enabled) {
+      throw new Error('Clip recording is disabled');
+    }
+
+    if (!cameraId) {
+      throw new Error('cameraId is required');
+    }
+
+    const preRollSeconds = options.preRollSeconds ?? this.preRollSeconds;
+    const postRollSeconds = options.postRollSeconds ?? this.postRollSeconds;
+    const eventTime = this._toMillis(options.eventTime) || Date.now();
+
+    const clipId = uuidv4();
+    const extension = this.format === 'mjpeg' ? 'mjpeg' : 'mp4';
+    const fileName = `${cameraId}-${new Date(eventTime).toISOString().replace(/[:.]/g, '-')}-${clipId.slice(0, 8)}.${extension}`;
+
+    const clip = {
+      id: clipId,
+      cameraId,
+      eventId,
+      alertId,
+      eventTime: new Date(eventTime).toISOString(),
+      preRollSeconds,
+      postRollSeconds,
+      format: extension,
+      fileName,
+      path: path.join(this.storagePath, fileName),
+      url: `${this.urlPrefix}/${clipId}`,
+      state: CLIP_STATES.RECORDING,
+      frameCount: 0,
+      startedAt: new Date().toISOString()
+    };
+
+    this.clips.set(clipId, clip);
+    this.stats.clipsStarted++;
+
+    logger.info(`Recording clip ${clipId} for camera ${cameraId} (event ${eventId || 'n/a'})`);
+
+    const completion = this._record(clip, eventTime)
+      .finally(() => {
+        this.pendingClips.delete(clipId);
+        this._pruneClips();
+      });
+    this.pendingClips.set(clipId, completion);
+
+    this.emit('clip-started', clip);
+
+    return clip;
+  }
+
+  /**
+   * Record a clip and wait for it to be written
+   */
+  async recordClip(options) {
+    const clip = this.startClip(options);
+    return this.waitForClip(clip.id);
+  }
+
+  /**
+   * Wait for a clip in progress to finish
+   * @param {string} clipId - Clip identifier
+   */
+  async waitForClip(clipId) {
+    const pending = this.pendingClips.get(clipId);
+    if (pending) {
+      return pending;
+    }
+    return this.clips.get(clipId) || null;
+  }
+
+  /**
+   * Collect pre- and post-roll frames and write the clip
+   * @private
+   */
+  async _record(clip, eventTime) {
+    const { cameraId } = clip;
+    const startTime = eventTime - clip.preRollSeconds * 1000;
+
+    try {
+      // Pre-roll comes from the circular buffer; it is limited by how many
+      // frames the buffer holds for this camera
+      const preRoll = this.frameBufferManager.getFramesInRange(cameraId, startTime, eventTime);
+      
+      const postRoll = await this._collectPostRoll(clip, eventTime);
+      const endTime = eventTime + clip.postRollSeconds * 1000;
+
+      // Frames between the event and the subscription starting are already
+      // in the buffer; merge by id so nothing is written twice
+      const seen = new Set();
+      const buffered = this.frameBufferManager.getFramesInRange(cameraId, eventTime + 1, endTime);
+      const frames = [...preRoll, ...buffered, ...postRoll]
+        .filter(frame => {
+          if (seen.has(frame.id)) return false;
+          seen.add(frame.id);
+          return true;
+        })
+        .sort((a, b) => this._toMillis(a.timestamp) - this._toMillis(b.timestamp));
+
+      if (frames.length === 0) {
+        throw new Error(`No frames available for camera ${cameraId}`);
+      }
+
+      await fs.mkdir(this.storagePath, { recursive: true });
+
+      if (clip.format === 'mp4') {
+        try {
+          await this._encodeMP4(clip.path, frames, this._measureFps(frames));
+        } catch (error) {
+          logger.warn(`MP4 encoding failed for clip ${clip.id}, falling back to MJPEG: ${error.message}`);
+          clip.format = 'mjpeg';
+          clip.fileName = clip.fileName.replace(/\.mp4$/, '.mjpeg');
+          clip.path = clip.path.replace(/\.mp4$/, '.mjpeg');
+          await this._writeMJPEG(clip.path, frames);
+        }
+      } else {
+        await this._writeMJPEG(clip.path, frames);
+      }
+
+      const stat = await fs.stat(clip.path);
+
+      clip.state = CLIP_STATES.SAVED;
+      clip.frameCount = frames.length;
+      clip.preRollFrames = preRoll.length;
+      clip.firstFrameTime = frames[0].timestamp;
+      clip.lastFrameTime = frames[frames.length - 1].timestamp;
+      clip.size = stat.size;
+      clip.completedAt = new Date().toISOString();
+
+      this.stats.clipsSaved++;
+      logger.info(`Saved clip ${clip.id}: ${frames.length} frames (${preRoll.length} pre-roll) -> ${clip.path}`);
+
+      this.emit('clip-saved', clip);
+
+    } catch (error) {
+      clip.state = CLIP_STATES.FAILED;
+      clip.error = error.message;
+      clip.completedAt = new Date().toISOString();
+
+      this.stats.clipsFailed++;
+      logger.error(`Failed to record clip ${clip.id}: ${error.message}`);
+
+      this.emit('clip-failed', clip);
+    }
+
+    return clip;
+  }
+
+  /**
+   * Forget the oldest finished clips beyond maxClips; their files stay on disk
+   * @private
+   */
+  _pruneClips() {
+    let excess = this.clips.size - this.maxClips;
+    
+    for (const [clipId, clip] of this.clips) {
+      if (excess <= 0) break;
+      if (clip.state !== CLIP_STATES.RECORDING) {
+        this.clips.delete(clipId);
+        excess--;
+      }
+    }
+  }
+
+  /**
+   * Subscribe to live frames until the post-roll window has elapsed
+   * @private
+   */
+  _collectPostRoll(clip, eventTime) {
+    const frames = [];
+    const endTime = eventTime + clip.postRollSeconds * 1000;
+    const remaining = endTime - Date.now();
+
+    if (remaining <= 0) {
+      return Promise.resolve(frames);
+    }
+
+    return new Promise((resolve) => {
+      const subscriberId = `clip-${clip.id}`;
+
+      this.frameBufferManager.subscribe({
+        subscriberId,
+        cameraIds: [clip.cameraId],
+        mode: 'live',
+        callback: (frame) => {
+          if (this._toMillis(frame.timestamp) <= endTime) {
+            frames.push(frame);
+          }
+        }
+      });
+
+      setTimeout(() => {
+        this.frameBufferManager.unsubscribe(subscriberId);
+        resolve(frames);
+      }, remaining);
+    });
+  }
+
+  /**
+   * Write frames as a raw MJPEG stream (concatenated JPEGs)
+   * @private
+   */
+  async _writeMJPEG(filePath, frames) {
+    await fs.writeFile(filePath, Buffer.concat(frames.map(frame => frame.data)));
+  }
+
+  /**
+   * Encode frames to H.264 MP4 with FFmpeg
+   * @private
+   */
+  _encodeMP4(filePath, frames, fps) {
+    return new Promise((resolve, reject) => {
+      const ffmpegProcess = spawn('ffmpeg', [
+        '-y',
+        '-f', 'image2pipe',
+        '-framerate', fps.toString(),
+        '-i', 'pipe:0',
+        '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+        '-c:v', 'libx264',
+        '-pix_fmt', 'yuv420p',
+        '-movflags', '+faststart',
+        filePath
+      ]);
+
+      let stderr = '';
+
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr = (stderr + data.toString()).slice(-2000);
+      });
+
+      ffmpegProcess.on('error', reject);
+
+      ffmpegProcess.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`FFmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        }
+      });
+
+      // Ignore EPIPE if FFmpeg exits early; the close handler reports it
+      ffmpegProcess.stdin.on('error', () => {});
+
+      for (const frame of frames) {
+        ffmpegProcess.stdin.write(frame.data);
+      }
+      ffmpegProcess.stdin.end();
+    });
+  }
+
+  /**
+   * Estimate playback frame rate from frame timestamps so clips play in real time
+   * @private
+   */
+  _measureFps(frames) {
+    if (frames.length < 2) {
+      return this.fps;
+    }
+
+    const duration = (this._toMillis(frames[frames.length - 1].timestamp) - this._toMillis(frames[0].timestamp)) / 1000;
+    if (duration <= 0) {
+      return this.fps;
+    }
+
+    return Math.max(1, Math.min(60, Math.round((frames.length - 1) / duration)));
+  }
+
+  /**
+   * Convert an ISO timestamp or epoch value to milliseconds
+   * @private
+   */
+  _toMillis(value) {
+    if (typeof value === 'number') return value;
+    if (!value) return null;
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Public methods
+   */
+
+  getClip(clipId) {
+    return this.clips.get(clipId);
+  }
+
+  getClips(filter = {}) {
+    let clips = Array.from(this.clips.values());
+
+    if (filter.cameraId) {
+      clips = clips.filter(c => c.cameraId === filter.cameraId);
+    }
+
+    if (filter.eventId) {
+      clips = clips.filter(c => c.eventId === filter.eventId);
+    }
+
+    if (filter.state) {
+      clips = clips.filter(c => c.state === filter.state);
+    }
+
+    return clips;
+  }
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      recording: this.pendingClips.size,
+      totalClips: this.clips.size
+    };
+  }
+}
+
+module.exports = ClipRecorder;
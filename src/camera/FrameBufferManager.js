@@ -209,6 +209,21 @@ class FrameBufferManager extends EventEmitter {
     return buffer[metadata.newestFrameIndex];
   }
 
+  /**
+   * Get a buffered frame by its ID
+   * @param {string} cameraId - Camera identifier
+   * @param {string} frameId - Frame identifier
+   */
+  getFrameById(cameraId, frameId) {
+    const buffer = this.buffers.get(cameraId);
+    
+    if (!buffer) {
+      return null;
+    }
+    
+    return buffer.find(frame => frame && frame.id === frameId) || null;
+  }
+
   /**
    * Get multiple frames from buffer
    * @param {string} cameraId - Camera identifier
@@ -260,6 +275,25 @@ class FrameBufferManager extends EventEmitter {
     return frames;
   }
 
+  /**
+   * Get buffered frames captured within a time window, oldest first
+   * @param {string} cameraId - Camera identifier
+   * @param {number} startTime - Window start (ms since epoch)
+   * @param {number} endTime - Window end (ms since epoch)
+   */
+  getFramesInRange(cameraId, startTime, endTime = Date.now()) {
+    const buffer = this.buffers.get(cameraId);
+
+    if (!buffer || buffer.length === 0) {
+      return [];
+    }
+
+    return this.getFrames(cameraId, buffer.length, true).filter(frame => {
+      const frameTime = Date.parse(frame.timestamp);
+      return frameTime >= startTime && frameTime <= endTime;
+    });
+  }
+
   /**
    * Clear buffer for a camera
    * @param {string} cameraId - Camera identifier
@@ -21,6 +21,8 @@ class FrameCaptureService extends EventEmitter {
     this.ffmpegProcesses = new Map(); // Map of cameraId -> FFmpeg process
     this.frameBuffers = new Map();    // Map of cameraId -> temporary buffer
     this.sequenceNumbers = new Map(); // Map of cameraId -> sequence number
+    this.captureArgs = new Map();     // Map of cameraId -> FFmpeg arguments in use
+    this.stopping = new Set();        // Camera ids whose process was stopped on request
     this.isRunning = false;
   }
 
@@ -68,6 +70,7 @@ class FrameCaptureService extends EventEmitter {
     try {
       const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
       this.ffmpegProcesses.set(cameraId, ffmpegProcess);
+      this.captureArgs.set(cameraId, ffmpegArgs);
 
       // Handle stdout data (frames)
       ffmpegProcess.stdout.on('data', (chunk) => {
@@ -91,10 +94,12 @@ class FrameCaptureService extends EventEmitter {
       ffmpegProcess.on('close', (code) => {
         logger.info(`FFmpeg process for camera ${cameraId} ended with code ${code}`);
         this._cleanupCamera(cameraId);
+        const stopped = this.stopping.delete(cameraId);
         
         this.emit('capture-ended', {
           cameraId,
           code,
+          stopped,
           timestamp: new Date().toISOString()
         });
 
@@ -135,12 +140,21 @@ class FrameCaptureService extends EventEmitter {
     }
 
     logger.info(`Stopping frame capture for camera ${cameraId}`);
+    
+    // Marks the exit as requested in 'capture-ended'
+    this.stopping.add(cameraId);
+    const exited = ffmpegProcess.exitCode === null
+      ? new Promise(resolve => {
+        ffmpegProcess.once('close', resolve);
+        ffmpegProcess.once('error', resolve);
+      })
+      : Promise.resolve();
 
     try {
       ffmpegProcess.kill('SIGTERM');
       
       // Force kill after timeout
-      setTimeout(() => {
+      const forceKill = setTimeout(() => {
         if (this.ffmpegProcesses.has(cameraId)) {
           const proc = this.ffmpegProcesses.get(cameraId);
           if (proc && !proc.killed) {
@@ -148,6 +162,10 @@ class FrameCaptureService extends EventEmitter {
           }
         }
       }, 5000);
+      
+      // Resolve once the process is gone so the camera can be restarted
+      await exited;
+      clearTimeout(forceKill);
 
     } catch (error) {
       logger.error(`Error stopping capture for camera ${cameraId}:`, error);
@@ -241,6 +259,12 @@ class FrameCaptureService extends EventEmitter {
       if (rIndex !== -1) {
         args[rIndex + 1] = options.fps.toString();
       }
+    } else if (options.keyframesOnly) {
+      // Pass keyframes through at their own rate instead of duplicating them
+      const rIndex = args.indexOf('-r');
+      if (rIndex !== -1) {
+        args.splice(rIndex, 2, '-vsync', '0');
+      }
     }
     
     if (options.quality) {
@@ -250,20 +274,81 @@ class FrameCaptureService extends EventEmitter {
       }
     }
     
-    // Add any additional custom arguments
+    if (options.transport) {
+      const tIndex = args.indexOf('-rtsp_transport');
+      if (tIndex !== -1) {
+        args[tIndex + 1] = options.transport;
+      }
+    }
+    
+    // Input options go before -i: hardware decoding and keyframe-only decoding
+    const inputArgs = [];
+    if (options.hwaccel) {
+      inputArgs.push('-hwaccel', options.hwaccel);
+      if (options.hwaccelDevice) {
+        inputArgs.push('-hwaccel_device', options.hwaccelDevice);
+      }
+    }
+    if (options.keyframesOnly) {
+      inputArgs.push('-skip_frame', 'nokey');
+    }
+    args.splice(args.indexOf('-i'), 0, ...inputArgs);
+    
+    // Filter chain (e.g. denoise) runs before the MJPEG encoder
+    if (options.filters) {
+      args.splice(args.indexOf('pipe:1'), 0, '-vf', options.filters);
+    }
+    
+    // Additional custom arguments apply to the analysis output
     if (options.customArgs && Array.isArray(options.customArgs)) {
-      args.push(...options.customArgs);
+      args.splice(args.indexOf('pipe:1'), 0, ...options.customArgs);
+    }
+    
+    // Second output from the same process: the full stream in segment files
+    if (options.recording) {
+      args.push(...this._buildRecordingArgs(options.recording));
     }
     
     return args;
   }
 
+  /**
+   * Output arguments for segmented recording
+   * Copy mode remuxes the camera's own encoding without decoding it; encode
+   * mode re-encodes the video (audio is copied either way).
+   * @private
+   */
+  _buildRecordingArgs(recording) {
+    const args = ['-map', '0:v', '-map', '0:a?'];
+    
+    if (recording.mode === 'encode') {
+      args.push('-c:v', recording.codec || 'libx264', '-preset', recording.preset || 'veryfast');
+      if (recording.bitrate) {
+        args.push('-b:v', recording.bitrate);
+      }
+      args.push('-c:a', 'copy');
+    } else {
+      args.push('-c', 'copy');
+    }
+    
+    args.push(
+      '-f', 'segment',
+      '-segment_time', String(recording.segmentTime || 300),
+      '-segment_format', recording.format || 'mp4',
+      '-reset_timestamps', '1',
+      '-strftime', '1',
+      recording.path
+    );
+    return args;
+  }
+
   /**
    * Cleanup resources for a camera
    * @private
    */
   _cleanupCamera(cameraId) {
     this.ffmpegProcesses.delete(cameraId);
+    this.captureArgs.delete(cameraId);
     this.frameBuffers.delete(cameraId);
     this.sequenceNumbers.delete(cameraId);
   }
@@ -280,7 +365,8 @@ class FrameCaptureService extends EventEmitter {
       cameraId,
       isCapturing: !!process && !process.killed,
       framesProcessed: sequenceNumber,
-      bufferSize: this.frameBuffers.get(cameraId)?.length || 0
+      bufferSize: this.frameBuffers.get(cameraId)?.length || 0,
+      args: FrameCaptureService.redactArgs(this.captureArgs.get(cameraId) || [])
     };
   }
 
@@ -297,6 +383,14 @@ class FrameCaptureService extends EventEmitter {
     return status;
   }
 
+  /**
+   * FFmpeg arguments with credentials removed from URLs
+   * @param {string[]} args - FFmpeg arguments
+   */
+  static redactArgs(args) {
+    return args.map(arg => arg.replace(/^([a-z]+:\/\/)[^@/\s]+@/i, '$1***@'));
+  }
+
   /**
    * Check if FFmpeg is available
    */
@@ -0,0 +1,339 @@
+/**
+ * Image Enhancer - Brightness-driven low-light profiles per camera
+ *
+ * The mean grey level of each captured frame is measured on a small sample and
+ * picks the darkest profile whose max_brightness is above it; frames brighter
+ * than every profile pass through untouched ("day"). A profile applies sharp
+ * operations in a fixed order: median denoise, CLAHE contrast, normalise, then
+ * a gamma/gain lookup table. Switching back towards a brighter profile needs
+ * the level to clear the current profile's limit by hysteresis, and a profile
+ * is held for at least min_dwell ms, so the picture does not flicker while the
+ * lab lights fade.
+ */
+
+const EventEmitter = require('events');
+const sharp = require('sharp');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const DAY_PROFILE = 'day';
+
+const DEFAULT_PROFILES = [
+  {
+    name: 'night',
+    max_brightness: 45,
+    denoise: 3,
+    clahe: { width: 128, height: 128, max_slope: 4 },
+    gamma: 2.0,
+    gain: 1.1
+  },
+  {
+    name: 'dim',
+    max_brightness: 90,
+    clahe: { width: 128, height: 128, max_slope: 3 },
+    gamma: 1.4
+  }
+];
+
+class ImageEnhancer extends EventEmitter {
+  /**
+   * @param {Object} config - enhancement configuration section
+   */
+  constructor(config = {}) {
+    super();
+    
+    // Configuration
+    this.enabled = config.enabled !== false;
+    this.sampleWidth = config.sample_width || 64;
+    this.sampleHeight = config.sample_height || 48;
+    this.hysteresis = config.hysteresis ?? 8;
+    this.minDwell = config.min_dwell ?? 30000;
+    this.quality = config.quality || 80;
+    this.profiles = ImageEnhancer.normalizeProfiles(config.profiles || DEFAULT_PROFILES);
+    
+    // Map of cameraId -> { mode, profiles, profile, brightness, since, switches }
+    this.cameras = new Map();
+    
+    this.stats = {
+      framesMeasured: 0,
+      framesEnhanced: 0,
+      profileChanges: 0
+    };
+  }
+
+  /**
+   * Validate profiles and order them darkest first
+   * @param {Array} profiles - Profile configs
+   * @returns {Array} Sorted copies
+   */
+  static normalizeProfiles(profiles) {
+    if (!Array.isArray(profiles)) {
+      throw new Error('Enhancement profiles must be an array');
+    }
+    
+    const names = new Set();
+    for (const profile of profiles) {
+      if (!profile.name || profile.name === DAY_PROFILE) {
+        throw new Error(`Enhancement profile name "${profile.name}" is missing or reserved`);
+      }
+      if (names.has(profile.name)) {
+        throw new Error(`Duplicate enhancement profile "${profile.name}"`);
+      }
+      if (!(profile.max_brightness > 0 && profile.max_brightness <= 255)) {
+        throw new Error(`Enhancement profile "${profile.name}" needs max_brightness between 1 and 255`);
+      }
+      if (profile.gamma !== undefined && !(profile.gamma > 0)) {
+        throw new Error(`Enhancement profile "${profile.name}" has an invalid gamma`);
+      }
+      names.add(profile.name);
+    }
+    
+    return profiles
+      .map(profile => ({ ...profile }))
+      .sort((a, b) => a.max_brightness - b.max_brightness);
+  }
+
+  /**
+   * Register a camera's enhancement settings
+   * @param {string} cameraId - Camera identifier
+   * @param {Object} options - Camera enhancement config: { mode, profiles }
+   *   mode is 'auto' (default), 'off' or the name of a profile to pin
+   */
+  configureCamera(cameraId, options = {}) {
+    const profiles = options.profiles
+      ? ImageEnhancer.normalizeProfiles(options.profiles)
+      : this.profiles;
+    const mode = options.mode || 'auto';
+    
+    if (mode !== 'auto' && mode !== 'off' && mode !== DAY_PROFILE &&
+        !profiles.some(profile => profile.name === mode)) {
+      throw new Error(`Unknown enhancement profile "${mode}" for camera ${cameraId}`);
+    }
+    
+    const previous = this.cameras.get(cameraId);
+    this.cameras.set(cameraId, {
+      mode,
+      profiles,
+      profile: previous ? previous.profile : null,
+      brightness: previous ? previous.brightness : null,
+      since: previous ? previous.since : 0,
+      switches: previous ? previous.switches : 0
+    });
+  }
+
+  /**
+   * Forget a camera
+   * @param {string} cameraId - Camera identifier
+   */
+  removeCamera(cameraId) {
+    this.cameras.delete(cameraId);
+  }
+
+  /**
+   * Mean grey level (0-255) of an encoded frame
+   * @param {Buffer} data - Encoded frame (JPEG)
+   * @returns {Promise<number>}
+   */
+  async measureBrightness(data) {
+    const sample = await sharp(data)
+      .resize(this.sampleWidth, this.sampleHeight, { fit: 'fill' })
+      .greyscale()
+      .raw()
+      .toBuffer();
+    
+    let sum = 0;
+    for (let i = 0; i < sample.length; i++) {
+      sum += sample[i];
+    }
+    return sample.length ? sum / sample.length : 0;
+  }
+
+  /**
+   * Measure a frame, update the camera's profile and apply it
+   * @param {string} cameraId - Camera identifier
+   * @param {Buffer} data - Encoded frame (JPEG)
+   * @returns {Promise<Object>} { image, profile, brightness, changed }
+   */
+  async enhance(cameraId, data) {
+    if (!this.cameras.has(cameraId)) {
+      this.configureCamera(cameraId);
+    }
+    const state = this.cameras.get(cameraId);
+    
+    if (!this.enabled || state.mode === 'off') {
+      return { image: data, profile: null, brightness: null, changed: false };
+    }
+    
+    const brightness = await this.measureBrightness(data);
+    this.stats.framesMeasured++;
+    state.brightness = brightness;
+    
+    const next = state.mode === 'auto'
+      ? this.selectProfile(state, brightness)
+      : state.mode;
+    const changed = next !== state.profile;
+    
+    if (changed) {
+      const previous = state.profile;
+      state.profile = next;
+      state.since = Date.now();
+      
+      // The first measurement only establishes the starting profile
+      if (previous !== null) {
+        state.switches++;
+        this.stats.profileChanges++;
+        logger.info(`Camera ${cameraId} enhancement ${previous} -> ${next} at brightness ${brightness.toFixed(1)}`);
+        this.emit('profile-change', {
+          cameraId,
+          from: previous,
+          to: next,
+          brightness,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    
+    const profile = state.profiles.find(candidate => candidate.name === state.profile);
+    const image = profile ? await this.applyProfile(data, profile) : data;
+    if (profile) {
+      this.stats.framesEnhanced++;
+    }
+    
+    return { image, profile: state.profile, brightness, changed };
+  }
+
+  /**
+   * Profile for a brightness level, held back by hysteresis and dwell time
+   * @param {Object} state - Camera state
+   * @param {number} brightness - Mean grey level
+   * @returns {string} Profile name
+   */
+  selectProfile(state, brightness) {
+    const { profiles } = state;
+    const rank = name => name === DAY_PROFILE
+      ? profiles.length
+      : profiles.findIndex(profile => profile.name === name);
+    
+    const target = profiles.find(profile => brightness < profile.max_brightness);
+    const targetName = target ? target.name : DAY_PROFILE;
+    
+    const current = state.profile;
+    const currentRank = current === null ? -1 : rank(current);
+    if (current === null || currentRank === -1) {
+      return targetName;
+    }
+    if (targetName === current || Date.now() - state.since < this.minDwell) {
+      return current;
+    }
+    
+    // Brightening must clear the current profile's ceiling by the margin;
+    // darkening must fall the margin below the target's ceiling
+    if (rank(targetName) > currentRank) {
+      return brightness >= profiles[currentRank].max_brightness + this.hysteresis
+        ? targetName
+        : current;
+    }
+    return brightness < target.max_brightness - this.hysteresis
+      ? targetName
+      : current;
+  }
+
+  /**
+   * Apply a profile's operations to a frame
+   * @param {Buffer} data - Encoded frame (JPEG)
+   * @param {Object} profile - Profile config
+   * @returns {Promise<Buffer>} Enhanced JPEG
+   */
+  async applyProfile(data, profile) {
+    let pipeline = sharp(data);
+    
+    if (profile.denoise) {
+      pipeline = pipeline.median(profile.denoise);
+    }
+    if (profile.clahe) {
+      // Regions are in pixels and must fit inside the frame
+      const { width, height } = await sharp(data).metadata();
+      pipeline = pipeline.clahe({
+        width: Math.max(1, Math.min(profile.clahe.width || 128, Math.floor(width / 2))),
+        height: Math.max(1, Math.min(profile.clahe.height || 128, Math.floor(height / 2))),
+        maxSlope: profile.clahe.max_slope ?? 3
+      });
+    }
+    if (profile.normalise) {
+      pipeline = pipeline.normalise();
+    }
+    
+    const gamma = profile.gamma || 1;
+    const gain = profile.gain || 1;
+    if (gamma === 1 && gain === 1) {
+      return pipeline.jpeg({ quality: this.quality }).toBuffer();
+    }
+    
+    // sharp's gamma() only takes effect around a resize, so the curve is a LUT
+    const { data: pixels, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const table = ImageEnhancer.buildLookupTable(gamma, gain);
+    for (let i = 0; i < pixels.length; i++) {
+      pixels[i] = table[pixels[i]];
+    }
+    
+    return sharp(pixels, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .jpeg({ quality: this.quality })
+      .toBuffer();
+  }
+
+  /**
+   * 256-entry table for out = gain * 255 * (in / 255)^(1 / gamma)
+   * @param {number} gamma - Values above 1 lift the shadows
+   * @param {number} gain - Linear multiplier after the curve
+   * @returns {Uint8Array}
+   */
+  static buildLookupTable(gamma, gain = 1) {
+    const table = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+      table[i] = Math.min(255, Math.round(gain * 255 * Math.pow(i / 255, 1 / gamma)));
+    }
+    return table;
+  }
+
+  /**
+   * Current enhancement state for a camera
+   * @param {string} cameraId - Camera identifier
+   * @returns {Object|null}
+   */
+  getState(cameraId) {
+    const state = this.cameras.get(cameraId);
+    if (!state) return null;
+    
+    return {
+      enabled: this.enabled && state.mode !== 'off',
+      mode: state.mode,
+      profile: state.profile,
+      brightness: state.brightness === null ? null : Math.round(state.brightness * 10) / 10,
+      since: state.since ? new Date(state.since).toISOString() : null,
+      switches: state.switches,
+      profiles: state.profiles.map(profile => ({ name: profile.name, maxBrightness: profile.max_brightness }))
+    };
+  }
+
+  getStatistics() {
+    const profiles = {};
+    for (const [cameraId, state] of this.cameras) {
+      profiles[cameraId] = state.profile;
+    }
+    
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      profiles
+    };
+  }
+}
+
+ImageEnhancer.DAY_PROFILE = DAY_PROFILE;
+
+module.exports = ImageEnhancer;
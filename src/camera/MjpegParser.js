@@ -0,0 +1,331 @@
+/**
+ * MJPEG Parser - multipart/x-mixed-replace stream parser
+ *
+ * Splits an HTTP MJPEG stream into JPEG frames using the multipart boundary
+ * from the Content-Type header. Parts with a Content-Length are read by
+ * length, so JPEGs with embedded EXIF thumbnails (a second FFD8..FFD9 pair)
+ * come through whole; parts without one run to the next boundary.
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const JPEG_SOI = Buffer.from([0xFF, 0xD8]);
+const JPEG_EOI = Buffer.from([0xFF, 0xD9]);
+const CRLF = Buffer.from('\r\n');
+
+const STATES = {
+  BOUNDARY: 'boundary',
+  HEADERS: 'headers',
+  BODY: 'body'
+};
+
+class MjpegParser extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.boundary - Boundary from the Content-Type header; detected from the stream when missing
+   * @param {number} options.maxFrameSize - Largest part kept in memory before it is dropped
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.maxFrameSize = options.maxFrameSize || 10 * 1024 * 1024;
+    this.delimiters = [];
+    this.buffer = Buffer.alloc(0);
+    this.state = STATES.BOUNDARY;
+    this.partHeaders = null;
+    
+    if (options.boundary) {
+      this.setBoundary(options.boundary);
+    }
+    
+    this.stats = {
+      frames: 0,
+      skippedParts: 0,
+      resyncs: 0,
+      droppedBytes: 0
+    };
+  }
+
+  /**
+   * Read the boundary parameter from a Content-Type header
+   * @param {string} contentType - e.g. 'multipart/x-mixed-replace; boundary="myboundary"'
+   * @returns {string|null}
+   */
+  static getBoundary(contentType) {
+    if (!contentType) return null;
+    
+    const match = /boundary\s*=\s*(?:"([^"]+)"|([^;,\s]+))/i.exec(contentType);
+    return match ? (match[1] || match[2]) : null;
+  }
+
+  setBoundary(boundary) {
+    // RFC 2046 delimiters are '--' + boundary, but several cameras already put
+    // the dashes in the header value and then use it verbatim in the stream
+    this.delimiters = [Buffer.from(`--${boundary}`)];
+    if (boundary.startsWith('--')) {
+      this.delimiters.push(Buffer.from(boundary));
+    }
+  }
+
+  /**
+   * Feed stream data
+   * @param {Buffer} chunk
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    
+    while (this.step()) {
+      // Keep parsing until more data is needed
+    }
+    
+    if (this.buffer.length > this.maxFrameSize) {
+      logger.warn(`MJPEG part exceeded ${this.maxFrameSize} bytes without a boundary, dropping`);
+      this.stats.droppedBytes += this.buffer.length;
+      this.buffer = Buffer.alloc(0);
+      this.state = STATES.BOUNDARY;
+      this.emit('error', new Error('MJPEG part too large'));
+    }
+  }
+
+  /**
+   * Flush the last part when the stream ends
+   */
+  end() {
+    if (this.state === STATES.BODY && this.buffer.length > 0) {
+      const length = parseInt(this.partHeaders['content-length'], 10);
+      this.emitPart(Number.isFinite(length) && length <= this.buffer.length
+        ? this.buffer.slice(0, length)
+        : this.trimTrailingNewline(this.buffer));
+    }
+    
+    this.buffer = Buffer.alloc(0);
+    this.state = STATES.BOUNDARY;
+  }
+
+  /**
+   * Run one parser transition
+   * @returns {boolean} True when progress was made
+   */
+  step() {
+    if (this.state === STATES.BOUNDARY) {
+      return this.readBoundary();
+    }
+    if (this.state === STATES.HEADERS) {
+      return this.readHeaders();
+    }
+    return this.readBody();
+  }
+
+  readBoundary() {
+    if (this.delimiters.length === 0 && !this.detectBoundary()) {
+      return false;
+    }
+    
+    const found = this.findDelimiter(this.buffer, 0);
+    if (!found) {
+      // Keep a tail long enough to hold a delimiter split across chunks
+      const keep = Math.max(...this.delimiters.map(delimiter => delimiter.length));
+      if (this.buffer.length > keep) {
+        this.stats.droppedBytes += this.buffer.length - keep;
+        this.buffer = this.buffer.slice(this.buffer.length - keep);
+      }
+      return false;
+    }
+    
+    // Delimiter line runs to the next LF; a trailing '--' closes the stream
+    const lineEnd = this.buffer.indexOf(0x0A, found.index + found.length);
+    if (lineEnd === -1) {
+      return false;
+    }
+    
+    this.stats.droppedBytes += found.index;
+    const closing = this.buffer.slice(found.index + found.length, found.index + found.length + 2).toString() === '--';
+    this.buffer = this.buffer.slice(lineEnd + 1);
+    this.state = closing ? STATES.BOUNDARY : STATES.HEADERS;
+    return true;
+  }
+
+  readHeaders() {
+    // A part may start straight with a blank line (no headers)
+    let headerEnd;
+    let separatorLength;
+    if (this.buffer[0] === 0x0A || (this.buffer[0] === 0x0D && this.buffer[1] === 0x0A)) {
+      headerEnd = 0;
+      separatorLength = this.buffer[0] === 0x0A ? 1 : 2;
+    } else {
+      const crlf = this.buffer.indexOf('\r\n\r\n');
+      const lf = this.buffer.indexOf('\n\n');
+      if (crlf === -1 && lf === -1) {
+        return false;
+      }
+      if (crlf !== -1 && (lf === -1 || crlf < lf)) {
+        headerEnd = crlf;
+        separatorLength = 4;
+      } else {
+        headerEnd = lf;
+        separatorLength = 2;
+      }
+    }
+    
+    const headers = {};
+    for (const line of this.buffer.slice(0, headerEnd).toString('latin1').split(/\r?\n/)) {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    }
+    
+    this.partHeaders = headers;
+    this.buffer = this.buffer.slice(headerEnd + separatorLength);
+    this.state = STATES.BODY;
+    return true;
+  }
+
+  readBody() {
+    const length = parseInt(this.partHeaders['content-length'], 10);
+    
+    if (Number.isFinite(length) && length >= 0) {
+      const checked = this.readBodyByLength(length);
+      if (checked !== null) {
+        return checked;
+      }
+      // Content-Length disagrees with the stream; fall back to the boundary
+      this.stats.resyncs++;
+      this.partHeaders['content-length'] = undefined;
+    }
+    
+    const found = this.findDelimiter(this.buffer, 0);
+    if (!found) {
+      return false;
+    }
+    
+    this.emitPart(this.trimTrailingNewline(this.buffer.slice(0, found.index)));
+    this.buffer = this.buffer.slice(found.index);
+    this.state = STATES.BOUNDARY;
+    return true;
+  }
+
+  /**
+   * Read a part by its Content-Length
+   * A body that is a complete JPEG is emitted straight away (cameras that send
+   * the delimiter before each part would otherwise hold every frame until the
+   * next one arrives); anything else must be followed by a delimiter.
+   * @returns {boolean|null} Progress flag, or null when the length is wrong
+   */
+  readBodyByLength(length) {
+    if (this.buffer.length < length) {
+      // A delimiter showing up before the declared length means it is too long
+      return this.findDelimiter(this.buffer, 0) ? null : false;
+    }
+    
+    const body = this.buffer.slice(0, length);
+    if (this.isCompleteJpeg(body)) {
+      this.emitPart(body);
+      this.buffer = this.buffer.slice(length);
+      this.state = STATES.BOUNDARY;
+      return true;
+    }
+    
+    let next = length;
+    while (next < this.buffer.length && (this.buffer[next] === 0x0D || this.buffer[next] === 0x0A)) {
+      next++;
+    }
+    
+    const longest = Math.max(...this.delimiters.map(delimiter => delimiter.length));
+    if (this.buffer.length < next + longest) {
+      return false;
+    }
+    
+    if (!this.delimiters.some(delimiter => this.buffer.slice(next, next + delimiter.length).equals(delimiter))) {
+      return null;
+    }
+    
+    this.emitPart(body);
+    this.buffer = this.buffer.slice(next);
+    this.state = STATES.BOUNDARY;
+    return true;
+  }
+
+  isCompleteJpeg(data) {
+    return data.length >= 4 &&
+      data.slice(0, 2).equals(JPEG_SOI) &&
+      data.slice(data.length - 2).equals(JPEG_EOI);
+  }
+
+  /**
+   * Find the earliest delimiter at the start of a line
+   * @param {number} end - Only accept matches starting before this offset
+   */
+  findDelimiter(buffer, start, end = Infinity) {
+    let best = null;
+    
+    for (const delimiter of this.delimiters) {
+      let index = buffer.indexOf(delimiter, start);
+      while (index !== -1 && index > 0 && buffer[index - 1] !== 0x0A) {
+        index = buffer.indexOf(delimiter, index + 1);
+      }
+      if (index !== -1 && index < end && (!best || index < best.index)) {
+        best = { index, length: delimiter.length };
+      }
+    }
+    
+    return best;
+  }
+
+  /**
+   * Take the boundary from the first '--' line when the header had none
+   */
+  detectBoundary() {
+    const text = this.buffer.slice(0, 1024).toString('latin1');
+    const match = /(?:^|\n)--([^\r\n\s]+)\r?\n/.exec(text);
+    
+    if (!match) {
+      return false;
+    }
+    
+    logger.info(`Detected MJPEG boundary "${match[1]}" from stream`);
+    this.setBoundary(match[1]);
+    return true;
+  }
+
+  trimTrailingNewline(data) {
+    if (data.length >= 2 && data.slice(data.length - 2).equals(CRLF)) {
+      return data.slice(0, data.length - 2);
+    }
+    if (data.length >= 1 && data[data.length - 1] === 0x0A) {
+      return data.slice(0, data.length - 1);
+    }
+    return data;
+  }
+
+  emitPart(data) {
+    const headers = this.partHeaders || {};
+    this.partHeaders = null;
+    
+    // Some cameras label frames application/octet-stream, so go by the SOI marker
+    if (data.length < 4 || !data.slice(0, 2).equals(JPEG_SOI)) {
+      this.stats.skippedParts++;
+      return;
+    }
+    
+    this.stats.frames++;
+    this.emit('frame', {
+      data,
+      headers,
+      complete: this.isCompleteJpeg(data)
+    });
+  }
+
+  getStatistics() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = MjpegParser;
@@ -0,0 +1,159 @@
+/**
+ * Motion Detector - Cheap frame differencing ahead of vision inference
+ *
+ * Each captured frame is shrunk to a small greyscale sample and compared with
+ * the camera's previous sample. The motion score is the fraction of sample
+ * pixels whose grey level changed by more than pixel_threshold. Static frames
+ * are flagged skipAnalysis (unless gate_analysis is off) so VisionEngine can
+ * reuse its last result, except once every max_static_interval ms so a still
+ * scene is still looked at.
+ */
+
+const EventEmitter = require('events');
+const sharp = require('sharp');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+class MotionDetector extends EventEmitter {
+  /**
+   * @param {Object} config - motion configuration section
+   */
+  constructor(config = {}) {
+    super();
+    
+    // Configuration
+    this.gateAnalysis = config.gate_analysis !== false;
+    this.sampleWidth = config.sample_width || 64;
+    this.sampleHeight = config.sample_height || 48;
+    this.pixelThreshold = config.pixel_threshold || 25;
+    this.motionThreshold = config.motion_threshold ?? 0.01;
+    this.duplicateThreshold = config.duplicate_threshold ?? 0.5;
+    this.maxStaticInterval = config.max_static_interval || 30000;
+    
+    // Map of cameraId -> { sample, data, hasMotion, lastAnalyzedAt }
+    this.cameras = new Map();
+    
+    this.stats = {
+      framesScored: 0,
+      motionFrames: 0,
+      duplicates: 0,
+      analysesSkipped: 0
+    };
+  }
+
+  /**
+   * Score a frame against the camera's previous one
+   * @param {string} cameraId - Camera identifier
+   * @param {Buffer} data - Encoded frame (JPEG)
+   * @returns {Promise<Object>} { score, meanDifference, hasMotion, duplicate, skipAnalysis }
+   */
+  async score(cameraId, data) {
+    const now = Date.now();
+    const state = this.cameras.get(cameraId) || {
+      sample: null,
+      data: null,
+      hasMotion: false,
+      lastAnalyzedAt: 0
+    };
+    this.cameras.set(cameraId, state);
+    
+    let result;
+    
+    if (state.data && state.data.equals(data)) {
+      // Same bytes (frozen encoder or a re-read buffer): no need to decode
+      result = { score: 0, meanDifference: 0, hasMotion: false, duplicate: true };
+    } else {
+      const sample = await sharp(data)
+        .resize(this.sampleWidth, this.sampleHeight, { fit: 'fill' })
+        .greyscale()
+        .raw()
+        .toBuffer();
+      
+      result = state.sample
+        ? this.compare(state.sample, sample)
+        : { score: 1, meanDifference: 255, hasMotion: true, duplicate: false };
+      
+      state.sample = sample;
+    }
+    
+    state.data = data;
+    this.stats.framesScored++;
+    if (result.hasMotion) this.stats.motionFrames++;
+    if (result.duplicate) this.stats.duplicates++;
+    
+    // Static scenes still get a full look every maxStaticInterval ms
+    result.skipAnalysis = this.gateAnalysis && !result.hasMotion && now - state.lastAnalyzedAt < this.maxStaticInterval;
+    if (result.skipAnalysis) {
+      this.stats.analysesSkipped++;
+    } else {
+      state.lastAnalyzedAt = now;
+    }
+    
+    if (result.hasMotion !== state.hasMotion) {
+      state.hasMotion = result.hasMotion;
+      logger.debug(`Camera ${cameraId}: motion ${result.hasMotion ? 'started' : 'stopped'} (score ${result.score.toFixed(3)})`);
+      this.emit('motion-change', { cameraId, hasMotion: result.hasMotion, score: result.score });
+    }
+    
+    return result;
+  }
+
+  /**
+   * Compare two greyscale samples of the same size
+   */
+  compare(previous, current) {
+    let changed = 0;
+    let total = 0;
+    
+    for (let i = 0; i < current.length; i++) {
+      const difference = Math.abs(current[i] - previous[i]);
+      total += difference;
+      if (difference > this.pixelThreshold) changed++;
+    }
+    
+    const score = changed / current.length;
+    const meanDifference = total / current.length;
+    
+    return {
+      score,
+      meanDifference,
+      hasMotion: score >= this.motionThreshold,
+      duplicate: meanDifference < this.duplicateThreshold
+    };
+  }
+
+  /**
+   * Forget a camera's reference frame (e.g. after its view changed)
+   */
+  reset(cameraId) {
+    this.cameras.delete(cameraId);
+  }
+
+  /**
+   * Public methods
+   */
+
+  getMotionState(cameraId) {
+    const state = this.cameras.get(cameraId);
+    if (!state) return null;
+    
+    return {
+      hasMotion: state.hasMotion,
+      lastAnalyzedAt: state.lastAnalyzedAt ? new Date(state.lastAnalyzedAt).toISOString() : null
+    };
+  }
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      gateAnalysis: this.gateAnalysis
+    };
+  }
+}
+
+module.exports = MotionDetector;
@@ -0,0 +1,469 @@
+/**
+ * ONVIF Discovery
+ * Finds cameras on the local subnet with WS-Discovery, reads their video
+ * profile over ONVIF and registers working streams with CameraManager
+ */
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const net = require('net');
+const crypto = require('crypto');
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+const onvifSoap = require('./onvifSoap');
+
+const { NAMESPACES } = onvifSoap;
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// WS-Discovery multicast group
+const WS_DISCOVERY_ADDRESS = '239.255.255.250';
+const WS_DISCOVERY_PORT = 3702;
+
+class OnvifDiscovery extends EventEmitter {
+  /**
+   * @param {CameraManager} cameraManager - Cameras are registered through addCamera
+   * @param {GunCredentialManager} credentialManager - Stored credentials and stream paths by IP (optional)
+   * @param {Object} config - discovery configuration section
+   */
+  constructor(cameraManager, credentialManager = null, config = {}) {
+    super();
+    
+    if (!cameraManager) {
+      throw new Error('cameraManager is required');
+    }
+    
+    this.cameraManager = cameraManager;
+    this.credentialManager = credentialManager;
+    
+    // Configuration
+    this.probeTimeout = config.probe_timeout || 3000;
+    this.probeAddress = config.probe_address || WS_DISCOVERY_ADDRESS;
+    this.probePort = config.probe_port || WS_DISCOVERY_PORT;
+    this.requestTimeout = config.request_timeout || 5000;
+    this.rtspPort = config.rtsp_port || 554;
+    this.defaultPaths = config.default_paths || ['/stream1', '/1', '/live'];
+    this.defaultCredentials = config.default_credentials || null;
+    
+    // Last probe results
+    this.candidates = new Map(); // Map of endpoint address -> candidate
+    
+    this.stats = {
+      probes: 0,
+      camerasDiscovered: 0,
+      camerasProvisioned: 0,
+      provisionFailures: 0
+    };
+  }
+
+  /**
+   * Send a WS-Discovery probe and collect ProbeMatch replies
+   * @returns {Promise<Array>} Candidate cameras { endpoint, ip, xaddrs, name, hardware, scopes }
+   */
+  probe() {
+    const messageId = `uuid:${uuidv4()}`;
+    const message = Buffer.from(this.buildProbeMessage(messageId));
+    const found = new Map();
+    
+    this.stats.probes++;
+    
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      
+      socket.on('message', (data, rinfo) => {
+        const xml = data.toString();
+        
+        // Ignore other clients' probes and replies to them
+        if (!xml.includes(messageId)) return;
+        
+        for (const candidate of this.parseProbeMatches(xml, rinfo)) {
+          if (found.has(candidate.endpoint)) continue;
+          
+          found.set(candidate.endpoint, candidate);
+          this.candidates.set(candidate.endpoint, candidate);
+          logger.info(`Discovered ONVIF device ${candidate.name} at ${candidate.ip}`);
+          this.emit('camera-discovered', candidate);
+        }
+      });
+      
+      socket.on('error', (error) => {
+        socket.close();
+        reject(error);
+      });
+      
+      socket.bind(0, () => {
+        socket.send(message, this.probePort, this.probeAddress, (error) => {
+          if (error) {
+            logger.error(`WS-Discovery probe failed: ${error.message}`);
+          }
+        });
+        
+        setTimeout(() => {
+          socket.close();
+          this.stats.camerasDiscovered = this.candidates.size;
+          resolve(Array.from(found.values()));
+        }, this.probeTimeout);
+      });
+    });
+  }
+
+  /**
+   * Probe the subnet and register every camera that has a working stream
+   * @param {Object} options - Provisioning options
+   * @param {boolean} options.dryRun - Only list candidates and working URLs, do not call addCamera
+   */
+  async provision(options = {}) {
+    const candidates = await this.probe();
+    const provisioned = [];
+    const skipped = [];
+    const failed = [];
+    
+    for (const candidate of candidates) {
+      if (this.isRegistered(candidate)) {
+        skipped.push({ ip: candidate.ip, reason: 'already registered' });
+        continue;
+      }
+      
+      try {
+        const camera = await this.provisionCandidate(candidate, options);
+        provisioned.push(camera);
+      } catch (error) {
+        this.stats.provisionFailures++;
+        logger.warn(`Could not provision camera at ${candidate.ip}: ${error.message}`);
+        failed.push({ ip: candidate.ip, error: error.message });
+        this.emit('provision-failed', { candidate, error: error.message });
+      }
+    }
+    
+    return { discovered: candidates, provisioned, skipped, failed };
+  }
+
+  /**
+   * Find a working stream for one candidate and register it
+   */
+  async provisionCandidate(candidate, options = {}) {
+    const credentials = await this.getCredentials(candidate);
+    
+    // The device profile is optional: cameras with ONVIF auth problems can
+    // still be provisioned from the stored paths with default settings
+    let profile = {};
+    try {
+      profile = await this.getDeviceProfile(candidate, credentials);
+    } catch (error) {
+      logger.warn(`Failed to read ONVIF profile from ${candidate.ip}: ${error.message}`);
+    }
+    
+    const url = await this.findWorkingStream(candidate, credentials, profile.streamUri);
+    if (!url) {
+      throw new Error('No working stream path');
+    }
+    
+    const cameraConfig = {
+      id: credentials.id || `onvif-${candidate.ip.replace(/[.:]/g, '-')}`,
+      name: candidate.name || `ONVIF camera ${candidate.ip}`,
+      protocol: 'rtsp',
+      url,
+      username: credentials.username,
+      password: credentials.password,
+      resolution: profile.resolution,
+      fps: profile.fps,
+      onvif: {
+        endpoint: candidate.endpoint,
+        xaddr: candidate.xaddrs[0],
+        hardware: candidate.hardware,
+        profileToken: profile.profileToken
+      }
+    };
+    
+    if (!options.dryRun) {
+      await this.cameraManager.addCamera(cameraConfig);
+      this.stats.camerasProvisioned++;
+      
+      if (this.credentialManager && credentials.id) {
+        await this.credentialManager.updateCameraStatus(credentials.id, {
+          state: 'provisioned',
+          workingUrl: url
+        });
+      }
+      
+      logger.info(`Provisioned camera ${cameraConfig.id} at ${url}`);
+      this.emit('camera-provisioned', cameraConfig);
+    }
+    
+    return { ...cameraConfig, password: undefined };
+  }
+
+  /**
+   * Stored credentials for a device, falling back to configured defaults
+   */
+  async getCredentials(candidate) {
+    let stored = null;
+    
+    if (this.credentialManager) {
+      try {
+        stored = await this.credentialManager.findCameraByIP(candidate.ip);
+      } catch (error) {
+        logger.warn(`Credential lookup failed for ${candidate.ip}: ${error.message}`);
+      }
+    }
+    
+    const credentials = stored || this.defaultCredentials || {};
+    
+    return {
+      id: stored ? stored.id : null,
+      username: credentials.username,
+      password: credentials.password,
+      paths: this.normalizePaths(credentials.paths)
+    };
+  }
+
+  /**
+   * Read resolution, frame rate and stream URI from the first media profile
+   */
+  async getDeviceProfile(candidate, credentials) {
+    const deviceUrl = candidate.xaddrs[0];
+    if (!deviceUrl) {
+      throw new Error('Device has no service address');
+    }
+    
+    const capabilities = await this.soapRequest(deviceUrl,
+      `<GetCapabilities xmlns="${NAMESPACES.device}"><Category>Media</Category></GetCapabilities>`,
+      credentials);
+    const mediaBlock = this.getXmlValue(capabilities, 'Media') || '';
+    const mediaUrl = this.getXmlValue(mediaBlock, 'XAddr') || deviceUrl;
+    
+    const profiles = await this.soapRequest(mediaUrl,
+      `<GetProfiles xmlns="${NAMESPACES.media}"/>`,
+      credentials);
+    
+    const profileMatch = /<(?:\w+:)?Profiles\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?Profiles>/.exec(profiles);
+    if (!profileMatch) {
+      throw new Error('Device returned no media profiles');
+    }
+    
+    const profileToken = (/token="([^"]+)"/.exec(profileMatch[1]) || [])[1];
+    const encoder = this.getXmlValue(profileMatch[2], 'VideoEncoderConfiguration') || '';
+    const width = parseInt(this.getXmlValue(encoder, 'Width'), 10);
+    const height = parseInt(this.getXmlValue(encoder, 'Height'), 10);
+    const fps = parseInt(this.getXmlValue(encoder, 'FrameRateLimit'), 10);
+    
+    const profile = {
+      profileToken,
+      resolution: width && height ? { width, height } : undefined,
+      fps: fps || undefined
+    };
+    
+    if (profileToken) {
+      const streamResponse = await this.soapRequest(mediaUrl,
+        `<GetStreamUri xmlns="${NAMESPACES.media}">` +
+        `<StreamSetup><Stream xmlns="${NAMESPACES.schema}">RTP-Unicast</Stream>` +
+        `<Transport xmlns="${NAMESPACES.schema}"><Protocol>RTSP</Protocol></Transport></StreamSetup>` +
+        `<ProfileToken>${profileToken}</ProfileToken></GetStreamUri>`,
+        credentials);
+      profile.streamUri = this.getXmlValue(streamResponse, 'Uri');
+    }
+    
+    return profile;
+  }
+
+  /**
+   * Try the stored paths, then the ONVIF stream URI, with RTSP DESCRIBE
+   * @returns {Promise<string|null>} First URL the camera accepts
+   */
+  async findWorkingStream(candidate, credentials, streamUri) {
+    const urls = credentials.paths.map(streamPath => `rtsp://${candidate.ip}:${this.rtspPort}${streamPath}`);
+    if (streamUri && !urls.includes(streamUri)) {
+      urls.push(streamUri);
+    }
+    
+    for (const url of urls) {
+      const status = await this.describeStream(url, credentials);
+      logger.debug(`RTSP DESCRIBE ${url} -> ${status}`);
+      if (status === 200) {
+        return url;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Send RTSP DESCRIBE, answering Basic or Digest challenges
+   * @returns {Promise<number|null>} RTSP status code, null when unreachable
+   */
+  async describeStream(url, credentials = {}) {
+    const target = new URL(url);
+    target.username = '';
+    target.password = '';
+    const uri = target.toString();
+    
+    let response = await this.rtspRequest(target, `DESCRIBE ${uri} RTSP/1.0\r\nCSeq: 1\r\nAccept: application/sdp\r\n\r\n`);
+    if (!response || response.status !== 401 || !credentials.username) {
+      return response ? response.status : null;
+    }
+    
+    const authorization = this.buildRtspAuthorization(response.headers['www-authenticate'], 'DESCRIBE', uri, credentials);
+    if (!authorization) {
+      return response.status;
+    }
+    
+    response = await this.rtspRequest(target,
+      `DESCRIBE ${uri} RTSP/1.0\r\nCSeq: 2\r\nAccept: application/sdp\r\nAuthorization: ${authorization}\r\n\r\n`);
+    return response ? response.status : null;
+  }
+
+  rtspRequest(target, request) {
+    return new Promise((resolve) => {
+      const socket = net.connect({ host: target.hostname, port: Number(target.port) || this.rtspPort });
+      let data = '';
+      
+      const finish = (result) => {
+        socket.destroy();
+        resolve(result);
+      };
+      
+      socket.setTimeout(this.requestTimeout, () => finish(null));
+      socket.on('error', () => finish(null));
+      socket.on('connect', () => socket.write(request));
+      socket.on('data', (chunk) => {
+        data += chunk.toString();
+        const headerEnd = data.indexOf('\r\n\r\n');
+        if (headerEnd === -1) return;
+        
+        const [statusLine, ...headerLines] = data.slice(0, headerEnd).split('\r\n');
+        const headers = {};
+        for (const line of headerLines) {
+          const separator = line.indexOf(':');
+          if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+          }
+        }
+        
+        finish({ status: parseInt(statusLine.split(' ')[1], 10), headers });
+      });
+    });
+  }
+
+  buildRtspAuthorization(challenge, method, uri, credentials) {
+    if (!challenge) return null;
+    
+    if (/^basic/i.test(challenge)) {
+      return `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`;
+    }
+    
+    const realm = (/realm="([^"]*)"/i.exec(challenge) || [])[1];
+    const nonce = (/nonce="([^"]*)"/i.exec(challenge) || [])[1];
+    if (!/^digest/i.test(challenge) || realm === undefined || !nonce) {
+      return null;
+    }
+    
+    const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+    const ha1 = md5(`${credentials.username}:${realm}:${credentials.password}`);
+    const ha2 = md5(`${method}:${uri}`);
+    
+    return `Digest username="${credentials.username}", realm="${realm}", nonce="${nonce}", ` +
+      `uri="${uri}", response="${md5(`${ha1}:${nonce}:${ha2}`)}"`;
+  }
+
+  soapRequest(url, body, credentials = {}) {
+    return onvifSoap.soapRequest(url, body, credentials, this.requestTimeout);
+  }
+
+  buildProbeMessage(messageId) {
+    return `<?xml version="1.0" encoding="UTF-8"?>` +
+      `<s:Envelope xmlns:s="${NAMESPACES.soap}" xmlns:a="${NAMESPACES.addressing}" ` +
+      `xmlns:d="${NAMESPACES.discovery}" xmlns:dn="${NAMESPACES.network}">` +
+      `<s:Header>` +
+      `<a:Action s:mustUnderstand="1">${NAMESPACES.discovery}/Probe</a:Action>` +
+      `<a:MessageID>${messageId}</a:MessageID>` +
+      `<a:ReplyTo><a:Address>${NAMESPACES.addressing}/role/anonymous</a:Address></a:ReplyTo>` +
+      `<a:To s:mustUnderstand="1">urn:schemas-xmlsoap-org:ws:2005:04:discovery</a:To>` +
+      `</s:Header>` +
+      `<s:Body><d:Probe><d:Types>dn:NetworkVideoTransmitter</d:Types></d:Probe></s:Body>` +
+      `</s:Envelope>`;
+  }
+
+  parseProbeMatches(xml, rinfo) {
+    const matches = [];
+    const pattern = /<(?:\w+:)?ProbeMatch>([\s\S]*?)<\/(?:\w+:)?ProbeMatch>/g;
+    let match;
+    
+    while ((match = pattern.exec(xml)) !== null) {
+      const block = match[1];
+      const xaddrs = (this.getXmlValue(block, 'XAddrs') || '').split(/\s+/).filter(Boolean);
+      const scopes = (this.getXmlValue(block, 'Scopes') || '').split(/\s+/).filter(Boolean);
+      const endpoint = this.getXmlValue(block, 'Address') || xaddrs[0];
+      
+      if (!endpoint || xaddrs.length === 0) continue;
+      
+      const scopeValue = (key) => {
+        const scope = scopes.find(s => s.startsWith(`onvif://www.onvif.org/${key}/`));
+        return scope ? decodeURIComponent(scope.split('/').pop()) : null;
+      };
+      
+      let ip = rinfo.address;
+      try {
+        ip = new URL(xaddrs[0]).hostname;
+      } catch (error) {
+        // Keep the sender address
+      }
+      
+      matches.push({
+        endpoint,
+        ip,
+        xaddrs,
+        scopes,
+        name: scopeValue('name'),
+        hardware: scopeValue('hardware'),
+        discoveredAt: new Date().toISOString()
+      });
+    }
+    
+    return matches;
+  }
+
+  isRegistered(candidate) {
+    for (const camera of this.cameraManager.getAllCameras()) {
+      try {
+        if (new URL(camera.url).hostname === candidate.ip) return true;
+      } catch (error) {
+        // Cameras without a parseable URL cannot match
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Gun stores arrays as objects; accept either, or a comma-separated string
+   */
+  normalizePaths(paths) {
+    if (Array.isArray(paths)) return paths;
+    if (typeof paths === 'string') return paths.split(',').map(p => p.trim()).filter(Boolean);
+    if (paths && typeof paths === 'object') {
+      return Object.keys(paths).filter(key => key !== '_').map(key => paths[key]).filter(p => typeof p === 'string');
+    }
+    return this.defaultPaths;
+  }
+
+  getXmlValue(xml, tag) {
+    return onvifSoap.getXmlValue(xml, tag);
+  }
+
+  /**
+   * Public methods
+   */
+
+  getCandidates() {
+    return Array.from(this.candidates.values());
+  }
+
+  getStatistics() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = OnvifDiscovery;
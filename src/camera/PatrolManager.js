@@ -0,0 +1,439 @@
+/**
+ * Patrol Manager - Preset patrol tours for PTZ cameras
+ *
+ * A tour steps a camera through PTZ presets, dwelling at each one. Every step
+ * lists the zones visible from its preset, and EventDetector only evaluates
+ * those zones while the camera is there (none while it is moving). Tours
+ * pause when a critical event fires on their camera, or when an operator
+ * moves the camera by hand, and resume once things have been quiet for
+ * resume_delay ms.
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// requestedBy value on PTZ commands sent by tours
+const PATROL_USER = 'patrol';
+
+const TOUR_STATES = {
+  STOPPED: 'stopped',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  WAITING: 'waiting' // Outside active_hours
+};
+
+class PatrolManager extends EventEmitter {
+  /**
+   * @param {CameraManager} cameraManager - Moves cameras with ptzCommand
+   * @param {EventDetector} eventDetector - Receives the zones in view
+   * @param {Object} config - patrol configuration section
+   */
+  constructor(cameraManager, eventDetector, config = {}) {
+    super();
+    
+    if (!cameraManager) {
+      throw new Error('cameraManager is required');
+    }
+    
+    this.cameraManager = cameraManager;
+    this.eventDetector = eventDetector;
+    
+    // Configuration
+    this.settleTime = config.settle_time ?? 2000;
+    this.resumeDelay = config.resume_delay ?? 60000;
+    this.scheduleCheckInterval = config.schedule_check_interval || 60000;
+    
+    // Map of tourId -> run state
+    this.tours = new Map();
+    for (const tour of config.tours || []) {
+      this.addTour(tour);
+    }
+    
+    this.stats = {
+      stepsCompleted: 0,
+      stepFailures: 0,
+      pauses: 0,
+      resumes: 0
+    };
+    
+    // Hand-driven moves take the camera over from its tour
+    this.onPtzCommand = (command) => this.handlePtzCommand(command);
+    this.cameraManager.on('ptz-command', this.onPtzCommand);
+  }
+
+  /**
+   * Register a tour
+   * @param {Object} tour - { id, camera_id, loop?, enabled?, active_hours?, steps: [{ preset, dwell, zones }] }
+   */
+  addTour(tour) {
+    if (!tour.id || !tour.camera_id) {
+      throw new Error('Tour needs an id and a camera_id');
+    }
+    if (!Array.isArray(tour.steps) || tour.steps.length === 0) {
+      throw new Error(`Tour ${tour.id} has no steps`);
+    }
+    for (const step of tour.steps) {
+      if (!step.preset || !(step.dwell > 0)) {
+        throw new Error(`Tour ${tour.id} steps need a preset and a dwell time`);
+      }
+    }
+    if (this.tours.has(tour.id)) {
+      throw new Error(`Tour ${tour.id} already exists`);
+    }
+    
+    this.tours.set(tour.id, {
+      tour: {
+        loop: true,
+        enabled: true,
+        ...tour
+      },
+      state: TOUR_STATES.STOPPED,
+      stepIndex: 0,
+      // Bumped on every stop/pause so late preset moves are ignored
+      generation: 0,
+      stepTimer: null,
+      settleTimer: null,
+      resumeTimer: null,
+      pauseReason: null,
+      pauseSource: null,
+      currentPreset: null,
+      lastStepAt: null,
+      laps: 0
+    });
+  }
+
+  /**
+   * Start every enabled tour
+   */
+  startAll() {
+    for (const run of this.tours.values()) {
+      if (run.tour.enabled && run.state === TOUR_STATES.STOPPED) {
+        this.start(run.tour.id);
+      }
+    }
+  }
+
+  start(tourId) {
+    const run = this.getRun(tourId);
+    if (run.state === TOUR_STATES.RUNNING || run.state === TOUR_STATES.WAITING) return;
+    
+    // Only one tour can drive a camera
+    for (const other of this.tours.values()) {
+      if (other !== run && other.tour.camera_id === run.tour.camera_id && other.state !== TOUR_STATES.STOPPED) {
+        throw new Error(`Camera ${run.tour.camera_id} is already on tour ${other.tour.id}`);
+      }
+    }
+    
+    this.clearTimers(run);
+    run.stepIndex = 0;
+    run.laps = 0;
+    
+    logger.info(`Starting patrol tour ${tourId} on ${run.tour.camera_id}`);
+    this.setState(run, TOUR_STATES.RUNNING, 'started');
+    this.runStep(run);
+  }
+
+  stop(tourId) {
+    const run = this.getRun(tourId);
+    if (run.state === TOUR_STATES.STOPPED) return;
+    
+    this.clearTimers(run);
+    run.generation++;
+    run.pauseReason = null;
+    
+    // Camera is no longer on a known preset, so evaluate all its zones again
+    if (this.eventDetector) {
+      this.eventDetector.setVisibleZones(run.tour.camera_id, null);
+    }
+    
+    logger.info(`Stopped patrol tour ${tourId}`);
+    this.setState(run, TOUR_STATES.STOPPED, 'stopped');
+  }
+
+  /**
+   * Hold the camera on its current preset
+   * @param {string} reason - Why the tour paused
+   * @param {string} source - 'manual' (stays paused), 'event' or 'ptz' (resume after resume_delay ms without another pause)
+   */
+  pause(tourId, reason = 'manual', source = 'manual') {
+    const run = this.getRun(tourId);
+    if (run.state === TOUR_STATES.STOPPED) return;
+    
+    this.clearTimers(run);
+    run.generation++;
+    run.pauseReason = reason;
+    run.pauseSource = source;
+    
+    if (source !== 'manual' && this.resumeDelay > 0) {
+      run.resumeTimer = setTimeout(() => {
+        run.resumeTimer = null;
+        this.resume(tourId);
+      }, this.resumeDelay);
+    }
+    
+    if (run.state !== TOUR_STATES.PAUSED) {
+      this.stats.pauses++;
+      logger.info(`Paused patrol tour ${tourId}: ${reason}`);
+      this.setState(run, TOUR_STATES.PAUSED, reason);
+    }
+  }
+
+  /**
+   * Continue a paused tour with the step after the one it paused on
+   */
+  resume(tourId) {
+    const run = this.getRun(tourId);
+    if (run.state !== TOUR_STATES.PAUSED) return;
+    
+    this.clearTimers(run);
+    run.pauseReason = null;
+    run.pauseSource = null;
+    this.stats.resumes++;
+    
+    logger.info(`Resuming patrol tour ${tourId}`);
+    this.setState(run, TOUR_STATES.RUNNING, 'resumed');
+    this.advance(run);
+  }
+
+  /**
+   * Move to the current step's preset, then dwell
+   */
+  async runStep(run) {
+    const { tour } = run;
+    const step = tour.steps[run.stepIndex];
+    const generation = run.generation;
+    
+    if (!this.isWithinActiveHours(tour)) {
+      if (run.state !== TOUR_STATES.WAITING) {
+        this.setState(run, TOUR_STATES.WAITING, 'outside active hours');
+      }
+      run.stepTimer = setTimeout(() => this.runStep(run), this.scheduleCheckInterval);
+      return;
+    }
+    
+    if (run.state === TOUR_STATES.WAITING) {
+      this.setState(run, TOUR_STATES.RUNNING, 'active hours started');
+    }
+    
+    // Frames taken while the camera moves match no zone layout
+    if (this.eventDetector) {
+      this.eventDetector.setVisibleZones(tour.camera_id, []);
+    }
+    
+    try {
+      await this.cameraManager.ptzCommand(tour.camera_id, {
+        action: 'goto_preset',
+        preset: step.preset
+      }, PATROL_USER);
+    } catch (error) {
+      if (generation !== run.generation) return;
+      
+      this.stats.stepFailures++;
+      logger.error(`Patrol tour ${tour.id} could not reach preset ${step.preset}: ${error.message}`);
+      this.emit('step-failed', {
+        tourId: tour.id,
+        cameraId: tour.camera_id,
+        preset: step.preset,
+        error: error.message
+      });
+      
+      run.stepTimer = setTimeout(() => this.advance(run), step.dwell || this.settleTime);
+      return;
+    }
+    
+    if (generation !== run.generation) {
+      // Paused by an event while moving: the camera still arrived, so watch its zones
+      if (run.state === TOUR_STATES.PAUSED && run.pauseSource === 'event') {
+        run.currentPreset = step.preset;
+        this.showZonesAfterSettle(run, step);
+      }
+      return;
+    }
+    
+    run.currentPreset = step.preset;
+    run.lastStepAt = Date.now();
+    this.showZonesAfterSettle(run, step);
+    
+    this.emit('step', {
+      tourId: tour.id,
+      cameraId: tour.camera_id,
+      stepIndex: run.stepIndex,
+      preset: step.preset,
+      zones: step.zones || [],
+      dwell: step.dwell,
+      timestamp: new Date(run.lastStepAt).toISOString()
+    });
+    
+    run.stepTimer = setTimeout(() => {
+      this.stats.stepsCompleted++;
+      this.advance(run);
+    }, this.settleTime + step.dwell);
+  }
+
+  showZonesAfterSettle(run, step) {
+    run.settleTimer = setTimeout(() => {
+      run.settleTimer = null;
+      if (this.eventDetector) {
+        this.eventDetector.setVisibleZones(run.tour.camera_id, step.zones || []);
+      }
+    }, this.settleTime);
+  }
+
+  advance(run) {
+    this.clearTimers(run);
+    run.stepIndex++;
+    
+    if (run.stepIndex >= run.tour.steps.length) {
+      run.laps++;
+      if (!run.tour.loop) {
+        this.emit('tour-completed', { tourId: run.tour.id, cameraId: run.tour.camera_id });
+        this.stop(run.tour.id);
+        return;
+      }
+      run.stepIndex = 0;
+    }
+    
+    this.runStep(run);
+  }
+
+  /**
+   * Pause tours on the event's camera (all tours when it has none) for critical events
+   */
+  handleEvent(event) {
+    if (!event || event.priority !== 'critical') return;
+    
+    for (const run of this.tours.values()) {
+      if (run.state === TOUR_STATES.STOPPED) continue;
+      if (event.cameraId && event.cameraId !== run.tour.camera_id) continue;
+      
+      // A manual pause stays manual
+      if (run.state === TOUR_STATES.PAUSED && run.pauseSource === 'manual') continue;
+      
+      this.pause(run.tour.id, `critical event: ${event.type}`, 'event');
+    }
+  }
+
+  handlePtzCommand(command) {
+    if (command.requestedBy === PATROL_USER) return;
+    
+    for (const run of this.tours.values()) {
+      if (run.tour.camera_id !== command.cameraId || run.state === TOUR_STATES.STOPPED) continue;
+      if (run.state === TOUR_STATES.PAUSED && run.pauseSource === 'manual') continue;
+      
+      this.pause(run.tour.id, `manual PTZ by ${command.requestedBy || 'unknown'}`, 'ptz');
+      
+      // The operator's view only matches zone layouts when it is one of the tour's presets
+      if (this.eventDetector) {
+        const step = command.action === 'goto_preset'
+          ? run.tour.steps.find(s => s.preset === command.preset)
+          : null;
+        run.currentPreset = step ? step.preset : null;
+        this.eventDetector.setVisibleZones(run.tour.camera_id, step ? (step.zones || []) : []);
+      }
+    }
+  }
+
+  /**
+   * active_hours { start: 'HH:MM', end: 'HH:MM' } in server local time; may wrap midnight
+   */
+  isWithinActiveHours(tour, now = new Date()) {
+    if (!tour.active_hours) return true;
+    
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    
+    const start = toMinutes(tour.active_hours.start);
+    const end = toMinutes(tour.active_hours.end);
+    const current = now.getHours() * 60 + now.getMinutes();
+    
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  setState(run, state, reason) {
+    const previous = run.state;
+    run.state = state;
+    
+    this.emit('state-change', {
+      tourId: run.tour.id,
+      cameraId: run.tour.camera_id,
+      state,
+      previous,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  clearTimers(run) {
+    clearTimeout(run.stepTimer);
+    clearTimeout(run.settleTimer);
+    clearTimeout(run.resumeTimer);
+    run.stepTimer = null;
+    run.settleTimer = null;
+    run.resumeTimer = null;
+  }
+
+  getRun(tourId) {
+    const run = this.tours.get(tourId);
+    if (!run) {
+      throw new Error(`Tour ${tourId} not found`);
+    }
+    return run;
+  }
+
+  /**
+   * Public methods
+   */
+
+  getTourStatus(tourId) {
+    const run = this.tours.get(tourId);
+    if (!run) return null;
+    
+    return {
+      id: run.tour.id,
+      cameraId: run.tour.camera_id,
+      state: run.state,
+      pauseReason: run.pauseReason,
+      stepIndex: run.stepIndex,
+      preset: run.currentPreset,
+      zonesInView: this.eventDetector && run.state !== TOUR_STATES.STOPPED
+        ? this.eventDetector.getVisibleZones(run.tour.camera_id)
+        : null,
+      laps: run.laps,
+      lastStepAt: run.lastStepAt ? new Date(run.lastStepAt).toISOString() : null,
+      steps: run.tour.steps
+    };
+  }
+
+  getAllTourStatus() {
+    return Array.from(this.tours.keys()).map(tourId => this.getTourStatus(tourId));
+  }
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      tours: this.tours.size,
+      running: Array.from(this.tours.values()).filter(run => run.state === TOUR_STATES.RUNNING).length
+    };
+  }
+
+  destroy() {
+    for (const run of this.tours.values()) {
+      this.clearTimers(run);
+      run.generation++;
+    }
+    this.cameraManager.removeListener('ptz-command', this.onPtzCommand);
+    this.removeAllListeners();
+  }
+}
+
+module.exports = PatrolManager;
@@ -0,0 +1,410 @@
+/**
+ * Pen Map Compositor - Stitched top-down map from several calibrated cameras
+ *
+ * Each floor-calibrated camera's latest frame is warped into pen floor
+ * coordinates through its homography and blended where cameras overlap
+ * (weighted towards the centre of each view so seams fade out). Zones and
+ * the recent track of every robot are drawn on top. The map is rendered on
+ * demand or continuously while stream subscribers are attached; map-state
+ * is emitted as frames, positions and zones change, with or without them.
+ */
+
+const EventEmitter = require('events');
+const sharp = require('sharp');
+const winston = require('winston');
+const { applyHomography } = require('./calibration');
+const { zoneOutline } = require('../vision/roiProcessing');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const TRACK_COLORS = ['#22d3ee', '#f472b6', '#a3e635', '#fb923c', '#c084fc', '#facc15'];
+
+class PenMapCompositor extends EventEmitter {
+  /**
+   * @param {CameraManager} cameraManager - Source of calibrated frames
+   * @param {EventDetector} eventDetector - Source of robot positions and zones
+   * @param {Object} config - pen_map configuration section
+   */
+  constructor(cameraManager, eventDetector, config = {}) {
+    super();
+    
+    if (!cameraManager) {
+      throw new Error('cameraManager is required');
+    }
+    
+    this.cameraManager = cameraManager;
+    this.eventDetector = eventDetector;
+    
+    // Configuration: map extent in metres and output scale
+    this.bounds = { x: 0, y: 0, width: 6, height: 4, ...(config.bounds || {}) };
+    this.pixelsPerMetre = config.pixels_per_metre || 100;
+    this.cameraIds = config.cameras || null; // null = every floor-calibrated camera
+    this.renderInterval = config.render_interval || 500;
+    this.trackLength = config.track_length || 60;
+    this.trackTimeout = config.track_timeout || 30000;
+    this.quality = config.quality || 80;
+    this.background = config.background || '#1f2937';
+    
+    this.width = Math.round(this.bounds.width * this.pixelsPerMetre);
+    this.height = Math.round(this.bounds.height * this.pixelsPerMetre);
+    
+    // cameraId -> { image, homography, inverse, timestamp, raw }
+    this.frames = new Map();
+    // cameraId -> { key, map } map pixel -> source pixel lookup for the current homography
+    this.lookups = new Map();
+    // robotId -> { cameraId, status, points: [{ x, y, t }] }
+    this.tracks = new Map();
+    
+    this.subscribers = new Map();
+    this.renderTimer = null;
+    this.rendering = null;
+    this.stateTimer = null;
+    
+    this.stats = {
+      framesReceived: 0,
+      rendersCompleted: 0,
+      renderErrors: 0,
+      lastRenderTime: 0
+    };
+    
+    this.onFrame = (frame) => this.addFrame(frame);
+    this.cameraManager.on('frame', this.onFrame);
+    
+    if (this.eventDetector) {
+      this.onRobotState = (state) => this.updateRobot(state);
+      this.eventDetector.on('robot-state', this.onRobotState);
+      this.onZonesChanged = () => this.scheduleMapState();
+      this.eventDetector.on('zones-changed', this.onZonesChanged);
+    }
+  }
+
+  /**
+   * Keep the latest frame of a floor-calibrated camera
+   */
+  addFrame(frame) {
+    if (!frame.calibration || !frame.calibration.inverse) return;
+    if (this.cameraIds && !this.cameraIds.includes(frame.cameraId)) return;
+    
+    this.frames.set(frame.cameraId, {
+      image: Buffer.from(frame.image, 'base64'),
+      homography: frame.calibration.homography,
+      inverse: frame.calibration.inverse,
+      timestamp: frame.timestamp,
+      raw: null
+    });
+    this.stats.framesReceived++;
+    this.scheduleMapState();
+  }
+
+  /**
+   * Extend a robot's track from an EventDetector robot-state update
+   * Only metric positions can be placed on the map.
+   */
+  updateRobot(state) {
+    const metadata = state.metadata || {};
+    if (metadata.units !== 'metres' || !state.position) return;
+    if (this.cameraIds && !this.cameraIds.includes(metadata.cameraId)) return;
+    
+    const track = this.tracks.get(state.robotId) || { cameraId: metadata.cameraId, status: null, points: [] };
+    const t = state.lastSeen ? new Date(state.lastSeen).getTime() : Date.now();
+    
+    track.cameraId = metadata.cameraId;
+    track.status = state.status;
+    track.points.push({ x: state.position.x, y: state.position.y, t });
+    if (track.points.length > this.trackLength) {
+      track.points.splice(0, track.points.length - this.trackLength);
+    }
+    
+    this.tracks.set(state.robotId, track);
+    this.scheduleMapState();
+  }
+
+  /**
+   * Emit map-state at most once per render_interval after a change, so
+   * socket subscribers are updated without anyone streaming the MJPEG map
+   */
+  scheduleMapState() {
+    if (this.stateTimer) return;
+    
+    this.stateTimer = setTimeout(() => {
+      this.stateTimer = null;
+      this.emit('map-state', this.getMapState());
+    }, this.renderInterval);
+  }
+
+  /**
+   * Zones drawn on the map: those bound to a mapped camera, or to none
+   */
+  getZones() {
+    const zones = (this.eventDetector && this.eventDetector.zones) || [];
+    const cameras = new Set(this.frames.keys());
+    
+    return zones.filter(zone => zone.coordinates && (!zone.camera_id || cameras.has(zone.camera_id) ||
+      (this.cameraIds && this.cameraIds.includes(zone.camera_id))));
+  }
+
+  /**
+   * Tracks seen within track_timeout
+   */
+  getTracks(now = Date.now()) {
+    const tracks = [];
+    
+    for (const [robotId, track] of this.tracks) {
+      const last = track.points[track.points.length - 1];
+      if (!last || now - last.t > this.trackTimeout) {
+        this.tracks.delete(robotId);
+        continue;
+      }
+      tracks.push({ robotId, cameraId: track.cameraId, status: track.status, points: track.points });
+    }
+    
+    return tracks;
+  }
+
+  /**
+   * Map metadata and live overlay data in metres
+   */
+  getMapState() {
+    return {
+      bounds: this.bounds,
+      pixelsPerMetre: this.pixelsPerMetre,
+      width: this.width,
+      height: this.height,
+      cameras: [...this.frames].map(([cameraId, frame]) => ({ cameraId, timestamp: frame.timestamp })),
+      zones: this.getZones().map(zone => ({
+        id: zone.id,
+        name: zone.name,
+        type: zone.type,
+        coordinates: zone.coordinates,
+        color: zone.color
+      })),
+      tracks: this.getTracks()
+    };
+  }
+
+  /**
+   * Source pixel and blend weight of every map pixel for one camera
+   * Weight falls off towards the frame edges so overlapping views blend
+   * without visible seams.
+   */
+  getLookup(cameraId, inverse, frameWidth, frameHeight) {
+    const key = `${frameWidth}x${frameHeight}:${inverse.flat().join(',')}`;
+    const cached = this.lookups.get(cameraId);
+    if (cached && cached.key === key) {
+      return cached.map;
+    }
+    
+    const map = new Float32Array(this.width * this.height * 3);
+    for (let row = 0; row < this.height; row++) {
+      for (let col = 0; col < this.width; col++) {
+        const world = {
+          x: this.bounds.x + (col + 0.5) / this.pixelsPerMetre,
+          y: this.bounds.y + (row + 0.5) / this.pixelsPerMetre
+        };
+        const source = applyHomography(inverse, world);
+        const index = (row * this.width + col) * 3;
+        
+        const edge = Math.min(source.x, source.y, frameWidth - 1 - source.x, frameHeight - 1 - source.y);
+        map[index] = source.x;
+        map[index + 1] = source.y;
+        map[index + 2] = edge > 0 ? Math.min(1, edge / (0.1 * Math.min(frameWidth, frameHeight))) : 0;
+      }
+    }
+    
+    this.lookups.set(cameraId, { key, map });
+    return map;
+  }
+
+  /**
+   * Warp and blend the latest frames into raw RGB map pixels
+   */
+  async compositeFrames() {
+    const accumulated = new Float32Array(this.width * this.height * 3);
+    const weights = new Float32Array(this.width * this.height);
+    
+    for (const [cameraId, frame] of this.frames) {
+      if (!frame.raw) {
+        const { data, info } = await sharp(frame.image).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+        frame.raw = { data, width: info.width, height: info.height, channels: info.channels };
+      }
+      const { data, width, height, channels } = frame.raw;
+      const lookup = this.getLookup(cameraId, frame.inverse, width, height);
+      
+      for (let i = 0; i < this.width * this.height; i++) {
+        const weight = lookup[i * 3 + 2];
+        if (weight <= 0) continue;
+        
+        const sx = lookup[i * 3];
+        const sy = lookup[i * 3 + 1];
+        const x0 = Math.floor(sx);
+        const y0 = Math.floor(sy);
+        const fx = sx - x0;
+        const fy = sy - y0;
+        const i00 = (y0 * width + x0) * channels;
+        const i10 = i00 + channels;
+        const i01 = i00 + width * channels;
+        const i11 = i01 + channels;
+        
+        for (let c = 0; c < 3; c++) {
+          const top = data[i00 + c] * (1 - fx) + data[i10 + c] * fx;
+          const bottom = data[i01 + c] * (1 - fx) + data[i11 + c] * fx;
+          accumulated[i * 3 + c] += weight * (top * (1 - fy) + bottom * fy);
+        }
+        weights[i] += weight;
+      }
+    }
+    
+    const background = [1, 3, 5].map(offset => parseInt(this.background.slice(offset, offset + 2), 16));
+    const pixels = Buffer.alloc(this.width * this.height * 3);
+    for (let i = 0; i < this.width * this.height; i++) {
+      for (let c = 0; c < 3; c++) {
+        pixels[i * 3 + c] = weights[i] > 0 ? Math.round(accumulated[i * 3 + c] / weights[i]) : background[c];
+      }
+    }
+    
+    return pixels;
+  }
+
+  /**
+   * SVG overlay of zones and robot tracks in map pixels
+   */
+  buildOverlay(state) {
+    const toMap = point => ({
+      x: ((point.x - this.bounds.x) * this.pixelsPerMetre).toFixed(1),
+      y: ((point.y - this.bounds.y) * this.pixelsPerMetre).toFixed(1)
+    });
+    const escape = text => String(text).replace(/[<>&"]/g, ch => `&#${ch.charCodeAt(0)};`);
+    const parts = [];
+    
+    for (const zone of state.zones) {
+      const color = zone.color || '#00ff00';
+      const points = zoneOutline(zone.coordinates).map(toMap);
+      parts.push(`<polygon points="${points.map(p => `${p.x},${p.y}`).join(' ')}" ` +
+        `fill="${color}" fill-opacity="0.15" stroke="${color}" stroke-width="2"/>`);
+      parts.push(`<text x="${points[0].x}" y="${points[0].y - 4}" fill="${color}" ` +
+        `font-family="sans-serif" font-size="12">${escape(zone.name)}</text>`);
+    }
+    
+    state.tracks.forEach((track, index) => {
+      const color = TRACK_COLORS[index % TRACK_COLORS.length];
+      const points = track.points.map(toMap);
+      const head = points[points.length - 1];
+      if (points.length > 1) {
+        parts.push(`<polyline points="${points.map(p => `${p.x},${p.y}`).join(' ')}" ` +
+          `fill="none" stroke="${color}" stroke-width="2" stroke-opacity="0.8"/>`);
+      }
+      parts.push(`<circle cx="${head.x}" cy="${head.y}" r="6" fill="${color}" stroke="#000" stroke-width="1"/>`);
+      parts.push(`<text x="${Number(head.x) + 8}" y="${Number(head.y) - 8}" fill="${color}" ` +
+        `font-family="sans-serif" font-size="12">${escape(track.robotId)}</text>`);
+    });
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}">${parts.join('')}</svg>`;
+  }
+
+  /**
+   * Render the stitched map
+   * @param {Object} options - { overlay } draw zones and tracks (default true)
+   * @returns {Promise<Buffer>} JPEG
+   */
+  async render({ overlay = true } = {}) {
+    const started = Date.now();
+    
+    try {
+      const pixels = await this.compositeFrames();
+      let image = sharp(pixels, { raw: { width: this.width, height: this.height, channels: 3 } });
+      
+      if (overlay) {
+        image = image.composite([{ input: Buffer.from(this.buildOverlay(this.getMapState())) }]);
+      }
+      
+      const jpeg = await image.jpeg({ quality: this.quality }).toBuffer();
+      this.stats.rendersCompleted++;
+      this.stats.lastRenderTime = Date.now() - started;
+      return jpeg;
+    } catch (error) {
+      this.stats.renderErrors++;
+      throw error;
+    }
+  }
+
+  /**
+   * Receive a rendered map every render_interval ms until unsubscribed
+   * @param {Function} callback - (jpeg: Buffer) => void
+   * @param {Object} options - { overlay }
+   * @returns {Function} unsubscribe
+   */
+  subscribe(callback, { overlay = true } = {}) {
+    const id = Symbol('subscriber');
+    this.subscribers.set(id, { callback, overlay });
+    
+    if (!this.renderTimer) {
+      this.renderTimer = setInterval(() => this.renderForSubscribers(), this.renderInterval);
+      this.renderForSubscribers();
+    }
+    
+    return () => {
+      this.subscribers.delete(id);
+      if (this.subscribers.size === 0 && this.renderTimer) {
+        clearInterval(this.renderTimer);
+        this.renderTimer = null;
+      }
+    };
+  }
+
+  async renderForSubscribers() {
+    // Skip a tick rather than queue renders when one is still running
+    if (this.rendering) return;
+    
+    this.rendering = (async () => {
+      const variants = new Map();
+      for (const [, subscriber] of this.subscribers) {
+        try {
+          if (!variants.has(subscriber.overlay)) {
+            variants.set(subscriber.overlay, await this.render({ overlay: subscriber.overlay }));
+          }
+          subscriber.callback(variants.get(subscriber.overlay));
+        } catch (error) {
+          logger.warn(`Pen map render failed: ${error.message}`);
+        }
+      }
+    })();
+    
+    try {
+      await this.rendering;
+    } finally {
+      this.rendering = null;
+    }
+  }
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      cameras: this.frames.size,
+      tracks: this.tracks.size,
+      subscribers: this.subscribers.size
+    };
+  }
+
+  cleanup() {
+    if (this.renderTimer) {
+      clearInterval(this.renderTimer);
+      this.renderTimer = null;
+    }
+    if (this.stateTimer) {
+      clearTimeout(this.stateTimer);
+      this.stateTimer = null;
+    }
+    this.subscribers.clear();
+    this.cameraManager.removeListener('frame', this.onFrame);
+    if (this.eventDetector) {
+      this.eventDetector.removeListener('robot-state', this.onRobotState);
+      this.eventDetector.removeListener('zones-changed', this.onZonesChanged);
+    }
+  }
+}
+
+module.exports = PenMapCompositor;
@@ -0,0 +1,411 @@
+/**
+ * PTZ Controller - Pan/tilt/zoom commands for PTZ dome cameras
+ *
+ * Cameras are driven over ONVIF PTZ (ContinuousMove/Stop/GotoPreset/SetPreset)
+ * or over vendor HTTP CGI URL templates. Pan, tilt and zoom are velocities in
+ * -1..1; timed moves are stopped by the controller after `duration` ms, since
+ * many domes ignore the ONVIF Timeout element.
+ */
+
+const EventEmitter = require('events');
+const axios = require('axios');
+const winston = require('winston');
+const { NAMESPACES, soapRequest, getXmlValue, escapeXml } = require('./onvifSoap');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const PTZ_ACTIONS = ['move', 'zoom', 'stop', 'goto_preset', 'save_preset'];
+
+// HTTP CGI templates; {pan}/{tilt}/{zoom}/{speed} are integers in -100..100
+const CGI_PRESETS = {
+  axis: {
+    move: '/axis-cgi/com/ptz.cgi?continuouspantiltmove={pan},{tilt}',
+    zoom: '/axis-cgi/com/ptz.cgi?continuouszoommove={zoom}',
+    stop: '/axis-cgi/com/ptz.cgi?continuouspantiltmove=0,0&continuouszoommove=0',
+    goto_preset: '/axis-cgi/com/ptz.cgi?gotoserverpresetname={preset}',
+    save_preset: '/axis-cgi/com/ptz.cgi?setserverpresetname={name}'
+  }
+};
+
+class PtzController extends EventEmitter {
+  /**
+   * @param {Object} config - ptz configuration section
+   * @param {number} config.request_timeout - Camera request timeout in ms
+   * @param {number} config.move_duration - Default length of a timed move in ms
+   * @param {number} config.max_duration - Longest timed move accepted
+   */
+  constructor(config = {}) {
+    super();
+    
+    this.requestTimeout = config.request_timeout || 5000;
+    this.moveDuration = config.move_duration || 500;
+    this.maxDuration = config.max_duration || 10000;
+    
+    // Map of cameraId -> { ptzUrl, profileToken } resolved over ONVIF
+    this.onvifTargets = new Map();
+    // Map of cameraId -> pending auto-stop timeout
+    this.stopTimers = new Map();
+    
+    this.stats = {
+      commands: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * Check a command before it is sent
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateCommand(command) {
+    if (!command || !PTZ_ACTIONS.includes(command.action)) {
+      return `action must be one of: ${PTZ_ACTIONS.join(', ')}`;
+    }
+    
+    const inRange = (value) => value === undefined || (typeof value === 'number' && value >= -1 && value <= 1);
+    
+    if (command.action === 'move') {
+      if (!inRange(command.pan) || !inRange(command.tilt)) {
+        return 'pan and tilt must be numbers between -1 and 1';
+      }
+      if (!command.pan && !command.tilt) {
+        return 'move needs a non-zero pan or tilt';
+      }
+    }
+    
+    if (command.action === 'zoom' && (!inRange(command.zoom) || !command.zoom)) {
+      return 'zoom must be a non-zero number between -1 and 1';
+    }
+    
+    if (command.speed !== undefined && !(typeof command.speed === 'number' && command.speed > 0 && command.speed <= 1)) {
+      return 'speed must be a number between 0 and 1';
+    }
+    
+    if (command.duration !== undefined && !(Number.isInteger(command.duration) && command.duration >= 0)) {
+      return 'duration must be a whole number of milliseconds';
+    }
+    
+    if (command.action === 'goto_preset' && !command.preset) {
+      return 'goto_preset needs a preset';
+    }
+    
+    if (command.action === 'save_preset' && !command.name) {
+      return 'save_preset needs a name';
+    }
+    
+    return null;
+  }
+
+  /**
+   * PTZ settings for a camera; ONVIF-provisioned cameras default to ONVIF PTZ
+   * @returns {Object|null}
+   */
+  getPtzConfig(camera) {
+    if (camera.ptz) return { type: 'onvif', ...camera.ptz };
+    if (camera.onvif && camera.onvif.xaddr) return { type: 'onvif' };
+    return null;
+  }
+
+  /**
+   * Run a command against a camera
+   * @param {Object} camera - CameraManager camera record
+   * @param {Object} command - { action, pan?, tilt?, zoom?, speed?, duration?, preset?, name? }
+   * @returns {Promise<Object>} Result { cameraId, action, timestamp, ... }
+   */
+  async execute(camera, command) {
+    const ptz = this.getPtzConfig(camera);
+    if (!ptz) {
+      throw new Error(`Camera ${camera.id} has no PTZ configuration`);
+    }
+    
+    const invalid = PtzController.validateCommand(command);
+    if (invalid) {
+      throw new Error(`Invalid PTZ command: ${invalid}`);
+    }
+    
+    // A new command replaces whatever timed move is running
+    this.clearStopTimer(camera.id);
+    
+    const driver = ptz.type === 'cgi' ? this.cgiDriver(camera, ptz) : this.onvifDriver(camera, ptz);
+    const result = {
+      cameraId: camera.id,
+      action: command.action,
+      timestamp: new Date().toISOString()
+    };
+    
+    try {
+      switch (command.action) {
+        case 'move':
+        case 'zoom': {
+          const velocity = {
+            pan: (command.pan || 0) * (command.speed || 1),
+            tilt: (command.tilt || 0) * (command.speed || 1),
+            zoom: (command.zoom || 0) * (command.speed || 1)
+          };
+          await (command.action === 'move' ? driver.move(velocity) : driver.zoom(velocity));
+          
+          const duration = Math.min(command.duration ?? this.moveDuration, this.maxDuration);
+          Object.assign(result, velocity, { duration });
+          
+          // Duration 0 keeps moving until a stop command (joystick hold)
+          if (duration > 0) {
+            this.scheduleStop(camera.id, driver, duration);
+          }
+          break;
+        }
+        
+        case 'stop':
+          await driver.stop();
+          break;
+        
+        case 'goto_preset':
+          result.preset = String(command.preset);
+          await driver.gotoPreset(result.preset, command.speed);
+          break;
+        
+        case 'save_preset':
+          result.name = command.name;
+          result.preset = await driver.savePreset(command.name);
+          break;
+      }
+    } catch (error) {
+      this.stats.failures++;
+      logger.error(`PTZ ${command.action} failed for ${camera.id}: ${error.message}`);
+      throw error;
+    }
+    
+    this.stats.commands++;
+    logger.info(`PTZ ${command.action} sent to ${camera.id}`);
+    this.emit('command', result);
+    
+    return result;
+  }
+
+  /**
+   * Presets stored on the camera (ONVIF only)
+   * @returns {Promise<Array|null>} [{ token, name }], or null when the protocol cannot list them
+   */
+  async getPresets(camera) {
+    const ptz = this.getPtzConfig(camera);
+    if (!ptz) {
+      throw new Error(`Camera ${camera.id} has no PTZ configuration`);
+    }
+    if (ptz.type === 'cgi') {
+      return null;
+    }
+    return this.onvifDriver(camera, ptz).getPresets();
+  }
+
+  scheduleStop(cameraId, driver, duration) {
+    const timer = setTimeout(() => {
+      this.stopTimers.delete(cameraId);
+      driver.stop().catch(error => {
+        logger.error(`PTZ auto-stop failed for ${cameraId}: ${error.message}`);
+      });
+    }, duration);
+    
+    this.stopTimers.set(cameraId, timer);
+  }
+
+  clearStopTimer(cameraId) {
+    clearTimeout(this.stopTimers.get(cameraId));
+    this.stopTimers.delete(cameraId);
+  }
+
+  /**
+   * ONVIF PTZ service driver
+   */
+  onvifDriver(camera, ptz) {
+    const credentials = { username: camera.username, password: camera.password };
+    
+    const request = async (body) => {
+      const target = await this.getOnvifTarget(camera, ptz, credentials);
+      return soapRequest(target.ptzUrl,
+        body(target.profileToken),
+        credentials,
+        this.requestTimeout);
+    };
+    
+    const velocity = ({ pan, tilt, zoom }) =>
+      `<Velocity><PanTilt xmlns="${NAMESPACES.schema}" x="${pan}" y="${tilt}"/>` +
+      `<Zoom xmlns="${NAMESPACES.schema}" x="${zoom}"/></Velocity>`;
+    
+    const getPresets = async () => {
+      const xml = await request(token =>
+        `<GetPresets xmlns="${NAMESPACES.ptz}"><ProfileToken>${escapeXml(token)}</ProfileToken></GetPresets>`);
+      
+      const presets = [];
+      const pattern = /<(?:\w+:)?Preset\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?Preset>/g;
+      let match;
+      while ((match = pattern.exec(xml)) !== null) {
+        const presetToken = (/token="([^"]+)"/.exec(match[1]) || [])[1];
+        if (presetToken) {
+          presets.push({ token: presetToken, name: getXmlValue(match[2], 'Name') || presetToken });
+        }
+      }
+      return presets;
+    };
+    
+    const continuousMove = (v) => request(token =>
+      `<ContinuousMove xmlns="${NAMESPACES.ptz}"><ProfileToken>${escapeXml(token)}</ProfileToken>` +
+      `${velocity(v)}</ContinuousMove>`);
+    
+    return {
+      move: continuousMove,
+      zoom: continuousMove,
+      
+      stop: () => request(token =>
+        `<Stop xmlns="${NAMESPACES.ptz}"><ProfileToken>${escapeXml(token)}</ProfileToken>` +
+        `<PanTilt>true</PanTilt><Zoom>true</Zoom></Stop>`),
+      
+      gotoPreset: async (preset, speed) => {
+        // Accept a preset token or the name an operator saved it under
+        const presets = await getPresets();
+        const found = presets.find(p => p.token === preset) || presets.find(p => p.name === preset);
+        if (!found) {
+          throw new Error(`Preset ${preset} not found on camera ${camera.id}`);
+        }
+        
+        const speedXml = speed
+          ? `<Speed><PanTilt xmlns="${NAMESPACES.schema}" x="${speed}" y="${speed}"/><Zoom xmlns="${NAMESPACES.schema}" x="${speed}"/></Speed>`
+          : '';
+        await request(token =>
+          `<GotoPreset xmlns="${NAMESPACES.ptz}"><ProfileToken>${escapeXml(token)}</ProfileToken>` +
+          `<PresetToken>${escapeXml(found.token)}</PresetToken>${speedXml}</GotoPreset>`);
+      },
+      
+      savePreset: async (name) => {
+        const xml = await request(token =>
+          `<SetPreset xmlns="${NAMESPACES.ptz}"><ProfileToken>${escapeXml(token)}</ProfileToken>` +
+          `<PresetName>${escapeXml(name)}</PresetName></SetPreset>`);
+        return getXmlValue(xml, 'PresetToken');
+      },
+      
+      getPresets
+    };
+  }
+
+  /**
+   * Resolve and cache the PTZ service address and media profile token
+   */
+  async getOnvifTarget(camera, ptz, credentials) {
+    const cached = this.onvifTargets.get(camera.id);
+    if (cached) return cached;
+    
+    const deviceUrl = ptz.xaddr || (camera.onvif && camera.onvif.xaddr);
+    if (!deviceUrl) {
+      throw new Error(`Camera ${camera.id} has no ONVIF service address`);
+    }
+    
+    const capabilities = await soapRequest(deviceUrl,
+      `<GetCapabilities xmlns="${NAMESPACES.device}"><Category>All</Category></GetCapabilities>`,
+      credentials,
+      this.requestTimeout);
+    
+    const ptzUrl = this.getXmlValue(this.getXmlValue(capabilities, 'PTZ'), 'XAddr');
+    if (!ptzUrl) {
+      throw new Error(`Camera ${camera.id} does not report an ONVIF PTZ service`);
+    }
+    
+    let profileToken = ptz.profile_token || (camera.onvif && camera.onvif.profileToken);
+    if (!profileToken) {
+      const mediaUrl = this.getXmlValue(this.getXmlValue(capabilities, 'Media'), 'XAddr') || deviceUrl;
+      const profiles = await soapRequest(mediaUrl,
+        `<GetProfiles xmlns="${NAMESPACES.media}"/>`,
+        credentials,
+        this.requestTimeout);
+      profileToken = (/<(?:\w+:)?Profiles\b[^>]*token="([^"]+)"/.exec(profiles) || [])[1];
+    }
+    if (!profileToken) {
+      throw new Error(`Camera ${camera.id} returned no media profile for PTZ`);
+    }
+    
+    const target = { ptzUrl, profileToken };
+    this.onvifTargets.set(camera.id, target);
+    return target;
+  }
+
+  getXmlValue(xml, tag) {
+    return xml ? getXmlValue(xml, tag) : null;
+  }
+
+  /**
+   * HTTP CGI driver from URL templates
+   */
+  cgiDriver(camera, ptz) {
+    const templates = { ...(CGI_PRESETS[ptz.vendor || 'axis'] || {}), ...(ptz.commands || {}) };
+    const baseUrl = ptz.base_url || this.getHttpOrigin(camera.url);
+    
+    const send = async (action, values) => {
+      const template = templates[action];
+      if (!template) {
+        throw new Error(`No CGI template for PTZ ${action} on camera ${camera.id}`);
+      }
+      
+      const path = template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+        values[key] === undefined ? placeholder : encodeURIComponent(values[key]));
+      
+      const response = await axios.get(new URL(path, baseUrl).toString(), {
+        timeout: this.requestTimeout,
+        auth: camera.username ? { username: camera.username, password: camera.password || '' } : undefined,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`PTZ CGI request failed: HTTP ${response.status}`);
+      }
+      return String(response.data);
+    };
+    
+    const scale = (value) => Math.round(value * 100);
+    
+    return {
+      move: ({ pan, tilt }) => send('move', { pan: scale(pan), tilt: scale(tilt) }),
+      zoom: ({ zoom }) => send('zoom', { zoom: scale(zoom) }),
+      stop: () => send('stop', {}),
+      gotoPreset: (preset, speed) => send('goto_preset', { preset, speed: scale(speed || 1) }),
+      savePreset: async (name) => {
+        await send('save_preset', { name });
+        return name;
+      }
+    };
+  }
+
+  /**
+   * CGI base URL from the stream URL (rtsp://host:554/... -> http://host)
+   */
+  getHttpOrigin(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'rtsp:' ? `http://${parsed.hostname}` : parsed.origin;
+    } catch (error) {
+      throw new Error('Camera URL is not parseable; set ptz.base_url');
+    }
+  }
+
+  /**
+   * Public methods
+   */
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      movesInProgress: this.stopTimers.size
+    };
+  }
+
+  destroy() {
+    for (const timer of this.stopTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.stopTimers.clear();
+    this.onvifTargets.clear();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = PtzController;
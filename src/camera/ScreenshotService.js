@@ -0,0 +1,293 @@
+/**
+ * Screenshot Service
+ * Saves annotated evidence images for events: the frame that triggered the
+ * event with zone outlines and the event label drawn on it
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const PRIORITY_COLORS = {
+  critical: '#dc3545',
+  high: '#fd7e14',
+  medium: '#ffc107',
+  low: '#28a745',
+  info: '#17a2b8'
+};
+
+// Zone outlines are drawn as polygons so they can follow the camera's lens
+// distortion and floor perspective; edges and circles are subdivided
+const EDGE_SEGMENTS = 8;
+const CIRCLE_SEGMENTS = 48;
+
+class ScreenshotService extends EventEmitter {
+  /**
+   * @param {CameraManager} cameraManager - Source of buffered frames
+   * @param {Object} config - storage.screenshots configuration section
+   */
+  constructor(cameraManager, config = {}) {
+    super();
+    
+    if (!cameraManager) {
+      throw new Error('cameraManager is required');
+    }
+    
+    this.cameraManager = cameraManager;
+    
+    // Configuration
+    this.enabled = config.enabled !== false;
+    this.storagePath = config.path || './data/screenshots';
+    this.baseUrl = (config.base_url || '').replace(/\/$/, '');
+    this.urlPrefix = config.url_prefix || '/api/screenshots';
+    this.quality = config.quality || 85;
+    
+    // Saved screenshots
+    this.screenshots = new Map(); // Map of screenshotId -> screenshot record
+    
+    this.stats = {
+      screenshotsSaved: 0,
+      screenshotsFailed: 0
+    };
+    
+    logger.info(`Screenshot Service initialized with path: ${this.storagePath}`);
+  }
+
+  /**
+   * Capture an annotated screenshot of the frame that triggered an event
+   * @param {Object} event - Event from EventDetector (uses cameraId, frameId, timestamp)
+   * @param {Object} options - Capture options
+   * @param {Array} options.zones - Zone definitions to outline on the image;
+   *   zones of other cameras are left out
+   */
+  async captureEventScreenshot(event, options = {}) {
+    if (!this.enabled) {
+      throw new Error('Screenshots are disabled');
+    }
+    
+    const zones = (options.zones || []).filter(zone => !zone.camera_id || zone.camera_id === event.cameraId);
+    
+    try {
+      const frame = this.findEventFrame(event);
+      if (!frame) {
+        throw new Error(`No frame available for camera ${event.cameraId}`);
+      }
+      
+      const image = await this.annotateFrame(frame.data, event, zones);
+      
+      const screenshotId = uuidv4();
+      const timestamp = new Date(Date.parse(frame.timestamp) || Date.now()).toISOString().replace(/[:.]/g, '-');
+      const fileName = `${event.cameraId}-${timestamp}-${event.type}-${screenshotId.slice(0, 8)}.jpg`;
+      const filePath = path.join(this.storagePath, fileName);
+      
+      await fs.mkdir(this.storagePath, { recursive: true });
+      await fs.writeFile(filePath, image);
+      
+      const screenshot = {
+        id: screenshotId,
+        eventId: event.id,
+        eventType: event.type,
+        cameraId: event.cameraId,
+        frameId: frame.id,
+        frameTimestamp: frame.timestamp,
+        fileName,
+        path: filePath,
+        url: `${this.baseUrl}${this.urlPrefix}/${screenshotId}`,
+        size: image.length,
+        zones: zones.map(zone => zone.id),
+        createdAt: new Date().toISOString()
+      };
+      
+      this.screenshots.set(screenshotId, screenshot);
+      this.stats.screenshotsSaved++;
+      
+      logger.info(`Saved screenshot ${screenshotId} for event ${event.id} (frame ${frame.id})`);
+      this.emit('screenshot-saved', screenshot);
+      
+      return screenshot;
+    
+    } catch (error) {
+      this.stats.screenshotsFailed++;
+      logger.error(`Failed to capture screenshot for event ${event.id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the frame an event was detected on
+   * Falls back to the buffered frame closest to the event time when the
+   * original frame has already been evicted from the circular buffer.
+   */
+  findEventFrame(event) {
+    if (!event.cameraId) {
+      return null;
+    }
+    
+    if (event.frameId) {
+      const frame = this.cameraManager.getFrameById(event.cameraId, event.frameId);
+      if (frame) {
+        return frame;
+      }
+      logger.warn(`Frame ${event.frameId} no longer buffered, using closest frame`);
+    }
+    
+    const frames = this.cameraManager.getBufferedFrames(event.cameraId, Number.MAX_SAFE_INTEGER);
+    if (frames.length === 0) {
+      return null;
+    }
+    
+    const eventTime = Date.parse(event.timestamp);
+    if (Number.isNaN(eventTime)) {
+      return frames[frames.length - 1];
+    }
+    
+    return frames.reduce((closest, frame) =>
+      Math.abs(Date.parse(frame.timestamp) - eventTime) < Math.abs(Date.parse(closest.timestamp) - eventTime)
+        ? frame
+        : closest
+    );
+  }
+
+  /**
+   * Draw zones and the event label onto a buffered JPEG frame
+   */
+  async annotateFrame(frameBuffer, event, zones = []) {
+    const { width, height } = await sharp(frameBuffer).metadata();
+    const project = this.cameraManager.getRawFrameProjection(event.cameraId, { width, height });
+    const overlay = this.buildOverlay(width, height, event, zones, project);
+    
+    return sharp(frameBuffer)
+      .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+      .jpeg({ quality: this.quality })
+      .toBuffer();
+  }
+
+  /**
+   * Build the SVG overlay for a frame
+   * Zones and the robot position are in EventDetector coordinates (processed
+   * frame pixels, or floor metres for a calibrated camera); `project` maps
+   * them onto this frame.
+   */
+  buildOverlay(width, height, event, zones, project = point => point) {
+    const fontSize = Math.max(14, Math.round(width / 60));
+    const eventZoneId = event.zoneId || event.metadata?.zone?.id;
+    const elements = [];
+    
+    for (const zone of zones) {
+      const outline = this.zoneOutline(zone);
+      if (!outline) continue;
+      
+      const points = outline.map(project);
+      const highlighted = zone.id === eventZoneId;
+      const stroke = zone.color || '#00ff00';
+      const anchor = {
+        x: Math.min(...points.map(p => p.x)),
+        y: Math.min(...points.map(p => p.y))
+      };
+      
+      elements.push(
+        `<polygon points="${points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="${stroke}" ` +
+        `fill-opacity="${highlighted ? 0.25 : 0.08}" stroke="${stroke}" stroke-width="${highlighted ? 6 : 2}"/>`
+      );
+      elements.push(
+        `<text x="${(anchor.x + 4).toFixed(1)}" y="${(anchor.y + fontSize).toFixed(1)}" font-family="sans-serif" font-size="${fontSize}" ` +
+        `fill="${stroke}" stroke="#000" stroke-width="0.5">${this.escapeXml(zone.name || zone.id)}</text>`
+      );
+    }
+    
+    // Mark the robot position when the event carries one
+    const position = event.metadata?.lastPosition || event.metadata?.position;
+    if (position && typeof position.x === 'number' && typeof position.y === 'number') {
+      const marker = project(position);
+      elements.push(`<circle cx="${marker.x.toFixed(1)}" cy="${marker.y.toFixed(1)}" r="${fontSize}" fill="none" stroke="#ff00ff" stroke-width="4"/>`);
+    }
+    
+    // Event label banner
+    const color = PRIORITY_COLORS[event.priority] || '#6c757d';
+    const confidence = typeof event.confidence === 'number' ? ` | ${(event.confidence * 100).toFixed(0)}%` : '';
+    const label = `${event.type.replace(/_/g, ' ').toUpperCase()}${event.robotId ? ` | ${event.robotId}` : ''}` +
+      `${confidence} | ${event.timestamp || new Date().toISOString()}`;
+    const bannerHeight = Math.round(fontSize * 1.8);
+    
+    elements.push(`<rect x="0" y="0" width="${width}" height="${bannerHeight}" fill="${color}" fill-opacity="0.85"/>`);
+    elements.push(
+      `<text x="${fontSize / 2}" y="${Math.round(bannerHeight * 0.7)}" font-family="sans-serif" font-weight="bold" ` +
+      `font-size="${fontSize}" fill="#ffffff">${this.escapeXml(label)}</text>`
+    );
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${elements.join('')}</svg>`;
+  }
+
+  /**
+   * Outline of a configured zone as points in zone coordinates
+   * Shapes are read the way EventDetector tests points against them: a point
+   * array is a polygon, { cx, cy, radius } a circle, { x, y, width, height }
+   * a rectangle.
+   */
+  zoneOutline(zone) {
+    const coords = zone.coordinates;
+    if (!coords) return null;
+    
+    if (!Array.isArray(coords) && coords.radius !== undefined) {
+      return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+        const angle = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+        return { x: coords.cx + coords.radius * Math.cos(angle), y: coords.cy + coords.radius * Math.sin(angle) };
+      });
+    }
+    
+    const corners = Array.isArray(coords)
+      ? coords
+      : [
+        { x: coords.x, y: coords.y },
+        { x: coords.x + coords.width, y: coords.y },
+        { x: coords.x + coords.width, y: coords.y + coords.height },
+        { x: coords.x, y: coords.y + coords.height }
+      ];
+    
+    if (corners.length < 3 || corners.some(p => typeof p.x !== 'number' || typeof p.y !== 'number')) {
+      return null;
+    }
+    
+    return corners.flatMap((corner, i) => {
+      const next = corners[(i + 1) % corners.length];
+      return Array.from({ length: EDGE_SEGMENTS }, (_, step) => ({
+        x: corner.x + ((next.x - corner.x) * step) / EDGE_SEGMENTS,
+        y: corner.y + ((next.y - corner.y) * step) / EDGE_SEGMENTS
+      }));
+    });
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Public methods
+   */
+
+  getScreenshot(screenshotId) {
+    return this.screenshots.get(screenshotId);
+  }
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      totalScreenshots: this.screenshots.size
+    };
+  }
+}
+
+module.exports = ScreenshotService;
@@ -0,0 +1,257 @@
+/**
+ * Simulated Camera - Hardware-free frame source for development and CI
+ *
+ * Replays a directory of JPEGs or a recorded MJPEG file, or renders a
+ * synthetic pen with coloured robots when no source is given. A scenario
+ * timeline can stop/move robots, freeze the picture or drop frames at set
+ * times. Time is counted in frames (tick / fps), so scenarios play out the
+ * same way regardless of machine load.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const winston = require('winston');
+const MjpegParser = require('./MjpegParser');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const SCENARIO_ACTIONS = ['stop_robot', 'move_robot', 'freeze', 'drop'];
+
+class SimulatedCamera extends EventEmitter {
+  /**
+   * @param {Object} config - Camera 'simulation' configuration section
+   * @param {string} config.source - Directory of JPEGs or an .mjpeg recording; omit for a synthetic scene
+   * @param {number} config.fps - Frames per second
+   * @param {boolean} config.loop - Restart a recording when it ends
+   * @param {Array} config.robots - Synthetic robots: { id, color, x, y, vx, vy, size }
+   * @param {Array} config.scenario - Timeline steps: { at, action, robot_id?, vx?, vy?, duration? }
+   */
+  constructor(config = {}) {
+    super();
+    
+    this.source = config.source || null;
+    this.fps = config.fps || 5;
+    this.loop = config.loop !== false;
+    this.width = config.width || 640;
+    this.height = config.height || 480;
+    this.background = config.background || '#707070';
+    this.quality = config.quality || 80;
+    
+    this.robots = (config.robots || []).map(robot => ({
+      id: robot.id,
+      color: robot.color || '#ff0000',
+      size: robot.size || 30,
+      x: robot.x ?? this.width / 2,
+      y: robot.y ?? this.height / 2,
+      vx: robot.vx || 0,
+      vy: robot.vy || 0
+    }));
+    
+    this.scenario = (config.scenario || [])
+      .map(step => {
+        if (!SCENARIO_ACTIONS.includes(step.action)) {
+          throw new Error(`Unknown scenario action: ${step.action}`);
+        }
+        return { ...step, done: false };
+      })
+      .sort((a, b) => a.at - b.at);
+    
+    // Playback state
+    this.recordedFrames = [];
+    this.frameIndex = 0;
+    this.tickCount = 0;
+    this.lastFrame = null;
+    this.freezeUntil = 0;
+    this.dropUntil = 0;
+    this.timer = null;
+    this.busy = false;
+    
+    this.stats = {
+      framesEmitted: 0,
+      framesFrozen: 0,
+      framesDropped: 0,
+      loops: 0
+    };
+  }
+
+  /**
+   * Load the recording, if any
+   */
+  async load() {
+    if (!this.source) {
+      logger.info(`Simulated camera rendering ${this.robots.length} synthetic robots at ${this.fps} fps`);
+      return;
+    }
+    
+    const stat = await fs.stat(this.source);
+    
+    if (stat.isDirectory()) {
+      const files = (await fs.readdir(this.source))
+        .filter(file => /\.jpe?g$/i.test(file))
+        .sort();
+      this.recordedFrames = await Promise.all(files.map(file => fs.readFile(path.join(this.source, file))));
+    } else {
+      const parser = new MjpegParser();
+      parser.on('frame', frame => this.recordedFrames.push(frame.data));
+      parser.on('error', error => logger.warn(`Recording ${this.source}: ${error.message}`));
+      parser.push(await fs.readFile(this.source));
+      parser.end();
+    }
+    
+    if (this.recordedFrames.length === 0) {
+      throw new Error(`No frames found in ${this.source}`);
+    }
+    
+    logger.info(`Simulated camera loaded ${this.recordedFrames.length} frames from ${this.source}`);
+  }
+
+  start() {
+    if (this.timer) return;
+    
+    this.timer = setInterval(() => {
+      // Skip a tick rather than queue renders when sharp falls behind
+      if (this.busy) return;
+      this.busy = true;
+      
+      this.tick()
+        .catch(error => this.emit('error', error))
+        .finally(() => {
+          this.busy = false;
+        });
+    }, 1000 / this.fps);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+
+  /**
+   * Produce the next frame
+   */
+  async tick() {
+    const time = this.tickCount / this.fps;
+    this.tickCount++;
+    
+    this.applyScenario(time);
+    
+    if (time < this.dropUntil) {
+      this.stats.framesDropped++;
+      return;
+    }
+    
+    let data;
+    if (time < this.freezeUntil && this.lastFrame) {
+      data = this.lastFrame;
+      this.stats.framesFrozen++;
+    } else {
+      data = this.source ? this.nextRecordedFrame() : await this.renderFrame();
+    }
+    
+    if (!data) {
+      this.stop();
+      this.emit('end');
+      return;
+    }
+    
+    this.lastFrame = data;
+    this.stats.framesEmitted++;
+    this.emit('frame', data);
+  }
+
+  applyScenario(time) {
+    for (const step of this.scenario) {
+      if (step.done || step.at > time) continue;
+      step.done = true;
+      
+      logger.info(`Simulated camera scenario at ${step.at}s: ${step.action}${step.robot_id ? ` ${step.robot_id}` : ''}`);
+      
+      if (step.action === 'freeze') {
+        this.freezeUntil = time + (step.duration || 5);
+      } else if (step.action === 'drop') {
+        this.dropUntil = time + (step.duration || 5);
+      } else {
+        const robot = this.robots.find(r => r.id === step.robot_id);
+        if (!robot) {
+          logger.warn(`Scenario robot ${step.robot_id} not found`);
+          continue;
+        }
+        robot.vx = step.action === 'stop_robot' ? 0 : (step.vx || 0);
+        robot.vy = step.action === 'stop_robot' ? 0 : (step.vy || 0);
+      }
+      
+      this.emit('scenario', { ...step, time });
+    }
+  }
+
+  nextRecordedFrame() {
+    if (this.frameIndex >= this.recordedFrames.length) {
+      if (!this.loop) return null;
+      this.frameIndex = 0;
+      this.stats.loops++;
+    }
+    return this.recordedFrames[this.frameIndex++];
+  }
+
+  /**
+   * Move the synthetic robots one frame and draw the pen
+   * Robots bounce off the pen walls.
+   */
+  async renderFrame() {
+    const dt = 1 / this.fps;
+    
+    for (const robot of this.robots) {
+      const half = robot.size / 2;
+      robot.x += robot.vx * dt;
+      robot.y += robot.vy * dt;
+      
+      if (robot.x < half || robot.x > this.width - half) {
+        robot.vx = -robot.vx;
+        robot.x = Math.min(Math.max(robot.x, half), this.width - half);
+      }
+      if (robot.y < half || robot.y > this.height - half) {
+        robot.vy = -robot.vy;
+        robot.y = Math.min(Math.max(robot.y, half), this.height - half);
+      }
+    }
+    
+    const shapes = this.robots.map(robot =>
+      `<rect x="${Math.round(robot.x - robot.size / 2)}" y="${Math.round(robot.y - robot.size / 2)}" ` +
+      `width="${robot.size}" height="${robot.size}" fill="${robot.color}"/>`
+    ).join('');
+    
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}">` +
+      `<rect width="100%" height="100%" fill="${this.background}"/>${shapes}</svg>`;
+    
+    return sharp(Buffer.from(svg)).jpeg({ quality: this.quality }).toBuffer();
+  }
+
+  /**
+   * Current synthetic robot positions (ground truth for tests)
+   */
+  getRobotPositions() {
+    return new Map(this.robots.map(robot => [robot.id, { x: robot.x, y: robot.y }]));
+  }
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      fps: this.fps,
+      source: this.source || 'synthetic',
+      recordedFrames: this.recordedFrames.length,
+      running: this.isRunning()
+    };
+  }
+}
+
+module.exports = SimulatedCamera;
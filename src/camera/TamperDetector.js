@@ -0,0 +1,513 @@
+/**
+ * Tamper Detector - Notices cameras that are covered, bumped, defocused or frozen
+ *
+ * Every check_interval ms a camera's frame is shrunk to a greyscale sample and
+ * compared with the camera's reference view (the first clear frame, or one set
+ * on purpose after re-aiming a camera). References are kept as PNG samples
+ * under reference_path so they survive restarts.
+ *
+ * - covered: the picture is nearly uniform, far flatter than the reference
+ * - shifted: zero-mean correlation with the reference drops (this ignores the
+ *   lights being dimmed); the best matching offset is reported
+ * - defocused: Laplacian variance relative to image variance falls well below
+ *   the reference's
+ * - frozen: consecutive checks of new frames see no change at all for
+ *   frozen_timeout ms (sensor noise alone normally prevents that)
+ *
+ * A condition has to hold for confirm_checks checks in a row before 'tamper'
+ * is emitted, and be gone as long before 'tamper-cleared'.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const TAMPER_TYPES = ['covered', 'shifted', 'defocused', 'frozen'];
+
+class TamperDetector extends EventEmitter {
+  /**
+   * @param {Object} config - tamper configuration section
+   */
+  constructor(config = {}) {
+    super();
+    
+    // Configuration
+    this.enabled = config.enabled !== false;
+    this.checkInterval = config.check_interval ?? 5000;
+    this.confirmChecks = config.confirm_checks || 3;
+    this.sampleWidth = config.sample_width || 160;
+    this.sampleHeight = config.sample_height || 120;
+    this.referencePath = config.reference_path === undefined ? './data/tamper' : config.reference_path;
+    this.thresholds = {
+      coveredStddev: config.covered_stddev ?? 12,
+      coveredRatio: config.covered_ratio ?? 0.3,
+      shiftCorrelation: config.shift_correlation ?? 0.5,
+      maxShift: config.max_shift ?? 16,
+      blurRatio: config.blur_ratio ?? 0.35,
+      frozenDifference: config.frozen_difference ?? 0.3,
+      frozenTimeout: config.frozen_timeout ?? 30000
+    };
+    
+    // Map of cameraId -> { checks, reference, previous, lastCheckAt, lastFrameId,
+    //   lastChangeAt, streaks, clearStreaks, active }
+    this.cameras = new Map();
+    
+    this.stats = {
+      checks: 0,
+      tamperEvents: 0,
+      cleared: 0,
+      referencesSet: 0
+    };
+  }
+
+  /**
+   * Register a camera
+   * @param {string} cameraId - Camera identifier
+   * @param {Object} options - Camera tamper config: { enabled, checks }
+   */
+  configureCamera(cameraId, options = {}) {
+    const checks = options.checks || TAMPER_TYPES;
+    const unknown = checks.filter(check => !TAMPER_TYPES.includes(check));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tamper checks: ${unknown.join(', ')}`);
+    }
+    
+    const state = this.getOrCreateState(cameraId);
+    state.enabled = options.enabled !== false;
+    state.checks = checks;
+  }
+
+  getOrCreateState(cameraId) {
+    let state = this.cameras.get(cameraId);
+    if (!state) {
+      state = {
+        enabled: true,
+        checks: TAMPER_TYPES,
+        reference: undefined, // undefined until the stored reference is looked up
+        previous: null,
+        lastCheckAt: 0,
+        lastFrameId: null,
+        lastChangeAt: Date.now(),
+        streaks: {},
+        clearStreaks: {},
+        active: new Map()
+      };
+      this.cameras.set(cameraId, state);
+    }
+    return state;
+  }
+
+  /**
+   * Check a frame if the camera is due
+   * @param {string} cameraId - Camera identifier
+   * @param {Buffer} data - Encoded frame (JPEG)
+   * @param {Object} options - { frameId, force }
+   * @returns {Promise<Object|null>} { conditions, metrics, active } or null when not due
+   */
+  async check(cameraId, data, options = {}) {
+    const state = this.getOrCreateState(cameraId);
+    const now = Date.now();
+    
+    if (!this.enabled || !state.enabled) {
+      return null;
+    }
+    if (!options.force && now - state.lastCheckAt < this.checkInterval) {
+      return null;
+    }
+    state.lastCheckAt = now;
+    this.stats.checks++;
+    
+    const sample = await this.sample(data);
+    
+    if (state.reference === undefined) {
+      state.reference = await this.loadReference(cameraId);
+    }
+    
+    // The first clear view becomes the reference
+    if (!state.reference && sample.stddev >= this.thresholds.coveredStddev) {
+      await this.storeReference(cameraId, sample);
+    }
+    
+    const { conditions, metrics } = this.evaluate(state, sample, now, options.frameId);
+    state.previous = sample;
+    if (options.frameId !== undefined) {
+      state.lastFrameId = options.frameId;
+    }
+    
+    this.updateConditions(cameraId, state, conditions, metrics, now);
+    
+    return {
+      conditions,
+      metrics,
+      active: Array.from(state.active.keys())
+    };
+  }
+
+  /**
+   * Compare a sample with the reference and the previous check
+   * @returns {Object} { conditions: string[], metrics }
+   */
+  evaluate(state, sample, now, frameId) {
+    const { thresholds } = this;
+    const reference = state.reference;
+    const conditions = [];
+    const metrics = {
+      mean: round(sample.mean),
+      stddev: round(sample.stddev),
+      sharpness: round(sample.sharpness, 3)
+    };
+    
+    // Frozen: only new frames count, a stalled stream is the supervisor's job
+    const newFrame = frameId === undefined || frameId !== state.lastFrameId;
+    if (state.previous && newFrame) {
+      const difference = meanAbsoluteDifference(sample.pixels, state.previous.pixels);
+      metrics.difference = round(difference);
+      if (difference >= thresholds.frozenDifference) {
+        state.lastChangeAt = now;
+      }
+    }
+    metrics.unchangedFor = now - state.lastChangeAt;
+    if (newFrame && state.checks.includes('frozen') && metrics.unchangedFor >= thresholds.frozenTimeout) {
+      conditions.push('frozen');
+    }
+    
+    if (!reference) {
+      return { conditions, metrics };
+    }
+    
+    const covered = sample.stddev < thresholds.coveredStddev &&
+      sample.stddev < reference.stddev * thresholds.coveredRatio;
+    if (covered) {
+      if (state.checks.includes('covered')) {
+        conditions.push('covered');
+      }
+      // Nothing left to correlate or focus on
+      return { conditions, metrics };
+    }
+    
+    if (state.checks.includes('shifted')) {
+      const correlation = correlate(sample, reference, 0, 0);
+      metrics.correlation = round(correlation, 3);
+      if (correlation < thresholds.shiftCorrelation) {
+        const best = this.findOffset(sample, reference);
+        metrics.offset = { x: best.x, y: best.y };
+        metrics.offsetCorrelation = round(best.correlation, 3);
+        conditions.push('shifted');
+      }
+    }
+    
+    if (state.checks.includes('defocused') && reference.sharpness > 0) {
+      metrics.sharpnessRatio = round(sample.sharpness / reference.sharpness, 3);
+      if (metrics.sharpnessRatio < thresholds.blurRatio) {
+        conditions.push('defocused');
+      }
+    }
+    
+    return { conditions, metrics };
+  }
+
+  /**
+   * Confirm new conditions and clear ones that went away
+   */
+  updateConditions(cameraId, state, conditions, metrics, now) {
+    for (const type of TAMPER_TYPES) {
+      const present = conditions.includes(type);
+      
+      if (present) {
+        state.streaks[type] = (state.streaks[type] || 0) + 1;
+        state.clearStreaks[type] = 0;
+        
+        if (!state.active.has(type) && state.streaks[type] >= this.confirmChecks) {
+          const info = {
+            cameraId,
+            type,
+            metrics,
+            timestamp: new Date(now).toISOString()
+          };
+          state.active.set(type, { since: now, metrics });
+          this.stats.tamperEvents++;
+          logger.warn(`Camera ${cameraId} tampered: ${type}`);
+          this.emit('tamper', info);
+        }
+      } else {
+        state.streaks[type] = 0;
+        
+        if (state.active.has(type)) {
+          state.clearStreaks[type] = (state.clearStreaks[type] || 0) + 1;
+          if (state.clearStreaks[type] >= this.confirmChecks) {
+            const { since } = state.active.get(type);
+            state.active.delete(type);
+            state.clearStreaks[type] = 0;
+            this.stats.cleared++;
+            logger.info(`Camera ${cameraId} no longer ${type}`);
+            this.emit('tamper-cleared', {
+              cameraId,
+              type,
+              duration: now - since,
+              timestamp: new Date(now).toISOString()
+            });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Greyscale sample with the statistics the checks need
+   * @param {Buffer} data - Encoded frame
+   * @returns {Promise<Object>} { pixels, width, height, mean, stddev, sharpness }
+   */
+  async sample(data) {
+    const width = this.sampleWidth;
+    const height = this.sampleHeight;
+    const pixels = await sharp(data)
+      .resize(width, height, { fit: 'fill' })
+      .greyscale()
+      .raw()
+      .toBuffer();
+    
+    return describeSample(pixels, width, height);
+  }
+
+  /**
+   * Best correlation with the reference within max_shift sample pixels
+   * @returns {Object} { x, y, correlation } with the offset in sample pixels
+   */
+  findOffset(sample, reference) {
+    const range = this.thresholds.maxShift;
+    let best = { x: 0, y: 0, correlation: -Infinity };
+    
+    for (let dy = -range; dy <= range; dy++) {
+      for (let dx = -range; dx <= range; dx++) {
+        const correlation = correlate(sample, reference, dx, dy);
+        if (correlation > best.correlation) {
+          best = { x: dx, y: dy, correlation };
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Make a frame the camera's reference view
+   * @param {string} cameraId - Camera identifier
+   * @param {Buffer} data - Encoded frame
+   * @returns {Promise<Object>} Reference summary
+   */
+  async setReference(cameraId, data) {
+    const sample = await this.sample(data);
+    if (sample.stddev < this.thresholds.coveredStddev) {
+      throw new Error('Frame is too uniform to use as a reference view');
+    }
+    
+    const state = this.getOrCreateState(cameraId);
+    await this.storeReference(cameraId, sample);
+    
+    // Conditions were judged against the old view
+    state.streaks = {};
+    state.clearStreaks = {};
+    state.active.clear();
+    
+    return this.getState(cameraId).reference;
+  }
+
+  async storeReference(cameraId, sample) {
+    const state = this.getOrCreateState(cameraId);
+    state.reference = { ...sample, createdAt: new Date().toISOString() };
+    this.stats.referencesSet++;
+    logger.info(`Stored tamper reference view for camera ${cameraId}`);
+    
+    if (!this.referencePath) return;
+    
+    try {
+      await fs.mkdir(this.referencePath, { recursive: true });
+      await sharp(sample.pixels, { raw: { width: sample.width, height: sample.height, channels: 1 } })
+        .png()
+        .toFile(this.referenceFile(cameraId));
+    } catch (error) {
+      logger.warn(`Could not save tamper reference for ${cameraId}: ${error.message}`);
+    }
+  }
+
+  async loadReference(cameraId) {
+    if (!this.referencePath) return null;
+    
+    const file = this.referenceFile(cameraId);
+    try {
+      const { mtime } = await fs.stat(file);
+      const pixels = await sharp(file)
+        .resize(this.sampleWidth, this.sampleHeight, { fit: 'fill' })
+        .greyscale()
+        .raw()
+        .toBuffer();
+      logger.info(`Loaded tamper reference view for camera ${cameraId}`);
+      return { ...describeSample(pixels, this.sampleWidth, this.sampleHeight), createdAt: mtime.toISOString() };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not load tamper reference for ${cameraId}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  referenceFile(cameraId) {
+    return path.join(this.referencePath, `${cameraId.replace(/[^a-zA-Z0-9_-]/g, '_')}.png`);
+  }
+
+  /**
+   * Forget a camera's state (its stored reference stays on disk)
+   * @param {string} cameraId - Camera identifier
+   */
+  reset(cameraId) {
+    this.cameras.delete(cameraId);
+  }
+
+  /**
+   * Current tamper state for a camera
+   * @param {string} cameraId - Camera identifier
+   * @returns {Object|null}
+   */
+  getState(cameraId) {
+    const state = this.cameras.get(cameraId);
+    if (!state) return null;
+    
+    const reference = state.reference;
+    return {
+      enabled: this.enabled && state.enabled,
+      checks: state.checks,
+      reference: reference
+        ? {
+          createdAt: reference.createdAt,
+          mean: round(reference.mean),
+          stddev: round(reference.stddev),
+          sharpness: round(reference.sharpness, 3)
+        }
+        : null,
+      lastCheckAt: state.lastCheckAt ? new Date(state.lastCheckAt).toISOString() : null,
+      active: Array.from(state.active.entries()).map(([type, { since, metrics }]) => ({
+        type,
+        since: new Date(since).toISOString(),
+        metrics
+      }))
+    };
+  }
+
+  getStatistics() {
+    const tampered = {};
+    for (const [cameraId, state] of this.cameras) {
+      if (state.active.size > 0) {
+        tampered[cameraId] = Array.from(state.active.keys());
+      }
+    }
+    
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      tampered
+    };
+  }
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Mean, standard deviation and normalised focus measure of a grey sample
+ */
+function describeSample(pixels, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    sum += pixels[i];
+    sumSquares += pixels[i] * pixels[i];
+  }
+  const mean = sum / pixels.length;
+  const variance = Math.max(0, sumSquares / pixels.length - mean * mean);
+
+  // Variance of the 4-neighbour Laplacian, divided by the image variance so
+  // dimming the lights does not read as losing focus
+  let lapSum = 0;
+  let lapSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] - 4 * pixels[i];
+      lapSum += lap;
+      lapSquares += lap * lap;
+      count++;
+    }
+  }
+  const lapMean = count ? lapSum / count : 0;
+  const lapVariance = count ? lapSquares / count - lapMean * lapMean : 0;
+
+  return {
+    pixels,
+    width,
+    height,
+    mean,
+    stddev: Math.sqrt(variance),
+    sharpness: variance > 0 ? lapVariance / variance : 0
+  };
+}
+
+function meanAbsoluteDifference(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / a.length;
+}
+
+/**
+ * Zero-mean normalised correlation of the overlap when the sample's content
+ * is moved by (dx, dy) relative to the reference
+ */
+function correlate(sample, reference, dx, dy) {
+  const { width, height } = sample;
+  const x0 = Math.max(0, dx);
+  const x1 = Math.min(width, width + dx);
+  const y0 = Math.max(0, dy);
+  const y1 = Math.min(height, height + dy);
+
+  let n = 0;
+  let sumA = 0;
+  let sumB = 0;
+  let sumAA = 0;
+  let sumBB = 0;
+  let sumAB = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const a = sample.pixels[y * width + x];
+      const b = reference.pixels[(y - dy) * width + (x - dx)];
+      sumA += a;
+      sumB += b;
+      sumAA += a * a;
+      sumBB += b * b;
+      sumAB += a * b;
+      n++;
+    }
+  }
+  if (n === 0) return 0;
+
+  const covariance = sumAB - sumA * sumB / n;
+  const varianceA = sumAA - sumA * sumA / n;
+  const varianceB = sumBB - sumB * sumB / n;
+  if (varianceA <= 0 || varianceB <= 0) return 0;
+
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+TamperDetector.TAMPER_TYPES = TAMPER_TYPES;
+
+module.exports = TamperDetector;
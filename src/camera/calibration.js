@@ -0,0 +1,563 @@
+/**
+ * Camera calibration helpers: lens distortion and pen floor homography
+ *
+ * Intrinsics follow the OpenCV pinhole model (fx, fy, cx, cy with radial
+ * k1, k2, k3 and tangential p1, p2 distortion) at a reference image_size,
+ * and are scaled to whatever resolution a frame is processed at. They can be
+ * estimated from checkerboard corner observations with Zhang's method. The
+ * floor homography maps undistorted frame pixels to pen floor coordinates in
+ * metres from four (or more) reference points.
+ */
+
+const sharp = require('sharp');
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ */
+function solveLinear(A, b) {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) {
+      throw new Error('Singular system: calibration points are degenerate');
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+/**
+ * Least-squares solution of an overdetermined A x = b (normal equations)
+ */
+function leastSquares(A, b) {
+  const n = A[0].length;
+  const AtA = Array.from({ length: n }, () => new Array(n).fill(0));
+  const Atb = new Array(n).fill(0);
+
+  for (let i = 0; i < A.length; i++) {
+    for (let j = 0; j < n; j++) {
+      Atb[j] += A[i][j] * b[i];
+      for (let k = 0; k < n; k++) AtA[j][k] += A[i][j] * A[i][k];
+    }
+  }
+  return solveLinear(AtA, Atb);
+}
+
+/**
+ * Eigenvector of the smallest eigenvalue of a symmetric matrix (Jacobi rotations)
+ */
+function smallestEigenvector(S) {
+  const n = S.length;
+  const A = S.map(row => [...row]);
+  const V = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) off += A[p][q] * A[p][q];
+    }
+    if (off < 1e-30) break;
+    
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(A[p][q]) < 1e-300) continue;
+        const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        
+        for (let k = 0; k < n; k++) {
+          const akp = A[k][p];
+          const akq = A[k][q];
+          A[k][p] = c * akp - s * akq;
+          A[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = A[p][k];
+          const aqk = A[q][k];
+          A[p][k] = c * apk - s * aqk;
+          A[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = V[k][p];
+          const vkq = V[k][q];
+          V[k][p] = c * vkp - s * vkq;
+          V[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  let smallest = 0;
+  for (let i = 1; i < n; i++) {
+    if (A[i][i] < A[smallest][smallest]) smallest = i;
+  }
+  return V.map(row => row[smallest]);
+}
+
+function invert3x3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-15) {
+    throw new Error('Matrix is not invertible');
+  }
+
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+  ];
+}
+
+function multiply3x3(a, b) {
+  return a.map(row => [0, 1, 2].map(col => row[0] * b[0][col] + row[1] * b[1][col] + row[2] * b[2][col]));
+}
+
+/**
+ * Hartley normalization: centre the points and scale to mean distance sqrt(2)
+ */
+function normalizationMatrix(points) {
+  const cx = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+  const meanDistance = points.reduce((sum, p) => sum + Math.hypot(p[0] - cx, p[1] - cy), 0) / points.length;
+  const s = meanDistance > 0 ? Math.SQRT2 / meanDistance : 1;
+  return [[s, 0, -s * cx], [0, s, -s * cy], [0, 0, 1]];
+}
+
+/**
+ * Homography mapping source points to destination points
+ * @param {Array} source - [[x, y], ...] at least 4, no three collinear
+ * @param {Array} destination - [[X, Y], ...] matching source
+ * @returns {Array} 3x3 matrix
+ */
+function solveHomography(source, destination) {
+  if (source.length < 4 || source.length !== destination.length) {
+    throw new Error('A homography needs at least 4 matching point pairs');
+  }
+
+  const Ts = normalizationMatrix(source);
+  const Td = normalizationMatrix(destination);
+  const src = source.map(p => applyHomography(Ts, { x: p[0], y: p[1] }));
+  const dst = destination.map(p => applyHomography(Td, { x: p[0], y: p[1] }));
+
+  const A = [];
+  const b = [];
+  for (let i = 0; i < src.length; i++) {
+    const { x, y } = src[i];
+    const { x: X, y: Y } = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -X * x, -X * y]);
+    b.push(X);
+    A.push([0, 0, 0, x, y, 1, -Y * x, -Y * y]);
+    b.push(Y);
+  }
+
+  const h = source.length === 4 ? solveLinear(A, b) : leastSquares(A, b);
+  const normalized = [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+  const H = multiply3x3(invert3x3(Td), multiply3x3(normalized, Ts));
+  return H.map(row => row.map(value => value / H[2][2]));
+}
+
+function applyHomography(H, point) {
+  const w = H[2][0] * point.x + H[2][1] * point.y + H[2][2];
+  return {
+    x: (H[0][0] * point.x + H[0][1] * point.y + H[0][2]) / w,
+    y: (H[1][0] * point.x + H[1][1] * point.y + H[1][2]) / w
+  };
+}
+
+/**
+ * Homography that first rescales pixels from one image size to another
+ * @param {Array} H - Homography defined for pixels at `from` size
+ */
+function rescaleHomography(H, from, to) {
+  const scale = [[from.width / to.width, 0, 0], [0, from.height / to.height, 0], [0, 0, 1]];
+  return multiply3x3(H, scale);
+}
+
+/**
+ * Intrinsics at another resolution (same aspect ratio assumed)
+ */
+function scaleIntrinsics(intrinsics, width, height) {
+  const sx = width / intrinsics.image_size.width;
+  const sy = height / intrinsics.image_size.height;
+  return {
+    ...intrinsics,
+    fx: intrinsics.fx * sx,
+    fy: intrinsics.fy * sy,
+    cx: intrinsics.cx * sx,
+    cy: intrinsics.cy * sy,
+    image_size: { width, height }
+  };
+}
+
+/**
+ * Apply the distortion model to normalized image coordinates
+ */
+function distortNormalized({ k1 = 0, k2 = 0, k3 = 0, p1 = 0, p2 = 0 }, x, y) {
+  const r2 = x * x + y * y;
+  const radial = 1 + k1 * r2 + k2 * r2 * r2 + k3 * r2 * r2 * r2;
+  return {
+    x: x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+    y: y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y
+  };
+}
+
+/**
+ * Where an undistorted pixel came from in the distorted image
+ */
+function distortPoint(intrinsics, point) {
+  const { fx, fy, cx, cy } = intrinsics;
+  const d = distortNormalized(intrinsics, (point.x - cx) / fx, (point.y - cy) / fy);
+  return { x: d.x * fx + cx, y: d.y * fy + cy };
+}
+
+/**
+ * Undistorted position of a distorted pixel (fixed-point inversion)
+ */
+function undistortPoint(intrinsics, point) {
+  const { fx, fy, cx, cy } = intrinsics;
+  const xd = (point.x - cx) / fx;
+  const yd = (point.y - cy) / fy;
+  let x = xd;
+  let y = yd;
+
+  for (let i = 0; i < 20; i++) {
+    const d = distortNormalized(intrinsics, x, y);
+    x += xd - d.x;
+    y += yd - d.y;
+  }
+  return { x: x * fx + cx, y: y * fy + cy };
+}
+
+/**
+ * Source pixel coordinates for every output pixel of an undistorted image
+ * @returns {Float32Array} Interleaved x, y per output pixel
+ */
+function buildUndistortMap(intrinsics, width, height) {
+  const scaled = scaleIntrinsics(intrinsics, width, height);
+  const map = new Float32Array(width * height * 2);
+
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const source = distortPoint(scaled, { x: u, y: v });
+      const index = (v * width + u) * 2;
+      map[index] = source.x;
+      map[index + 1] = source.y;
+    }
+  }
+  return map;
+}
+
+/**
+ * Resample raw pixels through an undistort map (bilinear, black outside)
+ */
+function remapPixels(data, width, height, channels, map) {
+  const output = Buffer.alloc(width * height * channels);
+
+  for (let i = 0; i < width * height; i++) {
+    const sx = map[i * 2];
+    const sy = map[i * 2 + 1];
+    const x0 = Math.floor(sx);
+    const y0 = Math.floor(sy);
+    if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) continue;
+    
+    const fx = sx - x0;
+    const fy = sy - y0;
+    const i00 = (y0 * width + x0) * channels;
+    const i10 = i00 + channels;
+    const i01 = i00 + width * channels;
+    const i11 = i01 + channels;
+    
+    for (let c = 0; c < channels; c++) {
+      const top = data[i00 + c] * (1 - fx) + data[i10 + c] * fx;
+      const bottom = data[i01 + c] * (1 - fx) + data[i11 + c] * fx;
+      output[i * channels + c] = Math.round(top * (1 - fy) + bottom * fy);
+    }
+  }
+  return output;
+}
+
+/**
+ * Undistort an encoded frame
+ * @param {Buffer} image - Encoded frame
+ * @param {Object} intrinsics - Camera intrinsics with image_size
+ * @param {Map} mapCache - Optional cache of undistort maps keyed by size
+ * @returns {Promise<Buffer>} JPEG at the same size
+ */
+async function undistortImage(image, intrinsics, { mapCache = null, quality = 80 } = {}) {
+  const { data, info } = await sharp(image).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const key = `${info.width}x${info.height}`;
+
+  let map = mapCache && mapCache.get(key);
+  if (!map) {
+    map = buildUndistortMap(intrinsics, info.width, info.height);
+    if (mapCache) mapCache.set(key, map);
+  }
+
+  return sharp(remapPixels(data, info.width, info.height, info.channels, map), {
+    raw: { width: info.width, height: info.height, channels: info.channels }
+  }).jpeg({ quality }).toBuffer();
+}
+
+/**
+ * Estimate intrinsics and radial distortion from checkerboard views (Zhang)
+ * Corner detection happens elsewhere; each view lists the board's inner
+ * corners in pixels, row by row.
+ * @param {Array} views - [[[u, v], ...], ...] with rows * cols corners per view, at least 2 views
+ * @param {Object} board - { rows, cols, square_size } inner corner grid and square size in metres
+ * @param {Object} imageSize - { width, height } the views were captured at
+ * @returns {Object} { intrinsics, reprojection_error } error is RMS in pixels
+ */
+function calibrateCheckerboard(views, board, imageSize) {
+  const { rows, cols, square_size: squareSize = 1 } = board;
+  if (!views || views.length < 2) {
+    throw new Error('Checkerboard calibration needs at least 2 views');
+  }
+  for (const view of views) {
+    if (view.length !== rows * cols) {
+      throw new Error(`Each view needs ${rows * cols} corners (${rows}x${cols}), got ${view.length}`);
+    }
+  }
+
+  const boardPoints = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) boardPoints.push([c * squareSize, r * squareSize]);
+  }
+
+  // Closed-form pinhole estimate (distortion ignored), then Levenberg-Marquardt
+  // over intrinsics, k1, k2 and every view's pose
+  const homographies = views.map(view => solveHomography(boardPoints, view));
+  const initial = intrinsicsFromHomographies(homographies, imageSize);
+  const poses = homographies.map(H => poseFromHomography(H, initial));
+
+  const params = [initial.fx, initial.fy, initial.cx, initial.cy, 0, 0, ...poses.flat()];
+  const residuals = values => {
+    const [fx, fy, cx, cy, k1, k2] = values;
+    const camera = { fx, fy, cx, cy, k1, k2 };
+    const errors = [];
+    views.forEach((view, v) => {
+      const pose = poseToExtrinsics(values.slice(6 + v * 6, 12 + v * 6));
+      view.forEach(([u, vv], i) => {
+        const projected = projectBoardPoint(camera, pose, boardPoints[i]);
+        errors.push(projected.x - u, projected.y - vv);
+      });
+    });
+    return errors;
+  };
+
+  const refined = levenbergMarquardt(residuals, params);
+  const [fx, fy, cx, cy, k1, k2] = refined;
+  const errors = residuals(refined);
+  const reprojectionError = Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / (errors.length / 2));
+
+  return {
+    intrinsics: { fx, fy, cx, cy, k1, k2, k3: 0, p1: 0, p2: 0, image_size: { ...imageSize } },
+    reprojection_error: reprojectionError
+  };
+}
+
+/**
+ * Minimize the sum of squared residuals with a forward-difference Jacobian
+ */
+function levenbergMarquardt(residuals, initial, { iterations = 100 } = {}) {
+  let params = [...initial];
+  let errors = residuals(params);
+  let cost = errors.reduce((sum, e) => sum + e * e, 0);
+  let damping = 1e-3;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const jacobian = params.map((value, j) => {
+      const step = 1e-6 * Math.max(1, Math.abs(value));
+      const shifted = [...params];
+      shifted[j] += step;
+      return residuals(shifted).map((e, i) => (e - errors[i]) / step);
+    });
+    
+    const n = params.length;
+    const JtJ = Array.from({ length: n }, (_, a) =>
+      Array.from({ length: n }, (_, b) => jacobian[a].reduce((sum, value, i) => sum + value * jacobian[b][i], 0))
+    );
+    const Jte = jacobian.map(column => column.reduce((sum, value, i) => sum + value * errors[i], 0));
+    
+    let improved = false;
+    while (damping < 1e10) {
+      const damped = JtJ.map((row, a) => row.map((value, b) => (a === b ? value * (1 + damping) + 1e-12 : value)));
+      let delta;
+      try {
+        delta = solveLinear(damped, Jte.map(value => -value));
+      } catch (error) {
+        damping *= 10;
+        continue;
+      }
+      
+      const candidate = params.map((value, j) => value + delta[j]);
+      const candidateErrors = residuals(candidate);
+      const candidateCost = candidateErrors.reduce((sum, e) => sum + e * e, 0);
+      if (candidateCost < cost) {
+        const converged = cost - candidateCost < 1e-12 * Math.max(1, cost);
+        params = candidate;
+        errors = candidateErrors;
+        cost = candidateCost;
+        damping = Math.max(damping / 10, 1e-12);
+        improved = !converged;
+        break;
+      }
+      damping *= 10;
+    }
+    
+    if (!improved) break;
+  }
+
+  return params;
+}
+
+function intrinsicsFromHomographies(homographies, imageSize) {
+  // v_ij from columns i, j of H, constraints on B = K^-T K^-1
+  const vij = (H, i, j) => [
+    H[0][i] * H[0][j],
+    H[0][i] * H[1][j] + H[1][i] * H[0][j],
+    H[1][i] * H[1][j],
+    H[2][i] * H[0][j] + H[0][i] * H[2][j],
+    H[2][i] * H[1][j] + H[1][i] * H[2][j],
+    H[2][i] * H[2][j]
+  ];
+
+  const rows = [];
+  for (const H of homographies) {
+    const v12 = vij(H, 0, 1);
+    const v11 = vij(H, 0, 0);
+    const v22 = vij(H, 1, 1);
+    rows.push(v12, v11.map((value, k) => value - v22[k]));
+  }
+  // Zero skew, weighted to match the homography rows
+  const weight = Math.max(...rows.flat().map(Math.abs));
+  rows.push([0, weight, 0, 0, 0, 0]);
+
+  const VtV = Array.from({ length: 6 }, (_, i) =>
+    Array.from({ length: 6 }, (_, j) => rows.reduce((sum, row) => sum + row[i] * row[j], 0))
+  );
+  let [B11, B12, B22, B13, B23, B33] = smallestEigenvector(VtV);
+  if (B11 < 0) [B11, B12, B22, B13, B23, B33] = [-B11, -B12, -B22, -B13, -B23, -B33];
+
+  const denominator = B11 * B22 - B12 * B12;
+  const cy = (B12 * B13 - B11 * B23) / denominator;
+  const lambda = B33 - (B13 * B13 + cy * (B12 * B13 - B11 * B23)) / B11;
+  const fx = Math.sqrt(lambda / B11);
+  const fy = Math.sqrt(lambda * B11 / denominator);
+  const cx = -B13 * fx * fx / lambda;
+
+  if (![fx, fy, cx, cy].every(Number.isFinite)) {
+    throw new Error('Checkerboard views do not constrain the intrinsics; vary the board angle between views');
+  }
+
+  return { fx, fy, cx, cy, image_size: { ...imageSize } };
+}
+
+/**
+ * Board pose [rx, ry, rz, tx, ty, tz] (rotation vector) from a view homography
+ */
+function poseFromHomography(H, { fx, fy, cx, cy }) {
+  const Kinv = invert3x3([[fx, 0, cx], [0, fy, cy], [0, 0, 1]]);
+  const column = i => [0, 1, 2].map(r => Kinv[r][0] * H[0][i] + Kinv[r][1] * H[1][i] + Kinv[r][2] * H[2][i]);
+  const h1 = column(0);
+  const h2 = column(1);
+  const h3 = column(2);
+  // Board in front of the camera: positive z translation
+  const scale = Math.sign(h3[2] || 1) / Math.hypot(...h1);
+
+  const r1 = h1.map(value => value * scale);
+  const r2 = h2.map(value => value * scale);
+  const r3 = [r1[1] * r2[2] - r1[2] * r2[1], r1[2] * r2[0] - r1[0] * r2[2], r1[0] * r2[1] - r1[1] * r2[0]];
+  const R = [0, 1, 2].map(i => [r1[i], r2[i], r3[i]]);
+
+  const angle = Math.acos(Math.max(-1, Math.min(1, (R[0][0] + R[1][1] + R[2][2] - 1) / 2)));
+  const axis = [R[2][1] - R[1][2], R[0][2] - R[2][0], R[1][0] - R[0][1]];
+  const factor = angle < 1e-9 ? 0.5 : angle / (2 * Math.sin(angle));
+  return [...axis.map(value => value * factor), ...h3.map(value => value * scale)];
+}
+
+/**
+ * Rotation columns and translation from a [rx, ry, rz, tx, ty, tz] pose (Rodrigues)
+ */
+function poseToExtrinsics([rx, ry, rz, tx, ty, tz]) {
+  const angle = Math.hypot(rx, ry, rz);
+  const [kx, ky, kz] = angle < 1e-12 ? [0, 0, 0] : [rx / angle, ry / angle, rz / angle];
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const v = 1 - c;
+
+  return {
+    r1: [c + kx * kx * v, ky * kx * v + kz * s, kz * kx * v - ky * s],
+    r2: [kx * ky * v - kz * s, c + ky * ky * v, kz * ky * v + kx * s],
+    t: [tx, ty, tz]
+  };
+}
+
+function projectBoardPoint(intrinsics, { r1, r2, t }, [X, Y]) {
+  const camera = [0, 1, 2].map(i => r1[i] * X + r2[i] * Y + t[i]);
+  const d = distortNormalized(intrinsics, camera[0] / camera[2], camera[1] / camera[2]);
+  return { x: intrinsics.fx * d.x + intrinsics.cx, y: intrinsics.fy * d.y + intrinsics.cy };
+}
+
+/**
+ * Turn a camera's calibration config into the matrices used per frame
+ * @param {Object} config - Camera 'calibration' section:
+ *   { intrinsics?, checkerboard?: { views, rows, cols, square_size, image_size },
+ *     floor?: { image_points, world_points, image_size } }
+ * @param {Object} defaultSize - Image size to assume when a section has none
+ * @returns {Object} { intrinsics, reprojectionError, floor: { homography, inverse, imageSize } }
+ */
+function prepareCalibration(config, defaultSize) {
+  let intrinsics = config.intrinsics ? { image_size: { ...defaultSize }, ...config.intrinsics } : null;
+  let reprojectionError = config.reprojection_error ?? null;
+
+  if (!intrinsics && config.checkerboard) {
+    const { views, image_size: imageSize = defaultSize, ...board } = config.checkerboard;
+    const result = calibrateCheckerboard(views, board, imageSize);
+    intrinsics = result.intrinsics;
+    reprojectionError = result.reprojection_error;
+  }
+
+  let floor = null;
+  if (config.floor) {
+    const { image_points: imagePoints, world_points: worldPoints, image_size: imageSize = defaultSize } = config.floor;
+    const homography = solveHomography(imagePoints, worldPoints);
+    floor = { homography, inverse: invert3x3(homography), imageSize: { ...imageSize } };
+  }
+
+  return { intrinsics, reprojectionError, floor };
+}
+
+module.exports = {
+  solveHomography,
+  applyHomography,
+  rescaleHomography,
+  invert3x3,
+  scaleIntrinsics,
+  distortPoint,
+  undistortPoint,
+  buildUndistortMap,
+  undistortImage,
+  calibrateCheckerboard,
+  prepareCalibration
+};
@@ -0,0 +1,144 @@
+/**
+ * Capture profile helpers: how an RTSP camera is pulled through FFmpeg
+ *
+ * A profile picks the main or sub-stream URL, optional hardware decoding,
+ * keyframe-only sampling, the low-res analysis output piped back as MJPEG and
+ * an optional high-res recording output written as segments by the same
+ * FFmpeg process. Camera profiles override global ones, which override the
+ * built-ins below.
+ */
+
+const path = require('path');
+
+const BUILTIN_PROFILES = {
+  // Main stream, every frame scaled to the camera resolution and fps
+  standard: {},
+  // The camera's low-res second stream (sub_url), cheap to decode
+  substream: { stream: 'sub' },
+  // Decode only keyframes (typically one per GOP, 1-2 per second)
+  keyframes: { keyframes_only: true },
+  // Small analysis frames plus the untouched main stream saved to disk
+  record: {
+    analysis: { width: 640, height: 360, fps: 5 },
+    recording: { mode: 'copy' }
+  }
+};
+
+const DEFAULT_PROFILE = 'standard';
+
+/**
+ * Merge a named profile for a camera
+ * @param {Object} camera - Camera record (capture_profile, capture_profiles, sub_url)
+ * @param {Object} config - capture configuration section
+ * @param {string} name - Profile name; defaults to the camera's or the global default
+ * @returns {Object} { name, stream, transport, hwaccel, hwaccelDevice, keyframesOnly, analysis, recording }
+ */
+function resolveCaptureProfile(camera, config = {}, name = null) {
+  const profileName = name || camera.capture_profile || config.default_profile || DEFAULT_PROFILE;
+  const profile = (camera.capture_profiles && camera.capture_profiles[profileName]) ||
+    (config.profiles && config.profiles[profileName]) ||
+    BUILTIN_PROFILES[profileName];
+
+  if (!profile) {
+    throw new Error(`Unknown capture profile "${profileName}"`);
+  }
+
+  const stream = profile.stream || 'main';
+  if (stream !== 'main' && stream !== 'sub') {
+    throw new Error(`Capture profile "${profileName}" has invalid stream "${stream}"`);
+  }
+  if (stream === 'sub' && !camera.sub_url) {
+    throw new Error(`Capture profile "${profileName}" needs a sub_url on camera ${camera.id}`);
+  }
+
+  const recording = profile.recording && profile.recording.enabled !== false
+    ? {
+      mode: profile.recording.mode || 'copy',
+      segmentTime: profile.recording.segment_time || 300,
+      format: profile.recording.format || 'mp4',
+      codec: profile.recording.codec || 'libx264',
+      bitrate: profile.recording.bitrate || null,
+      preset: profile.recording.preset || 'veryfast'
+    }
+    : null;
+  if (recording && recording.mode !== 'copy' && recording.mode !== 'encode') {
+    throw new Error(`Capture profile "${profileName}" has invalid recording mode "${recording.mode}"`);
+  }
+
+  const analysis = profile.analysis || {};
+  return {
+    name: profileName,
+    stream,
+    transport: profile.transport || 'tcp',
+    hwaccel: profile.hwaccel || null,
+    hwaccelDevice: profile.hwaccel_device || null,
+    keyframesOnly: Boolean(profile.keyframes_only),
+    analysis: {
+      fps: analysis.fps || null,
+      width: analysis.width || null,
+      height: analysis.height || null,
+      quality: analysis.quality || 5
+    },
+    recording
+  };
+}
+
+/**
+ * Options for FrameCaptureService.startCapture from a resolved profile
+ * @param {Object} camera - Camera record
+ * @param {Object} profile - resolveCaptureProfile result
+ * @param {Object} options - { recordingPath } base directory for recordings
+ * @returns {Object} { url, ffmpegOptions, recordingDir } where url is the
+ *   unauthenticated stream URL
+ */
+function buildCaptureOptions(camera, profile, options = {}) {
+  const width = profile.analysis.width || camera.resolution.width;
+  const height = profile.analysis.height || camera.resolution.height;
+
+  // Keyframe sampling runs at whatever rate keyframes arrive unless capped
+  const fps = profile.analysis.fps || (profile.keyframesOnly ? null : camera.fps || 30);
+
+  const recordingDir = profile.recording
+    ? path.join(options.recordingPath || './data/recordings', camera.id)
+    : null;
+
+  return {
+    url: profile.stream === 'sub' ? camera.sub_url : camera.url,
+    recordingDir,
+    ffmpegOptions: {
+      fps,
+      resolution: `${width}x${height}`,
+      quality: profile.analysis.quality,
+      filters: camera.ffmpeg_filters || null,
+      transport: profile.transport,
+      hwaccel: profile.hwaccel,
+      hwaccelDevice: profile.hwaccelDevice,
+      keyframesOnly: profile.keyframesOnly,
+      recording: profile.recording
+        ? {
+          ...profile.recording,
+          path: path.join(recordingDir, `%Y%m%d-%H%M%S.${profile.recording.format}`)
+        }
+        : null
+    }
+  };
+}
+
+/**
+ * Names of the profiles a camera can use
+ */
+function listCaptureProfiles(camera, config = {}) {
+  return Array.from(new Set([
+    ...Object.keys(BUILTIN_PROFILES),
+    ...Object.keys(config.profiles || {}),
+    ...Object.keys(camera.capture_profiles || {})
+  ]));
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE,
+  resolveCaptureProfile,
+  buildCaptureOptions,
+  listCaptureProfiles
+};
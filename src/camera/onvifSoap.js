@@ -0,0 +1,92 @@
+/**
+ * ONVIF SOAP helpers shared by discovery and PTZ control
+ *
+ * Requests are SOAP 1.2 with a WS-Security UsernameToken (password digest);
+ * responses are read with tag regexes rather than a full XML parser, since
+ * camera firmware varies in namespace prefixes but not in element names.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const NAMESPACES = {
+  soap: 'http://www.w3.org/2003/05/soap-envelope',
+  addressing: 'http://schemas.xmlsoap.org/ws/2004/08/addressing',
+  discovery: 'http://schemas.xmlsoap.org/ws/2005/04/discovery',
+  device: 'http://www.onvif.org/ver10/device/wsdl',
+  media: 'http://www.onvif.org/ver10/media/wsdl',
+  ptz: 'http://www.onvif.org/ver20/ptz/wsdl',
+  schema: 'http://www.onvif.org/ver10/schema',
+  network: 'http://www.onvif.org/ver10/network/wsdl',
+  security: 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd',
+  utility: 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd'
+};
+
+/**
+ * POST a SOAP 1.2 request, with a UsernameToken when a username is given
+ * @param {string} url - Service address
+ * @param {string} body - Body element XML
+ * @param {Object} credentials - { username, password }
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<string>} Response XML
+ */
+async function soapRequest(url, body, credentials = {}, timeout = 5000) {
+  const envelope = `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<s:Envelope xmlns:s="${NAMESPACES.soap}">` +
+    `<s:Header>${credentials.username ? buildSecurityHeader(credentials) : ''}</s:Header>` +
+    `<s:Body>${body}</s:Body></s:Envelope>`;
+
+  const response = await axios.post(url, envelope, {
+    timeout,
+    headers: { 'Content-Type': 'application/soap+xml; charset=utf-8' },
+    responseType: 'text',
+    validateStatus: () => true
+  });
+
+  const xml = String(response.data);
+  if (response.status !== 200 || /<(?:\w+:)?Fault>/.test(xml)) {
+    const reason = getXmlValue(xml, 'Text') || `HTTP ${response.status}`;
+    throw new Error(`ONVIF request failed: ${reason}`);
+  }
+
+  return xml;
+}
+
+function buildSecurityHeader({ username, password = '' }) {
+  const nonce = crypto.randomBytes(16);
+  const created = new Date().toISOString();
+  const digest = crypto.createHash('sha1')
+    .update(Buffer.concat([nonce, Buffer.from(created), Buffer.from(password)]))
+    .digest('base64');
+
+  return `<Security s:mustUnderstand="1" xmlns="${NAMESPACES.security}"><UsernameToken>` +
+    `<Username>${escapeXml(username)}</Username>` +
+    `<Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">${digest}</Password>` +
+    `<Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">${nonce.toString('base64')}</Nonce>` +
+    `<Created xmlns="${NAMESPACES.utility}">${created}</Created>` +
+    `</UsernameToken></Security>`;
+}
+
+/**
+ * Text content of the first element with this local name, any prefix
+ */
+function getXmlValue(xml, tag) {
+  const match = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`).exec(xml);
+  return match ? match[1].trim() : null;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  NAMESPACES,
+  soapRequest,
+  buildSecurityHeader,
+  getXmlValue,
+  escapeXml
+};
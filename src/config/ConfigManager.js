@@ -14,6 +14,45 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+// Low-light enhancement profile, shared by the global and per-camera lists
+const enhancementProfileSchema = Joi.object({
+  name: Joi.string().invalid('day').required(),
+  max_brightness: Joi.number().greater(0).max(255).required(),
+  denoise: Joi.number().integer().min(3),
+  clahe: Joi.object({
+    width: Joi.number().integer().positive(),
+    height: Joi.number().integer().positive(),
+    max_slope: Joi.number().min(0)
+  }),
+  normalise: Joi.boolean(),
+  gamma: Joi.number().positive(),
+  gain: Joi.number().positive()
+});
+
+// Named FFmpeg capture profile, shared by the global and per-camera maps
+const captureProfileSchema = Joi.object({
+  stream: Joi.string().valid('main', 'sub').default('main'),
+  transport: Joi.string().valid('tcp', 'udp').default('tcp'),
+  hwaccel: Joi.string(),
+  hwaccel_device: Joi.string(),
+  keyframes_only: Joi.boolean().default(false),
+  analysis: Joi.object({
+    fps: Joi.number().positive().max(60),
+    width: Joi.number().integer().positive(),
+    height: Joi.number().integer().positive(),
+    quality: Joi.number().integer().min(2).max(31)
+  }),
+  recording: Joi.object({
+    enabled: Joi.boolean().default(true),
+    mode: Joi.string().valid('copy', 'encode').default('copy'),
+    segment_time: Joi.number().integer().positive().default(300),
+    format: Joi.string().valid('mp4', 'mkv').default('mp4'),
+    codec: Joi.string(),
+    bitrate: Joi.string(),
+    preset: Joi.string()
+  })
+});
+
 // Configuration schema for validation
 const configSchema = Joi.object({
   server: Joi.object({
@@ -25,26 +64,242 @@ const configSchema = Joi.object({
   cameras: Joi.array().items(Joi.object({
     id: Joi.string().required(),
     name: Joi.string().required(),
-    protocol: Joi.string().valid('rtsp', 'http', 'mjpeg').required(),
-    url: Joi.string().uri().required(),
+    protocol: Joi.string().valid('rtsp', 'http', 'mjpeg', 'simulated').required(),
+    url: Joi.when('protocol', {
+      is: 'simulated',
+      then: Joi.string().allow(''),
+      otherwise: Joi.string().uri().required()
+    }),
+    sub_url: Joi.string().uri(),
     username: Joi.string().allow(''),
     password: Joi.string().allow(''),
+    capture_profile: Joi.string(),
+    capture_profiles: Joi.object().pattern(Joi.string(), captureProfileSchema),
     resolution: Joi.object({
       width: Joi.number().positive(),
       height: Joi.number().positive()
     }),
-    fps: Joi.number().positive().max(60)
+    fps: Joi.number().positive().max(60),
+    ffmpeg_filters: Joi.string(),
+    enhancement: Joi.object({
+      mode: Joi.string().default('auto'),
+      profiles: Joi.array().items(enhancementProfileSchema)
+    }),
+    tamper: Joi.object({
+      enabled: Joi.boolean().default(true),
+      checks: Joi.array().items(Joi.string().valid('covered', 'shifted', 'defocused', 'frozen'))
+    }),
+    simulation: Joi.object({
+      source: Joi.string(),
+      fps: Joi.number().positive().max(60),
+      loop: Joi.boolean().default(true),
+      background: Joi.string(),
+      robots: Joi.array().items(Joi.object({
+        id: Joi.string().required(),
+        color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/),
+        size: Joi.number().positive(),
+        x: Joi.number(),
+        y: Joi.number(),
+        vx: Joi.number(),
+        vy: Joi.number()
+      })),
+      scenario: Joi.array().items(Joi.object({
+        at: Joi.number().min(0).required(),
+        action: Joi.string().valid('stop_robot', 'move_robot', 'freeze', 'drop').required(),
+        robot_id: Joi.string(),
+        vx: Joi.number(),
+        vy: Joi.number(),
+        duration: Joi.number().positive()
+      }))
+    }),
+    ptz: Joi.object({
+      type: Joi.string().valid('onvif', 'cgi').default('onvif'),
+      xaddr: Joi.string().uri(),
+      profile_token: Joi.string(),
+      vendor: Joi.string().valid('axis'),
+      base_url: Joi.string().uri(),
+      commands: Joi.object().pattern(
+        Joi.string().valid('move', 'zoom', 'stop', 'goto_preset', 'save_preset'),
+        Joi.string()
+      )
+    }),
+    calibration: Joi.object({
+      intrinsics: Joi.object({
+        image_size: Joi.object({
+          width: Joi.number().positive().required(),
+          height: Joi.number().positive().required()
+        }),
+        fx: Joi.number().positive().required(),
+        fy: Joi.number().positive().required(),
+        cx: Joi.number().required(),
+        cy: Joi.number().required(),
+        k1: Joi.number().default(0),
+        k2: Joi.number().default(0),
+        k3: Joi.number().default(0),
+        p1: Joi.number().default(0),
+        p2: Joi.number().default(0)
+      }),
+      reprojection_error: Joi.number().min(0),
+      checkerboard: Joi.object({
+        rows: Joi.number().integer().min(2).required(),
+        cols: Joi.number().integer().min(2).required(),
+        square_size: Joi.number().positive().required(),
+        image_size: Joi.object({
+          width: Joi.number().positive().required(),
+          height: Joi.number().positive().required()
+        }),
+        views: Joi.array().items(Joi.array().items(Joi.array().items(Joi.number()).length(2))).min(2).required()
+      }),
+      floor: Joi.object({
+        image_points: Joi.array().items(Joi.array().items(Joi.number()).length(2)).min(4).required(),
+        world_points: Joi.array().items(Joi.array().items(Joi.number()).length(2)).min(4).required(),
+        image_size: Joi.object({
+          width: Joi.number().positive().required(),
+          height: Joi.number().positive().required()
+        })
+      })
+    })
   })),
   
+  capture: Joi.object({
+    default_profile: Joi.string().default('standard'),
+    recording_path: Joi.string().default('./data/recordings'),
+    profiles: Joi.object().pattern(Joi.string(), captureProfileSchema)
+  }),
+
+  camera_health: Joi.object({
+    enabled: Joi.boolean().default(true),
+    check_interval: Joi.number().positive().default(2000),
+    stall_timeout: Joi.number().positive().default(10000),
+    initial_backoff: Joi.number().positive().default(1000),
+    max_backoff: Joi.number().positive().default(60000),
+    backoff_multiplier: Joi.number().min(1).default(2),
+    jitter: Joi.number().min(0).max(1).default(0.3),
+    history_size: Joi.number().integer().positive().default(100)
+  }),
+
+  motion: Joi.object({
+    gate_analysis: Joi.boolean().default(true),
+    sample_width: Joi.number().integer().positive().default(64),
+    sample_height: Joi.number().integer().positive().default(48),
+    pixel_threshold: Joi.number().min(0).max(255).default(25),
+    motion_threshold: Joi.number().min(0).max(1).default(0.01),
+    duplicate_threshold: Joi.number().min(0).default(0.5),
+    max_static_interval: Joi.number().positive().default(30000)
+  }),
+
+  enhancement: Joi.object({
+    enabled: Joi.boolean().default(true),
+    sample_width: Joi.number().integer().positive().default(64),
+    sample_height: Joi.number().integer().positive().default(48),
+    hysteresis: Joi.number().min(0).default(8),
+    min_dwell: Joi.number().min(0).default(30000),
+    quality: Joi.number().integer().min(1).max(100).default(80),
+    profiles: Joi.array().items(enhancementProfileSchema)
+  }),
+
+  tamper: Joi.object({
+    enabled: Joi.boolean().default(true),
+    check_interval: Joi.number().min(0).default(5000),
+    confirm_checks: Joi.number().integer().positive().default(3),
+    sample_width: Joi.number().integer().min(16).default(160),
+    sample_height: Joi.number().integer().min(16).default(120),
+    reference_path: Joi.string().allow('').default('./data/tamper'),
+    covered_stddev: Joi.number().min(0).default(12),
+    covered_ratio: Joi.number().min(0).max(1).default(0.3),
+    shift_correlation: Joi.number().min(-1).max(1).default(0.5),
+    max_shift: Joi.number().integer().min(0).default(16),
+    blur_ratio: Joi.number().min(0).max(1).default(0.35),
+    frozen_difference: Joi.number().min(0).default(0.3),
+    frozen_timeout: Joi.number().min(0).default(30000)
+  }),
+
+  ptz: Joi.object({
+    request_timeout: Joi.number().positive().default(5000),
+    move_duration: Joi.number().integer().positive().default(500),
+    max_duration: Joi.number().integer().positive().default(10000)
+  }),
+
+  patrol: Joi.object({
+    enabled: Joi.boolean().default(false),
+    settle_time: Joi.number().min(0).default(2000),
+    resume_delay: Joi.number().min(0).default(60000),
+    tours: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      camera_id: Joi.string().required(),
+      enabled: Joi.boolean().default(true),
+      loop: Joi.boolean().default(true),
+      active_hours: Joi.object({
+        start: Joi.string().pattern(/^\d{2}:\d{2}$/).required(),
+        end: Joi.string().pattern(/^\d{2}:\d{2}$/).required()
+      }),
+      steps: Joi.array().items(Joi.object({
+        preset: Joi.string().required(),
+        dwell: Joi.number().positive().required(),
+        zones: Joi.array().items(Joi.string()).default([])
+      })).min(1).required()
+    })).default([])
+  }),
+
+  pen_map: Joi.object({
+    enabled: Joi.boolean().default(false),
+    bounds: Joi.object({
+      x: Joi.number().default(0),
+      y: Joi.number().default(0),
+      width: Joi.number().positive().required(),
+      height: Joi.number().positive().required()
+    }),
+    pixels_per_metre: Joi.number().positive().max(1000).default(100),
+    cameras: Joi.array().items(Joi.string()),
+    render_interval: Joi.number().integer().min(50).default(500),
+    track_length: Joi.number().integer().positive().default(60),
+    track_timeout: Joi.number().positive().default(30000),
+    quality: Joi.number().integer().min(1).max(100).default(80),
+    background: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).default('#1f2937')
+  }),
+
+  discovery: Joi.object({
+    enabled: Joi.boolean().default(false),
+    probe_timeout: Joi.number().positive().default(3000),
+    request_timeout: Joi.number().positive().default(5000),
+    rtsp_port: Joi.number().port().default(554),
+    default_paths: Joi.array().items(Joi.string()).default(['/stream1', '/1', '/live']),
+    default_credentials: Joi.object({
+      username: Joi.string().allow(''),
+      password: Joi.string().allow('')
+    })
+  }),
+
   api: Joi.object({
     base_url: Joi.string().uri().default('http://localhost:8080'),
     api_path: Joi.string().default('/v1/chat/completions'),
+    backend: Joi.string().valid('openai', 'llamacpp', 'ollama', 'http'),
     model: Joi.string().default('smolvlm-instruct'),
     max_tokens: Joi.number().positive().default(150),
     temperature: Joi.number().min(0).max(2).default(0.7),
     timeout: Joi.number().positive().default(30000),
     max_retries: Joi.number().positive().default(3),
-    cache_timeout: Joi.number().positive().default(5000)
+    cache_timeout: Joi.number().positive().default(5000),
+    output_mode: Joi.string().valid('text', 'json').default('text'),
+    structured_retries: Joi.number().integer().min(0).default(2),
+    structured_max_tokens: Joi.number().positive().default(400),
+    roi_min_size: Joi.number().integer().positive().default(384),
+    roi_padding: Joi.number().min(0).default(16),
+    tiling: Joi.boolean().default(false),
+    tile_rows: Joi.number().integer().min(1).default(2),
+    tile_cols: Joi.number().integer().min(1).default(2),
+    tile_overlap: Joi.number().min(0).max(0.5).default(0.15),
+    tile_merge_overlap: Joi.number().min(0).max(1).default(0.5),
+    roi_regions: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      name: Joi.string(),
+      zone_id: Joi.string(),
+      camera_id: Joi.string(),
+      x: Joi.number().min(0).required(),
+      y: Joi.number().min(0).required(),
+      width: Joi.number().positive().required(),
+      height: Joi.number().positive().required()
+    })).default([])
   }),
   
   detection: Joi.object({
@@ -63,9 +318,16 @@ const configSchema = Joi.object({
       collision_detected: Joi.number().positive().default(2),
       task_completed: Joi.number().positive().default(1),
       zone_violation: Joi.number().positive().default(2),
+      zone_entry: Joi.number().positive().default(1),
+      zone_exit: Joi.number().positive().default(1),
+      zone_dwell: Joi.number().positive().default(1),
       performance_anomaly: Joi.number().positive().default(4),
       safety_concern: Joi.number().positive().default(1)
     }),
+    stuck_movement_threshold: Joi.object({
+      pixels: Joi.number().positive().default(5),
+      metres: Joi.number().positive().default(0.02)
+    }),
     zones: Joi.array().items(Joi.object({
       id: Joi.string().required(),
       name: Joi.string().required(),
@@ -88,8 +350,33 @@ const configSchema = Joi.object({
         }))
       ),
       color: Joi.string().default('#00ff00'),
-      priority: Joi.string().valid('low', 'medium', 'high').default('medium')
-    }))
+      priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
+      camera_id: Joi.string(),
+      rule: Joi.object({
+        type: Joi.string().valid('none', 'restricted', 'required', 'speed_limited').default('none'),
+        robots: Joi.array().items(Joi.string()),
+        max_dwell: Joi.number().positive(),
+        max_speed: Joi.number().positive().when('type', { is: 'speed_limited', then: Joi.required() }),
+        grace_period: Joi.number().min(0).default(0)
+      })
+    })),
+    tracking: Joi.object({
+      enabled: Joi.boolean().default(true),
+      mode: Joi.string().valid('blob', 'markers').default('blob'),
+      analysis_width: Joi.number().integer().positive().default(160),
+      diff_threshold: Joi.number().positive().default(30),
+      min_blob_area: Joi.number().integer().positive().default(12),
+      background_learning_rate: Joi.number().min(0).max(1).default(0.05),
+      foreground_learning_rate: Joi.number().min(0).max(1).default(0.002),
+      max_match_distance: Joi.number().positive().default(80),
+      max_missed_frames: Joi.number().integer().min(0).default(10),
+      state_update_interval: Joi.number().positive().default(5000),
+      markers: Joi.array().items(Joi.object({
+        robot_id: Joi.string().required(),
+        color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).required(),
+        tolerance: Joi.number().positive().default(40)
+      }))
+    })
   }),
   
   alerts: Joi.object({
@@ -180,8 +467,18 @@ const configSchema = Joi.object({
     screenshots: Joi.object({
       enabled: Joi.boolean().default(true),
       path: Joi.string().default('./data/screenshots'),
+      base_url: Joi.string().allow('').default(''),
+      quality: Joi.number().integer().min(1).max(100).default(85),
       retention_days: Joi.number().positive().default(30)
     }),
+    clips: Joi.object({
+      enabled: Joi.boolean().default(true),
+      path: Joi.string().default('./data/clips'),
+      format: Joi.string().valid('mp4', 'mjpeg').default('mp4'),
+      pre_roll_seconds: Joi.number().min(0).default(10),
+      post_roll_seconds: Joi.number().min(0).default(5),
+      fps: Joi.number().positive().max(60).default(15)
+    }),
     events: Joi.object({
       retention_days: Joi.number().positive().default(90),
       max_events: Joi.number().positive().default(100000)
@@ -376,7 +673,11 @@ class ConfigManager extends EventEmitter {
             coordinates: { x: 100, y: 100, width: 800, height: 600 },
             color: '#00ff00'
           }
-        ]
+        ],
+        tracking: {
+          enabled: true,
+          mode: 'blob'
+        }
       },
       alerts: {
         rules: [
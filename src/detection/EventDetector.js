@@ -5,6 +5,8 @@
 const EventEmitter = require('events');
 const winston = require('winston');
 const { v4: uuidv4 } = require('uuid');
+const RobotTracker = require('./RobotTracker');
+const { applyHomography } = require('../camera/calibration');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -19,11 +21,17 @@ const EVENT_TYPES = {
   COLLISION_DETECTED: 'collision_detected',
   TASK_COMPLETED: 'task_completed',
   ZONE_VIOLATION: 'zone_violation',
+  ZONE_ENTRY: 'zone_entry',
+  ZONE_EXIT: 'zone_exit',
+  ZONE_DWELL: 'zone_dwell',
   PERFORMANCE_ANOMALY: 'performance_anomaly',
   SAFETY_CONCERN: 'safety_concern',
   HUMAN_IN_AREA: 'human_in_area',
   HIGH_ACTIVITY: 'high_activity',
-  LOW_ACTIVITY: 'low_activity'
+  LOW_ACTIVITY: 'low_activity',
+  CAMERA_OFFLINE: 'camera_offline',
+  CAMERA_RECOVERED: 'camera_recovered',
+  CAMERA_TAMPERED: 'camera_tampered'
 };
 
 // Event priorities
@@ -59,6 +67,9 @@ class EventDetector extends EventEmitter {
       collision_detected: 2,
       task_completed: 1,
       zone_violation: 2,
+      zone_entry: 1,
+      zone_exit: 1,
+      zone_dwell: 1,
       performance_anomaly: 4,
       safety_concern: 1,
       human_in_area: 1,
@@ -77,10 +88,27 @@ class EventDetector extends EventEmitter {
     
     // Zone definitions
     this.zones = config.zones || [];
+    this.zoneOccupancy = new Map(); // cameraId -> Map of robotId -> zone occupancy
+    this.textZoneViolations = new Map(); // `${cameraId}-${zoneId}` -> frames broken (no position source)
+    this.visibleZones = new Map(); // cameraId -> Set of zone ids in view (PTZ cameras on patrol)
+    
+    // Position source for stuck/zone checks: any object with
+    // getPositions(frameData) -> Promise<Map of robotId -> {x, y}>
+    this.positionSource = config.tracking && config.tracking.enabled
+      ? new RobotTracker(config.tracking)
+      : null;
+    this.stateUpdateInterval = (config.tracking && config.tracking.state_update_interval) || 5000;
+    
+    // Largest movement over the position window that still counts as standing
+    // still: pixels, or metres for frames from a floor-calibrated camera
+    this.stuckMovementThreshold = { pixels: 5, metres: 0.02, ...(config.stuck_movement_threshold || {}) };
     
     // Performance baselines
     this.performanceBaselines = new Map();
     
+    // Injected services (database for robot_states)
+    this.services = {};
+    
     // Statistics
     this.stats = {
       eventsDetected: 0,
@@ -92,6 +120,22 @@ class EventDetector extends EventEmitter {
     logger.info('Event Detector initialized');
   }
 
+  /**
+   * Inject services used by the detector
+   * @param {Object} services - e.g. { database }
+   */
+  setServices(services = {}) {
+    this.services = { ...this.services, ...services };
+  }
+
+  /**
+   * Replace the robot position source
+   * @param {Object} source - Object with getPositions(frameData) returning a Map of robotId -> {x, y}
+   */
+  setPositionSource(source) {
+    this.positionSource = source;
+  }
+
   /**
    * Process analysis from vision engine
    */
@@ -101,6 +145,9 @@ class EventDetector extends EventEmitter {
     // Extract detections from analysis
     const detections = analysis.detections || [];
     
+    // Robot positions for this frame, shared by zone and stuck checks
+    const robotPositions = await this.extractRobotPositions(frameData);
+    
     // Check activity level
     const activityEvent = this.checkActivityLevel(detections, analysis);
     if (activityEvent) {
@@ -108,7 +155,7 @@ class EventDetector extends EventEmitter {
     }
     
     for (const detection of detections) {
-      const event = await this.evaluateDetection(detection, analysis, frameData);
+      const event = await this.evaluateDetection(detection, analysis, frameData, robotPositions);
       if (event) {
         // Check for duplicate events
         if (!this.isDuplicateEvent(event)) {
@@ -118,11 +165,11 @@ class EventDetector extends EventEmitter {
     }
     
     // Check for zone violations
-    const zoneEvents = await this.checkZoneViolations(analysis, frameData);
+    const zoneEvents = await this.checkZoneViolations(analysis, frameData, robotPositions);
     events.push(...zoneEvents);
     
     // Check for stuck robots
-    const stuckEvents = await this.checkStuckRobots(frameData);
+    const stuckEvents = await this.checkStuckRobots(frameData, robotPositions);
     events.push(...stuckEvents);
     
     // Check for performance anomalies
@@ -143,7 +190,7 @@ class EventDetector extends EventEmitter {
   /**
    * Evaluate a single detection
    */
-  async evaluateDetection(detection, analysis, frameData) {
+  async evaluateDetection(detection, analysis, frameData, robotPositions = new Map()) {
     const { type, confidence, detected } = detection;
     
     if (!detected) return null;
@@ -161,6 +208,7 @@ class EventDetector extends EventEmitter {
       type: this.mapDetectionToEventType(type),
       timestamp: frameData.timestamp,
       cameraId: frameData.cameraId,
+      frameId: frameData.frameId,
       confidence: confidence,
       priority: this.determineEventPriority(type, confidence),
       description: this.generateEventDescription(type, analysis),
@@ -172,6 +220,20 @@ class EventDetector extends EventEmitter {
       status: 'pending'
     };
     
+    // Both models' verdicts when the vision engine re-checked this frame
+    if (analysis.verification) {
+      event.metadata.verification = analysis.verification;
+    }
+    
+    // Which models voted for it when the frame was an ensemble analysis
+    if (analysis.ensemble) {
+      event.metadata.ensemble = {
+        voting: analysis.ensemble.voting,
+        votes: detection.votes,
+        agreement: analysis.ensemble.agreement
+      };
+    }
+    
     // Add robot ID if identifiable
     const robotId = this.extractRobotId(analysis.content);
     if (robotId) {
@@ -179,7 +241,7 @@ class EventDetector extends EventEmitter {
     }
     
     // Add zone information
-    const zone = this.identifyZone(frameData, analysis);
+    const zone = this.identifyZone(frameData, analysis, robotPositions.get(event.robotId));
     if (zone) {
       event.zoneId = zone.id;
       event.metadata.zone = zone;
@@ -189,45 +251,218 @@ class EventDetector extends EventEmitter {
   }
 
   /**
-   * Check for zone violations
+   * Check zones against tracked robot positions
+   * Emits entry/exit/dwell events on occupancy changes and one violation per
+   * breach of a zone rule. Without a position source this falls back to
+   * matching zone names in the analysis text.
    */
-  async checkZoneViolations(analysis, frameData) {
+  async checkZoneViolations(analysis, frameData, robotPositions = new Map()) {
     const events = [];
     
-    if (this.zones.length === 0) return events;
+    const zones = this.zones.filter(zone =>
+      zone.active !== false && this.isZoneOnCamera(zone, frameData.cameraId) &&
+      this.isZoneVisible(zone, frameData.cameraId)
+    );
     
-    for (const zone of this.zones) {
-      const violation = this.detectZoneViolation(zone, analysis, frameData);
-      
-      if (violation) {
-        events.push({
-          id: uuidv4(),
-          type: EVENT_TYPES.ZONE_VIOLATION,
-          timestamp: frameData.timestamp,
-          cameraId: frameData.cameraId,
-          zoneId: zone.id,
-          confidence: violation.confidence,
-          priority: zone.priority || EVENT_PRIORITIES.MEDIUM,
-          description: `Zone violation detected in ${zone.name}`,
-          metadata: {
-            zone: zone,
+    if (zones.length === 0) return events;
+    
+    if (!this.positionSource) {
+      for (const zone of zones) {
+        const violation = this.detectZoneViolation(zone, analysis, frameData);
+        
+        if (this.isNewViolation(this.textZoneViolations, `${frameData.cameraId}-${zone.id}`, violation)) {
+          events.push(this.createZoneEvent(EVENT_TYPES.ZONE_VIOLATION, zone, frameData, null, {
             violationType: violation.type,
             robotsInZone: violation.robotsInZone
-          },
-          status: 'pending'
-        });
+          }, violation.confidence));
+        }
+      }
+      
+      return events;
+    }
+    
+    const currentTime = Date.now();
+    const occupancy = this.zoneOccupancy.get(frameData.cameraId) || new Map();
+    
+    for (const [robotId, position] of robotPositions) {
+      const robotState = occupancy.get(robotId) || {
+        zones: new Map(),      // zoneId -> { enteredAt, dwellReported }
+        outside: new Map(),    // zoneId -> time the robot left a required zone
+        violations: new Map(), // zoneId -> consecutive frames the zone rule has been broken
+        lastPosition: null,
+        lastSeen: null
+      };
+      
+      const speed = robotState.lastPosition && currentTime > robotState.lastSeen
+        ? Math.hypot(position.x - robotState.lastPosition.x, position.y - robotState.lastPosition.y) /
+          ((currentTime - robotState.lastSeen) / 1000)
+        : null;
+      
+      for (const zone of zones) {
+        const rule = this.getZoneRule(zone);
+        if (rule.robots && rule.robots.length > 0 && !rule.robots.includes(robotId)) continue;
+        
+        const inside = this.isPointInZone(position, zone);
+        let entry = robotState.zones.get(zone.id);
+        
+        if (inside && !entry) {
+          entry = { enteredAt: currentTime, dwellReported: false };
+          robotState.zones.set(zone.id, entry);
+          events.push(this.createZoneEvent(EVENT_TYPES.ZONE_ENTRY, zone, frameData, robotId, { position }));
+        } else if (!inside && entry) {
+          robotState.zones.delete(zone.id);
+          events.push(this.createZoneEvent(EVENT_TYPES.ZONE_EXIT, zone, frameData, robotId, {
+            position,
+            dwellTime: currentTime - entry.enteredAt
+          }));
+          entry = null;
+        }
+        
+        if (entry && rule.max_dwell && !entry.dwellReported &&
+            currentTime - entry.enteredAt >= rule.max_dwell * 1000) {
+          entry.dwellReported = true;
+          events.push(this.createZoneEvent(EVENT_TYPES.ZONE_DWELL, zone, frameData, robotId, {
+            position,
+            dwellTime: currentTime - entry.enteredAt,
+            maxDwell: rule.max_dwell
+          }));
+        }
+        
+        const violation = this.checkZoneRule(zone, rule, robotState, { inside, speed, currentTime });
+        if (this.isNewViolation(robotState.violations, zone.id, violation)) {
+          events.push(this.createZoneEvent(EVENT_TYPES.ZONE_VIOLATION, zone, frameData, robotId, {
+            violationType: violation.type,
+            position,
+            ...violation.details
+          }));
+        }
+      }
+      
+      robotState.lastPosition = position;
+      robotState.lastSeen = currentTime;
+      occupancy.set(robotId, robotState);
+    }
+    
+    // Robots that dropped out of tracking leave their zones
+    for (const [robotId, robotState] of occupancy) {
+      if (robotPositions.has(robotId) || currentTime - robotState.lastSeen < 30000) continue;
+      
+      for (const [zoneId, entry] of robotState.zones) {
+        const zone = this.zones.find(z => z.id === zoneId);
+        if (zone) {
+          events.push(this.createZoneEvent(EVENT_TYPES.ZONE_EXIT, zone, frameData, robotId, {
+            position: robotState.lastPosition,
+            dwellTime: robotState.lastSeen - entry.enteredAt,
+            reason: 'tracking_lost'
+          }));
+        }
       }
+      occupancy.delete(robotId);
     }
     
+    this.zoneOccupancy.set(frameData.cameraId, occupancy);
+    
     return events;
   }
 
+  /**
+   * Evaluate a zone rule for one robot
+   * - restricted: robot must not be inside
+   * - required: robot must stay inside (after grace_period seconds outside)
+   * - speed_limited: robot must not exceed max_speed inside (metres/second for
+   *   floor-calibrated cameras, pixels/second otherwise)
+   */
+  checkZoneRule(zone, rule, robotState, { inside, speed, currentTime }) {
+    switch (rule.type) {
+      case 'restricted':
+        return inside ? { type: 'restricted_entry' } : null;
+      
+      case 'required': {
+        if (inside) {
+          robotState.outside.delete(zone.id);
+          return null;
+        }
+        
+        const outsideSince = robotState.outside.get(zone.id) || currentTime;
+        robotState.outside.set(zone.id, outsideSince);
+        
+        const outsideFor = currentTime - outsideSince;
+        return outsideFor >= (rule.grace_period || 0) * 1000
+          ? { type: 'required_zone_exit', details: { outsideFor } }
+          : null;
+      }
+      
+      case 'speed_limited':
+        return inside && speed !== null && rule.max_speed && speed > rule.max_speed
+          ? { type: 'speed_limit_exceeded', details: { speed, maxSpeed: rule.max_speed } }
+          : null;
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Track how long a zone rule has been broken and whether to emit for it
+   * A breach is emitted on its first confirmation_frames frames only, so
+   * confirmEvent raises it once; it re-arms when the rule holds again.
+   * @param {Map} brokenFrames - key -> consecutive frames the rule has been broken
+   */
+  isNewViolation(brokenFrames, key, violation) {
+    if (!violation) {
+      brokenFrames.delete(key);
+      return false;
+    }
+    
+    const frames = (brokenFrames.get(key) || 0) + 1;
+    brokenFrames.set(key, frames);
+    return frames <= (this.confirmationFrames[EVENT_TYPES.ZONE_VIOLATION] || 1);
+  }
+
+  createZoneEvent(type, zone, frameData, robotId, details = {}, confidence = 0.9) {
+    const descriptions = {
+      [EVENT_TYPES.ZONE_ENTRY]: `entered ${zone.name}`,
+      [EVENT_TYPES.ZONE_EXIT]: `left ${zone.name}`,
+      [EVENT_TYPES.ZONE_DWELL]: `exceeded dwell time in ${zone.name}`,
+      [EVENT_TYPES.ZONE_VIOLATION]: `violated ${zone.name} rule`
+    };
+    
+    const event = {
+      id: uuidv4(),
+      type,
+      timestamp: frameData.timestamp,
+      cameraId: frameData.cameraId,
+      frameId: frameData.frameId,
+      zoneId: zone.id,
+      confidence,
+      priority: type === EVENT_TYPES.ZONE_ENTRY || type === EVENT_TYPES.ZONE_EXIT
+        ? EVENT_PRIORITIES.INFO
+        : zone.priority || EVENT_PRIORITIES.MEDIUM,
+      description: robotId
+        ? `Robot ${robotId} ${descriptions[type]}`
+        : `Zone violation detected in ${zone.name}`,
+      metadata: {
+        zone: zone,
+        rule: this.getZoneRule(zone).type,
+        ...details
+      },
+      status: 'pending'
+    };
+    
+    if (robotId) {
+      event.robotId = robotId;
+    }
+    
+    return event;
+  }
+
   /**
    * Check for stuck robots
    */
-  async checkStuckRobots(frameData) {
+  async checkStuckRobots(frameData, robotPositions = new Map()) {
     const events = [];
     const currentTime = Date.now();
+    const units = this.positionUnits(frameData);
     
     // Get or create state for this camera
     const cameraState = this.robotStates.get(frameData.cameraId) || {
@@ -235,15 +470,13 @@ class EventDetector extends EventEmitter {
       lastUpdate: currentTime
     };
     
-    // Update robot positions from current frame
-    // This would need more sophisticated tracking in production
-    const robotPositions = this.extractRobotPositions(frameData);
-    
     for (const [robotId, position] of robotPositions) {
       const robotState = cameraState.robots.get(robotId) || {
         positions: [],
-        lastMovement: currentTime
+        lastMovement: currentTime,
+        status: 'unknown'
       };
+      let status = 'moving';
       
       // Add current position
       robotState.positions.push({
@@ -261,15 +494,18 @@ class EventDetector extends EventEmitter {
         const movements = this.calculateMovements(robotState.positions);
         const maxMovement = Math.max(...movements);
         
-        if (maxMovement < 5) { // Less than 5 pixels movement
+        if (maxMovement < this.stuckMovementThreshold[units]) {
           const stuckDuration = currentTime - robotState.lastMovement;
+          status = 'stationary';
           
           if (stuckDuration > 15000) { // Stuck for more than 15 seconds
+            status = 'stuck';
             events.push({
               id: uuidv4(),
               type: EVENT_TYPES.ROBOT_STUCK,
               timestamp: frameData.timestamp,
               cameraId: frameData.cameraId,
+              frameId: frameData.frameId,
               robotId: robotId,
               confidence: 0.8,
               priority: EVENT_PRIORITIES.HIGH,
@@ -277,7 +513,8 @@ class EventDetector extends EventEmitter {
               metadata: {
                 stuckDuration: stuckDuration,
                 lastPosition: position,
-                movementHistory: movements
+                movementHistory: movements,
+                units
               },
               status: 'pending'
             });
@@ -288,13 +525,140 @@ class EventDetector extends EventEmitter {
       }
       
       cameraState.robots.set(robotId, robotState);
+      this.updateRobotState(frameData.cameraId, robotId, robotState, status, units);
     }
     
+    // Forget robots that have not been seen for the position window
+    for (const [robotId, robotState] of cameraState.robots) {
+      const last = robotState.positions[robotState.positions.length - 1];
+      if (!last || currentTime - last.timestamp >= 30000) {
+        cameraState.robots.delete(robotId);
+      }
+    }
+    
+    cameraState.lastUpdate = currentTime;
     this.robotStates.set(frameData.cameraId, cameraState);
     
     return events;
   }
 
+  /**
+   * Publish a tracked robot's state and persist it to robot_states
+   * Writes happen when the status changes or every stateUpdateInterval ms.
+   * Position and speed are in `units` ('metres' or 'pixels') per second.
+   */
+  updateRobotState(cameraId, robotId, robotState, status, units = 'pixels') {
+    const now = Date.now();
+    const positions = robotState.positions;
+    const current = positions[positions.length - 1];
+    const previous = positions[positions.length - 2];
+    
+    let speed = null;
+    if (previous && current.timestamp > previous.timestamp) {
+      const distance = Math.hypot(current.position.x - previous.position.x, current.position.y - previous.position.y);
+      speed = distance / ((current.timestamp - previous.timestamp) / 1000);
+    }
+    
+    const state = {
+      status,
+      position: { x: current.position.x, y: current.position.y },
+      speed,
+      lastSeen: new Date(current.timestamp),
+      metadata: {
+        cameraId,
+        units,
+        zoneId: (this.findZonesAt(current.position, cameraId)[0] || {}).id || null,
+        lastMovement: new Date(robotState.lastMovement).toISOString()
+      }
+    };
+    
+    const statusChanged = status !== robotState.status;
+    robotState.status = status;
+    
+    this.emit('robot-state', { robotId, ...state });
+    
+    const database = this.services.database;
+    if (!database || (!statusChanged && now - (robotState.lastPersisted || 0) < this.stateUpdateInterval)) {
+      return;
+    }
+    
+    robotState.lastPersisted = now;
+    Promise.resolve(database.updateRobotState(robotId, state)).catch(error => {
+      logger.warn(`Failed to update robot state for ${robotId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Turn camera supervisor outages into events
+   * The supervisor already waits out the stall timeout, so these skip
+   * multi-frame confirmation and deduplication.
+   * @param {string} type - EVENT_TYPES.CAMERA_OFFLINE or EVENT_TYPES.CAMERA_RECOVERED
+   * @param {Object} info - CameraManager 'camera-offline' / 'camera-recovered' payload
+   */
+  processCameraHealth(type, info) {
+    const offline = type === EVENT_TYPES.CAMERA_OFFLINE;
+    const description = offline
+      ? `Camera ${info.cameraId} offline: ${info.reason}`
+      : `Camera ${info.cameraId} recovered after ${Math.round(info.downtime / 1000)}s`;
+    
+    const event = {
+      id: uuidv4(),
+      type,
+      timestamp: info.timestamp || new Date().toISOString(),
+      cameraId: info.cameraId,
+      confidence: 1,
+      priority: offline ? EVENT_PRIORITIES.HIGH : EVENT_PRIORITIES.INFO,
+      description,
+      metadata: offline
+        ? { reason: info.reason, lastFrameAt: info.lastFrameAt }
+        : { downtime: info.downtime, restartAttempts: info.attempts },
+      status: 'confirmed'
+    };
+    
+    this.updateStatistics(event);
+    this.emitEvent(event);
+    
+    return event;
+  }
+
+  /**
+   * Turn a confirmed TamperDetector condition into a camera_tampered event
+   * TamperDetector already requires the condition over several checks, so
+   * this skips multi-frame confirmation and deduplication.
+   * @param {Object} info - CameraManager 'camera-tampered' payload: { cameraId, type, metrics, timestamp }
+   */
+  processCameraTamper(info) {
+    const metrics = info.metrics || {};
+    const descriptions = {
+      covered: 'lens covered or view blocked',
+      shifted: metrics.offset
+        ? `view shifted (best match ${metrics.offset.x},${metrics.offset.y} sample px away)`
+        : 'view shifted',
+      defocused: 'image out of focus',
+      frozen: `image frozen for ${Math.round((metrics.unchangedFor || 0) / 1000)}s`
+    };
+    
+    const event = {
+      id: uuidv4(),
+      type: EVENT_TYPES.CAMERA_TAMPERED,
+      timestamp: info.timestamp || new Date().toISOString(),
+      cameraId: info.cameraId,
+      confidence: 1,
+      priority: EVENT_PRIORITIES.HIGH,
+      description: `Camera ${info.cameraId} tampered: ${descriptions[info.type] || info.type}`,
+      metadata: {
+        tamperType: info.type,
+        ...metrics
+      },
+      status: 'confirmed'
+    };
+    
+    this.updateStatistics(event);
+    this.emitEvent(event);
+    
+    return event;
+  }
+
   /**
    * Check for performance anomalies
    */
@@ -316,6 +680,7 @@ class EventDetector extends EventEmitter {
             type: EVENT_TYPES.PERFORMANCE_ANOMALY,
             timestamp: frameData.timestamp,
             cameraId: frameData.cameraId,
+            frameId: frameData.frameId,
             robotId: robotId,
             confidence: anomaly.confidence,
             priority: EVENT_PRIORITIES.MEDIUM,
@@ -342,9 +707,9 @@ class EventDetector extends EventEmitter {
    * Confirm event with multiple frames
    */
   async confirmEvent(event) {
-    const key = `${event.type}-${event.robotId || event.cameraId}`;
+    const key = `${event.type}-${event.cameraId}-${event.robotId || 'all'}-${event.zoneId || 'none'}`;
     
-    // Get pending confirmations for this event type
+    // Get pending confirmations for this event type, camera, robot and zone
     let pending = this.pendingEvents.get(key);
     
     if (!pending) {
@@ -483,11 +848,19 @@ class EventDetector extends EventEmitter {
     return null;
   }
   
-  identifyZone(frameData, analysis) {
-    // This would need actual position mapping in production
-    // For now, return first zone if mentioned
+  identifyZone(frameData, analysis, position) {
+    // Prefer the tracked robot position when there is one
+    if (position) {
+      const zones = this.findZonesAt(position, frameData.cameraId);
+      if (zones.length > 0) {
+        return zones[0];
+      }
+    }
+    
+    // Otherwise use the first zone of this camera mentioned in the analysis
     for (const zone of this.zones) {
-      if (analysis.content.toLowerCase().includes(zone.name.toLowerCase())) {
+      if (this.isZoneOnCamera(zone, frameData.cameraId) &&
+          analysis.content.toLowerCase().includes(zone.name.toLowerCase())) {
         return zone;
       }
     }
@@ -495,11 +868,11 @@ class EventDetector extends EventEmitter {
   }
   
   detectZoneViolation(zone, analysis, frameData) {
-    // Check if robots are violating zone rules
+    // Text-only fallback: the analysis mentions a robot in a restricted zone
     const content = analysis.content.toLowerCase();
     const zoneName = zone.name.toLowerCase();
     
-    if (zone.type === 'restricted' && content.includes(zoneName)) {
+    if (this.getZoneRule(zone).type === 'restricted' && content.includes(zoneName)) {
       if (content.includes('robot') && (content.includes('in') || content.includes('enter'))) {
         return {
           type: 'restricted_entry',
@@ -512,16 +885,85 @@ class EventDetector extends EventEmitter {
     return null;
   }
   
-  extractRobotPositions(frameData) {
-    // This would need actual computer vision in production
-    // Mock implementation for demonstration
-    const positions = new Map();
+  async extractRobotPositions(frameData) {
+    if (!this.positionSource) {
+      return new Map();
+    }
+    
+    let positions;
+    try {
+      positions = await this.positionSource.getPositions(frameData);
+    } catch (error) {
+      logger.warn(`Failed to get robot positions for camera ${frameData.cameraId}: ${error.message}`);
+      return new Map();
+    }
     
-    // For now, generate mock positions
-    positions.set('robot-001', { x: 100, y: 200 });
-    positions.set('robot-002', { x: 300, y: 400 });
+    // Frames from a floor-calibrated camera carry a pixel -> metres homography;
+    // zones, speeds and the stuck threshold are then all in metres
+    const calibration = frameData.calibration;
+    if (!calibration || !calibration.homography) {
+      return positions;
+    }
+    
+    const floorPositions = new Map();
+    for (const [robotId, position] of positions) {
+      const floor = applyHomography(calibration.homography, position);
+      floorPositions.set(robotId, { ...position, x: floor.x, y: floor.y, pixel: { x: position.x, y: position.y } });
+    }
+    return floorPositions;
+  }
+
+  /**
+   * Units of robot positions for a frame
+   */
+  positionUnits(frameData) {
+    return frameData.calibration && frameData.calibration.homography ? 'metres' : 'pixels';
+  }
+
+  getZoneRule(zone) {
+    const rule = zone.rule || (zone.metadata && zone.metadata.rule) || {};
+    return { ...rule, type: rule.type || 'none' };
+  }
+
+  /**
+   * Zones of a camera containing a point
+   */
+  findZonesAt(point, cameraId) {
+    return this.zones.filter(zone => this.isZoneOnCamera(zone, cameraId) && this.isPointInZone(point, zone));
+  }
+
+  /**
+   * Whether a zone belongs to a camera; zones without camera_id apply to all
+   */
+  isZoneOnCamera(zone, cameraId) {
+    const zoneCameraId = zone.camera_id || (zone.metadata && zone.metadata.camera_id);
+    return !zoneCameraId || zoneCameraId === cameraId;
+  }
+
+  isPointInZone(point, zone) {
+    const coords = zone.coordinates;
+    if (!coords || !point) return false;
+    
+    if (Array.isArray(coords)) {
+      // Ray casting
+      let inside = false;
+      for (let i = 0, j = coords.length - 1; i < coords.length; j = i++) {
+        const a = coords[i];
+        const b = coords[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    }
+    
+    if (coords.radius !== undefined) {
+      return Math.hypot(point.x - coords.cx, point.y - coords.cy) <= coords.radius;
+    }
     
-    return positions;
+    return point.x >= coords.x && point.x <= coords.x + coords.width &&
+      point.y >= coords.y && point.y <= coords.y + coords.height;
   }
   
   calculateMovements(positions) {
@@ -600,9 +1042,63 @@ class EventDetector extends EventEmitter {
   
   setZones(zones) {
     this.zones = zones;
+    
+    // Drop occupancy for zones that no longer exist
+    const zoneIds = new Set(zones.map(zone => zone.id));
+    for (const occupancy of this.zoneOccupancy.values()) {
+      for (const robotState of occupancy.values()) {
+        for (const zoneId of robotState.zones.keys()) {
+          if (!zoneIds.has(zoneId)) robotState.zones.delete(zoneId);
+        }
+      }
+    }
     logger.info(`Updated zones: ${zones.length} zones configured`);
+    this.emit('zones-changed', zones);
   }
   
+  getZones() {
+    return this.zones;
+  }
+
+  /**
+   * Limit zone checks on a camera to the zones visible from its current view
+   * Occupancy in zones that leave the view is dropped without exit events,
+   * since the robots were not seen leaving.
+   * @param {string} cameraId - Camera identifier
+   * @param {Array<string>|null} zoneIds - Zones in view; null evaluates every zone again
+   */
+  setVisibleZones(cameraId, zoneIds) {
+    if (zoneIds === null) {
+      this.visibleZones.delete(cameraId);
+      return;
+    }
+    
+    const visible = new Set(zoneIds);
+    this.visibleZones.set(cameraId, visible);
+    
+    const occupancy = this.zoneOccupancy.get(cameraId);
+    if (occupancy) {
+      for (const robotState of occupancy.values()) {
+        for (const zoneId of robotState.zones.keys()) {
+          if (!visible.has(zoneId)) robotState.zones.delete(zoneId);
+        }
+      }
+    }
+  }
+
+  /**
+   * @returns {Array<string>|null} Zones in view on a camera, or null when all are evaluated
+   */
+  getVisibleZones(cameraId) {
+    const visible = this.visibleZones.get(cameraId);
+    return visible ? Array.from(visible) : null;
+  }
+
+  isZoneVisible(zone, cameraId) {
+    const visible = this.visibleZones.get(cameraId);
+    return !visible || visible.has(zone.id);
+  }
+
   getStatistics() {
     return {
       ...this.stats,
@@ -0,0 +1,335 @@
+/**
+ * Robot Tracker
+ * Pixel-level position source for EventDetector: finds robots in consecutive
+ * JPEG frames and keeps stable track IDs across frames
+ *
+ * Modes:
+ * - blob: foreground blobs against a learned background, matched to existing
+ *   tracks by nearest centroid
+ * - markers: coloured markers mounted on each robot; the marker colour maps
+ *   straight to a robot ID
+ */
+
+const EventEmitter = require('events');
+const sharp = require('sharp');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+class RobotTracker extends EventEmitter {
+  /**
+   * @param {Object} config - detection.tracking configuration section
+   */
+  constructor(config = {}) {
+    super();
+    
+    // Configuration
+    this.mode = config.mode || 'blob';
+    this.analysisWidth = config.analysis_width || 160;
+    this.diffThreshold = config.diff_threshold || 30;
+    this.minBlobArea = config.min_blob_area || 12;
+    this.backgroundLearningRate = config.background_learning_rate ?? 0.05;
+    this.foregroundLearningRate = config.foreground_learning_rate ?? 0.002;
+    this.maxMatchDistance = config.max_match_distance || 80;
+    this.maxMissedFrames = config.max_missed_frames || 10;
+    this.markers = (config.markers || []).map(marker => ({
+      robotId: marker.robot_id,
+      rgb: this.parseColor(marker.color),
+      tolerance: marker.tolerance || 40
+    }));
+    
+    if (this.mode === 'markers' && this.markers.length === 0) {
+      throw new Error('Marker tracking requires at least one marker');
+    }
+    
+    // Per-camera state: background model and active tracks
+    this.cameras = new Map();
+    
+    this.stats = {
+      framesProcessed: 0,
+      tracksCreated: 0,
+      tracksLost: 0
+    };
+    
+    logger.info(`Robot Tracker initialized (${this.mode} mode)`);
+  }
+
+  /**
+   * Get robot positions for a frame
+   * @param {Object} frameData - Frame from CameraManager ('image' base64) or FrameBufferManager ('data' Buffer)
+   * @returns {Promise<Map>} Map of robotId -> { x, y, width, height, area } in frame pixels
+   */
+  async getPositions(frameData) {
+    const buffer = frameData.data || (frameData.image ? Buffer.from(frameData.image, 'base64') : null);
+    if (!buffer) {
+      return new Map();
+    }
+    
+    const { width: frameWidth } = await sharp(buffer).metadata();
+    const { data, info } = await sharp(buffer)
+      .resize({ width: Math.min(this.analysisWidth, frameWidth) })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    const scale = frameWidth / info.width;
+    const state = this.getCameraState(frameData.cameraId, info.width, info.height);
+    
+    this.stats.framesProcessed++;
+    
+    if (this.mode === 'markers') {
+      return this.findMarkers(data, info, scale);
+    }
+    
+    const blobs = this.findForegroundBlobs(state, data, info, scale);
+    return this.updateTracks(state, frameData.cameraId, blobs);
+  }
+
+  /**
+   * Per-camera state, reset when the analysis size changes
+   */
+  getCameraState(cameraId, width, height) {
+    let state = this.cameras.get(cameraId);
+    
+    if (!state || state.width !== width || state.height !== height) {
+      state = {
+        width,
+        height,
+        background: null,
+        tracks: new Map(), // Map of trackId -> { position, missed, firstSeen, lastSeen }
+        nextTrackId: 1
+      };
+      this.cameras.set(cameraId, state);
+    }
+    
+    return state;
+  }
+
+  /**
+   * Foreground blobs against a running-average background
+   * Foreground pixels are learned much more slowly than background pixels so
+   * a robot that stops moving stays visible long enough to be reported stuck.
+   */
+  findForegroundBlobs(state, data, info, scale) {
+    const { width, height, channels } = info;
+    const pixelCount = width * height;
+    const gray = new Float32Array(pixelCount);
+    
+    for (let i = 0; i < pixelCount; i++) {
+      const offset = i * channels;
+      gray[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    }
+    
+    // First frame only seeds the background
+    if (!state.background) {
+      state.background = gray;
+      return [];
+    }
+    
+    const mask = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      const diff = gray[i] - state.background[i];
+      const foreground = Math.abs(diff) > this.diffThreshold;
+      mask[i] = foreground ? 1 : 0;
+      state.background[i] += diff * (foreground ? this.foregroundLearningRate : this.backgroundLearningRate);
+    }
+    
+    return this.findBlobs(mask, width, height, scale);
+  }
+
+  /**
+   * Largest blob matching each marker colour
+   */
+  findMarkers(data, info, scale) {
+    const { width, height, channels } = info;
+    const pixelCount = width * height;
+    const positions = new Map();
+    
+    for (const marker of this.markers) {
+      const mask = new Uint8Array(pixelCount);
+      const toleranceSq = marker.tolerance * marker.tolerance;
+      
+      for (let i = 0; i < pixelCount; i++) {
+        const offset = i * channels;
+        const dr = data[offset] - marker.rgb.r;
+        const dg = data[offset + 1] - marker.rgb.g;
+        const db = data[offset + 2] - marker.rgb.b;
+        mask[i] = dr * dr + dg * dg + db * db <= toleranceSq ? 1 : 0;
+      }
+      
+      const blobs = this.findBlobs(mask, width, height, scale);
+      if (blobs.length > 0) {
+        positions.set(marker.robotId, blobs.reduce((a, b) => (b.area > a.area ? b : a)));
+      }
+    }
+    
+    return positions;
+  }
+
+  /**
+   * Connected components (4-neighbour) of a binary mask
+   * Returned centroids, boxes and areas are scaled to frame pixels.
+   */
+  findBlobs(mask, width, height, scale) {
+    const labels = new Int32Array(mask.length);
+    const stack = new Int32Array(mask.length);
+    const blobs = [];
+    let label = 0;
+    
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || labels[start]) continue;
+      
+      label++;
+      let top = 0;
+      stack[top++] = start;
+      labels[start] = label;
+      
+      let area = 0, sumX = 0, sumY = 0;
+      let minX = width, minY = height, maxX = 0, maxY = 0;
+      
+      while (top > 0) {
+        const index = stack[--top];
+        const x = index % width;
+        const y = (index - x) / width;
+        
+        area++;
+        sumX += x;
+        sumY += y;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+        
+        const neighbours = [
+          x > 0 ? index - 1 : -1,
+          x < width - 1 ? index + 1 : -1,
+          y > 0 ? index - width : -1,
+          y < height - 1 ? index + width : -1
+        ];
+        
+        for (const next of neighbours) {
+          if (next >= 0 && mask[next] && !labels[next]) {
+            labels[next] = label;
+            stack[top++] = next;
+          }
+        }
+      }
+      
+      if (area >= this.minBlobArea) {
+        blobs.push({
+          x: Math.round((sumX / area + 0.5) * scale),
+          y: Math.round((sumY / area + 0.5) * scale),
+          width: Math.round((maxX - minX + 1) * scale),
+          height: Math.round((maxY - minY + 1) * scale),
+          area: Math.round(area * scale * scale)
+        });
+      }
+    }
+    
+    return blobs;
+  }
+
+  /**
+   * Match blobs to existing tracks (greedy nearest centroid) and keep IDs stable
+   */
+  updateTracks(state, cameraId, blobs) {
+    const now = Date.now();
+    const pairs = [];
+    
+    for (const [trackId, track] of state.tracks) {
+      blobs.forEach((blob, index) => {
+        const distance = Math.hypot(blob.x - track.position.x, blob.y - track.position.y);
+        if (distance <= this.maxMatchDistance) {
+          pairs.push({ trackId, index, distance });
+        }
+      });
+    }
+    
+    pairs.sort((a, b) => a.distance - b.distance);
+    
+    const matchedTracks = new Set();
+    const matchedBlobs = new Set();
+    const positions = new Map();
+    
+    for (const { trackId, index } of pairs) {
+      if (matchedTracks.has(trackId) || matchedBlobs.has(index)) continue;
+      
+      const track = state.tracks.get(trackId);
+      track.position = blobs[index];
+      track.missed = 0;
+      track.lastSeen = now;
+      
+      matchedTracks.add(trackId);
+      matchedBlobs.add(index);
+      positions.set(trackId, blobs[index]);
+    }
+    
+    // Tracks without a blob this frame are kept for a few frames in case
+    // the robot is briefly occluded
+    for (const [trackId, track] of state.tracks) {
+      if (matchedTracks.has(trackId)) continue;
+      
+      track.missed++;
+      if (track.missed > this.maxMissedFrames) {
+        state.tracks.delete(trackId);
+        this.stats.tracksLost++;
+        this.emit('track-lost', { cameraId, trackId });
+      }
+    }
+    
+    blobs.forEach((blob, index) => {
+      if (matchedBlobs.has(index)) return;
+      
+      const trackId = `track-${cameraId}-${state.nextTrackId++}`;
+      state.tracks.set(trackId, { position: blob, missed: 0, firstSeen: now, lastSeen: now });
+      this.stats.tracksCreated++;
+      positions.set(trackId, blob);
+      this.emit('track-created', { cameraId, trackId, position: blob });
+    });
+    
+    return positions;
+  }
+
+  parseColor(color) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+    if (!match) {
+      throw new Error(`Invalid marker color: ${color}`);
+    }
+    return {
+      r: parseInt(match[1], 16),
+      g: parseInt(match[2], 16),
+      b: parseInt(match[3], 16)
+    };
+  }
+
+  /**
+   * Public methods
+   */
+
+  getTracks(cameraId) {
+    const state = this.cameras.get(cameraId);
+    return state ? Array.from(state.tracks.entries()).map(([trackId, track]) => ({ trackId, ...track })) : [];
+  }
+
+  reset(cameraId) {
+    if (cameraId) {
+      this.cameras.delete(cameraId);
+    } else {
+      this.cameras.clear();
+    }
+  }
+
+  getStatistics() {
+    return {
+      ...this.stats,
+      mode: this.mode,
+      activeTracks: Array.from(this.cameras.values()).reduce((sum, state) => sum + state.tracks.size, 0)
+    };
+  }
+}
+
+module.exports = RobotTracker;
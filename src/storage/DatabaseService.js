@@ -663,7 +663,11 @@ class DatabaseService {
       zone.color,
       zone.priority,
       zone.active !== false,
-      JSON.stringify(zone.metadata || {})
+      JSON.stringify({
+        ...(zone.metadata || {}),
+        ...(zone.rule ? { rule: zone.rule } : {}),
+        ...(zone.camera_id ? { camera_id: zone.camera_id } : {})
+      })
     ];
     
     try {
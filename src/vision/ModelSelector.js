@@ -1,5 +1,6 @@
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const { framePrompts, predictLabel, scoreEvaluation } = require('./evaluation');
 
 /**
  * ModelSelector - Manages model selection and switching for the vision system
@@ -123,7 +124,9 @@ class ModelSelector extends EventEmitter {
       : 0;
     results.successRate = successfulTests.length / testPrompts.length;
     
-    this.benchmarkResults.set(modelId, results);
+    // A labelled evaluation outlives new benchmark runs
+    const evaluation = this.benchmarkResults.get(modelId)?.evaluation;
+    this.benchmarkResults.set(modelId, evaluation ? { ...results, evaluation } : results);
     return results;
   }
 
@@ -201,6 +204,108 @@ class ModelSelector extends EventEmitter {
     return allResults;
   }
 
+  /**
+   * Evaluate a model against a labelled dataset
+   * Each frame is asked one prompt per label it has, with cascaded
+   * verification off so the score is the model's own and the analysis cache
+   * bypassed so every frame reaches the model. The report is kept
+   * with the model's benchmark results as `evaluation`.
+   * @param {Object} dataset - parseDataset/loadDataset result
+   * @returns {Promise<Object>} { modelId, dataset, frames, labels, latency, macroF1, ... }
+   */
+  async evaluateModel(modelId, dataset) {
+    const startTime = Date.now();
+    const samples = [];
+    
+    for (const [index, frame] of dataset.frames.entries()) {
+      this.emit('evaluation-progress', {
+        modelId,
+        frame: frame.id,
+        current: index + 1,
+        total: dataset.frames.length
+      });
+      
+      const frameData = {
+        timestamp: new Date().toISOString(),
+        cameraId: 'evaluation',
+        frameId: frame.id,
+        image: frame.image
+      };
+      
+      for (const { label, promptType } of framePrompts(frame)) {
+        const sample = { frameId: frame.id, label, expected: frame.labels[label] };
+        const requestStart = Date.now();
+        try {
+          const analysis = await this.visionEngine.analyzeFrame(frameData, promptType, {
+            model: modelId,
+            verify: false,
+            cache: false
+          });
+          sample.latency = Date.now() - requestStart;
+          sample.predicted = predictLabel(label, analysis);
+        } catch (error) {
+          sample.error = error.message;
+        }
+        samples.push(sample);
+      }
+    }
+    
+    const report = {
+      modelId,
+      dataset: dataset.name,
+      timestamp: new Date().toISOString(),
+      frames: dataset.frames.length,
+      duration: Date.now() - startTime,
+      ...scoreEvaluation(samples),
+      samples
+    };
+    
+    this.benchmarkResults.set(modelId, {
+      ...this.benchmarkResults.get(modelId),
+      modelId,
+      evaluation: report
+    });
+    return report;
+  }
+
+  /**
+   * Evaluate several models against a labelled dataset, one after another
+   */
+  async evaluateModels(dataset, modelIds = null) {
+    if (this.isBenchmarking) {
+      throw new Error('Benchmark already in progress');
+    }
+    
+    const models = modelIds || this.availableModels.map(model => model.id);
+    this.isBenchmarking = true;
+    this.emit('evaluation-started', { dataset: dataset.name, models });
+    
+    try {
+      const results = {};
+      for (const modelId of models) {
+        logger.info(`Evaluating model ${modelId} on ${dataset.name} (${dataset.frames.length} frames)`);
+        results[modelId] = await this.evaluateModel(modelId, dataset);
+      }
+      
+      // Best macro F1, faster median latency on a tie
+      const [bestModel] = Object.values(results)
+        .filter(result => result.macroF1 !== null)
+        .sort((a, b) => b.macroF1 - a.macroF1 || a.latency.p50 - b.latency.p50)
+        .map(result => result.modelId);
+      
+      this.emit('evaluation-completed', { dataset: dataset.name, bestModel: bestModel || null });
+      
+      return {
+        dataset: dataset.name,
+        frames: dataset.frames.length,
+        results,
+        bestModel: bestModel || null
+      };
+    } finally {
+      this.isBenchmarking = false;
+    }
+  }
+
   /**
    * Compare two models
    */
@@ -259,6 +364,62 @@ class ModelSelector extends EventEmitter {
     return comparison;
   }
 
+  /**
+   * Ensemble vote weights from benchmark results
+   * A model evaluated on a labelled dataset weighs its macro F1; otherwise a
+   * benchmarked model weighs its success rate times its average confidence.
+   * Models with neither get the mean of the others (1 when none have
+   * results), so they neither dominate nor vanish from the vote.
+   */
+  getVotingWeights(modelIds) {
+    const scores = {};
+    for (const modelId of modelIds) {
+      const result = this.benchmarkResults.get(modelId);
+      if (result?.evaluation && result.evaluation.macroF1 !== null) {
+        scores[modelId] = result.evaluation.macroF1;
+      } else if (result && result.successRate !== undefined) {
+        scores[modelId] = result.successRate * result.avgConfidence;
+      }
+    }
+    
+    const known = Object.values(scores);
+    const fallback = known.length > 0
+      ? known.reduce((sum, score) => sum + score, 0) / known.length
+      : 1;
+    
+    return Object.fromEntries(modelIds.map(modelId => [modelId, scores[modelId] ?? fallback]));
+  }
+
+  /**
+   * Analyze a frame with an ensemble of models
+   * 'weighted' voting uses getVotingWeights unless weights are given.
+   * @param {Object} options - { models, voting, weights, safetyTypes, threshold }
+   */
+  async analyzeEnsemble(frameData, promptType = 'general', options = {}) {
+    const voting = options.voting || this.visionEngine.ensemble?.voting || 'majority';
+    const models = options.models || this.visionEngine.ensemble?.models ||
+      this.availableModels.map(model => model.id);
+    const weights = voting === 'weighted' && !options.weights
+      ? this.getVotingWeights(models)
+      : options.weights;
+    
+    const analysis = await this.visionEngine.analyzeEnsemble(frameData, promptType, {
+      ...options,
+      models,
+      voting,
+      weights
+    });
+    
+    this.emit('ensemble-completed', {
+      cameraId: frameData.cameraId,
+      models,
+      voting,
+      agreement: analysis.ensemble.agreement
+    });
+    
+    return analysis;
+  }
+
   /**
    * Get model performance history
    */
@@ -340,6 +501,8 @@ class ModelSelector extends EventEmitter {
       const rows = [headers];
       
       for (const [modelId, result] of Object.entries(results)) {
+        // Models that were only evaluated have no benchmark run
+        if (result.successRate === undefined) continue;
         rows.push([
           modelId,
           result.avgProcessingTime.toFixed(2),
@@ -348,6 +511,38 @@ class ModelSelector extends EventEmitter {
         ]);
       }
       
+      return rows.map(row => row.join(',')).join('\n');
+    } else if (format === 'evaluation-csv') {
+      // One row per model and label from labelled evaluations
+      const headers = ['Model', 'Dataset', 'Label', 'Frames', 'Precision', 'Recall', 'F1', 'Accuracy', 'Mean Abs Error',
+        'Errors', 'Latency p50', 'Latency p90', 'Latency p95', 'Latency p99'];
+      const rows = [headers];
+      const value = number => (number === null || number === undefined ? '' : number);
+      
+      for (const [modelId, result] of Object.entries(results)) {
+        const evaluation = result.evaluation;
+        if (!evaluation) continue;
+        
+        for (const [label, score] of Object.entries(evaluation.labels)) {
+          rows.push([
+            modelId,
+            evaluation.dataset,
+            label,
+            score.frames,
+            value(score.precision),
+            value(score.recall),
+            value(score.f1),
+            value(score.accuracy),
+            value(score.meanAbsoluteError),
+            score.errors,
+            value(evaluation.latency.p50),
+            value(evaluation.latency.p90),
+            value(evaluation.latency.p95),
+            value(evaluation.latency.p99)
+          ]);
+        }
+      }
+      
       return rows.map(row => row.join(',')).join('\n');
     }
     
@@ -7,6 +7,27 @@ const EventEmitter = require('events');
 const winston = require('winston');
 const fs = require('fs').promises;
 const path = require('path');
+const {
+  buildStructuredPrompt,
+  parseStructuredContent,
+  structuredToDetections
+} = require('./structuredOutput');
+const {
+  decodeFrame,
+  resolveRois,
+  buildTileGrid,
+  cropRegion,
+  buildRoiPrompt,
+  mapDetectionsToFrame,
+  mergeTileDetections
+} = require('./roiProcessing');
+const {
+  resolveBackend,
+  buildBackendRequest,
+  parseBackendResponse
+} = require('./backends');
+const { mergeEnsemble } = require('./ensemble');
+const { applyHomography } = require('../camera/calibration');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -14,12 +35,20 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+// Prompt the verification model answers for each verified detection type
+const VERIFICATION_PROMPTS = {
+  robot_tipped: 'robot_tipped',
+  human_in_area: 'human_detection'
+};
+
 class VisionEngine extends EventEmitter {
   constructor(config = {}) {
     super();
     this.baseUrl = config.base_url || config.baseUrl || 'http://localhost:8080';
     // The llama.cpp server is running with OpenAI-compatible API
     this.apiPath = config.api_path || '/v1/chat/completions';
+    // Request format for models without their own backend in models.json
+    this.backendType = config.backend || (this.apiPath === '/completion' ? 'llamacpp' : 'openai');
     this.timeout = config.timeout || 30000;
     this.maxRetries = config.max_retries || 3;
     this.retryDelay = config.retry_delay || 1000;
@@ -29,15 +58,79 @@ class VisionEngine extends EventEmitter {
     this.currentModel = config.model || 'smolvlm-500m';
     this.hardwareProfile = config.hardware_profile || this.detectHardware();
     
+    // Model per prompt type and camera (models.json `routing`); calls that
+    // name a model, and prompt types without a route, use currentModel
+    this.routing = null;
+    this.routingStats = {
+      routed: 0,
+      byModel: {}
+    };
+    
+    // Cascaded verification (models.json `verification`): uncertain safety
+    // detections are re-checked by a stronger model before they are returned
+    this.verification = null;
+    this.verificationStats = {
+      checked: 0,
+      confirmed: 0,
+      rejected: 0,
+      errors: 0
+    };
+    
+    // Ensemble voting defaults (models.json `ensemble`) for analyzeEnsemble
+    this.ensemble = null;
+    
     // Model-specific settings (will be loaded from models.json)
     this.model = this.currentModel;
     this.maxTokens = config.max_tokens || 150;
     this.temperature = config.temperature || 0.7;
     
+    // Output mode: 'text' (keyword parsing) or 'json' (schema-validated)
+    this.outputMode = config.output_mode || 'text';
+    this.structuredRetries = config.structured_retries ?? 2;
+    this.structuredMaxTokens = config.structured_max_tokens || 400;
+    this.structuredStats = {
+      valid: 0,
+      corrected: 0,
+      fallbacks: 0
+    };
+    
+    // Region-of-interest cropping: zones/rectangles are analysed as
+    // upscaled crops instead of the whole frame
+    this.roiProcessing = config.roi_processing ?? false;
+    this.roiMinSize = config.roi_min_size || 384;
+    this.roiPadding = config.roi_padding ?? 16;
+    this.roiRegions = config.roi_regions || [];
+    this.regionsOfInterest = this.roiRegions;
+    this.roiStats = {
+      framesSplit: 0,
+      regionsAnalyzed: 0,
+      regionErrors: 0
+    };
+    
+    // Tiled analysis for high-resolution frames
+    this.tiling = config.tiling ?? false;
+    this.tileRows = config.tile_rows || 2;
+    this.tileCols = config.tile_cols || 2;
+    this.tileOverlap = config.tile_overlap ?? 0.15;
+    this.tileMergeOverlap = config.tile_merge_overlap ?? 0.5;
+    this.tilingStats = {
+      framesTiled: 0,
+      tilesAnalyzed: 0,
+      tileErrors: 0
+    };
+    
     // Cache for recent analyses
     this.cache = new Map();
     this.cacheTimeout = config.cache_timeout || 5000;
     
+    // Last analysis per camera/prompt/model, reused for frames the
+    // motion detector marks static
+    this.lastAnalyses = new Map();
+    this.motionGatingStats = {
+      reused: 0,
+      analyzed: 0
+    };
+    
     // Request queue
     this.requestQueue = [];
     this.processing = false;
@@ -69,6 +162,9 @@ class VisionEngine extends EventEmitter {
       
       this.models = config.models;
       this.hardwareProfiles = config.hardware_profiles;
+      this.setRouting(config.routing || null);
+      this.setVerification(config.verification || null);
+      this.setEnsemble(config.ensemble || null);
       
       // Initialize prompt templates for each model
       this.initializePromptTemplates();
@@ -111,7 +207,9 @@ class VisionEngine extends EventEmitter {
       
       count: "Count EXACTLY how many robots are visible in this image. Double-check your count. Provide the number only.",
       
-      activity_level: "Rate the activity level in this image: 1) HIGH - Multiple robots moving, tasks in progress 2) MEDIUM - Some movement 3) LOW - Little to no movement."
+      activity_level: "Rate the activity level in this image: 1) HIGH - Multiple robots moving, tasks in progress 2) MEDIUM - Some movement 3) LOW - Little to no movement.",
+      
+      ball_in_cup: "Is the blue ball inside a cup? Answer IN if the ball is inside a cup, OUT if it is outside every cup, or NONE if no ball is visible, then describe where the ball is."
     };
     
     // Create model-specific versions
@@ -222,6 +320,119 @@ class VisionEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Replace the routing table
+   * @param {Object|null} routing - { enabled, default, prompt_types: { promptType: modelId },
+   *   cameras: { cameraId: { default, prompt_types } } }
+   */
+  setRouting(routing) {
+    this.routing = routing;
+    if (!routing) return;
+    
+    // Routes to unknown models are skipped when resolving, so flag them once here
+    const targets = [
+      routing.default,
+      ...Object.values(routing.prompt_types || {}),
+      ...Object.values(routing.cameras || {}).flatMap(camera => [
+        camera.default,
+        ...Object.values(camera.prompt_types || {})
+      ])
+    ].filter(Boolean);
+    const unknown = [...new Set(targets.filter(modelId => !this.models[modelId]))];
+    if (unknown.length > 0) {
+      logger.warn(`Model routing refers to unknown models: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Model for a prompt type on a camera
+   * Camera prompt route, camera default, prompt route, table default, then currentModel
+   * @returns {Object} { modelId, source } where source names the rule used
+   */
+  routeModel(promptType, cameraId = null) {
+    const routing = this.routing;
+    if (routing && routing.enabled !== false) {
+      const camera = (cameraId && routing.cameras?.[cameraId]) || {};
+      const candidates = [
+        [camera.prompt_types?.[promptType], 'camera-prompt'],
+        [camera.default, 'camera-default'],
+        [routing.prompt_types?.[promptType], 'prompt'],
+        [routing.default, 'default']
+      ];
+      for (const [modelId, source] of candidates) {
+        if (modelId && this.models[modelId]) {
+          return { modelId, source };
+        }
+      }
+    }
+    
+    return { modelId: this.currentModel, source: 'current' };
+  }
+
+  /**
+   * Routing table with the model each known prompt type resolves to
+   */
+  getRouting() {
+    const promptTypes = Object.keys(this.promptTemplates[this.currentModel] || {});
+    const resolve = cameraId => Object.fromEntries(
+      promptTypes.map(promptType => [promptType, this.routeModel(promptType, cameraId).modelId])
+    );
+    
+    return {
+      enabled: Boolean(this.routing) && this.routing.enabled !== false,
+      currentModel: this.currentModel,
+      default: this.routing?.default || null,
+      promptTypes: { ...(this.routing?.prompt_types || {}) },
+      resolved: resolve(null),
+      cameras: Object.fromEntries(Object.entries(this.routing?.cameras || {}).map(([cameraId, camera]) => [
+        cameraId,
+        { ...camera, resolved: resolve(cameraId) }
+      ])),
+      stats: {
+        routed: this.routingStats.routed,
+        byModel: { ...this.routingStats.byModel }
+      }
+    };
+  }
+
+  /**
+   * Replace the cascaded verification settings
+   * @param {Object|null} verification - { enabled, verifier, source_models, detection_types,
+   *   min_confidence, max_confidence }
+   */
+  setVerification(verification) {
+    if (verification && verification.verifier && !this.models[verification.verifier]) {
+      logger.warn(`Verification model ${verification.verifier} is not configured`);
+    }
+    
+    this.verification = verification && {
+      enabled: verification.enabled !== false,
+      verifier: verification.verifier,
+      sourceModels: verification.source_models || null,
+      detectionTypes: verification.detection_types || Object.keys(VERIFICATION_PROMPTS),
+      minConfidence: verification.min_confidence ?? 0.5,
+      maxConfidence: verification.max_confidence ?? 0.85
+    };
+  }
+
+  /**
+   * Set the default ensemble members and voting
+   * @param {Object|null} ensemble - { models, voting, safety_types, threshold }
+   */
+  setEnsemble(ensemble) {
+    const unknown = (ensemble?.models || []).filter(modelId => !this.models[modelId]);
+    if (unknown.length > 0) {
+      logger.warn(`Ensemble models not configured: ${unknown.join(', ')}`);
+    }
+    
+    this.ensemble = ensemble && {
+      models: ensemble.models || null,
+      voting: ensemble.voting || 'majority',
+      safetyTypes: ensemble.safety_types || null,
+      threshold: ensemble.threshold ?? 0.5
+    };
+  }
+
   /**
    * Get current model info
    */
@@ -276,28 +487,80 @@ class VisionEngine extends EventEmitter {
 
   /**
    * Analyze a frame with a specific prompt
+   * @param {Object} options - { model, outputMode, rois, tiles, verify, cache } where rois are zones or
+   *   { id, x, y, width, height } rectangles to analyse as separate crops,
+   *   tiles is true, false or a { rows, cols, overlap } grid, verify: false
+   *   returns the model's own answer without cascaded verification, and
+   *   cache: false always asks the model and keeps nothing for later frames
    */
   async analyzeFrame(frameData, promptType = 'general', options = {}) {
-    // Allow model override for testing
-    const modelId = options.model || this.currentModel;
+    // Regions of interest take precedence over tiling; crops themselves carry options.roi
+    if (!options.roi) {
+      const rois = options.rois || (this.roiProcessing ? this.regionsOfInterest : null);
+      if (rois && rois.length > 0) {
+        return this.verifyAnalysis(frameData, promptType,
+          await this.analyzeRegions(frameData, promptType, rois, options), options);
+      }
+      
+      const tiles = options.tiles ?? this.tiling;
+      if (tiles) {
+        return this.verifyAnalysis(frameData, promptType,
+          await this.analyzeTiled(frameData, promptType, tiles === true ? {} : tiles, options), options);
+      }
+    }
+    
+    // An explicit model wins over the routing table
+    const modelId = options.model || this.routeModel(promptType, frameData.cameraId).modelId;
+    if (!options.model && modelId !== this.currentModel) {
+      this.routingStats.routed++;
+      this.routingStats.byModel[modelId] = (this.routingStats.byModel[modelId] || 0) + 1;
+    }
     const prompts = this.promptTemplates[modelId] || this.promptTemplates[this.currentModel];
-    const prompt = prompts[promptType] || promptType;
+    const basePrompt = prompts[promptType] || promptType;
+    const prompt = options.roi ? buildRoiPrompt(basePrompt, options.roi) : basePrompt;
     
-    // Check cache (include model in cache key)
-    const cacheKey = this.getCacheKey(frameData.cameraId, promptType, modelId);
-    const cached = this.getFromCache(cacheKey);
+    // Check cache (include model and region in cache key)
+    const source = options.roi ? `${frameData.cameraId}#${options.roi.id}` : frameData.cameraId;
+    const cacheKey = options.cache === false ? null : this.getCacheKey(source, promptType, modelId);
+    const cached = cacheKey && this.getFromCache(cacheKey);
     if (cached) {
       logger.debug(`Using cached analysis for ${frameData.cameraId} with ${modelId}`);
       return cached;
     }
     
-    // Add to queue
+    // Nothing moved since the last inference: report the previous result
+    const previous = cacheKey && this.lastAnalyses.get(cacheKey);
+    if (frameData.motion?.skipAnalysis && previous) {
+      this.motionGatingStats.reused++;
+      return {
+        ...previous,
+        timestamp: frameData.timestamp,
+        reused: true
+      };
+    }
+    this.motionGatingStats.analyzed++;
+    
+    const analysis = await this.enqueueRequest({
+      frameData,
+      prompt,
+      promptType,
+      modelId,
+      cacheKey,
+      outputMode: options.outputMode
+    });
+    
+    // Crops are verified as part of the whole frame
+    return options.roi ? analysis : this.verifyAnalysis(frameData, promptType, analysis, { ...options, cacheKey });
+  }
+
+  /**
+   * Queue a model request
+   * @returns {Promise<Object>} The analysis from processRequest
+   */
+  enqueueRequest(request) {
     return new Promise((resolve, reject) => {
       this.requestQueue.push({
-        frameData,
-        prompt,
-        promptType,
-        modelId,
+        ...request,
         resolve,
         reject,
         retries: 0
@@ -307,6 +570,245 @@ class VisionEngine extends EventEmitter {
     });
   }
 
+  /**
+   * Re-check uncertain safety detections on the verification model
+   * A detection of a verified type from a source model with confidence in
+   * [min_confidence, max_confidence) is asked again with its own prompt on the
+   * verifier. Agreement combines both confidences (1 - (1 - a)(1 - b)), so two
+   * medium answers can pass EventDetector's threshold; disagreement drops the
+   * detection. analysis.verification keeps both models' verdicts.
+   * @param {Object} options - { cacheKey } to store the verified analysis under,
+   *   { verify: false } to skip, { cache: false } to keep the verifier's replies out of the cache
+   */
+  async verifyAnalysis(frameData, promptType, analysis, options = {}) {
+    const settings = this.verification;
+    if (options.verify === false || !settings || !settings.enabled || !this.models[settings.verifier] ||
+        analysis.verification || analysis.modelId === settings.verifier ||
+        (settings.sourceModels && !settings.sourceModels.includes(analysis.modelId))) {
+      return analysis;
+    }
+    
+    const uncertain = (analysis.detections || []).filter(detection =>
+      detection.detected &&
+      settings.detectionTypes.includes(detection.type) &&
+      detection.confidence >= settings.minConfidence &&
+      detection.confidence < settings.maxConfidence
+    );
+    if (uncertain.length === 0) {
+      return analysis;
+    }
+    
+    const startTime = Date.now();
+    const verifierId = settings.verifier;
+    const prompts = [...new Set(uncertain.map(detection => VERIFICATION_PROMPTS[detection.type] || promptType))];
+    
+    // One fresh request per prompt on the same frame, bypassing cache and motion gating
+    const replies = new Map(await Promise.all(prompts.map(async (verifyPrompt) => {
+      const templates = this.promptTemplates[verifierId] || {};
+      try {
+        return [verifyPrompt, await this.enqueueRequest({
+          frameData,
+          prompt: templates[verifyPrompt] || verifyPrompt,
+          promptType: verifyPrompt,
+          modelId: verifierId,
+          cacheKey: options.cache === false ? null : this.getCacheKey(frameData.cameraId, verifyPrompt, verifierId),
+          outputMode: options.outputMode
+        })];
+      } catch (error) {
+        logger.error(`Verification of ${frameData.cameraId} on ${verifierId} failed: ${error.message}`);
+        return [verifyPrompt, { error }];
+      }
+    })));
+    
+    const checks = [];
+    const rejected = new Set();
+    const detections = analysis.detections.map(detection => {
+      if (!uncertain.includes(detection)) {
+        return detection;
+      }
+      
+      const reply = replies.get(VERIFICATION_PROMPTS[detection.type] || promptType);
+      const check = {
+        type: detection.type,
+        original: { modelId: analysis.modelId, confidence: detection.confidence, summary: analysis.summary }
+      };
+      checks.push(check);
+      this.verificationStats.checked++;
+      
+      if (reply.error) {
+        check.verdict = 'error';
+        check.verifier = { modelId: verifierId, error: reply.error.message };
+        this.verificationStats.errors++;
+        return detection;
+      }
+      
+      const match = reply.detections.find(candidate => candidate.type === detection.type && candidate.detected);
+      check.verifier = {
+        modelId: verifierId,
+        detected: Boolean(match),
+        confidence: match ? match.confidence : reply.confidence,
+        summary: reply.summary
+      };
+      
+      if (!match) {
+        check.verdict = 'rejected';
+        this.verificationStats.rejected++;
+        rejected.add(detection);
+        return detection;
+      }
+      
+      check.verdict = 'confirmed';
+      this.verificationStats.confirmed++;
+      const confidence = 1 - (1 - detection.confidence) * (1 - match.confidence);
+      return {
+        ...detection,
+        confidence: Math.round(confidence * 1000) / 1000,
+        originalConfidence: detection.confidence,
+        verifiedBy: verifierId
+      };
+    });
+    
+    logger.info(`[VISION] ${verifierId} verified ${frameData.cameraId}: ${checks.map(check => `${check.type} ${check.verdict}`).join(', ')}`);
+    
+    const verified = {
+      ...analysis,
+      detections: detections.filter(detection => !rejected.has(detection)),
+      verification: {
+        verifier: verifierId,
+        processingTime: Date.now() - startTime,
+        checks
+      }
+    };
+    
+    // Later cache hits and motion-gated reuse see the verified result
+    if (options.cacheKey) {
+      this.addToCache(options.cacheKey, verified);
+      this.lastAnalyses.set(options.cacheKey, verified);
+    }
+    
+    return verified;
+  }
+
+  /**
+   * Analyze each region of interest as an upscaled crop and merge the results
+   * Detections are mapped back to full-frame coordinates and tagged with
+   * roiId/zoneId; a region that fails is reported in regions[] but only
+   * fails the frame when every region does.
+   */
+  async analyzeRegions(frameData, promptType, definitions, options = {}) {
+    const frame = await decodeFrame(frameData.image);
+    // Zones of floor-calibrated cameras are in metres; project them into the frame
+    const inverse = frameData.calibration && frameData.calibration.inverse;
+    const rois = resolveRois(definitions, frame, {
+      cameraId: frameData.cameraId,
+      padding: this.roiPadding,
+      toPixels: inverse ? point => applyHomography(inverse, point) : null
+    });
+    
+    if (rois.length === 0) {
+      return this.analyzeFrame(frameData, promptType, { ...options, rois: [] });
+    }
+    
+    this.roiStats.framesSplit++;
+    const regions = await this.analyzeCrops(frameData, frame, rois, promptType, options);
+    const analysed = regions.filter(region => region.analysis);
+    this.roiStats.regionsAnalyzed += analysed.length;
+    this.roiStats.regionErrors += regions.length - analysed.length;
+    
+    return this.mergeCropAnalyses(frameData, promptType, regions);
+  }
+
+  /**
+   * Analyze a frame as an overlapping grid of tiles
+   * Small models lose detail on a full high-resolution frame, so each tile is
+   * sent on its own (the request queue keeps this within maxConcurrent) and
+   * combineAnalyses merges detections that neighbouring tiles both saw.
+   * @param {Object} grid - { rows, cols, overlap } overriding the configured grid
+   */
+  async analyzeTiled(frameData, promptType, grid = {}, options = {}) {
+    const frame = await decodeFrame(frameData.image);
+    const tiles = buildTileGrid(frame, {
+      rows: grid.rows || this.tileRows,
+      cols: grid.cols || this.tileCols,
+      overlap: grid.overlap ?? this.tileOverlap
+    });
+    
+    this.tilingStats.framesTiled++;
+    const regions = await this.analyzeCrops(frameData, frame, tiles, promptType, options);
+    const analysed = regions.filter(region => region.analysis);
+    this.tilingStats.tilesAnalyzed += analysed.length;
+    this.tilingStats.tileErrors += regions.length - analysed.length;
+    
+    const merged = this.mergeCropAnalyses(frameData, promptType, regions);
+    const combined = this.combineAnalyses(Object.fromEntries(regions.map(({ roi, analysis, error }) =>
+      [roi.name, analysis || { error: error.message }]
+    )));
+    
+    return {
+      ...merged,
+      tiled: true,
+      confidence: combined.overallConfidence,
+      detections: combined.allDetections,
+      summary: combined.summary
+    };
+  }
+
+  /**
+   * Crop and analyze each ROI of a decoded frame
+   * @returns {Promise<Array>} { roi, analysis } with frame-mapped detections, or { roi, error }
+   */
+  async analyzeCrops(frameData, frame, rois, promptType, options) {
+    return Promise.all(rois.map(async (roi) => {
+      try {
+        const crop = await cropRegion(frame.image, roi, { minSize: this.roiMinSize });
+        const analysis = await this.analyzeFrame(
+          { ...frameData, image: crop.toString('base64') },
+          promptType,
+          { ...options, roi }
+        );
+        return {
+          roi,
+          analysis: { ...analysis, detections: mapDetectionsToFrame(analysis.detections, roi, frame) }
+        };
+      } catch (error) {
+        logger.error(`Region ${roi.id} analysis failed for ${frameData.cameraId}: ${error.message}`);
+        return { roi, error };
+      }
+    }));
+  }
+
+  /**
+   * One analysis for the whole frame from per-crop analyses
+   * @throws {Error} The first crop's error when no crop was analysed
+   */
+  mergeCropAnalyses(frameData, promptType, regions) {
+    const analysed = regions.filter(region => region.analysis);
+    if (analysed.length === 0) {
+      throw regions[0].error;
+    }
+    
+    const first = analysed[0].analysis;
+    
+    return {
+      promptType,
+      content: analysed.map(({ roi, analysis }) => `[${roi.name}] ${analysis.content}`).join('\n'),
+      timestamp: frameData.timestamp,
+      cameraId: frameData.cameraId,
+      processingTime: Math.max(...analysed.map(({ analysis }) => analysis.processingTime || 0)),
+      modelId: first.modelId,
+      outputMode: first.outputMode,
+      confidence: analysed.reduce((sum, { analysis }) => sum + analysis.confidence, 0) / analysed.length,
+      detections: analysed.flatMap(({ analysis }) => analysis.detections),
+      summary: analysed.map(({ roi, analysis }) => `${roi.name}: ${analysis.summary}`).join('; '),
+      regions: regions.map(({ roi, analysis, error }) => ({
+        ...roi,
+        summary: analysis ? analysis.summary : null,
+        confidence: analysis ? analysis.confidence : null,
+        error: error ? error.message : undefined
+      }))
+    };
+  }
+
   /**
    * Compare multiple models on the same frame
    */
@@ -337,6 +839,44 @@ class VisionEngine extends EventEmitter {
     return results;
   }
 
+  /**
+   * Run several models on a frame and vote their detections into one analysis
+   * @param {Object} options - { models, voting, weights, safetyTypes, threshold };
+   *   unset options come from the models.json `ensemble` block. weights maps
+   *   model IDs to vote weights for 'weighted' voting (default 1).
+   * @returns {Promise<Object>} Analysis with an `ensemble` block of votes,
+   *   per-model agreement and the models that failed
+   * @throws {Error} When no model returns an analysis
+   */
+  async analyzeEnsemble(frameData, promptType = 'general', options = {}) {
+    const defaults = this.ensemble || {};
+    const modelIds = options.models || defaults.models || Object.keys(this.models);
+    const weights = options.weights || {};
+    
+    const results = await this.compareModels(frameData, promptType, modelIds);
+    const members = modelIds
+      .filter(modelId => results[modelId].success)
+      .map(modelId => ({ modelId, analysis: results[modelId].analysis, weight: weights[modelId] }));
+    const failed = Object.fromEntries(modelIds
+      .filter(modelId => !results[modelId].success)
+      .map(modelId => [modelId, results[modelId].error]));
+    
+    if (members.length === 0) {
+      throw new Error(`No ensemble model returned an analysis: ${Object.entries(failed).map(([id, error]) => `${id}: ${error}`).join('; ')}`);
+    }
+    
+    const merged = mergeEnsemble(members, {
+      voting: options.voting || defaults.voting,
+      safetyTypes: options.safetyTypes || defaults.safetyTypes,
+      threshold: options.threshold ?? defaults.threshold
+    });
+    merged.ensemble.failed = failed;
+    
+    logger.info(`[VISION] Ensemble of ${members.length} models on ${frameData.cameraId}: ${merged.detections.filter(d => d.detected).map(d => d.type).join(', ') || 'no detections'}`);
+    
+    return merged;
+  }
+
   /**
    * Analyze frame with multiple prompts
    */
@@ -396,6 +936,9 @@ class VisionEngine extends EventEmitter {
     const { frameData, prompt, promptType, modelId, retries } = request;
     const startTime = Date.now();
     
+    // A misconfigured backend is not worth retrying
+    const backend = this.getBackend(modelId);
+    
     try {
       const imageBase64 = frameData.image.startsWith('data:') 
         ? frameData.image 
@@ -407,65 +950,52 @@ class VisionEngine extends EventEmitter {
       const maxTokens = modelConfig?.parameters?.max_tokens || this.maxTokens;
       const temperature = modelConfig?.parameters?.temperature || this.temperature;
       
+      const outputMode = this.getOutputMode(modelId, request.outputMode);
+      const structuredMode = outputMode === 'json';
+      
       // llama.cpp supports standard OpenAI format with image_url
       // The working example shows it uses the same format
-      const requestBody = {
-        model: modelName,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: prompt
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: imageBase64  // Full data URI: data:image/jpeg;base64,...
-                }
+      const messages = [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: structuredMode ? buildStructuredPrompt(prompt, promptType) : prompt
+            },
+            {
+              type: 'image_url',
+              image_url: {
+                url: imageBase64  // Full data URI: data:image/jpeg;base64,...
               }
-            ]
-          }
-        ],
-        max_tokens: maxTokens,
-        temperature: temperature
+            }
+          ]
+        }
+      ];
+      
+      const params = {
+        backend,
+        modelName,
+        // JSON replies need more room than free text
+        maxTokens: structuredMode ? Math.max(maxTokens, this.structuredMaxTokens) : maxTokens,
+        temperature
       };
       
       // Log request info without base64 data
-      logger.info(`[VISION] Sending request to ${this.baseUrl}${this.apiPath}`);
-      logger.debug(`[VISION] Model: ${modelName}, Max tokens: ${maxTokens}, Temp: ${temperature}`);
+      logger.info(`[VISION] Sending ${backend.type} request to ${backend.url}`);
+      logger.debug(`[VISION] Model: ${modelName}, Max tokens: ${params.maxTokens}, Temp: ${temperature}, Output: ${outputMode}`);
       
       const startTime = Date.now();
       
-      const response = await axios.post(
-        `${this.baseUrl}${this.apiPath}`,
-        requestBody,
-        {
-          timeout: this.timeout,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      const processingTime = Date.now() - startTime;
+      let content = await this.sendChatRequest(messages, params);
+      let structured = null;
       
-      let content;
-      if (this.apiPath === '/completion') {
-        // llama.cpp format
-        if (!response.data || !response.data.content) {
-          throw new Error('Invalid llama.cpp response structure');
-        }
-        content = response.data.content;
-      } else {
-        // OpenAI format
-        if (!response.data || !response.data.choices || !response.data.choices[0]) {
-          throw new Error('Invalid API response structure');
-        }
-        content = response.data.choices[0].message.content;
+      if (structuredMode) {
+        ({ content, structured } = await this.getStructuredContent(request, messages, content, params));
       }
       
+      const processingTime = Date.now() - startTime;
+      
       const analysis = {
         promptType,
         content,
@@ -473,14 +1003,27 @@ class VisionEngine extends EventEmitter {
         cameraId: frameData.cameraId,
         processingTime,
         modelId,
-        confidence: this.extractConfidence(content),
-        detections: this.extractDetections(content, promptType),
-        summary: this.generateSummary(content, promptType)
+        outputMode: structured ? 'json' : 'text',
+        structured,
+        confidence: structured
+          ? (structured.confidence ?? 0.75)
+          : this.extractConfidence(content),
+        detections: structured
+          ? structuredToDetections(structured, promptType)
+          : this.extractDetections(content, promptType),
+        summary: structured && structured.summary
+          ? structured.summary
+          : this.generateSummary(content, promptType)
       };
       
-      // Cache the result
-      const cacheKey = this.getCacheKey(frameData.cameraId, promptType, modelId);
-      this.addToCache(cacheKey, analysis);
+      // Cache the result unless the caller bypassed the cache (cacheKey: null)
+      const cacheKey = request.cacheKey === undefined
+        ? this.getCacheKey(frameData.cameraId, promptType, modelId)
+        : request.cacheKey;
+      if (cacheKey) {
+        this.addToCache(cacheKey, analysis);
+        this.lastAnalyses.set(cacheKey, analysis);
+      }
       
       // Update performance metrics
       this.updatePerformance(modelId, {
@@ -513,6 +1056,80 @@ class VisionEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Send chat messages to the model's backend and return the reply text
+   */
+  async sendChatRequest(messages, { backend, modelName, maxTokens, temperature }) {
+    const response = await axios.post(
+      backend.url,
+      buildBackendRequest(backend, messages, { modelName, maxTokens, temperature }),
+      {
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          ...backend.headers
+        }
+      }
+    );
+    
+    return parseBackendResponse(backend, response.data);
+  }
+
+  /**
+   * Backend adapter settings for a model: its models.json `backend`, or the engine's api settings
+   */
+  getBackend(modelId) {
+    return resolveBackend(this.models[modelId] || this.models[this.currentModel], {
+      type: this.backendType,
+      baseUrl: this.baseUrl,
+      apiPath: this.apiPath
+    });
+  }
+
+  /**
+   * Validate a JSON-mode reply against the prompt type's schema
+   * Malformed replies are sent back to the model with the validation error;
+   * after structuredRetries corrections the keyword parser is used instead.
+   */
+  async getStructuredContent(request, messages, content, params) {
+    const { modelId, promptType } = request;
+    let conversation = messages;
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const structured = parseStructuredContent(content, promptType);
+        this.structuredStats[attempt === 0 ? 'valid' : 'corrected']++;
+        return { content, structured };
+      } catch (error) {
+        if (attempt >= this.structuredRetries) {
+          logger.warn(`[VISION] ${modelId} gave no valid JSON for ${promptType}, falling back to text parsing: ${error.message}`);
+          this.structuredStats.fallbacks++;
+          this.emit('structured-fallback', { modelId, promptType, error: error.message });
+          return { content, structured: null };
+        }
+        
+        logger.debug(`[VISION] Invalid JSON from ${modelId} (attempt ${attempt + 1}): ${error.message}`);
+        
+        conversation = [
+          ...conversation,
+          { role: 'assistant', content },
+          {
+            role: 'user',
+            content: `Your reply was not valid: ${error.message}. Reply again with ONLY the JSON object in the requested format.`
+          }
+        ];
+        content = await this.sendChatRequest(conversation, params);
+      }
+    }
+  }
+
+  /**
+   * Output mode for a request: per-call option, then model config, then engine default
+   */
+  getOutputMode(modelId, requested) {
+    return requested || this.models[modelId]?.prompts?.output_mode || this.outputMode;
+  }
+
   /**
    * Extract confidence score from response
    */
@@ -619,6 +1236,22 @@ class VisionEngine extends EventEmitter {
       }
     }
     
+    // Ball-in-cup state: the prompt asks for IN, OUT or NONE first
+    if (promptType === 'ball_in_cup') {
+      const outKeywords = ['not in', 'not inside', 'outside', 'out of', 'no ball'];
+      const isOut = /^\W*(out|none|no)\b/.test(contentLower) || outKeywords.some(keyword => contentLower.includes(keyword));
+      const isIn = !isOut && (/^\W*(in|yes)\b/.test(contentLower) || ['inside', 'in the cup', 'in a cup'].some(keyword => contentLower.includes(keyword)));
+      
+      if (isIn) {
+        detections.push({
+          type: 'ball_in_cup',
+          detected: true,
+          confidence: this.extractConfidence(content),
+          details: content
+        });
+      }
+    }
+    
     // Extract robot count if mentioned
     const countMatch = content.match(/(\d+)\s*robots?\s*(visible|in\s+view|can\s+be\s+seen)/i);
     if (countMatch) {
@@ -708,15 +1341,23 @@ class VisionEngine extends EventEmitter {
    * Deduplicate detection results
    */
   deduplicateDetections(detections) {
+    // Tiles overlap, so their detections are merged by position instead
+    const tiled = detections.filter(detection => detection.tile);
+    
     const seen = new Set();
-    return detections.filter(detection => {
-      const key = `${detection.type}-${detection.detected}`;
+    const deduplicated = detections.filter(detection => {
+      if (detection.tile) return false;
+      
+      // Region detections stay separate per zone
+      const key = `${detection.type}-${detection.detected}-${detection.roiId || ''}`;
       if (seen.has(key)) {
         return false;
       }
       seen.add(key);
       return true;
     });
+    
+    return [...deduplicated, ...mergeTileDetections(tiled, this.tileMergeOverlap)];
   }
 
   /**
@@ -773,6 +1414,34 @@ class VisionEngine extends EventEmitter {
       status: this.status,
       currentModel: this.currentModel,
       hardwareProfile: this.hardwareProfile,
+      backend: this.backendType,
+      routing: {
+        enabled: Boolean(this.routing) && this.routing.enabled !== false,
+        ...this.routingStats,
+        byModel: { ...this.routingStats.byModel }
+      },
+      verification: {
+        enabled: Boolean(this.verification?.enabled),
+        verifier: this.verification?.verifier || null,
+        ...this.verificationStats
+      },
+      ensemble: this.ensemble && {
+        models: this.ensemble.models,
+        voting: this.ensemble.voting
+      },
+      outputMode: this.outputMode,
+      structuredOutput: { ...this.structuredStats },
+      motionGating: { ...this.motionGatingStats },
+      roi: {
+        enabled: this.roiProcessing,
+        regions: this.regionsOfInterest.length,
+        ...this.roiStats
+      },
+      tiling: {
+        enabled: this.tiling,
+        grid: `${this.tileRows}x${this.tileCols}`,
+        ...this.tilingStats
+      },
       models: {}
     };
     
@@ -784,6 +1453,16 @@ class VisionEngine extends EventEmitter {
     return stats;
   }
 
+  /**
+   * Set the zones/rectangles analysed as crops when roi_processing is on,
+   * alongside the configured roi_regions rectangles
+   * @param {Array} definitions - Detection zones or { id, x, y, width, height } rectangles
+   */
+  setRegionsOfInterest(definitions = []) {
+    this.regionsOfInterest = [...this.roiRegions, ...definitions];
+    logger.info(`Vision regions of interest: ${this.regionsOfInterest.length}`);
+  }
+
   /**
    * Get available models for current hardware
    */
@@ -800,6 +1479,7 @@ class VisionEngine extends EventEmitter {
           name: modelConfig.name,
           description: modelConfig.description,
           performance: modelConfig.performance,
+          backend: modelConfig.backend?.type || this.backendType,
           recommended: hwProfile?.recommended_models?.includes(modelId)
         });
       }
@@ -0,0 +1,255 @@
+/**
+ * Vision backend adapters
+ * VisionEngine builds every request as OpenAI-style chat messages (a text part
+ * and an image_url data URI per user turn); an adapter turns those into one
+ * server's request body and pulls the reply text out of its response. The
+ * adapter is picked per model with `backend` in config/models.json, falling
+ * back to the engine's api settings.
+ */
+
+const BACKEND_TYPES = ['openai', 'llamacpp', 'ollama', 'http'];
+
+/**
+ * Split a data URI into its MIME type and base64 payload
+ * @param {string} url - data:image/jpeg;base64,... or bare base64
+ */
+function splitDataUri(url) {
+  const match = /^data:([^;,]+)(?:;base64)?,(.*)$/s.exec(url);
+  return match
+    ? { mimeType: match[1], data: match[2] }
+    : { mimeType: 'image/jpeg', data: url };
+}
+
+/**
+ * Chat messages as plain turns: { role, text, images } with base64 images
+ */
+function toTurns(messages) {
+  return messages.map(message => {
+    const parts = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : message.content;
+    return {
+      role: message.role,
+      text: parts.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+      images: parts
+        .filter(part => part.type === 'image_url')
+        .map(part => splitDataUri(part.image_url.url))
+    };
+  });
+}
+
+/**
+ * One prompt string for completion-style servers
+ * A single user turn is sent as is; a correction conversation becomes a
+ * USER/ASSISTANT transcript. imageTag(index) marks where each image goes.
+ */
+function toPrompt(turns, imageTag = null) {
+  let imageIndex = 0;
+  const render = turn => {
+    const tags = imageTag ? turn.images.map(() => imageTag(imageIndex++)).join('') : '';
+    return tags ? `${tags}\n${turn.text}` : turn.text;
+  };
+
+  if (turns.length === 1 && !imageTag) {
+    return render(turns[0]);
+  }
+  return turns
+    .map(turn => `${turn.role === 'assistant' ? 'ASSISTANT' : 'USER'}: ${render(turn)}`)
+    .join('\n') + '\nASSISTANT:';
+}
+
+function allImages(turns) {
+  return turns.flatMap(turn => turn.images);
+}
+
+/**
+ * Value at a dotted path such as "choices.0.message.content"
+ */
+function getPath(object, pathString) {
+  return pathString.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    object
+  );
+}
+
+/**
+ * Substitute {{name}} placeholders through a JSON template
+ * A string that is exactly one placeholder takes the value as is (numbers stay
+ * numbers); placeholders inside longer strings are interpolated as text.
+ */
+function fillTemplate(template, values) {
+  if (Array.isArray(template)) {
+    return template.map(item => fillTemplate(item, values));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillTemplate(value, values)]));
+  }
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const whole = /^\{\{(\w+)\}\}$/.exec(template);
+  if (whole) {
+    if (!(whole[1] in values)) {
+      throw new Error(`Unknown template placeholder {{${whole[1]}}}`);
+    }
+    return values[whole[1]];
+  }
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!(name in values)) {
+      throw new Error(`Unknown template placeholder ${match}`);
+    }
+    return String(values[name]);
+  });
+}
+
+const ADAPTERS = {
+  // OpenAI-compatible chat completions (llama.cpp server, vLLM, LM Studio, ...)
+  openai: {
+    defaultPath: '/v1/chat/completions',
+    buildBody(messages, params) {
+      return {
+        model: params.modelName,
+        messages,
+        max_tokens: params.maxTokens,
+        temperature: params.temperature
+      };
+    },
+    parseResponse(data) {
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('Invalid API response structure');
+      }
+      return content;
+    }
+  },
+
+  // llama.cpp native completion: images in image_data, referenced as [img-N]
+  llamacpp: {
+    defaultPath: '/completion',
+    buildBody(messages, params) {
+      const turns = toTurns(messages);
+      return {
+        prompt: toPrompt(turns, index => `[img-${index + 1}]`),
+        image_data: allImages(turns).map((image, index) => ({ data: image.data, id: index + 1 })),
+        n_predict: params.maxTokens,
+        temperature: params.temperature
+      };
+    },
+    parseResponse(data) {
+      if (typeof data?.content !== 'string') {
+        throw new Error('Invalid llama.cpp response structure');
+      }
+      return data.content;
+    }
+  },
+
+  // Ollama generate: bare base64 images alongside the prompt
+  ollama: {
+    defaultPath: '/api/generate',
+    buildBody(messages, params) {
+      const turns = toTurns(messages);
+      return {
+        model: params.modelName,
+        prompt: toPrompt(turns),
+        images: allImages(turns).map(image => image.data),
+        stream: false,
+        options: {
+          num_predict: params.maxTokens,
+          temperature: params.temperature
+        }
+      };
+    },
+    parseResponse(data) {
+      if (typeof data?.response !== 'string') {
+        throw new Error('Invalid Ollama response structure');
+      }
+      return data.response;
+    }
+  },
+
+  // Any JSON API: the body is the backend's template, the reply is at response_path
+  http: {
+    defaultPath: null,
+    buildBody(messages, params, backend) {
+      const turns = toTurns(messages);
+      const image = allImages(turns)[0] || { mimeType: 'image/jpeg', data: '' };
+      return fillTemplate(backend.template, {
+        prompt: toPrompt(turns),
+        image: `data:${image.mimeType};base64,${image.data}`,
+        image_base64: image.data,
+        mime_type: image.mimeType,
+        model: params.modelName,
+        max_tokens: params.maxTokens,
+        temperature: params.temperature
+      });
+    },
+    parseResponse(data, backend) {
+      const content = getPath(data, backend.responsePath);
+      if (typeof content !== 'string') {
+        throw new Error(`No text at response_path "${backend.responsePath}"`);
+      }
+      return content;
+    }
+  }
+};
+
+/**
+ * Backend settings for a model
+ * @param {Object} modelConfig - models.json entry; its `backend` block is
+ *   { type, base_url, path, headers, template, response_path }
+ * @param {Object} defaults - { type, baseUrl, apiPath } from the engine's api settings
+ * @returns {Object} { type, url, headers, template, responsePath }
+ */
+function resolveBackend(modelConfig, defaults) {
+  const backend = modelConfig?.backend || {};
+  const type = backend.type || defaults.type;
+  const adapter = ADAPTERS[type];
+  if (!adapter) {
+    throw new Error(`Unknown vision backend "${type}"; expected one of ${BACKEND_TYPES.join(', ')}`);
+  }
+
+  // The engine's api_path belongs to its own backend type
+  const apiPath = backend.path || (type === defaults.type ? defaults.apiPath : adapter.defaultPath);
+  if (!apiPath) {
+    throw new Error(`Vision backend "${type}" needs a path`);
+  }
+  if (type === 'http' && (!backend.template || !backend.response_path)) {
+    throw new Error('The http vision backend needs a template and a response_path');
+  }
+
+  return {
+    type,
+    url: `${(backend.base_url || defaults.baseUrl).replace(/\/$/, '')}${apiPath}`,
+    headers: backend.headers || {},
+    template: backend.template || null,
+    responsePath: backend.response_path || null
+  };
+}
+
+/**
+ * Request body for a backend
+ * @param {Object} backend - resolveBackend result
+ * @param {Array} messages - Chat messages
+ * @param {Object} params - { modelName, maxTokens, temperature }
+ */
+function buildBackendRequest(backend, messages, params) {
+  return ADAPTERS[backend.type].buildBody(messages, params, backend);
+}
+
+/**
+ * Reply text from a backend's response body
+ * @throws {Error} When the response has no reply text
+ */
+function parseBackendResponse(backend, data) {
+  return ADAPTERS[backend.type].parseResponse(data, backend);
+}
+
+module.exports = {
+  BACKEND_TYPES,
+  resolveBackend,
+  buildBackendRequest,
+  parseBackendResponse,
+  fillTemplate,
+  getPath
+};
@@ -0,0 +1,202 @@
+/**
+ * Ensemble voting
+ * Merges the analyses several models gave for one frame into a single
+ * analysis. Each detected type is a vote: with 'majority' every model counts
+ * once, with 'weighted' each counts by its weight (ModelSelector derives
+ * these from benchmark results). Safety types pass on any positive vote, so
+ * one model seeing a person is enough. Each model gets an agreement score:
+ * the share of votes where it sided with the outcome.
+ */
+
+const VOTING_METHODS = ['majority', 'weighted'];
+const DEFAULT_SAFETY_TYPES = ['robot_tipped', 'human_in_area'];
+
+// Region and tile detections vote per zone, like deduplicateDetections
+function voteKey(detection) {
+  return `${detection.type}-${detection.roiId || ''}`;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Merge one vote's positive detections into a single detection
+ * Safety types keep the strongest confidence so EventDetector's threshold
+ * still applies to what the most certain model saw; other types average the
+ * positive confidences by weight.
+ */
+function mergeDetections(positives, safety) {
+  const [best] = [...positives].sort((a, b) => b.detection.confidence - a.detection.confidence);
+  const totalWeight = positives.reduce((sum, { weight }) => sum + weight, 0);
+  const confidence = safety || totalWeight === 0
+    ? best.detection.confidence
+    : positives.reduce((sum, { detection, weight }) => sum + detection.confidence * weight, 0) / totalWeight;
+  const robots = [...new Set(positives.flatMap(({ detection }) => detection.robots || []))];
+
+  return {
+    ...best.detection,
+    confidence: round(confidence),
+    ...(robots.length > 0 ? { robots } : {})
+  };
+}
+
+/**
+ * Robot count with the most weight behind it; ties go to the higher count
+ */
+function voteCount(members) {
+  const reports = members
+    .map(member => ({ member, detection: member.analysis.detections.find(d => d.type === 'robot_count') }))
+    .filter(({ detection }) => detection && Number.isFinite(detection.count));
+  if (reports.length === 0) {
+    return null;
+  }
+
+  const totals = new Map();
+  for (const { member, detection } of reports) {
+    totals.set(detection.count, (totals.get(detection.count) || 0) + member.weight);
+  }
+  const [count] = [...totals.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+  const winner = reports.find(({ detection }) => detection.count === count);
+
+  return {
+    detection: winner.detection,
+    agreed: reports.map(({ member, detection }) => [member.modelId, detection.count === count])
+  };
+}
+
+/**
+ * Merge member analyses into one analysis
+ * @param {Array} members - [{ modelId, analysis, weight }] successful analyses
+ * @param {Object} options - { voting, safetyTypes, threshold } where threshold
+ *   is the share of (weighted) votes a non-safety detection must exceed
+ * @returns {Object} Analysis with detections, confidence and an `ensemble`
+ *   block holding each vote and each model's agreement
+ */
+function mergeEnsemble(members, options = {}) {
+  const voting = options.voting || 'majority';
+  if (!VOTING_METHODS.includes(voting)) {
+    throw new Error(`Unknown ensemble voting "${voting}"; expected one of ${VOTING_METHODS.join(', ')}`);
+  }
+  if (members.length === 0) {
+    throw new Error('Ensemble needs at least one analysis');
+  }
+
+  const safetyTypes = options.safetyTypes || DEFAULT_SAFETY_TYPES;
+  const threshold = options.threshold ?? 0.5;
+  const voters = members.map(member => ({
+    ...member,
+    weight: voting === 'weighted' ? Math.max(member.weight ?? 1, 0) : 1
+  }));
+  const totalWeight = voters.reduce((sum, { weight }) => sum + weight, 0);
+
+  // Every detected type or zone any model reported is put to a vote
+  const candidates = new Map();
+  for (const voter of voters) {
+    for (const detection of voter.analysis.detections || []) {
+      if (!detection.detected) continue;
+      const key = voteKey(detection);
+      if (!candidates.has(key)) {
+        candidates.set(key, new Map());
+      }
+      // A model reporting the same type twice still votes once, with its surest detection
+      const byModel = candidates.get(key);
+      const previous = byModel.get(voter.modelId);
+      if (!previous || detection.confidence > previous.detection.confidence) {
+        byModel.set(voter.modelId, { detection, weight: voter.weight });
+      }
+    }
+  }
+
+  const agreed = new Map(voters.map(({ modelId }) => [modelId, { matches: 0, decisions: 0 }]));
+  const tally = (modelId, match) => {
+    const record = agreed.get(modelId);
+    record.decisions++;
+    if (match) record.matches++;
+  };
+
+  const votes = {};
+  const detections = [];
+  for (const [key, byModel] of candidates) {
+    const positives = [...byModel.values()];
+    const type = positives[0].detection.type;
+    const safety = safetyTypes.includes(type);
+    const score = totalWeight > 0
+      ? positives.reduce((sum, { weight }) => sum + weight, 0) / totalWeight
+      : 0;
+    const passed = safety || score > threshold;
+
+    votes[key] = {
+      type,
+      rule: safety ? 'any-positive' : voting,
+      score: round(score),
+      passed,
+      for: voters.filter(({ modelId }) => byModel.has(modelId)).map(({ modelId }) => modelId),
+      against: voters.filter(({ modelId }) => !byModel.has(modelId)).map(({ modelId }) => modelId)
+    };
+    for (const { modelId } of voters) {
+      tally(modelId, byModel.has(modelId) === passed);
+    }
+
+    if (passed) {
+      detections.push({
+        ...mergeDetections(positives, safety),
+        votes: { for: votes[key].for, against: votes[key].against, score: votes[key].score }
+      });
+    }
+  }
+
+  const count = voteCount(voters);
+  if (count) {
+    detections.push(count.detection);
+    for (const [modelId, match] of count.agreed) {
+      tally(modelId, match);
+    }
+  }
+
+  // A model that was never outvoted agrees fully
+  const agreement = {};
+  for (const voter of voters) {
+    const { matches, decisions } = agreed.get(voter.modelId);
+    agreement[voter.modelId] = {
+      agreement: decisions > 0 ? round(matches / decisions) : 1,
+      weight: round(voter.weight),
+      confidence: voter.analysis.confidence,
+      processingTime: voter.analysis.processingTime
+    };
+  }
+
+  // Content and summary come from the model that agreed most, then the heaviest
+  const [lead] = [...voters].sort((a, b) =>
+    agreement[b.modelId].agreement - agreement[a.modelId].agreement || b.weight - a.weight
+  );
+  const confidence = totalWeight > 0
+    ? voters.reduce((sum, { analysis, weight }) => sum + (analysis.confidence || 0) * weight, 0) / totalWeight
+    : lead.analysis.confidence;
+
+  // The lead's own verification covered only its detections
+  const leadAnalysis = { ...lead.analysis };
+  delete leadAnalysis.verification;
+
+  return {
+    ...leadAnalysis,
+    modelId: 'ensemble',
+    confidence: round(confidence),
+    detections,
+    processingTime: Math.max(...voters.map(({ analysis }) => analysis.processingTime || 0)),
+    ensemble: {
+      voting,
+      threshold,
+      leadModel: lead.modelId,
+      models: voters.map(({ modelId }) => modelId),
+      agreement,
+      votes
+    }
+  };
+}
+
+module.exports = {
+  VOTING_METHODS,
+  DEFAULT_SAFETY_TYPES,
+  mergeEnsemble
+};
@@ -0,0 +1,207 @@
+/**
+ * Labelled evaluation datasets
+ * A dataset is a JSON manifest of frames with the answers a model should
+ * give; each label is checked with its own prompt and scored against what
+ * the model reported. Binary labels get precision/recall/F1, the robot count
+ * gets exact-match accuracy and mean absolute error.
+ *
+ * {
+ *   "name": "pen-overhead",
+ *   "frames": [
+ *     { "id": "f001", "image": "frames/f001.jpg",
+ *       "labels": { "robot_count": 3, "robot_tipped": false, "human_present": true, "ball_in_cup": false } }
+ *   ]
+ * }
+ *
+ * Image paths are relative to the manifest; `image` may also be a data URI,
+ * which is how datasets posted to the API carry their frames. A missing or
+ * null label leaves that frame out of that label's score.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Joi = require('joi');
+
+// Prompt each label is asked with, and how its value is read from the analysis
+const LABELS = {
+  robot_count: { promptType: 'count', kind: 'count' },
+  robot_tipped: { promptType: 'robot_tipped', kind: 'binary', detection: 'robot_tipped' },
+  human_present: { promptType: 'human_detection', kind: 'binary', detection: 'human_in_area' },
+  ball_in_cup: { promptType: 'ball_in_cup', kind: 'binary', detection: 'ball_in_cup' }
+};
+
+const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+const datasetSchema = Joi.object({
+  name: Joi.string().default('dataset'),
+  frames: Joi.array().min(1).items(Joi.object({
+    id: Joi.string().required(),
+    image: Joi.string().required(),
+    labels: Joi.object({
+      robot_count: Joi.number().integer().min(0).allow(null),
+      robot_tipped: Joi.boolean().allow(null),
+      human_present: Joi.boolean().allow(null),
+      ball_in_cup: Joi.boolean().allow(null)
+    }).required()
+  }).unknown(true)).required()
+}).unknown(true);
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Validate a dataset manifest and load its images as base64
+ * @param {Object} manifest - Parsed dataset JSON
+ * @param {string} baseDir - Directory image paths are relative to
+ * @returns {Promise<Object>} { name, frames: [{ id, image, labels }] }
+ * @throws {Error} When the manifest is invalid or an image cannot be read
+ */
+async function parseDataset(manifest, baseDir = process.cwd()) {
+  const { error, value } = datasetSchema.validate(manifest);
+  if (error) {
+    throw new Error(`Invalid evaluation dataset: ${error.message}`);
+  }
+
+  const frames = await Promise.all(value.frames.map(async (frame) => {
+    let image = frame.image;
+    if (!image.startsWith('data:')) {
+      try {
+        image = (await fs.readFile(path.resolve(baseDir, image))).toString('base64');
+      } catch (readError) {
+        throw new Error(`Cannot read image for frame ${frame.id}: ${readError.message}`);
+      }
+    }
+    return { id: frame.id, image, labels: frame.labels };
+  }));
+
+  return { name: value.name, frames };
+}
+
+/**
+ * Read a dataset manifest file and its images
+ */
+async function loadDataset(manifestPath) {
+  const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  return parseDataset(manifest, path.dirname(manifestPath));
+}
+
+/**
+ * Prompt types a frame needs, one per label it has
+ */
+function framePrompts(frame) {
+  return Object.entries(LABELS)
+    .filter(([label]) => frame.labels[label] !== undefined && frame.labels[label] !== null)
+    .map(([label, { promptType }]) => ({ label, promptType }));
+}
+
+/**
+ * What the model answered for a label
+ * The count prompt asks for the number alone, so a bare number is accepted
+ * when the analysis has no robot_count detection.
+ */
+function predictLabel(label, analysis) {
+  const spec = LABELS[label];
+  if (spec.kind === 'binary') {
+    return (analysis.detections || []).some(detection => detection.type === spec.detection && detection.detected);
+  }
+
+  const counted = (analysis.detections || []).find(detection => detection.type === 'robot_count');
+  if (counted) {
+    return counted.count;
+  }
+  const number = /\b(\d+)\b/.exec(analysis.content || '');
+  return number ? parseInt(number[1], 10) : null;
+}
+
+/**
+ * Nearest-rank percentiles of a list of latencies
+ */
+function percentiles(values, ranks = LATENCY_PERCENTILES) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = {};
+  for (const rank of ranks) {
+    result[`p${rank}`] = sorted.length > 0
+      ? sorted[Math.min(sorted.length - 1, Math.ceil((rank / 100) * sorted.length) - 1)]
+      : null;
+  }
+  return result;
+}
+
+function scoreBinary(samples) {
+  const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  for (const { expected, predicted } of samples) {
+    if (predicted && expected) counts.tp++;
+    else if (predicted) counts.fp++;
+    else if (expected) counts.fn++;
+    else counts.tn++;
+  }
+
+  const { tp, fp, fn } = counts;
+  return {
+    frames: samples.length,
+    ...counts,
+    precision: round(tp + fp > 0 ? tp / (tp + fp) : null),
+    recall: round(tp + fn > 0 ? tp / (tp + fn) : null),
+    f1: round(tp + fp + fn > 0 ? (2 * tp) / (2 * tp + fp + fn) : null)
+  };
+}
+
+function scoreCount(samples) {
+  const parsed = samples.filter(({ predicted }) => predicted !== null);
+  const exact = parsed.filter(({ expected, predicted }) => expected === predicted).length;
+  return {
+    frames: samples.length,
+    exact,
+    unparsed: samples.length - parsed.length,
+    accuracy: round(samples.length > 0 ? exact / samples.length : null),
+    meanAbsoluteError: round(parsed.length > 0
+      ? parsed.reduce((sum, { expected, predicted }) => sum + Math.abs(expected - predicted), 0) / parsed.length
+      : null)
+  };
+}
+
+/**
+ * Score one model's answers
+ * @param {Array} samples - [{ frameId, label, expected, predicted, latency, error }]
+ *   where failed requests carry error instead of predicted
+ * @returns {Object} { labels, latency, macroF1, requests, errors }
+ */
+function scoreEvaluation(samples) {
+  const answered = samples.filter(sample => !sample.error);
+  const labels = {};
+  for (const [label, spec] of Object.entries(LABELS)) {
+    const labelSamples = samples.filter(sample => sample.label === label);
+    if (labelSamples.length === 0) continue;
+    const scored = labelSamples.filter(sample => !sample.error);
+    labels[label] = {
+      ...(spec.kind === 'binary' ? scoreBinary(scored) : scoreCount(scored)),
+      errors: labelSamples.length - scored.length
+    };
+  }
+
+  const f1Scores = Object.values(labels).map(score => score.f1).filter(f1 => f1 !== undefined && f1 !== null);
+  const latencies = answered.map(sample => sample.latency);
+
+  return {
+    labels,
+    latency: {
+      mean: latencies.length > 0 ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length) : null,
+      ...percentiles(latencies)
+    },
+    macroF1: round(f1Scores.length > 0 ? f1Scores.reduce((sum, f1) => sum + f1, 0) / f1Scores.length : null),
+    requests: samples.length,
+    errors: samples.length - answered.length
+  };
+}
+
+module.exports = {
+  LABELS,
+  LATENCY_PERCENTILES,
+  parseDataset,
+  loadDataset,
+  framePrompts,
+  predictLabel,
+  percentiles,
+  scoreEvaluation
+};
@@ -0,0 +1,293 @@
+/**
+ * Region-of-interest helpers for VisionEngine
+ * Zones, manual rectangles and tile grids are turned into pixel crops of the
+ * frame, upscaled so small regions reach the model at a usable size, and the
+ * detections found in a crop are mapped back to full-frame coordinates
+ */
+
+const sharp = require('sharp');
+
+/**
+ * Decode a base64 frame (optionally a data URI) and read its size
+ * @returns {Promise<Object>} { image: Buffer, width, height }
+ */
+async function decodeFrame(base64) {
+  const image = Buffer.from(base64.replace(/^data:[^,]*,/, ''), 'base64');
+  const { width, height } = await sharp(image).metadata();
+  return { image, width, height };
+}
+
+/**
+ * Pixel bounding box of a zone (rectangle, circle or polygon coordinates)
+ */
+function zoneBounds(coordinates) {
+  if (Array.isArray(coordinates)) {
+    const xs = coordinates.map(point => point.x);
+    const ys = coordinates.map(point => point.y);
+    return {
+      x: Math.min(...xs),
+      y: Math.min(...ys),
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys)
+    };
+  }
+
+  if (coordinates.radius !== undefined) {
+    return {
+      x: coordinates.cx - coordinates.radius,
+      y: coordinates.cy - coordinates.radius,
+      width: coordinates.radius * 2,
+      height: coordinates.radius * 2
+    };
+  }
+
+  return { x: coordinates.x, y: coordinates.y, width: coordinates.width, height: coordinates.height };
+}
+
+/**
+ * Outline of a zone as points (circles approximated by 16 points)
+ */
+function zoneOutline(coordinates) {
+  if (Array.isArray(coordinates)) {
+    return coordinates;
+  }
+
+  if (coordinates.radius !== undefined) {
+    return Array.from({ length: 16 }, (_, i) => ({
+      x: coordinates.cx + coordinates.radius * Math.cos(i * Math.PI / 8),
+      y: coordinates.cy + coordinates.radius * Math.sin(i * Math.PI / 8)
+    }));
+  }
+
+  const { x, y, width, height } = coordinates;
+  return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+}
+
+/**
+ * Resolve ROI definitions to pixel rectangles inside the frame
+ * @param {Array} definitions - Zones ({ id, name, coordinates, camera_id? }) or
+ *   manual rectangles ({ id, x, y, width, height, zone_id? })
+ * @param {Object} frameSize - { width, height } of the full frame
+ * @param {Object} options - { cameraId, padding, toPixels } padding in pixels around each
+ *   region; toPixels maps zone points to frame pixels when zones are in floor metres
+ * @returns {Array} { id, zoneId, name, x, y, width, height } rounded and clamped to the frame
+ */
+function resolveRois(definitions, frameSize, { cameraId = null, padding = 0, toPixels = null } = {}) {
+  const rois = [];
+
+  for (const [index, definition] of definitions.entries()) {
+    // Zones bound to another camera do not apply to this frame
+    if (cameraId && definition.camera_id && definition.camera_id !== cameraId) continue;
+    
+    const isZone = definition.coordinates !== undefined;
+    let bounds = definition;
+    if (isZone) {
+      bounds = toPixels
+        ? zoneBounds(zoneOutline(definition.coordinates).map(toPixels))
+        : zoneBounds(definition.coordinates);
+    }
+    
+    const x = Math.max(0, Math.floor(bounds.x - padding));
+    const y = Math.max(0, Math.floor(bounds.y - padding));
+    const right = Math.min(frameSize.width, Math.ceil(bounds.x + bounds.width + padding));
+    const bottom = Math.min(frameSize.height, Math.ceil(bounds.y + bounds.height + padding));
+    
+    if (right - x < 1 || bottom - y < 1) continue;
+    
+    const zoneId = isZone ? definition.id : (definition.zone_id || null);
+    rois.push({
+      id: definition.id || zoneId || `roi-${index + 1}`,
+      zoneId,
+      name: definition.name || zoneId || definition.id || `region ${index + 1}`,
+      x,
+      y,
+      width: right - x,
+      height: bottom - y
+    });
+  }
+
+  return rois;
+}
+
+/**
+ * Split a frame into an overlapping grid of tiles
+ * @param {Object} frameSize - { width, height } of the full frame
+ * @param {Object} grid - { rows, cols, overlap } overlap as a fraction of a tile
+ * @returns {Array} ROIs with a tile: { row, col, rows, cols } descriptor
+ */
+function buildTileGrid(frameSize, { rows = 2, cols = 2, overlap = 0.15 } = {}) {
+  // Tiles of size t with stride t * (1 - overlap) exactly cover the frame
+  const tileWidth = Math.ceil(frameSize.width / (1 + (cols - 1) * (1 - overlap)));
+  const tileHeight = Math.ceil(frameSize.height / (1 + (rows - 1) * (1 - overlap)));
+  const tiles = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x = Math.min(Math.round(col * tileWidth * (1 - overlap)), frameSize.width - tileWidth);
+      const y = Math.min(Math.round(row * tileHeight * (1 - overlap)), frameSize.height - tileHeight);
+      tiles.push({
+        id: `tile-${row}-${col}`,
+        zoneId: null,
+        name: `tile ${row + 1},${col + 1}`,
+        x: Math.max(0, x),
+        y: Math.max(0, y),
+        width: Math.min(tileWidth, frameSize.width),
+        height: Math.min(tileHeight, frameSize.height),
+        tile: { row, col, rows, cols }
+      });
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Crop a region from an encoded frame and upscale it so its shorter side
+ * is at least minSize pixels
+ * @returns {Promise<Buffer>} JPEG crop
+ */
+async function cropRegion(image, roi, { minSize = 384, quality = 90 } = {}) {
+  const scale = Math.max(1, minSize / Math.min(roi.width, roi.height));
+
+  return sharp(image)
+    .extract({ left: roi.x, top: roi.y, width: roi.width, height: roi.height })
+    .resize(Math.round(roi.width * scale), Math.round(roi.height * scale), { kernel: 'lanczos3' })
+    .jpeg({ quality })
+    .toBuffer();
+}
+
+/**
+ * Tell the model it is looking at one region rather than the whole pen
+ */
+function buildRoiPrompt(prompt, roi) {
+  if (roi.tile) {
+    const { row, col, rows, cols } = roi.tile;
+    return `This image is one tile (row ${row + 1} of ${rows}, column ${col + 1} of ${cols}) of a larger ` +
+      'overhead view of the robot pen. Robots may be cut off at its edges. ' +
+      `Only report what is inside this tile.\n\n${prompt}`;
+  }
+
+  const label = roi.zoneId ? `zone "${roi.name}" (${roi.zoneId})` : `region "${roi.name}"`;
+  return `This image is an enlarged close-up of ${label} of the robot pen, not the whole pen. ` +
+    `Only report what is inside this region.\n\n${prompt}`;
+}
+
+/**
+ * Map crop-relative detections to the full frame and tag them with the region
+ * Boxes are normalized (0-1) to the crop and become normalized to the frame.
+ */
+function mapDetectionsToFrame(detections, roi, frameSize) {
+  const toFrame = box => ({
+    x: (roi.x + box.x * roi.width) / frameSize.width,
+    y: (roi.y + box.y * roi.height) / frameSize.height,
+    width: box.width * roi.width / frameSize.width,
+    height: box.height * roi.height / frameSize.height
+  });
+
+  return detections.map(detection => ({
+    ...detection,
+    ...(detection.boxes ? { boxes: detection.boxes.map(toFrame) } : {}),
+    roiId: roi.id,
+    zoneId: roi.zoneId,
+    ...(roi.tile ? { tile: roi.tile } : {})
+  }));
+}
+
+/**
+ * How much two normalized boxes overlap, relative to the smaller one
+ * A robot cut by a tile edge shows up as a partial box that lies mostly
+ * inside the box from the neighbouring tile, which IoU would under-rate.
+ */
+function boxOverlap(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+
+  const smaller = Math.min(a.width * a.height, b.width * b.height);
+  return smaller > 0 ? (width * height) / smaller : 0;
+}
+
+/**
+ * Merge boxes that overlap by at least threshold into their union
+ */
+function mergeBoxes(boxes, threshold) {
+  const merged = [];
+
+  for (const box of boxes) {
+    const match = merged.find(existing => boxOverlap(existing, box) >= threshold);
+    if (!match) {
+      merged.push({ ...box });
+      continue;
+    }
+    
+    const right = Math.max(match.x + match.width, box.x + box.width);
+    const bottom = Math.max(match.y + match.height, box.y + box.height);
+    match.x = Math.min(match.x, box.x);
+    match.y = Math.min(match.y, box.y);
+    match.width = right - match.x;
+    match.height = bottom - match.y;
+  }
+
+  return merged;
+}
+
+/**
+ * Merge per-tile detections into one detection per type
+ * Boxes seen by neighbouring tiles are merged, so a robot in an overlap is
+ * counted once. Robot counts are recounted from boxes when every tile gave a
+ * box per robot, and summed otherwise (text replies have no positions).
+ * @param {Array} detections - Frame-mapped detections carrying a tile descriptor
+ * @param {number} threshold - boxOverlap at which two boxes are the same object
+ */
+function mergeTileDetections(detections, threshold = 0.5) {
+  const groups = new Map();
+
+  for (const detection of detections) {
+    const key = `${detection.type}-${detection.detected}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(detection);
+  }
+
+  return [...groups.values()].map((group) => {
+    const { tile, roiId, zoneId, ...first } = group[0];
+    const merged = { ...first, tiles: group.map(detection => detection.roiId) };
+    
+    const confidences = group.map(detection => detection.confidence).filter(value => value !== undefined);
+    if (confidences.length > 0) {
+      merged.confidence = Math.max(...confidences);
+    }
+    
+    const boxes = group.flatMap(detection => detection.boxes || []);
+    if (boxes.length > 0) {
+      merged.boxes = mergeBoxes(boxes, threshold);
+    }
+    
+    const robots = [...new Set(group.flatMap(detection => detection.robots || []))];
+    if (robots.length > 0) {
+      merged.robots = robots;
+    }
+    
+    if (first.type === 'robot_count') {
+      const boxed = group.every(detection => detection.boxes && detection.boxes.length === detection.count);
+      merged.count = boxed
+        ? (merged.boxes || []).length
+        : group.reduce((sum, detection) => sum + detection.count, 0);
+    }
+    
+    return merged;
+  });
+}
+
+module.exports = {
+  decodeFrame,
+  zoneBounds,
+  zoneOutline,
+  resolveRois,
+  buildTileGrid,
+  cropRegion,
+  buildRoiPrompt,
+  mapDetectionsToFrame,
+  boxOverlap,
+  mergeBoxes,
+  mergeTileDetections
+};
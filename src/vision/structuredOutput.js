@@ -0,0 +1,217 @@
+/**
+ * Structured output schemas for VisionEngine JSON mode
+ * Each prompt type asks the model for a JSON object; replies are validated
+ * with Joi and mapped to the same detection objects the keyword parser makes
+ */
+
+const Joi = require('joi');
+
+// Bounding boxes are normalized to the frame (0-1) so they survive resizing
+const boxSchema = Joi.object({
+  x: Joi.number().min(0).max(1).required(),
+  y: Joi.number().min(0).max(1).required(),
+  width: Joi.number().min(0).max(1).required(),
+  height: Joi.number().min(0).max(1).required()
+});
+
+const robotSchema = Joi.object({
+  id: Joi.string().allow(''),
+  state: Joi.string().valid('upright', 'tipped', 'stuck', 'moving', 'stationary', 'unknown').required(),
+  bbox: boxSchema,
+  confidence: Joi.number().min(0).max(1)
+});
+
+const humanSchema = Joi.object({
+  bbox: boxSchema,
+  activity: Joi.string().allow(''),
+  confidence: Joi.number().min(0).max(1)
+});
+
+const baseSchema = Joi.object({
+  robot_count: Joi.number().integer().min(0),
+  robots: Joi.array().items(robotSchema),
+  humans_present: Joi.boolean(),
+  humans: Joi.array().items(humanSchema),
+  collision: Joi.boolean(),
+  task_completed: Joi.boolean(),
+  activity_level: Joi.string().valid('HIGH', 'MEDIUM', 'LOW'),
+  hazards: Joi.array().items(Joi.string()),
+  ball_in_cup: Joi.string().valid('in', 'out', 'none'),
+  confidence: Joi.number().min(0).max(1),
+  summary: Joi.string().allow('').required()
+});
+
+// Fields each prompt type must return
+const REQUIRED_FIELDS = {
+  general: ['robot_count', 'robots', 'humans_present', 'collision'],
+  robot_status: ['robots'],
+  robot_tipped: ['robots'],
+  robot_stuck: ['robots'],
+  human_detection: ['humans_present'],
+  collision: ['collision'],
+  task_completion: ['task_completed'],
+  zone_check: ['robots'],
+  safety: ['humans_present', 'robots', 'hazards'],
+  performance: ['robots'],
+  count: ['robot_count'],
+  activity_level: ['activity_level'],
+  ball_in_cup: ['ball_in_cup']
+};
+
+// Example values shown to the model for each field
+const FIELD_EXAMPLES = {
+  robot_count: 2,
+  robots: [{ id: 'robot-1', state: 'upright', bbox: { x: 0.1, y: 0.2, width: 0.08, height: 0.1 }, confidence: 0.9 }],
+  humans_present: false,
+  humans: [],
+  collision: false,
+  task_completed: false,
+  activity_level: 'MEDIUM',
+  hazards: [],
+  ball_in_cup: 'out',
+  confidence: 0.85,
+  summary: 'One sentence describing the scene'
+};
+
+const schemas = {};
+
+function getSchema(promptType) {
+  if (!schemas[promptType]) {
+    const required = REQUIRED_FIELDS[promptType] || [];
+    schemas[promptType] = required.length > 0
+      ? baseSchema.fork(required, field => field.required())
+      : baseSchema;
+  }
+  return schemas[promptType];
+}
+
+/**
+ * Instructions appended to a prompt so the model replies with JSON
+ */
+function buildStructuredPrompt(prompt, promptType) {
+  const fields = [...(REQUIRED_FIELDS[promptType] || []), 'confidence', 'summary'];
+  const example = {};
+  for (const field of fields) {
+    example[field] = FIELD_EXAMPLES[field];
+  }
+
+  return `${prompt}\n\nRespond ONLY with a JSON object, no other text, in this format: ${JSON.stringify(example)}. ` +
+    'Robot state is one of upright, tipped, stuck, moving, stationary, unknown. ' +
+    'Bounding boxes are fractions of the image width and height (0-1). Confidence is 0-1.';
+}
+
+/**
+ * Parse and validate a model reply
+ * @throws {Error} When the reply has no JSON object or fails validation
+ */
+function parseStructuredContent(content, promptType) {
+  // Models often wrap JSON in a code fence or add a sentence around it
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object in response');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Malformed JSON: ${error.message}`);
+  }
+
+  const { error, value } = getSchema(promptType).validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    throw new Error(`Schema validation failed: ${error.message}`);
+  }
+
+  return value;
+}
+
+/**
+ * Map validated structured output to VisionEngine detections
+ */
+function structuredToDetections(data, promptType) {
+  const detections = [];
+  const robots = data.robots || [];
+  const confidence = data.confidence ?? 0.75;
+
+  const robotsInState = (state) => robots.filter(robot => robot.state === state);
+  const robotDetection = (type, matched) => ({
+    type,
+    detected: true,
+    confidence: Math.max(...matched.map(robot => robot.confidence ?? confidence)),
+    robots: matched.map(robot => robot.id).filter(Boolean),
+    boxes: matched.map(robot => robot.bbox).filter(Boolean),
+    details: data.summary
+  });
+
+  const tipped = robotsInState('tipped');
+  if (tipped.length > 0) {
+    detections.push(robotDetection('robot_tipped', tipped));
+  }
+
+  const stuck = robotsInState('stuck');
+  if (stuck.length > 0) {
+    detections.push(robotDetection('robot_stuck', stuck));
+  }
+
+  if (data.collision) {
+    detections.push({
+      type: 'collision',
+      detected: true,
+      confidence,
+      details: data.summary
+    });
+  }
+
+  if (data.humans_present) {
+    const humans = data.humans || [];
+    detections.push({
+      type: 'human_in_area',
+      detected: true,
+      confidence: humans.length > 0 ? Math.max(...humans.map(human => human.confidence ?? confidence)) : confidence,
+      priority: 'high',
+      boxes: humans.map(human => human.bbox).filter(Boolean),
+      details: data.summary
+    });
+  }
+
+  if (data.task_completed && promptType === 'task_completion') {
+    detections.push({
+      type: 'task_completed',
+      detected: true,
+      confidence
+    });
+  }
+
+  if (data.ball_in_cup === 'in') {
+    detections.push({
+      type: 'ball_in_cup',
+      detected: true,
+      confidence,
+      details: data.summary
+    });
+  }
+
+  if (data.robot_count !== undefined) {
+    // Robot boxes let tiled analysis count robots seen by two tiles once
+    detections.push({
+      type: 'robot_count',
+      count: data.robot_count,
+      boxes: robots.map(robot => robot.bbox).filter(Boolean)
+    });
+  }
+
+  return detections;
+}
+
+module.exports = {
+  getSchema,
+  buildStructuredPrompt,
+  parseStructuredContent,
+  structuredToDetections
+};
@@ -156,6 +156,11 @@ class WebSocketHandler {
       this.handleEmergencyStop(socket, data);
     });
     
+    // Pan/tilt/zoom
+    socket.on('ptz_command', (data) => {
+      this.handlePtzCommand(socket, data);
+    });
+    
     // Force immediate capture
     socket.on('force_capture', (data) => {
       this.handleForceCapture(socket, data);
@@ -268,6 +273,9 @@ class WebSocketHandler {
     } else if (feed === 'metrics') {
       socket.join('metrics');
       socket.emit('subscribed', { feed: 'metrics' });
+    } else if (feed === 'map') {
+      socket.join('map');
+      socket.emit('subscribed', { feed: 'map' });
     } else {
       socket.emit('error', { 
         message: 'Invalid feed type',
@@ -457,6 +465,43 @@ class WebSocketHandler {
     this.stats.messagesReceived++;
   }
 
+  /**
+   * Handle PTZ command (operators and admins only)
+   */
+  async handlePtzCommand(socket, data = {}) {
+    const { cameraId, ...command } = data;
+    
+    if (!['admin', 'operator'].includes(socket.role)) {
+      socket.emit('error', {
+        message: 'Operator access required',
+        code: 'UNAUTHORIZED'
+      });
+      return;
+    }
+    
+    try {
+      if (!this.services.cameraManager) {
+        throw new Error('Camera manager not available');
+      }
+      
+      const invalid = this.services.cameraManager.validatePtzCommand(command);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+      
+      const result = await this.services.cameraManager.ptzCommand(cameraId, command, socket.userId);
+      socket.emit('ptz_result', result);
+    
+    } catch (error) {
+      socket.emit('error', {
+        message: `PTZ command failed: ${error.message}`,
+        code: 'PTZ_FAILED'
+      });
+    }
+    
+    this.stats.messagesReceived++;
+  }
+
   /**
    * Handle alert acknowledgment
    */
@@ -936,6 +981,26 @@ class WebSocketHandler {
     this.stats.messagesSent += this.io.sockets.adapter.rooms.get('metrics')?.size || 0;
   }
 
+  /**
+   * Broadcast a camera move so other dashboards know the view changed
+   */
+  broadcastPtzUpdate(update) {
+    this.io.emit('ptz_update', update);
+    
+    this.stats.broadcastsSent++;
+    this.stats.messagesSent += this.clients.size;
+  }
+
+  /**
+   * Broadcast pen map zones and robot tracks (metres) to map subscribers
+   */
+  broadcastPenMap(state) {
+    this.io.to('map').emit('pen_map', state);
+    
+    this.stats.broadcastsSent++;
+    this.stats.messagesSent += this.io.sockets.adapter.rooms.get('map')?.size || 0;
+  }
+
   /**
    * Broadcast system status
    */
@@ -0,0 +1,177 @@
+/**
+ * Builds the MJPEG fixture streams in this directory
+ * Each fixture reproduces the multipart framing of one camera family (boundary
+ * style, line endings, headers, Content-Length behaviour) around small JPEGs.
+ * Run with: node test/fixtures/mjpeg/generate.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const COLORS = ['#c0392b', '#27ae60', '#2980b9'];
+
+async function makeJpeg(color, width = 64, height = 48) {
+    return sharp({
+        create: { width, height, channels: 3, background: color }
+    }).jpeg({ quality: 80 }).toBuffer();
+}
+
+// Insert an EXIF APP1 segment holding a JPEG thumbnail (IFD1
+// JPEGInterchangeFormat), so the frame has an FFD9 well before its end
+function withExifThumbnail(jpeg, thumbnail) {
+    const tiff = Buffer.alloc(8 + 6 + 2 + 2 * 12 + 4);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);          // IFD0 offset
+    tiff.writeUInt16BE(0, 8);          // IFD0: no entries
+    tiff.writeUInt32BE(14, 10);        // next IFD (IFD1) offset
+    tiff.writeUInt16BE(2, 14);         // IFD1: two entries
+    const thumbnailOffset = tiff.length;
+    let entry = 16;
+    for (const [tag, value] of [[0x0201, thumbnailOffset], [0x0202, thumbnail.length]]) {
+        tiff.writeUInt16BE(tag, entry);
+        tiff.writeUInt16BE(4, entry + 2);  // LONG
+        tiff.writeUInt32BE(1, entry + 4);
+        tiff.writeUInt32BE(value, entry + 8);
+        entry += 12;
+    }
+    tiff.writeUInt32BE(0, entry);
+
+    const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff, thumbnail]);
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xFFE1, 0);
+    header.writeUInt16BE(payload.length + 2, 2);
+
+    return Buffer.concat([jpeg.slice(0, 2), header, payload, jpeg.slice(2)]);
+}
+
+function part(jpeg, { eol = '\r\n', headers = [], contentLength = jpeg.length, type = 'image/jpeg' } = {}) {
+    const lines = [`Content-Type: ${type}`];
+    if (contentLength !== null) {
+        lines.push(`Content-Length: ${contentLength}`);
+    }
+    lines.push(...headers);
+    return Buffer.concat([Buffer.from(lines.join(eol) + eol + eol, 'latin1'), jpeg]);
+}
+
+async function main() {
+    const frames = await Promise.all(COLORS.map(color => makeJpeg(color)));
+    const thumbnail = await makeJpeg('#f1c40f', 16, 12);
+    const withThumbnail = frames.map(frame => withExifThumbnail(frame, thumbnail));
+
+    const fixtures = [
+        {
+            file: 'axis.mjpeg',
+            camera: 'Axis (axis-cgi/mjpg/video.cgi)',
+            contentType: 'multipart/x-mixed-replace; boundary=myboundary',
+            notes: 'CRLF, Content-Length on every part',
+            frames,
+            body: Buffer.concat(frames.map(frame => Buffer.concat([
+                Buffer.from('--myboundary\r\n'), part(frame), Buffer.from('\r\n')
+            ])))
+        },
+        {
+            file: 'hikvision.mjpeg',
+            camera: 'Hikvision (ISAPI httpPreview)',
+            contentType: 'multipart/x-mixed-replace;boundary=boundary',
+            notes: 'Single-word boundary; frames carry EXIF thumbnails',
+            frames: withThumbnail,
+            body: Buffer.concat(withThumbnail.map(frame => Buffer.concat([
+                Buffer.from('--boundary\r\n'), part(frame), Buffer.from('\r\n\r\n')
+            ])))
+        },
+        {
+            file: 'dahua.mjpeg',
+            camera: 'Dahua (cgi-bin/mjpg/video.cgi)',
+            contentType: 'multipart/x-mixed-replace; boundary="--myboundary"',
+            notes: 'Header boundary already includes the dashes and is used verbatim',
+            frames,
+            body: Buffer.concat(frames.map(frame => Buffer.concat([
+                Buffer.from('--myboundary\r\n'), part(frame), Buffer.from('\r\n')
+            ])))
+        },
+        {
+            file: 'mjpg-streamer.mjpeg',
+            camera: 'mjpg-streamer / Raspberry Pi',
+            contentType: 'multipart/x-mixed-replace;boundary=boundarydonotcross',
+            notes: 'Delimiter sent after each frame (\\r\\n--boundary\\r\\n), X-Timestamp header, EXIF thumbnails',
+            frames: withThumbnail,
+            body: Buffer.concat([
+                Buffer.from('\r\n--boundarydonotcross\r\n'),
+                ...withThumbnail.map((frame, index) => Buffer.concat([
+                    part(frame, { headers: [`X-Timestamp: 1734000000.${index}00000`] }),
+                    Buffer.from('\r\n--boundarydonotcross\r\n')
+                ]))
+            ])
+        },
+        {
+            file: 'foscam.mjpeg',
+            camera: 'Foscam / generic IP camera (videostream.cgi)',
+            contentType: 'multipart/x-mixed-replace;boundary=ipcamera',
+            notes: 'LF line endings, no Content-Length',
+            frames,
+            body: Buffer.concat(frames.map(frame => Buffer.concat([
+                Buffer.from('--ipcamera\n'), part(frame, { eol: '\n', contentLength: null }), Buffer.from('\n')
+            ])))
+        },
+        {
+            file: 'esp32-cam.mjpeg',
+            camera: 'ESP32-CAM (CameraWebServer :81/stream)',
+            contentType: 'multipart/x-mixed-replace;boundary=123456789000000000000987654321',
+            notes: 'Delimiter prefixed by CRLF, X-Timestamp header, closing delimiter at the end',
+            frames,
+            body: Buffer.concat([
+                ...frames.map((frame, index) => Buffer.concat([
+                    Buffer.from('\r\n--123456789000000000000987654321\r\n'),
+                    part(frame, { headers: [`X-Timestamp: ${1734000000 + index}.000000`] })
+                ])),
+                Buffer.from('\r\n--123456789000000000000987654321--\r\n')
+            ])
+        },
+        {
+            file: 'no-boundary-header.mjpeg',
+            camera: 'Cheap DVR without a boundary parameter',
+            contentType: 'multipart/x-mixed-replace',
+            notes: 'Boundary has to be detected from the first delimiter line',
+            frames,
+            body: Buffer.concat(frames.map(frame => Buffer.concat([
+                Buffer.from('--frame\r\n'), part(frame), Buffer.from('\r\n')
+            ])))
+        },
+        {
+            file: 'bad-content-length.mjpeg',
+            camera: 'Camera firmware reporting wrong Content-Length',
+            contentType: 'multipart/x-mixed-replace; boundary=myboundary',
+            notes: 'First part 10 bytes short, second part 10 bytes long, third correct',
+            frames,
+            body: Buffer.concat(frames.map((frame, index) => Buffer.concat([
+                Buffer.from('--myboundary\r\n'),
+                part(frame, { contentLength: frame.length + [-10, 10, 0][index] }),
+                Buffer.from('\r\n')
+            ])))
+        }
+    ];
+
+    const manifest = [];
+    for (const fixture of fixtures) {
+        fs.writeFileSync(path.join(__dirname, fixture.file), fixture.body);
+        manifest.push({
+            file: fixture.file,
+            camera: fixture.camera,
+            contentType: fixture.contentType,
+            notes: fixture.notes,
+            // SHA-1 of each JPEG the parser should return, in order
+            frames: fixture.frames.map(frame => crypto.createHash('sha1').update(frame).digest('hex'))
+        });
+    }
+
+    fs.writeFileSync(path.join(__dirname, 'fixtures.json'), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${fixtures.length} fixtures`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
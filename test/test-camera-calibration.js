@@ -0,0 +1,342 @@
+/**
+ * Camera Calibration Tests
+ * Checks the floor homography and lens distortion model, solving intrinsics
+ * from synthetic checkerboard views, undistorting frames, CameraManager
+ * attaching the floor homography to frames, and EventDetector working in
+ * metres for calibrated cameras
+ */
+
+const calibration = require('../src/camera/calibration');
+const CameraManager = require('../src/camera/CameraManager');
+const EventDetector = require('../src/detection/EventDetector');
+const sharp = require('sharp');
+
+// 640x480 camera with strong barrel distortion
+const INTRINSICS = {
+    image_size: { width: 640, height: 480 },
+    fx: 500, fy: 500, cx: 320, cy: 240,
+    k1: -0.2, k2: 0.05, k3: 0, p1: 0, p2: 0
+};
+
+// Pen corners in the image and on the floor (a 4 m x 3 m pen)
+const FLOOR = {
+    image_points: [[100, 100], [500, 120], [520, 400], [80, 380]],
+    world_points: [[0, 0], [4, 0], [4, 3], [0, 3]]
+};
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function near(actual, expected, tolerance, message) {
+    assert(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, timeout, message) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(message);
+        }
+        await wait(20);
+    }
+}
+
+function rotation(ax, ay) {
+    const [cx, sx, cy, sy] = [Math.cos(ax), Math.sin(ax), Math.cos(ay), Math.sin(ay)];
+    return [[cy, 0, sy], [sx * sy, cx, -sx * cy], [-cx * sy, sx, cx * cy]];
+}
+
+// Inner corners of a 6x8 board (6 cm squares) seen 0.5 m away at a few tilts
+function checkerboardViews() {
+    return [[0.3, 0.1], [-0.2, 0.35], [0.1, -0.3], [-0.35, -0.15]].map(([ax, ay]) => {
+        const R = rotation(ax, ay);
+        const corners = [];
+        for (let row = 0; row < 6; row++) {
+            for (let col = 0; col < 8; col++) {
+                const X = col * 0.06 - 0.21;
+                const Y = row * 0.06 - 0.15;
+                const P = [0, 1, 2].map(i => R[i][0] * X + R[i][1] * Y + (i === 2 ? 0.5 : 0));
+                const pixel = calibration.distortPoint(INTRINSICS, {
+                    x: INTRINSICS.fx * P[0] / P[2] + INTRINSICS.cx,
+                    y: INTRINSICS.fy * P[1] / P[2] + INTRINSICS.cy
+                });
+                corners.push([pixel.x, pixel.y]);
+            }
+        }
+        return corners;
+    });
+}
+
+// Position source reporting fixed pixel positions, one per processed frame
+function scriptedPositions(steps) {
+    let index = 0;
+    return {
+        async getPositions() {
+            const step = steps[Math.min(index++, steps.length - 1)];
+            return new Map(Object.entries(step));
+        }
+    };
+}
+
+class CameraCalibrationTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // Test 1: Floor homography maps the reference points and rescales with the frame
+    async testFloorHomography() {
+        const H = calibration.solveHomography(FLOOR.image_points, FLOOR.world_points);
+        FLOOR.image_points.forEach(([x, y], i) => {
+            const world = calibration.applyHomography(H, { x, y });
+            near(world.x, FLOOR.world_points[i][0], 1e-9, `Point ${i} x`);
+            near(world.y, FLOOR.world_points[i][1], 1e-9, `Point ${i} y`);
+        });
+
+        const back = calibration.applyHomography(calibration.invert3x3(H), { x: 4, y: 3 });
+        near(back.x, 520, 1e-6, 'Inverse x');
+        near(back.y, 400, 1e-6, 'Inverse y');
+
+        // Same pen corner in a half-size frame
+        const half = calibration.rescaleHomography(H, { width: 640, height: 480 }, { width: 320, height: 240 });
+        const corner = calibration.applyHomography(half, { x: 260, y: 200 });
+        near(corner.x, 4, 1e-9, 'Rescaled x');
+        near(corner.y, 3, 1e-9, 'Rescaled y');
+
+        let degenerate = null;
+        try {
+            calibration.solveHomography([[0, 0], [1, 1], [2, 2], [3, 3]], FLOOR.world_points);
+        } catch (error) {
+            degenerate = error;
+        }
+        assert(degenerate, 'Collinear image points should be rejected');
+    }
+
+    // Test 2: Distortion round trip and intrinsics solved from checkerboard views
+    async testCheckerboardCalibration() {
+        const distorted = calibration.distortPoint(INTRINSICS, { x: 600, y: 50 });
+        assert(Math.hypot(distorted.x - 600, distorted.y - 50) > 20, 'Barrel distortion should pull corners inwards');
+        const restored = calibration.undistortPoint(INTRINSICS, distorted);
+        near(restored.x, 600, 1e-6, 'Undistorted x');
+        near(restored.y, 50, 1e-6, 'Undistorted y');
+
+        const { intrinsics, reprojection_error: error } = calibration.calibrateCheckerboard(
+            checkerboardViews(), { rows: 6, cols: 8, square_size: 0.06 }, INTRINSICS.image_size
+        );
+        near(intrinsics.fx, 500, 0.5, 'fx');
+        near(intrinsics.fy, 500, 0.5, 'fy');
+        near(intrinsics.cx, 320, 0.5, 'cx');
+        near(intrinsics.cy, 240, 0.5, 'cy');
+        near(intrinsics.k1, -0.2, 1e-3, 'k1');
+        near(intrinsics.k2, 0.05, 1e-3, 'k2');
+        assert(error < 0.01, `Reprojection error ${error} px`);
+
+        let tooFew = null;
+        try {
+            calibration.calibrateCheckerboard(checkerboardViews().slice(0, 1), { rows: 6, cols: 8 }, INTRINSICS.image_size);
+        } catch (error) {
+            tooFew = error;
+        }
+        assert(tooFew, 'A single view should be rejected');
+    }
+
+    // Test 3: Undistorting a frame moves a marker to its undistorted position
+    async testUndistortImage() {
+        const ideal = { x: 560, y: 420 };
+        const seen = calibration.distortPoint(INTRINSICS, ideal);
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="640" height="480">' +
+            '<rect width="100%" height="100%" fill="#707070"/>' +
+            `<rect x="${seen.x - 6}" y="${seen.y - 6}" width="12" height="12" fill="#ffff00"/></svg>`;
+        const frame = await sharp(Buffer.from(svg)).jpeg({ quality: 95 }).toBuffer();
+
+        const mapCache = new Map();
+        const corrected = await calibration.undistortImage(frame, INTRINSICS, { mapCache });
+        assert(mapCache.has('640x480'), 'Undistort map not cached');
+
+        const { data, info } = await sharp(corrected).raw().toBuffer({ resolveWithObject: true });
+        let [sumX, sumY, count] = [0, 0, 0];
+        for (let y = 0; y < info.height; y++) {
+            for (let x = 0; x < info.width; x++) {
+                const i = (y * info.width + x) * info.channels;
+                if (data[i] > 200 && data[i + 1] > 200 && data[i + 2] < 80) {
+                    sumX += x;
+                    sumY += y;
+                    count++;
+                }
+            }
+        }
+        assert(count > 0, 'Marker lost after undistortion');
+        near(sumX / count, ideal.x, 2, 'Marker x after undistortion');
+        near(sumY / count, ideal.y, 2, 'Marker y after undistortion');
+    }
+
+    // Test 4: CameraManager undistorts frames and attaches a rescaled floor homography
+    async testCameraFrames() {
+        const cameraManager = new CameraManager([{
+            id: 'pen',
+            name: 'Pen',
+            protocol: 'simulated',
+            resolution: { width: 320, height: 240 },
+            fps: 10,
+            simulation: { robots: [{ id: 'robot-001', color: '#ffff00', x: 100, y: 100, size: 20 }] },
+            // Floor points were measured on a 640x480 frame
+            calibration: { intrinsics: INTRINSICS, floor: { ...FLOOR, image_size: { width: 640, height: 480 } } }
+        }]);
+        const frames = [];
+        cameraManager.on('frame', frame => frames.push(frame));
+
+        try {
+            await cameraManager.initialize();
+            await waitFor(() => cameraManager.getBufferedFrames('pen', 1).length > 0, 2000, 'No frames buffered');
+            await cameraManager.captureFrame('pen');
+
+            const frame = frames[0];
+            assert(frame.calibration && frame.calibration.units === 'metres', 'Frame carries no floor calibration');
+            const corner = calibration.applyHomography(frame.calibration.homography, { x: 260, y: 200 });
+            near(corner.x, 4, 1e-6, 'Frame homography x');
+            near(corner.y, 3, 1e-6, 'Frame homography y');
+            assert(cameraManager.calibrations.get('pen').undistortMaps.has('320x240'), 'Frame was not undistorted');
+
+            // Checkerboard views are solved once and stored as intrinsics
+            const summary = cameraManager.setCalibration('pen', {
+                checkerboard: {
+                    rows: 6,
+                    cols: 8,
+                    square_size: 0.06,
+                    image_size: INTRINSICS.image_size,
+                    views: checkerboardViews()
+                },
+                floor: FLOOR
+            });
+            assert(summary.calibrated && summary.units === 'metres', 'Calibration summary wrong');
+            assert(!summary.config.checkerboard && Math.abs(summary.config.intrinsics.fx - 500) < 0.5,
+                'Solved intrinsics not stored in place of the views');
+            assert(summary.config.reprojection_error < 0.01, 'Reprojection error not stored');
+
+            let rejected = null;
+            try {
+                cameraManager.setCalibration('pen', { floor: { image_points: [[0, 0]], world_points: [[0, 0]] } });
+            } catch (error) {
+                rejected = error;
+            }
+            assert(rejected && cameraManager.getCalibration('pen').config.intrinsics, 'Bad calibration replaced the old one');
+
+            cameraManager.setCalibration('pen', {});
+            const cleared = cameraManager.getCalibration('pen');
+            assert(!cleared.calibrated && cleared.units === 'pixels', 'Empty calibration should remove it');
+        } finally {
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Test 5: EventDetector positions, zones and the stuck threshold are in metres
+    async testMetricEvents() {
+        // 1 cm per pixel, so 3 px per frame is 3 cm: moving in metres, still in pixels
+        const homography = [[0.01, 0, 0], [0, 0.01, 0], [0, 0, 1]];
+        const steps = Array.from({ length: 6 }, (_, i) => ({ 'robot-001': { x: 100 + i * 3, y: 150 } }));
+        const run = async (frameCalibration) => {
+            const detector = new EventDetector({
+                zones: [{ id: 'zone-bay', name: 'Bay', type: 'rectangle', coordinates: { x: 0.5, y: 1, width: 1, height: 1 } }]
+            });
+            detector.setPositionSource(scriptedPositions(steps));
+            const states = [];
+            const events = [];
+            detector.on('robot-state', state => states.push(state));
+
+            for (let i = 0; i < steps.length; i++) {
+                events.push(...await detector.processAnalysis({ detections: [] }, {
+                    cameraId: 'pen',
+                    timestamp: new Date().toISOString(),
+                    calibration: frameCalibration
+                }));
+            }
+            return { states, events };
+        };
+
+        const metric = await run({ homography, inverse: calibration.invert3x3(homography), units: 'metres' });
+        const last = metric.states[metric.states.length - 1];
+        assert(last.metadata.units === 'metres', `Robot state units ${last.metadata.units}`);
+        near(last.position.x, 1.15, 1e-9, 'Robot x in metres');
+        assert(last.status === 'moving', `3 cm steps should count as moving, got ${last.status}`);
+        assert(last.metadata.zoneId === 'zone-bay', 'Robot not placed in the metre zone');
+        assert(metric.events.some(event => event.type === 'zone_entry'), 'No zone entry for the metre zone');
+
+        const pixels = await run(null);
+        const pixelState = pixels.states[pixels.states.length - 1];
+        assert(pixelState.metadata.units === 'pixels' && pixelState.status === 'stationary',
+            `3 px steps should be stationary without calibration, got ${pixelState.status}`);
+        assert(!pixels.events.some(event => event.type === 'zone_entry'), 'Pixel position matched a metre zone');
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Camera Calibration Tests\n');
+        console.log('='.repeat(50));
+
+        await this.runTest('Floor Homography', this.testFloorHomography);
+        await this.runTest('Checkerboard Calibration', this.testCheckerboardCalibration);
+        await this.runTest('Undistort Image', this.testUndistortImage);
+        await this.runTest('Camera Frames', this.testCameraFrames);
+        await this.runTest('Metric Events', this.testMetricEvents);
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new CameraCalibrationTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = CameraCalibrationTest;
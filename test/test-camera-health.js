@@ -0,0 +1,249 @@
+/**
+ * Camera Health Tests
+ * Runs an RTSP camera through CameraManager on a fake FFmpeg with short
+ * supervisor intervals and checks that a capture that stops producing frames
+ * is killed and restarted with growing backoff, that the outage reaches
+ * EventDetector as one camera_offline and one camera_recovered event, and
+ * that streams stopped on purpose are not restarted
+ */
+
+const { EventEmitter } = require('events');
+
+// FrameCaptureService keeps its own reference to spawn, so the mock goes in
+// before it is loaded. Processes only produce frames when the test says so.
+const spawned = [];
+require('child_process').spawn = (command, args) => {
+    const mockProcess = new EventEmitter();
+    mockProcess.stdout = new EventEmitter();
+    mockProcess.stderr = new EventEmitter();
+    mockProcess.killed = false;
+    mockProcess.exitCode = null;
+    mockProcess.kill = function(signal) {
+        this.killed = true;
+        setTimeout(() => {
+            this.exitCode = 255;
+            this.emit('close', signal === 'SIGKILL' ? null : 255);
+        }, 10);
+    };
+    if (args[0] === '-version') {
+        setTimeout(() => mockProcess.emit('close', 0), 0);
+    } else {
+        spawned.push({ args, process: mockProcess, at: Date.now() });
+    }
+    return mockProcess;
+};
+
+const CameraManager = require('../src/camera/CameraManager');
+const EventDetector = require('../src/detection/EventDetector');
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0x01, 0x02, 0xFF, 0xD9]);
+
+// Short intervals and no jitter so the backoff delays are exact
+const HEALTH = {
+    check_interval: 20,
+    stall_timeout: 150,
+    initial_backoff: 100,
+    backoff_multiplier: 2,
+    max_backoff: 1000,
+    jitter: 0
+};
+
+const CAMERA = {
+    id: 'cam-1',
+    name: 'Pen Camera',
+    protocol: 'rtsp',
+    url: 'rtsp://192.168.1.100:554/stream1',
+    resolution: { width: 640, height: 480 },
+    fps: 15
+};
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, message, timeout = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await wait(10);
+    }
+}
+
+class CameraHealthTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // CameraManager with the supervisor's outages passed to EventDetector the way the server does
+    setup() {
+        spawned.length = 0;
+        const cameraManager = new CameraManager([CAMERA], { health: HEALTH });
+        const eventDetector = new EventDetector({});
+        const events = [];
+        const ended = [];
+
+        cameraManager.on('camera-offline', info => eventDetector.processCameraHealth('camera_offline', info));
+        cameraManager.on('camera-recovered', info => eventDetector.processCameraHealth('camera_recovered', info));
+        eventDetector.on('event', event => events.push(event));
+        cameraManager.frameCaptureService.on('capture-ended', info => ended.push({ ...info, at: Date.now() }));
+
+        return { cameraManager, events, ended };
+    }
+
+    // Test 1: A stalled capture is killed and restarted with growing backoff until frames return
+    async testStallRestartBackoff() {
+        const { cameraManager, events, ended } = this.setup();
+
+        try {
+            await cameraManager.initialize();
+            assert(spawned.length === 1, `Expected one FFmpeg process, got ${spawned.length}`);
+            spawned[0].process.stdout.emit('data', JPEG);
+            assert(cameraManager.getCameraHealth('cam-1').state === 'online', 'Camera not online after its first frame');
+
+            // No more frames: stalled, killed and restarted after initial_backoff
+            await waitFor(() => spawned.length === 2, 'the first restart');
+            assert(spawned[0].process.killed, 'Stalled capture not killed');
+            assert(events.map(event => event.type).join() === 'camera_offline', `Events after the stall: ${events.map(e => e.type)}`);
+            assert(events[0].metadata.reason === 'stalled' && events[0].cameraId === 'cam-1', `Offline event ${JSON.stringify(events[0])}`);
+            assert(cameraManager.getCameraInfo('cam-1').health === 'connecting', 'Restarted camera not waiting for frames');
+
+            // The restarted capture stalls too: the next restart waits twice as long
+            await waitFor(() => spawned.length === 3, 'the second restart');
+            const firstDelay = spawned[1].at - ended[0].at;
+            const secondDelay = spawned[2].at - ended[1].at;
+            assert(firstDelay >= 100 && firstDelay < 180, `First restart after ${firstDelay}ms, expected ~100ms`);
+            assert(secondDelay >= 200 && secondDelay < 280, `Second restart after ${secondDelay}ms, expected ~200ms`);
+            assert(events.length === 1, 'One outage raised more than one camera_offline event');
+
+            // Frames flow again: one recovery event and the backoff resets
+            spawned[2].process.stdout.emit('data', JPEG);
+            const health = cameraManager.getCameraHealth('cam-1');
+            assert(health.state === 'online' && health.restartAttempts === 0, `Health after recovery ${JSON.stringify(health)}`);
+            assert(events.map(event => event.type).join() === 'camera_offline,camera_recovered', `Events: ${events.map(e => e.type)}`);
+            assert(events[1].metadata.restartAttempts === 2 && events[1].metadata.downtime > 0, `Recovery event ${JSON.stringify(events[1].metadata)}`);
+
+            const states = health.history.map(entry => entry.state).join();
+            assert(states === 'connecting,online,stalled,offline,connecting,stalled,offline,connecting,online', `State history ${states}`);
+            const stats = cameraManager.supervisor.getStatistics();
+            assert(stats.stallsDetected === 2 && stats.restarts === 2 && stats.outages === 1 && stats.recoveries === 1,
+                `Supervisor statistics ${JSON.stringify(stats)}`);
+        } finally {
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Test 2: A crashed capture is restarted without waiting for the stall timeout
+    async testCaptureExit() {
+        const { cameraManager, events } = this.setup();
+
+        try {
+            await cameraManager.initialize();
+            spawned[0].process.stdout.emit('data', JPEG);
+
+            spawned[0].process.exitCode = 1;
+            spawned[0].process.emit('close', 1);
+            assert(events.length === 1 && events[0].metadata.reason === 'capture exited with code 1',
+                `Offline event ${JSON.stringify(events[0] && events[0].metadata)}`);
+
+            await waitFor(() => spawned.length === 2, 'the restart');
+            spawned[1].process.stdout.emit('data', JPEG);
+            assert(events.map(event => event.type).join() === 'camera_offline,camera_recovered', `Events: ${events.map(e => e.type)}`);
+            assert(events[1].metadata.restartAttempts === 1, `Recovery after ${events[1].metadata.restartAttempts} restarts`);
+        } finally {
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Test 3: Stopping a stream on purpose is not an outage
+    async testStoppedStream() {
+        const { cameraManager, events } = this.setup();
+        let reconnects = 0;
+        cameraManager.reconnectCamera = async () => { reconnects++; };
+
+        try {
+            await cameraManager.initialize();
+            spawned[0].process.stdout.emit('data', JPEG);
+
+            await cameraManager.stopStream('cam-1');
+            assert(!cameraManager.isSupervised('cam-1') && cameraManager.getCameraHealth('cam-1') === null, 'Stopped camera still supervised');
+
+            await wait(HEALTH.stall_timeout + HEALTH.initial_backoff + 100);
+            assert(spawned.length === 1 && reconnects === 0, 'Stopped stream restarted');
+            assert(events.length === 0, `Events for a stopped stream: ${events.map(e => e.type)}`);
+        } finally {
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Camera Health Tests\n');
+        console.log('='.repeat(50));
+
+        await this.runTest('Stall, Restart And Backoff', this.testStallRestartBackoff);
+        await this.runTest('Capture Exit', this.testCaptureExit);
+        await this.runTest('Stopped Stream', this.testStoppedStream);
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new CameraHealthTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = CameraHealthTest;
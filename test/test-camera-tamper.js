@@ -0,0 +1,285 @@
+/**
+ * Camera Tamper Tests
+ * Checks that TamperDetector tells covered, shifted, defocused and frozen
+ * views apart from a dimmed scene, keeps its reference view on disk, and that
+ * a frozen simulated camera reaches AlertManager as a camera_tampered alert
+ */
+
+const TamperDetector = require('../src/camera/TamperDetector');
+const CameraManager = require('../src/camera/CameraManager');
+const EventDetector = require('../src/detection/EventDetector');
+const AlertManager = require('../src/alerts/AlertManager');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, timeout, message) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(message);
+        }
+        await wait(20);
+    }
+}
+
+// 320x240 pen with a fixed scatter of grey blocks, moved right by shift px
+function scene(shift = 0) {
+    const blocks = [];
+    for (let i = 0; i < 40; i++) {
+        const x = (i * 73) % 300;
+        const y = (i * 47) % 220;
+        const grey = (60 + (i * 37) % 180).toString(16).padStart(2, '0').repeat(3);
+        blocks.push(`<rect x="${x + shift}" y="${y}" width="${12 + i % 20}" height="${10 + (i * 7) % 18}" fill="#${grey}"/>`);
+    }
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="240">' +
+        `<rect width="100%" height="100%" fill="#707070"/>${blocks.join('')}</svg>`;
+    return sharp(Buffer.from(svg)).jpeg({ quality: 95 }).toBuffer();
+}
+
+function flat(grey) {
+    return sharp({ create: { width: 320, height: 240, channels: 3, background: { r: grey, g: grey, b: grey } } })
+        .jpeg()
+        .toBuffer();
+}
+
+class CameraTamperTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+        this.referenceDir = null;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    setUp() {
+        this.referenceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tamper-test-'));
+    }
+
+    tearDown() {
+        fs.rmSync(this.referenceDir, { recursive: true, force: true });
+    }
+
+    // Test 1: Covered, shifted and defocused views against the reference
+    async testConditions() {
+        const detector = new TamperDetector({
+            check_interval: 0,
+            confirm_checks: 2,
+            reference_path: this.referenceDir,
+            frozen_timeout: 60000
+        });
+        const tampered = [];
+        const cleared = [];
+        detector.on('tamper', info => tampered.push(info));
+        detector.on('tamper-cleared', info => cleared.push(info.type));
+
+        const check = async frame => (await detector.check('cam-1', frame)).conditions;
+
+        const clear = await scene();
+        assert((await check(clear)).length === 0, 'Reference frame flagged');
+        assert(detector.getState('cam-1').reference, 'First clear frame not kept as reference');
+
+        // Dimming the lights is not tampering
+        const dimmed = await sharp(clear).linear(0.35, 0).jpeg().toBuffer();
+        const dimConditions = await check(dimmed);
+        assert(dimConditions.length === 0, `Dimmed scene flagged: ${dimConditions.join()}`);
+
+        // One covered check is not enough; the second confirms
+        assert((await check(await flat(25))).join() === 'covered', 'Covered lens not seen');
+        assert(tampered.length === 0, 'Tamper raised before confirm_checks');
+        await check(await flat(25));
+        assert(tampered.length === 1 && tampered[0].type === 'covered', 'Covered lens not confirmed');
+
+        await check(clear);
+        await check(clear);
+        assert(cleared.join() === 'covered', `Unexpected clears: ${cleared.join()}`);
+
+        // Scene moved 24 px right = 12 px on the 160 px sample
+        const shifted = await scene(24);
+        const shiftResult = await detector.check('cam-1', shifted);
+        await detector.check('cam-1', shifted);
+        assert(shiftResult.conditions.includes('shifted'), `Shift not seen: ${JSON.stringify(shiftResult.metrics)}`);
+        assert(Math.abs(shiftResult.metrics.offset.x - 12) <= 1 && Math.abs(shiftResult.metrics.offset.y) <= 1,
+            `Offset ${JSON.stringify(shiftResult.metrics.offset)}`);
+        assert(tampered.some(info => info.type === 'shifted'), 'Shift not confirmed');
+
+        const blurred = await sharp(clear).blur(5).jpeg().toBuffer();
+        const blurResult = await detector.check('cam-1', blurred);
+        await detector.check('cam-1', blurred);
+        assert(blurResult.conditions.join() === 'defocused', `Blur gave ${blurResult.conditions.join()}: ${JSON.stringify(blurResult.metrics)}`);
+        assert(tampered.some(info => info.type === 'defocused'), 'Defocus not confirmed');
+        assert(detector.getStatistics().tampered['cam-1'].includes('defocused'), 'Statistics miss the active condition');
+    }
+
+    // Test 2: Reference views persist, and can be replaced on purpose
+    async testReferenceStorage() {
+        const first = new TamperDetector({ check_interval: 0, confirm_checks: 1, reference_path: this.referenceDir });
+        await first.check('cam-2', await scene());
+        assert(fs.existsSync(path.join(this.referenceDir, 'cam-2.png')), 'Reference not saved');
+
+        // A restarted detector judges a covered first frame against the stored view
+        const restarted = new TamperDetector({ check_interval: 0, confirm_checks: 1, reference_path: this.referenceDir });
+        const result = await restarted.check('cam-2', await flat(20));
+        assert(result.conditions.includes('covered'), 'Stored reference not loaded');
+
+        let rejected = false;
+        try {
+            await restarted.setReference('cam-2', await flat(20));
+        } catch (error) {
+            rejected = true;
+        }
+        assert(rejected, 'Uniform frame accepted as reference');
+
+        // Re-aiming: the moved view becomes the reference and active conditions reset
+        const moved = await scene(40);
+        await restarted.setReference('cam-2', moved);
+        assert(restarted.getState('cam-2').active.length === 0, 'Conditions not reset with the reference');
+        const after = await restarted.check('cam-2', moved);
+        assert(!after.conditions.includes('shifted'), 'New reference not used');
+
+        // Checks are rate limited per camera
+        const limited = new TamperDetector({ check_interval: 60000, reference_path: '' });
+        assert(await limited.check('cam-3', moved) !== null, 'First check skipped');
+        assert(await limited.check('cam-3', moved) === null, 'check_interval not applied');
+    }
+
+    // Test 3: Frozen picture from a simulated camera raises a camera_tampered alert
+    async testFrozenCamera() {
+        const detector = new TamperDetector({ check_interval: 0, confirm_checks: 1, frozen_timeout: 100, reference_path: '' });
+        const frame = await scene();
+        await detector.check('cam-4', frame, { frameId: 'a' });
+        await wait(150);
+
+        // The same buffered frame again is a stall, not a frozen picture
+        const stalled = await detector.check('cam-4', frame, { frameId: 'a' });
+        assert(!stalled.conditions.includes('frozen'), 'Stalled stream reported as frozen');
+        const frozen = await detector.check('cam-4', frame, { frameId: 'b' });
+        assert(frozen.conditions.includes('frozen'), `Identical new frame not frozen: ${JSON.stringify(frozen.metrics)}`);
+
+        const cameraManager = new CameraManager([{
+            id: 'sim-tamper',
+            name: 'Simulated Pen',
+            protocol: 'simulated',
+            resolution: { width: 320, height: 240 },
+            fps: 10,
+            simulation: {
+                robots: [
+                    { id: 'robot-001', color: '#ffff00', x: 40, y: 80, vx: 60, size: 48 },
+                    { id: 'robot-002', color: '#000000', x: 220, y: 170, size: 48 }
+                ],
+                scenario: [{ at: 0.5, action: 'freeze', duration: 30 }]
+            }
+        }], {
+            tamper: { check_interval: 0, confirm_checks: 2, frozen_timeout: 400, reference_path: this.referenceDir }
+        });
+        const eventDetector = new EventDetector();
+        const alertManager = new AlertManager({
+            rules: [{
+                id: 'rule-tamper',
+                event_type: 'camera_tampered',
+                channels: ['dashboard'],
+                title: 'Camera {camera} Tampered',
+                message: '{description}'
+            }]
+        });
+        const alerts = [];
+        cameraManager.on('camera-tampered', info => eventDetector.processCameraTamper(info));
+        eventDetector.on('event', event => alertManager.handleEvent(event));
+        alertManager.on('alert', alert => alerts.push(alert));
+
+        try {
+            await cameraManager.initialize();
+            await waitFor(() => cameraManager.getBufferedFrames('sim-tamper', 1).length > 0, 2000, 'No frames buffered');
+            await cameraManager.startStream('sim-tamper', { interval: 100 });
+
+            await waitFor(() => alerts.some(alert => alert.eventType === 'camera_tampered'), 6000, 'No tamper alert');
+            const alert = alerts.find(a => a.eventType === 'camera_tampered');
+            assert(alert.title === 'Camera sim-tamper Tampered', `Unexpected alert title: ${alert.title}`);
+            assert(alert.metadata.event.metadata.tamperType === 'frozen', `Unexpected tamper type ${alert.metadata.event.metadata.tamperType}`);
+            assert(/image frozen for \d+s/.test(alert.message), `Unexpected message: ${alert.message}`);
+
+            const state = cameraManager.getTamperState('sim-tamper');
+            assert(state.reference && state.active.some(condition => condition.type === 'frozen'), `State ${JSON.stringify(state)}`);
+        } finally {
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Camera Tamper Tests\n');
+        console.log('='.repeat(50));
+
+        this.setUp();
+
+        try {
+            await this.runTest('Conditions', this.testConditions);
+            await this.runTest('Reference Storage', this.testReferenceStorage);
+            await this.runTest('Frozen Camera', this.testFrozenCamera);
+        } finally {
+            this.tearDown();
+        }
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new CameraTamperTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = CameraTamperTest;
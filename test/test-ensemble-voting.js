@@ -0,0 +1,279 @@
+/**
+ * Ensemble Voting Tests
+ * Checks that VisionEngine.analyzeEnsemble runs several models on one frame
+ * and votes their detections into one analysis: majority voting, weights from
+ * ModelSelector benchmark results, any-positive safety types, robot count
+ * votes and per-model agreement, using a fake chat server that answers per
+ * model
+ */
+
+const VisionEngine = require('../src/vision/VisionEngine');
+const ModelSelector = require('../src/vision/ModelSelector');
+const EventDetector = require('../src/detection/EventDetector');
+const { mergeEnsemble } = require('../src/vision/ensemble');
+const http = require('http');
+
+const IMAGE = Buffer.from('fake jpeg bytes').toString('base64');
+
+// Replies by served model name (llava-7b is gemma-3-4b, llava-13b is gemma-3-12b)
+const REPLIES = {
+    'smolvlm-500m': 'A person is clearly at the door. Robot-3 is stuck. 3 robots visible.',
+    'gemma-3-4b': 'Robot-3 is stationary and probably stuck. 3 robots visible.',
+    'gemma-3-12b': 'All robots are upright. 2 robots visible.'
+};
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Models without a reply get a 500
+function startFakeModelServer() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { model } = JSON.parse(body);
+            server.models.push(model);
+            if (!REPLIES[model]) {
+                res.writeHead(500);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { content: REPLIES[model] } }] }));
+        });
+    });
+    server.models = [];
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function frame(cameraId) {
+    return { cameraId, frameId: `${cameraId}-frame`, timestamp: new Date().toISOString(), image: IMAGE };
+}
+
+function member(modelId, detections, confidence = 0.75, weight = undefined) {
+    return {
+        modelId,
+        weight,
+        analysis: { modelId, content: `${modelId} reply`, summary: `${modelId} summary`, confidence, processingTime: 100, detections }
+    };
+}
+
+class EnsembleVotingTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+        this.server = null;
+        this.engine = null;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    async setUp() {
+        this.server = await startFakeModelServer();
+        this.engine = new VisionEngine({
+            base_url: `http://127.0.0.1:${this.server.address().port}`,
+            model: 'smolvlm-500m',
+            retry_delay: 1
+        });
+        await wait(200);
+        // Keep each member's answer as the model gave it
+        this.engine.setVerification(null);
+    }
+
+    tearDown() {
+        this.server.close();
+    }
+
+    // Test 1: Vote rules on hand-built analyses
+    async testVoteRules() {
+        const members = [
+            member('a', [
+                { type: 'collision', detected: true, confidence: 0.6 },
+                { type: 'robot_stuck', detected: true, confidence: 0.9 },
+                { type: 'robot_tipped', detected: true, confidence: 0.7, robots: ['robot-2'] },
+                { type: 'robot_count', count: 4 }
+            ], 0.8, 0.2),
+            member('b', [
+                { type: 'collision', detected: true, confidence: 0.8 },
+                { type: 'robot_count', count: 3 }
+            ], 0.6, 0.5),
+            member('c', [
+                { type: 'robot_count', count: 3 }
+            ], 0.9, 1)
+        ];
+
+        const majority = mergeEnsemble(members);
+        const types = majority.detections.filter(d => d.detected).map(d => d.type).sort();
+        assert(types.join() === 'collision,robot_tipped', `Majority detections ${types.join()}`);
+        assert(majority.modelId === 'ensemble', 'Not reported as an ensemble analysis');
+
+        const collision = majority.detections.find(d => d.type === 'collision');
+        assert(collision.confidence === 0.7 && collision.votes.for.join() === 'a,b' && collision.votes.score === 0.667,
+            `Collision ${JSON.stringify(collision)}`);
+        // One model seeing a tipped robot is enough, at its own confidence
+        const tipped = majority.detections.find(d => d.type === 'robot_tipped');
+        assert(tipped.confidence === 0.7 && tipped.robots.join() === 'robot-2', `Tipped ${JSON.stringify(tipped)}`);
+        assert(majority.ensemble.votes['robot_tipped-'].rule === 'any-positive' && !majority.ensemble.votes['robot_stuck-'].passed,
+            'Vote rules not recorded');
+        assert(majority.detections.find(d => d.type === 'robot_count').count === 3, 'Count vote');
+
+        const agreement = Object.entries(majority.ensemble.agreement).map(([id, a]) => `${id}:${a.agreement}`).join();
+        assert(agreement === 'a:0.5,b:0.75,c:0.5', `Agreement ${agreement}`);
+        assert(majority.ensemble.leadModel === 'b' && majority.content === 'b reply', 'Lead model');
+        assert(majority.confidence === 0.767, `Mean confidence ${majority.confidence}`);
+
+        // Weighted: a and b together weigh less than c, which saw no collision
+        const weighted = mergeEnsemble(members, { voting: 'weighted' });
+        assert(!weighted.detections.some(d => d.type === 'collision'), 'Light model carried a weighted vote');
+        assert(weighted.ensemble.votes['collision-'].score === 0.412, `Weighted score ${weighted.ensemble.votes['collision-'].score}`);
+        assert(weighted.detections.some(d => d.type === 'robot_tipped'), 'Safety type dropped under weighted voting');
+
+        let error = null;
+        try {
+            mergeEnsemble(members, { voting: 'unanimous' });
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message.includes('Unknown ensemble voting'), 'Unknown voting accepted');
+    }
+
+    // Test 2: Three models on one frame, majority vote
+    async testMajorityEnsemble() {
+        this.server.models = [];
+        const analysis = await this.engine.analyzeEnsemble(frame('cam-majority'), 'general');
+        assert(this.server.models.sort().join() === 'gemma-3-12b,gemma-3-4b,smolvlm-500m', `Models asked ${this.server.models.join()}`);
+
+        const stuck = analysis.detections.find(d => d.type === 'robot_stuck');
+        assert(stuck && stuck.confidence === 0.8 && stuck.votes.against.join() === 'llava-13b', `Stuck ${JSON.stringify(stuck)}`);
+        const human = analysis.detections.find(d => d.type === 'human_in_area');
+        assert(human && human.confidence === 0.9 && human.votes.for.join() === 'smolvlm-500m', `Human ${JSON.stringify(human)}`);
+        assert(analysis.detections.find(d => d.type === 'robot_count').count === 3, 'Count not voted to 3');
+
+        const { agreement } = analysis.ensemble;
+        assert(agreement['smolvlm-500m'].agreement === 1 && agreement['llava-7b'].agreement === 0.667 &&
+            agreement['llava-13b'].agreement === 0, `Agreement ${JSON.stringify(agreement)}`);
+        assert(analysis.ensemble.leadModel === 'smolvlm-500m' && Object.keys(analysis.ensemble.failed).length === 0,
+            'Lead or failures');
+
+        // The voted analysis feeds EventDetector like any other
+        const detector = new EventDetector({ confirmation_frames: { human_in_area: 1 } });
+        const events = await detector.processAnalysis(analysis, frame('cam-majority'));
+        const event = events.find(e => e.type === 'human_in_area');
+        assert(event && event.metadata.ensemble.votes.for.join() === 'smolvlm-500m', 'Ensemble event missing its votes');
+
+        // A failing model is reported and the rest still vote
+        const partial = await this.engine.analyzeEnsemble(frame('cam-partial'), 'general', {
+            models: ['llava-7b', 'llava-13b', 'custom-robot']
+        });
+        assert(partial.ensemble.models.join() === 'llava-7b,llava-13b' && partial.ensemble.failed['custom-robot'],
+            `Failed models ${JSON.stringify(partial.ensemble.failed)}`);
+
+        let error = null;
+        try {
+            await this.engine.analyzeEnsemble(frame('cam-failed'), 'general', { models: ['custom-robot'] });
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message.includes('custom-robot'), 'All-failed ensemble did not throw');
+    }
+
+    // Test 3: Weights from ModelSelector benchmarks change the outcome
+    async testWeightedEnsemble() {
+        const selector = new ModelSelector(this.engine);
+        selector.benchmarkResults.set('smolvlm-500m', { successRate: 0.5, avgConfidence: 0.6 });
+        selector.benchmarkResults.set('llava-13b', { successRate: 1, avgConfidence: 1 });
+
+        // llava-7b has no benchmark and weighs the mean of the other two
+        const weights = selector.getVotingWeights(['smolvlm-500m', 'llava-7b', 'llava-13b']);
+        assert(weights['smolvlm-500m'] === 0.3 && weights['llava-7b'] === 0.65 && weights['llava-13b'] === 1,
+            `Weights ${JSON.stringify(weights)}`);
+
+        const completed = [];
+        selector.on('ensemble-completed', data => completed.push(data));
+        const analysis = await selector.analyzeEnsemble(frame('cam-weighted'), 'general', { voting: 'weighted' });
+
+        assert(analysis.ensemble.voting === 'weighted' && analysis.ensemble.agreement['llava-13b'].weight === 1, 'Weights not applied');
+        assert(!analysis.detections.some(d => d.type === 'robot_stuck'), 'Stuck passed with under half the weight');
+        assert(analysis.detections.some(d => d.type === 'human_in_area'), 'Safety detection dropped');
+        assert(analysis.detections.find(d => d.type === 'robot_count').count === 2, 'Heavier model did not win the count');
+        assert(analysis.ensemble.agreement['llava-13b'].agreement === 0.667, 'Agreement of the heavy model');
+        assert(completed.length === 1 && completed[0].voting === 'weighted', 'ensemble-completed not emitted');
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Ensemble Voting Tests\n');
+        console.log('='.repeat(50));
+
+        await this.setUp();
+
+        try {
+            await this.runTest('Vote Rules', this.testVoteRules);
+            await this.runTest('Majority Ensemble', this.testMajorityEnsemble);
+            await this.runTest('Weighted Ensemble', this.testWeightedEnsemble);
+        } finally {
+            this.tearDown();
+        }
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new EnsembleVotingTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = EnsembleVotingTest;
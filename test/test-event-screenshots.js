@@ -0,0 +1,263 @@
+/**
+ * Event Screenshot Tests
+ * Checks that ScreenshotService draws zones and robot positions where they
+ * are on the buffered frame, scaling processed-frame pixels and projecting
+ * floor metres through the camera calibration, and that capture_screenshot
+ * alerts link the screenshot without its file path
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const CameraManager = require('../src/camera/CameraManager');
+const ScreenshotService = require('../src/camera/ScreenshotService');
+const AlertManager = require('../src/alerts/AlertManager');
+const calibration = require('../src/camera/calibration');
+
+// Cameras emit 320x240 frames; the buffered originals are twice that size
+const RAW = { width: 640, height: 480 };
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function camera(id, extra = {}) {
+    return {
+        id,
+        name: id,
+        protocol: 'simulated',
+        resolution: { width: 320, height: 240 },
+        fps: 1,
+        simulation: { robots: [] },
+        ...extra
+    };
+}
+
+// Grey raw frame added to the camera's buffer
+async function bufferFrame(cameraManager, cameraId) {
+    const data = await sharp({ create: { ...RAW, channels: 3, background: '#808080' } }).jpeg({ quality: 95 }).toBuffer();
+    const frame = { id: `${cameraId}-frame`, cameraId, timestamp: new Date().toISOString(), data };
+    cameraManager.frameBufferManager.addFrame(frame);
+    return frame;
+}
+
+async function pixel(jpeg, x, y) {
+    const { data, info } = await sharp(jpeg).raw().toBuffer({ resolveWithObject: true });
+    const index = (Math.round(y) * info.width + Math.round(x)) * info.channels;
+    return [data[index], data[index + 1], data[index + 2]];
+}
+
+function isRed([r, g, b]) {
+    return r > 180 && g < 90 && b < 90;
+}
+
+function isGrey([r, g, b]) {
+    return Math.abs(r - 128) < 25 && Math.abs(g - 128) < 25 && Math.abs(b - 128) < 25;
+}
+
+function near(point, x, y, message) {
+    assert(Math.abs(point.x - x) < 0.01 && Math.abs(point.y - y) < 0.01,
+        `${message}: expected ${x},${y}, got ${point.x},${point.y}`);
+}
+
+class EventScreenshotTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+        this.storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'event-screenshots-'));
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // Test 1: Pixel zones from the resized frame are scaled up to the buffered frame
+    async testPixelZones() {
+        const cameraManager = new CameraManager();
+        const screenshotService = new ScreenshotService(cameraManager, { path: this.storagePath });
+
+        try {
+            await cameraManager.addCamera(camera('cam-a'));
+            const frame = await bufferFrame(cameraManager, 'cam-a');
+            near(cameraManager.getRawFrameProjection('cam-a', RAW)({ x: 40, y: 30 }), 80, 60, 'Scaled point');
+
+            const screenshot = await screenshotService.captureEventScreenshot({
+                id: 'event-1',
+                type: 'zone_violation',
+                cameraId: 'cam-a',
+                frameId: frame.id,
+                zoneId: 'zone-a',
+                priority: 'high',
+                timestamp: frame.timestamp
+            }, {
+                zones: [
+                    { id: 'zone-a', name: 'Bay', color: '#ff0000', coordinates: { x: 100, y: 80, width: 100, height: 80 } },
+                    { id: 'zone-b', name: 'Other', color: '#ff0000', camera_id: 'cam-b', coordinates: { x: 0, y: 0, width: 40, height: 40 } }
+                ]
+            });
+
+            assert(screenshot.zones.join() === 'zone-a', `Zones drawn: ${screenshot.zones}`);
+            const image = fs.readFileSync(screenshot.path);
+            const { width, height } = await sharp(image).metadata();
+            assert(width === RAW.width && height === RAW.height, `Screenshot is ${width}x${height}`);
+
+            assert(isRed(await pixel(image, 200, 250)), 'Left edge not at x=200 on the buffered frame');
+            assert(isRed(await pixel(image, 400, 250)), 'Right edge not at x=400 on the buffered frame');
+            assert(isGrey(await pixel(image, 100, 200)), 'Zone drawn at its processed-frame position');
+            assert(isGrey(await pixel(image, 20, 60)), 'Zone of another camera drawn');
+        } finally {
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Test 2: Metric zones and positions go through the floor homography and lens model
+    async testCalibratedZones() {
+        const cameraManager = new CameraManager();
+        const screenshotService = new ScreenshotService(cameraManager, { path: this.storagePath });
+        const intrinsics = { fx: 300, fy: 300, cx: 160, cy: 120, k1: -0.2, image_size: { width: 320, height: 240 } };
+
+        try {
+            // 4 m x 3 m floor over the whole 320x240 frame: 80 px/m, 160 px/m on the buffered frame
+            await cameraManager.addCamera(camera('cam-floor', {
+                calibration: {
+                    floor: { image_points: [[0, 0], [320, 0], [320, 240], [0, 240]], world_points: [[0, 0], [4, 0], [4, 3], [0, 3]] }
+                }
+            }));
+            await cameraManager.addCamera(camera('cam-lens', { calibration: { intrinsics } }));
+
+            const toRaw = cameraManager.getRawFrameProjection('cam-floor', RAW);
+            near(toRaw({ x: 1, y: 1 }), 160, 160, 'Floor point');
+            near(toRaw({ x: 4, y: 3 }), 640, 480, 'Floor corner');
+
+            // Undistorted pixels map back to where the lens put them
+            const lens = cameraManager.getRawFrameProjection('cam-lens', RAW);
+            near(lens({ x: 160, y: 120 }), 320, 240, 'Principal point');
+            const expected = calibration.distortPoint(intrinsics, { x: 300, y: 220 });
+            near(lens({ x: 300, y: 220 }), expected.x * 2, expected.y * 2, 'Distorted corner');
+            assert(expected.x < 300, 'Barrel distortion should pull the corner inwards');
+
+            const frame = await bufferFrame(cameraManager, 'cam-floor');
+            const screenshot = await screenshotService.captureEventScreenshot({
+                id: 'event-2',
+                type: 'zone_entry',
+                cameraId: 'cam-floor',
+                frameId: frame.id,
+                zoneId: 'zone-m',
+                priority: 'medium',
+                timestamp: frame.timestamp,
+                metadata: { position: { x: 2.5, y: 2 } }
+            }, {
+                zones: [{ id: 'zone-m', name: 'Charger', color: '#ff0000', coordinates: { x: 1, y: 1, width: 1, height: 1 } }]
+            });
+
+            const image = fs.readFileSync(screenshot.path);
+            assert(isRed(await pixel(image, 160, 240)), 'Metric zone edge not at 1 m (x=160)');
+            assert(isRed(await pixel(image, 320, 240)), 'Metric zone edge not at 2 m (x=320)');
+            assert(isGrey(await pixel(image, 240, 140)), 'Metric zone top edge above 1 m');
+            // The marker ring's radius is the label font size, 14 px at this width
+            const [r, g, b] = await pixel(image, 400, 320 - 14);
+            assert(r > 180 && g < 90 && b > 180, `Robot marker not at 2.5 m, 2 m: ${r},${g},${b}`);
+        } finally {
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Test 3: capture_screenshot links the screenshot without its path; email still attaches the file
+    async testAlertScreenshotLinks() {
+        const cameraManager = new CameraManager();
+        const screenshotService = new ScreenshotService(cameraManager, { path: this.storagePath });
+        const alertManager = new AlertManager({});
+        alertManager.setServices({ screenshotService });
+
+        try {
+            await cameraManager.addCamera(camera('cam-a'));
+            const frame = await bufferFrame(cameraManager, 'cam-a');
+            const event = { id: 'event-3', type: 'robot_tipped', cameraId: 'cam-a', frameId: frame.id, priority: 'critical', timestamp: frame.timestamp };
+            const alert = { id: 'alert-3', title: 'Tipped', priority: 'critical', recipients: ['ops@example.com'], metadata: { event } };
+
+            const screenshot = await alertManager.captureScreenshot(alert);
+            assert(alert.screenshot === screenshot && event.metadata.screenshot === screenshot, 'Screenshot not linked');
+            assert(screenshot.url === `/api/screenshots/${screenshot.id}` && screenshot.frameId === frame.id,
+                `Unexpected screenshot link ${JSON.stringify(screenshot)}`);
+            assert(!('path' in screenshot) && !JSON.stringify(alert.screenshot).includes(this.storagePath),
+                'Screenshot path leaked into the alert');
+
+            let mail = null;
+            alertManager.channels.email = {};
+            alertManager.emailTransporter = { sendMail: async (options) => { mail = options; return { messageId: 'test' }; } };
+            await alertManager.sendEmail(alert);
+            const attachment = mail.attachments[0];
+            assert(attachment.path === screenshotService.getScreenshot(screenshot.id).path && fs.existsSync(attachment.path),
+                'Email did not attach the screenshot file');
+            assert(attachment.cid === `screenshot-${screenshot.id}`, 'Attachment cid does not match the email body');
+        } finally {
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Event Screenshot Tests\n');
+        console.log('='.repeat(50));
+
+        try {
+            await this.runTest('Pixel Zones', this.testPixelZones);
+            await this.runTest('Calibrated Zones', this.testCalibratedZones);
+            await this.runTest('Alert Screenshot Links', this.testAlertScreenshotLinks);
+        } finally {
+            fs.rmSync(this.storagePath, { recursive: true, force: true });
+        }
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new EventScreenshotTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = EventScreenshotTest;
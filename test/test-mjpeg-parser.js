@@ -0,0 +1,284 @@
+/**
+ * MJPEG Parser Tests
+ * Runs MjpegParser over the fixture streams in test/fixtures/mjpeg (one per
+ * camera family), with random chunking and corrupted input
+ */
+
+const MjpegParser = require('../src/camera/MjpegParser');
+const CameraManager = require('../src/camera/CameraManager');
+const { PassThrough } = require('stream');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'mjpeg');
+const FUZZ_RUNS = 50;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function sha1(data) {
+    return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+// Deterministic PRNG (mulberry32) so failures can be reproduced
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Feed a stream to a fresh parser in the given chunk sizes
+function parse(data, contentType, nextChunkSize = () => data.length, options = {}) {
+    const parser = new MjpegParser({ boundary: MjpegParser.getBoundary(contentType), ...options });
+    const frames = [];
+    const errors = [];
+
+    parser.on('frame', frame => frames.push(frame));
+    parser.on('error', error => errors.push(error));
+
+    let offset = 0;
+    while (offset < data.length) {
+        const size = Math.max(1, nextChunkSize());
+        parser.push(data.slice(offset, offset + size));
+        offset += size;
+    }
+    parser.end();
+
+    return { frames, errors, parser };
+}
+
+class MjpegParserTest {
+    constructor() {
+        this.fixtures = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'fixtures.json'), 'utf8'))
+            .map(fixture => ({ ...fixture, data: fs.readFileSync(path.join(FIXTURE_DIR, fixture.file)) }));
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    assertFrames(fixture, frames, label) {
+        const hashes = frames.map(frame => sha1(frame.data));
+        assert(hashes.length === fixture.frames.length,
+            `${fixture.file} (${label}): expected ${fixture.frames.length} frames, got ${hashes.length}`);
+        hashes.forEach((hash, index) => {
+            assert(hash === fixture.frames[index], `${fixture.file} (${label}): frame ${index} differs`);
+        });
+    }
+
+    // Test 1: Boundary parameter parsing
+    async testBoundaryParsing() {
+        const cases = [
+            ['multipart/x-mixed-replace; boundary=myboundary', 'myboundary'],
+            ['multipart/x-mixed-replace;boundary=boundarydonotcross', 'boundarydonotcross'],
+            ['multipart/x-mixed-replace; boundary="--myboundary"', '--myboundary'],
+            ['multipart/x-mixed-replace; BOUNDARY=abc; charset=utf-8', 'abc'],
+            ['multipart/x-mixed-replace', null],
+            [undefined, null]
+        ];
+
+        for (const [contentType, expected] of cases) {
+            const boundary = MjpegParser.getBoundary(contentType);
+            assert(boundary === expected, `${contentType}: expected ${expected}, got ${boundary}`);
+        }
+    }
+
+    // Test 2: Every fixture parses to its recorded frames in one chunk
+    async testFixtures() {
+        for (const fixture of this.fixtures) {
+            const { frames, errors } = parse(fixture.data, fixture.contentType);
+            this.assertFrames(fixture, frames, 'single chunk');
+            assert(errors.length === 0, `${fixture.file}: unexpected errors`);
+            assert(frames.every(frame => frame.complete), `${fixture.file}: frame missing EOI`);
+        }
+    }
+
+    // Test 3: Chunk boundaries anywhere, including one byte at a time
+    async testRandomChunking() {
+        for (const fixture of this.fixtures) {
+            this.assertFrames(fixture, parse(fixture.data, fixture.contentType, () => 1).frames, 'byte by byte');
+
+            for (let run = 0; run < FUZZ_RUNS; run++) {
+                const random = createRandom(run + 1);
+                const { frames } = parse(fixture.data, fixture.contentType, () => Math.floor(random() * 96) + 1);
+                this.assertFrames(fixture, frames, `random chunks, seed ${run + 1}`);
+            }
+        }
+    }
+
+    // Test 4: Frames with an EXIF thumbnail are not cut at the thumbnail's FFD9
+    async testEmbeddedThumbnails() {
+        const fixture = this.fixtures.find(f => f.file === 'hikvision.mjpeg');
+        const { frames } = parse(fixture.data, fixture.contentType);
+
+        for (const frame of frames) {
+            const firstEoi = frame.data.indexOf(Buffer.from([0xFF, 0xD9]));
+            assert(firstEoi < frame.data.length - 2, 'Fixture frame has no embedded thumbnail');
+
+            const metadata = await sharp(frame.data).metadata();
+            assert(metadata.width === 64 && metadata.height === 48,
+                `Decoded ${metadata.width}x${metadata.height}, expected the full 64x48 frame`);
+        }
+
+        const timestamps = parse(this.fixtures.find(f => f.file === 'mjpg-streamer.mjpeg').data,
+            'multipart/x-mixed-replace;boundary=boundarydonotcross').frames.map(frame => frame.headers['x-timestamp']);
+        assert(timestamps[0] === '1734000000.000000', `Part headers not exposed: ${timestamps[0]}`);
+    }
+
+    // Test 5: Garbage between parts is skipped and later frames still arrive
+    async testGarbageBetweenParts() {
+        const fixture = this.fixtures.find(f => f.file === 'axis.mjpeg');
+        const random = createRandom(99);
+
+        for (let run = 0; run < FUZZ_RUNS; run++) {
+            const garbage = Buffer.from(Array.from({ length: Math.floor(random() * 200) }, () => Math.floor(random() * 256)));
+            // Garbage must not itself contain a delimiter line
+            const cleaned = Buffer.from(garbage.toString('latin1').replace(/\n/g, ' '), 'latin1');
+            const parts = fixture.data.toString('latin1').split('--myboundary');
+            const corrupted = Buffer.from(parts.join(cleaned.toString('latin1') + '\n--myboundary'), 'latin1');
+
+            const { frames } = parse(corrupted, fixture.contentType, () => Math.floor(random() * 64) + 1);
+            this.assertFrames(fixture, frames, `garbage run ${run}`);
+        }
+    }
+
+    // Test 6: Random corruption never throws and never yields a non-JPEG frame
+    async testCorruptionFuzz() {
+        const random = createRandom(1234);
+
+        for (let run = 0; run < FUZZ_RUNS * 4; run++) {
+            const fixture = this.fixtures[run % this.fixtures.length];
+            const data = Buffer.from(fixture.data);
+
+            // Flip bytes, then cut the stream short
+            const flips = Math.floor(random() * 20);
+            for (let i = 0; i < flips; i++) {
+                data[Math.floor(random() * data.length)] = Math.floor(random() * 256);
+            }
+            const truncated = data.slice(0, Math.floor(data.length * (0.5 + random() / 2)));
+
+            const { frames } = parse(truncated, fixture.contentType, () => Math.floor(random() * 128) + 1);
+            assert(frames.length <= fixture.frames.length + 1, `Run ${run}: ${frames.length} frames from corrupted stream`);
+            assert(frames.every(frame => frame.data[0] === 0xFF && frame.data[1] === 0xD8), `Run ${run}: frame without SOI`);
+        }
+
+        // Pure noise, with and without a boundary
+        for (let run = 0; run < FUZZ_RUNS; run++) {
+            const noise = Buffer.from(Array.from({ length: 2048 }, () => Math.floor(random() * 256)));
+            assert(parse(noise, 'multipart/x-mixed-replace; boundary=x').frames.length === 0, 'Frame from noise');
+            parse(noise, 'multipart/x-mixed-replace', () => Math.floor(random() * 300) + 1);
+        }
+    }
+
+    // Test 7: Oversized parts are dropped and parsing carries on
+    async testOversizedPart() {
+        const fixture = this.fixtures.find(f => f.file === 'foscam.mjpeg');
+        const filler = Buffer.concat([Buffer.from([0xFF, 0xD8]), Buffer.alloc(4096, 0x41)]);
+        const stream = Buffer.concat([
+            Buffer.from('--ipcamera\nContent-Type: image/jpeg\n\n'), filler, Buffer.from('\n'),
+            fixture.data
+        ]);
+
+        const { frames, errors } = parse(stream, fixture.contentType, () => 512, { maxFrameSize: 2048 });
+        assert(errors.length > 0, 'No error for oversized part');
+        this.assertFrames(fixture, frames, 'after oversized part');
+    }
+
+    // Test 8: CameraManager hands parsed frames to the camera
+    async testCameraManagerIntegration() {
+        const fixture = this.fixtures.find(f => f.file === 'esp32-cam.mjpeg');
+        const cameraManager = new CameraManager([], { health: { enabled: false } });
+        const received = [];
+
+        cameraManager.cameras.set('esp32', { id: 'esp32', stats: { framesProcessed: 0 } });
+        cameraManager.handleFrameData = (cameraId, data) => received.push({ cameraId, data });
+
+        const stream = new PassThrough();
+        const parser = cameraManager.parseMJPEGStream('esp32', stream, fixture.contentType);
+
+        for (let offset = 0; offset < fixture.data.length; offset += 100) {
+            stream.write(fixture.data.slice(offset, offset + 100));
+        }
+        stream.end();
+        await new Promise(resolve => stream.on('end', resolve).resume());
+
+        assert(received.length === 3, `Expected 3 frames, got ${received.length}`);
+        assert(received.every(frame => frame.cameraId === 'esp32'), 'Wrong camera ID');
+        assert(sha1(received[2].data) === fixture.frames[2], 'Last frame differs');
+        assert(parser.getStatistics().frames === 3, 'Parser statistics not updated');
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting MJPEG Parser Tests\n');
+        console.log('='.repeat(50));
+
+        await this.runTest('Boundary Parsing', this.testBoundaryParsing);
+        await this.runTest('Camera Fixtures', this.testFixtures);
+        await this.runTest('Random Chunking', this.testRandomChunking);
+        await this.runTest('Embedded Thumbnails', this.testEmbeddedThumbnails);
+        await this.runTest('Garbage Between Parts', this.testGarbageBetweenParts);
+        await this.runTest('Corruption Fuzz', this.testCorruptionFuzz);
+        await this.runTest('Oversized Part', this.testOversizedPart);
+        await this.runTest('CameraManager Integration', this.testCameraManagerIntegration);
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new MjpegParserTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = MjpegParserTest;
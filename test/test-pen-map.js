@@ -0,0 +1,284 @@
+/**
+ * Pen Map Tests
+ * Checks that PenMapCompositor warps the frames of two overlapping
+ * floor-calibrated cameras into one top-down map, overlays zones and robot
+ * tracks, and streams renders from a simulated camera through CameraManager
+ * with each render's zones and tracks broadcast to `map` socket subscribers
+ */
+
+const EventEmitter = require('events');
+const PenMapCompositor = require('../src/camera/PenMapCompositor');
+const CameraManager = require('../src/camera/CameraManager');
+const WebSocketHandler = require('../src/websocket/WebSocketHandler');
+const { invert3x3 } = require('../src/camera/calibration');
+const sharp = require('sharp');
+
+// 6 m x 4 m pen at 50 px/m; camera A sees x 0-4 m, camera B x 2-6 m, both y 0-3 m
+const MAP = { bounds: { x: 0, y: 0, width: 6, height: 4 }, pixels_per_metre: 50 };
+const CAMERA_A = [[1 / 80, 0, 0], [0, 1 / 80, 0], [0, 0, 1]];
+const CAMERA_B = [[1 / 80, 0, 2], [0, 1 / 80, 0], [0, 0, 1]];
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, timeout, message) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(message);
+        }
+        await wait(20);
+    }
+}
+
+// 320x240 grey frame with coloured squares centred on the given pixels
+function renderFrame(squares) {
+    const rects = squares.map(({ x, y, color }) =>
+        `<rect x="${x - 12}" y="${y - 12}" width="24" height="24" fill="${color}"/>`
+    ).join('');
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="240">' +
+        `<rect width="100%" height="100%" fill="#707070"/>${rects}</svg>`;
+    return sharp(Buffer.from(svg)).jpeg({ quality: 95 }).toBuffer();
+}
+
+async function cameraFrame(cameraId, homography, squares) {
+    return {
+        cameraId,
+        timestamp: new Date().toISOString(),
+        image: (await renderFrame(squares)).toString('base64'),
+        calibration: { homography, inverse: invert3x3(homography), units: 'metres' }
+    };
+}
+
+// RGB of the map pixel at a floor position in metres
+async function mapColor(jpeg, x, y) {
+    const { data, info } = await sharp(jpeg).raw().toBuffer({ resolveWithObject: true });
+    const index = (Math.round(y * MAP.pixels_per_metre) * info.width + Math.round(x * MAP.pixels_per_metre)) * info.channels;
+    return [data[index], data[index + 1], data[index + 2]];
+}
+
+function close(actual, expected, message) {
+    assert(actual.every((value, i) => Math.abs(value - expected[i]) < 40),
+        `${message}: expected ${expected.join(',')}, got ${actual.join(',')}`);
+}
+
+class PenMapTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // Test 1: Two overlapping cameras are warped into one map
+    async testStitching() {
+        const cameraManager = new EventEmitter();
+        const penMap = new PenMapCompositor(cameraManager, null, MAP);
+
+        try {
+            // A marks (1, 1) yellow; both cameras see magenta at (3, 2); B marks (5, 2.5) blue
+            cameraManager.emit('frame', await cameraFrame('cam-a', CAMERA_A, [
+                { x: 80, y: 80, color: '#ffff00' },
+                { x: 240, y: 160, color: '#ff00ff' }
+            ]));
+            cameraManager.emit('frame', await cameraFrame('cam-b', CAMERA_B, [
+                { x: 80, y: 160, color: '#ff00ff' },
+                { x: 240, y: 200, color: '#0000ff' }
+            ]));
+            // Frames without a floor calibration cannot be placed
+            cameraManager.emit('frame', { cameraId: 'cam-raw', timestamp: new Date().toISOString(), image: '' });
+
+            const map = await penMap.render({ overlay: false });
+            const { width, height } = await sharp(map).metadata();
+            assert(width === 300 && height === 200, `Map rendered at ${width}x${height}`);
+            assert(penMap.getStatistics().cameras === 2, 'Uncalibrated camera was added to the map');
+
+            close(await mapColor(map, 1, 1), [255, 255, 0], 'Camera A marker');
+            close(await mapColor(map, 5, 2.5), [0, 0, 255], 'Camera B marker');
+            close(await mapColor(map, 3, 2), [255, 0, 255], 'Marker in the overlap');
+            close(await mapColor(map, 3, 1), [112, 112, 112], 'Floor in the overlap');
+            close(await mapColor(map, 3, 3.7), [31, 41, 55], 'Area no camera sees');
+        } finally {
+            penMap.cleanup();
+        }
+    }
+
+    // Test 2: Robot tracks and zones are kept in metres and drawn on the map
+    async testTracksAndZones() {
+        const cameraManager = new EventEmitter();
+        const eventDetector = new EventEmitter();
+        eventDetector.zones = [
+            { id: 'zone-bay', name: 'Bay', type: 'rectangle', color: '#ff0000', coordinates: { x: 4, y: 0.5, width: 1.5, height: 1 } },
+            { id: 'zone-other', name: 'Other', camera_id: 'cam-z', coordinates: { x: 0, y: 0, width: 1, height: 1 } }
+        ];
+        const penMap = new PenMapCompositor(cameraManager, eventDetector, { ...MAP, track_length: 3, track_timeout: 1000 });
+
+        try {
+            cameraManager.emit('frame', await cameraFrame('cam-a', CAMERA_A, []));
+            const now = Date.now();
+            for (let i = 0; i < 5; i++) {
+                eventDetector.emit('robot-state', {
+                    robotId: 'robot-001',
+                    status: 'moving',
+                    position: { x: 1 + i * 0.2, y: 2 },
+                    lastSeen: new Date(now + i),
+                    metadata: { cameraId: 'cam-a', units: 'metres' }
+                });
+            }
+            // Pixel positions from uncalibrated cameras are not mapped
+            eventDetector.emit('robot-state', {
+                robotId: 'robot-002',
+                status: 'moving',
+                position: { x: 150, y: 100 },
+                metadata: { cameraId: 'cam-c', units: 'pixels' }
+            });
+
+            const state = penMap.getMapState();
+            assert(state.tracks.length === 1 && state.tracks[0].robotId === 'robot-001', 'Unexpected tracks');
+            assert(state.tracks[0].points.length === 3 && state.tracks[0].points[2].x === 1.8,
+                `Track not trimmed to track_length: ${JSON.stringify(state.tracks[0].points)}`);
+            assert(state.zones.map(zone => zone.id).join() === 'zone-bay', 'Zone of an unmapped camera included');
+
+            const map = await penMap.render();
+            close(await mapColor(map, 1.8, 2), [0x22, 0xd3, 0xee], 'Robot marker at the track head');
+            // Thin outline loses some saturation to JPEG chroma subsampling
+            const [r, g, b] = await mapColor(map, 4, 1);
+            assert(r > 150 && g < 80 && b < 80, `Zone outline not drawn: ${r},${g},${b}`);
+
+            // Tracks expire after track_timeout
+            penMap.tracks.get('robot-001').points.forEach(point => { point.t -= 2000; });
+            assert(penMap.getMapState().tracks.length === 0, 'Stale track not dropped');
+        } finally {
+            penMap.cleanup();
+        }
+    }
+
+    // Test 3: A calibrated simulated camera streams map renders to subscribers, and map state to
+    // map sockets whether or not anyone streams the map
+    async testStreamFromCamera() {
+        const cameraManager = new CameraManager([{
+            id: 'pen',
+            name: 'Pen',
+            protocol: 'simulated',
+            resolution: { width: 320, height: 240 },
+            fps: 10,
+            simulation: { robots: [{ id: 'robot-001', color: '#ffff00', x: 100, y: 100, size: 20 }] },
+            calibration: {
+                floor: { image_points: [[0, 0], [320, 0], [320, 240], [0, 240]], world_points: [[0, 0], [4, 0], [4, 3], [0, 3]] }
+            }
+        }]);
+        const penMap = new PenMapCompositor(cameraManager, null, { ...MAP, render_interval: 100 });
+        const renders = [];
+        const states = [];
+        penMap.on('map-state', state => states.push(state));
+
+        // Socket.io stand-in with one client in the map room, wired the way the server does
+        const broadcasts = [];
+        const io = {
+            on: () => {},
+            use: () => {},
+            emit: () => {},
+            to: room => ({ emit: (event, data) => broadcasts.push({ room, event, data }) }),
+            sockets: { adapter: { rooms: new Map([['map', new Set(['socket-1'])]]) } }
+        };
+        const wsHandler = new WebSocketHandler(io, { cameraManager });
+        penMap.on('map-state', state => wsHandler.broadcastPenMap(state));
+
+        try {
+            await cameraManager.initialize();
+            await waitFor(() => cameraManager.getBufferedFrames('pen', 1).length > 0, 2000, 'No frames buffered');
+            await cameraManager.captureFrame('pen');
+            await waitFor(() => states.length > 0, 2000, 'map-state not emitted without stream subscribers');
+
+            const unsubscribe = penMap.subscribe(image => renders.push(image));
+            await waitFor(() => renders.length >= 2, 3000, 'No map renders streamed');
+            unsubscribe();
+            assert(penMap.renderTimer === null, 'Render loop kept running without subscribers');
+
+            const { width } = await sharp(renders[0]).metadata();
+            assert(width === 300, `Streamed map width ${width}`);
+            assert(states.length > 0 && states[0].cameras[0].cameraId === 'pen', 'map-state not emitted');
+            assert(broadcasts.length === states.length && broadcasts.every(b => b.room === 'map' && b.event === 'pen_map'),
+                `Map states not broadcast to the map room: ${JSON.stringify(broadcasts.map(b => [b.room, b.event]))}`);
+            assert(broadcasts[0].data === states[0] && wsHandler.getStatistics().messagesSent === states.length,
+                'Broadcast is not the rendered map state');
+            close(await mapColor(renders[0], 3, 3.7), [31, 41, 55], 'Outside the camera view');
+
+            // The simulator's yellow robot at pixel (100, 100) lands at 1.25 m, 1.25 m
+            const [r, g, b] = await mapColor(renders[0], 1.25, 1.25);
+            assert(r > 180 && g > 180 && b < 100, `Robot not at its floor position: ${r},${g},${b}`);
+        } finally {
+            penMap.cleanup();
+            wsHandler.destroy();
+            await cameraManager.cleanup();
+        }
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Pen Map Tests\n');
+        console.log('='.repeat(50));
+
+        await this.runTest('Stitching', this.testStitching);
+        await this.runTest('Tracks And Zones', this.testTracksAndZones);
+        await this.runTest('Stream From Camera', this.testStreamFromCamera);
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new PenMapTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = PenMapTest;
@@ -0,0 +1,209 @@
+/**
+ * Robot Tracker Tests
+ * Checks RobotTracker on synthetic frames: blob tracks keep their IDs while
+ * robots move, survive short occlusions and are dropped after
+ * max_missed_frames, marker mode maps colours to robot IDs, and the shipped
+ * config gives EventDetector a tracker so position checks run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const RobotTracker = require('../src/detection/RobotTracker');
+const EventDetector = require('../src/detection/EventDetector');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// 320x240 grey frame with 30 px squares centred on the given pixels
+async function frame(squares, cameraId = 'cam-1') {
+    const rects = squares.map(({ x, y, color = '#202020' }) =>
+        `<rect x="${x - 15}" y="${y - 15}" width="30" height="30" fill="${color}"/>`
+    ).join('');
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="240">' +
+        `<rect width="100%" height="100%" fill="#909090"/>${rects}</svg>`;
+    const image = await sharp(Buffer.from(svg)).jpeg({ quality: 95 }).toBuffer();
+    return { cameraId, timestamp: new Date().toISOString(), image: image.toString('base64') };
+}
+
+function near(position, x, y, message) {
+    assert(position && Math.abs(position.x - x) <= 3 && Math.abs(position.y - y) <= 3,
+        `${message}: expected ${x},${y}, got ${position ? `${position.x},${position.y}` : 'nothing'}`);
+}
+
+class RobotTrackerTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // Test 1: Blob tracks follow moving robots with stable IDs
+    async testBlobTracking() {
+        const tracker = new RobotTracker({ mode: 'blob' });
+        const created = [];
+        tracker.on('track-created', info => created.push(info.trackId));
+
+        const seeded = await tracker.getPositions(await frame([]));
+        assert(seeded.size === 0, 'First frame should only seed the background');
+
+        let positions = await tracker.getPositions(await frame([{ x: 60, y: 60 }]));
+        assert(positions.size === 1, `Expected one robot, got ${positions.size}`);
+        const [firstId] = positions.keys();
+        near(positions.get(firstId), 60, 60, 'First robot');
+
+        // Both move; a second robot appears far away
+        positions = await tracker.getPositions(await frame([{ x: 80, y: 70 }, { x: 240, y: 180 }]));
+        assert(positions.size === 2, `Expected two robots, got ${positions.size}`);
+        near(positions.get(firstId), 80, 70, 'First robot kept its track');
+        const secondId = created[1];
+        near(positions.get(secondId), 240, 180, 'Second robot');
+
+        positions = await tracker.getPositions(await frame([{ x: 100, y: 80 }, { x: 230, y: 170 }]));
+        assert(positions.get(firstId).x > 90 && positions.get(secondId).x < 240, 'Tracks swapped while moving');
+        assert(created.length === 2, `Tracks created: ${created.join(', ')}`);
+        assert(tracker.getTracks('cam-1').length === 2 && tracker.getTracks('cam-2').length === 0, 'Tracks not kept per camera');
+    }
+
+    // Test 2: Short occlusions keep the track, longer ones lose it
+    async testTrackLoss() {
+        const tracker = new RobotTracker({ mode: 'blob', max_missed_frames: 2 });
+        const lost = [];
+        tracker.on('track-lost', info => lost.push(info.trackId));
+
+        await tracker.getPositions(await frame([]));
+        const [trackId] = (await tracker.getPositions(await frame([{ x: 160, y: 120 }]))).keys();
+
+        // Hidden for two frames, then back nearby: same track
+        await tracker.getPositions(await frame([]));
+        await tracker.getPositions(await frame([]));
+        let positions = await tracker.getPositions(await frame([{ x: 170, y: 120 }]));
+        assert(positions.has(trackId) && lost.length === 0, 'Track lost during a short occlusion');
+
+        // Hidden for three frames: dropped, and the robot comes back as a new track
+        for (let i = 0; i < 3; i++) {
+            positions = await tracker.getPositions(await frame([]));
+        }
+        assert(lost.length === 1 && lost[0] === trackId, `Lost tracks: ${lost.join(', ')}`);
+        assert(positions.size === 0 && tracker.getTracks('cam-1').length === 0, 'Lost track still reported');
+
+        positions = await tracker.getPositions(await frame([{ x: 170, y: 120 }]));
+        assert(positions.size === 1 && !positions.has(trackId), 'Returning robot reused a lost track');
+        assert(tracker.getStatistics().tracksLost === 1 && tracker.getStatistics().tracksCreated === 2, 'Statistics not updated');
+    }
+
+    // Test 3: Marker colours map straight to robot IDs
+    async testMarkers() {
+        let error = null;
+        try {
+            new RobotTracker({ mode: 'markers' });
+        } catch (e) {
+            error = e;
+        }
+        assert(error && /at least one marker/.test(error.message), 'Marker mode without markers accepted');
+
+        const tracker = new RobotTracker({
+            mode: 'markers',
+            markers: [
+                { robot_id: 'robot-red', color: '#ff0000', tolerance: 60 },
+                { robot_id: 'robot-blue', color: '#0000ff', tolerance: 60 }
+            ]
+        });
+
+        // No background needed: the first frame already reports markers
+        const positions = await tracker.getPositions(await frame([
+            { x: 50, y: 200, color: '#ff0000' },
+            { x: 280, y: 40, color: '#0000ff' },
+            { x: 160, y: 120, color: '#202020' }
+        ]));
+        assert(Array.from(positions.keys()).sort().join() === 'robot-blue,robot-red', `Robots found: ${Array.from(positions.keys())}`);
+        near(positions.get('robot-red'), 50, 200, 'Red marker');
+        near(positions.get('robot-blue'), 280, 40, 'Blue marker');
+
+        const missing = await tracker.getPositions(await frame([{ x: 50, y: 200, color: '#ff0000' }]));
+        assert(missing.size === 1 && missing.has('robot-red'), 'Absent marker reported');
+    }
+
+    // Test 4: The shipped config turns tracking on for EventDetector
+    async testShippedConfig() {
+        const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.example.json'), 'utf8'));
+        assert(config.detection.tracking.enabled === true, 'Tracking disabled in config.example.json');
+
+        const eventDetector = new EventDetector({ ...config.detection, zones: [] });
+        assert(eventDetector.positionSource instanceof RobotTracker, 'EventDetector has no position source');
+
+        await eventDetector.extractRobotPositions(await frame([]));
+        const positions = await eventDetector.extractRobotPositions(await frame([{ x: 100, y: 100 }]));
+        assert(positions.size === 1, `Expected one tracked robot, got ${positions.size}`);
+
+        const optedOut = new EventDetector({ tracking: { ...config.detection.tracking, enabled: false } });
+        assert(optedOut.positionSource === null, 'tracking.enabled: false still tracks');
+        assert((await optedOut.extractRobotPositions(await frame([{ x: 100, y: 100 }]))).size === 0, 'Positions without a tracker');
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Robot Tracker Tests\n');
+        console.log('='.repeat(50));
+
+        await this.runTest('Blob Tracking', this.testBlobTracking);
+        await this.runTest('Track Loss', this.testTrackLoss);
+        await this.runTest('Markers', this.testMarkers);
+        await this.runTest('Shipped Config', this.testShippedConfig);
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new RobotTrackerTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = RobotTrackerTest;
@@ -0,0 +1,301 @@
+/**
+ * Region-of-Interest Tests
+ * Checks ROI resolution from zones and rectangles, sharp crop/upscale, and
+ * VisionEngine sending one zone-aware request per region to a fake model
+ * server with detections mapped back to full-frame coordinates
+ */
+
+const VisionEngine = require('../src/vision/VisionEngine');
+const EventDetector = require('../src/detection/EventDetector');
+const {
+    resolveRois,
+    cropRegion,
+    buildRoiPrompt,
+    mapDetectionsToFrame
+} = require('../src/vision/roiProcessing');
+const http = require('http');
+const sharp = require('sharp');
+
+const FRAME = { width: 640, height: 480 };
+
+const ZONES = [
+    { id: 'zone-bay', name: 'Charging Bay', coordinates: { x: 400, y: 300, width: 100, height: 80 } },
+    { id: 'zone-ring', name: 'Ring', coordinates: { cx: 100, cy: 100, radius: 50 } },
+    { id: 'zone-edge', name: 'Edge', coordinates: [{ x: 600, y: 10 }, { x: 660, y: 10 }, { x: 630, y: 60 }] },
+    { id: 'zone-other', name: 'Other Camera', camera_id: 'cam-002', coordinates: { x: 0, y: 0, width: 10, height: 10 } }
+];
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function near(actual, expected, message) {
+    assert(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Grey pen with a yellow square inside the charging bay
+function renderFrame() {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${FRAME.width}" height="${FRAME.height}">` +
+        '<rect width="100%" height="100%" fill="#707070"/>' +
+        '<rect x="425" y="320" width="50" height="40" fill="#ffff00"/></svg>';
+    return sharp(Buffer.from(svg)).jpeg({ quality: 90 }).toBuffer();
+}
+
+// OpenAI-compatible endpoint answering in JSON mode based on the zone named in the prompt
+function startFakeModelServer() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            const [text, image] = JSON.parse(body).messages[0].content;
+            const data = Buffer.from(image.image_url.url.split(',')[1], 'base64');
+            const { width, height } = await sharp(data).metadata();
+            server.requests.push({ prompt: text.text, width, height });
+
+            if (text.text.includes('"Broken"')) {
+                res.writeHead(500);
+                res.end('model crashed');
+                return;
+            }
+
+            const tipped = text.text.includes('Charging Bay');
+            const reply = {
+                robot_count: tipped ? 1 : 0,
+                robots: tipped
+                    ? [{ id: 'robot-1', state: 'tipped', bbox: { x: 0.25, y: 0.25, width: 0.5, height: 0.5 }, confidence: 0.9 }]
+                    : [],
+                humans_present: false,
+                collision: false,
+                confidence: 0.8,
+                summary: tipped ? 'One robot tipped over' : 'No robots visible'
+            };
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify(reply) } }] }));
+        });
+    });
+    server.requests = [];
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+class RoiProcessingTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // Test 1: Zones of every shape and manual rectangles become clamped pixel boxes
+    async testResolveRois() {
+        const rois = resolveRois([
+            ...ZONES,
+            { id: 'roi-door', x: 620, y: 470, width: 100, height: 100, zone_id: 'zone-door' },
+            { id: 'roi-outside', x: 700, y: 10, width: 20, height: 20 }
+        ], FRAME, { cameraId: 'cam-001', padding: 10 });
+
+        const byId = new Map(rois.map(roi => [roi.id, roi]));
+        assert(rois.length === 4, `Expected 4 regions, got ${rois.map(r => r.id).join(', ')}`);
+        assert(!byId.has('zone-other'), 'Zone for another camera was included');
+        assert(!byId.has('roi-outside'), 'Rectangle outside the frame was included');
+
+        const bay = byId.get('zone-bay');
+        assert(bay.x === 390 && bay.y === 290 && bay.width === 120 && bay.height === 100,
+            `Rectangle zone resolved to ${JSON.stringify(bay)}`);
+        assert(bay.zoneId === 'zone-bay' && bay.name === 'Charging Bay', 'Zone id/name not kept');
+
+        const ring = byId.get('zone-ring');
+        assert(ring.x === 40 && ring.width === 120, `Circle zone resolved to ${JSON.stringify(ring)}`);
+
+        const edge = byId.get('zone-edge');
+        assert(edge.x === 590 && edge.width === 50 && edge.y === 0, `Polygon zone not clamped: ${JSON.stringify(edge)}`);
+
+        const door = byId.get('roi-door');
+        assert(door.zoneId === 'zone-door' && door.width === 30 && door.height === 20,
+            `Manual rectangle resolved to ${JSON.stringify(door)}`);
+    }
+
+    // Test 2: Crops are cut from the right place and upscaled
+    async testCropAndMap() {
+        const frame = await renderFrame();
+        const [bay] = resolveRois([ZONES[0]], FRAME);
+        const crop = await cropRegion(frame, bay, { minSize: 240 });
+
+        const { data, info } = await sharp(crop).raw().toBuffer({ resolveWithObject: true });
+        assert(info.width === 300 && info.height === 240, `Crop upscaled to ${info.width}x${info.height}`);
+        const pixel = (x, y) => Array.from(data.slice((y * info.width + x) * 3, (y * info.width + x) * 3 + 3));
+        const [r, g, b] = pixel(150, 120);
+        assert(r > 200 && g > 200 && b < 80, `Crop centre is not the yellow square: ${r},${g},${b}`);
+        assert(pixel(5, 5)[0] < 140, 'Crop corner should be pen floor');
+
+        // Large regions are not shrunk
+        const big = await sharp(await cropRegion(frame, { x: 0, y: 0, width: 640, height: 480 }, { minSize: 240 })).metadata();
+        assert(big.width === 640 && big.height === 480, 'Region larger than roi_min_size was resized');
+
+        const [mapped] = mapDetectionsToFrame([{
+            type: 'robot_tipped',
+            detected: true,
+            boxes: [{ x: 0.25, y: 0.5, width: 0.5, height: 0.25 }]
+        }], bay, FRAME);
+        near(mapped.boxes[0].x, (400 + 25) / 640, 'Mapped box x');
+        near(mapped.boxes[0].y, (300 + 40) / 480, 'Mapped box y');
+        near(mapped.boxes[0].width, 50 / 640, 'Mapped box width');
+        near(mapped.boxes[0].height, 20 / 480, 'Mapped box height');
+        assert(mapped.zoneId === 'zone-bay' && mapped.roiId === 'zone-bay', 'Mapped detection not tagged with region');
+
+        const prompt = buildRoiPrompt('Are any robots tipped?', bay);
+        assert(prompt.includes('zone "Charging Bay" (zone-bay)') && prompt.endsWith('Are any robots tipped?'),
+            `Unexpected ROI prompt: ${prompt}`);
+    }
+
+    // Test 3: VisionEngine sends one request per region and merges the results
+    async testVisionEngineRegions() {
+        const server = await startFakeModelServer();
+        const engine = new VisionEngine({
+            base_url: `http://127.0.0.1:${server.address().port}`,
+            output_mode: 'json',
+            cache_timeout: 1,
+            retry_delay: 1,
+            roi_processing: true,
+            roi_min_size: 200,
+            roi_padding: 0
+        });
+
+        try {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            engine.setRegionsOfInterest([ZONES[0], { id: 'roi-door', name: 'Pen door', x: 0, y: 0, width: 160, height: 120 }]);
+
+            const frameData = {
+                cameraId: 'cam-001',
+                timestamp: new Date().toISOString(),
+                image: (await renderFrame()).toString('base64')
+            };
+            const analysis = await engine.analyzeFrame(frameData, 'general');
+
+            assert(server.requests.length === 2, `Expected 2 region requests, got ${server.requests.length}`);
+            const bayRequest = server.requests.find(request => request.prompt.includes('Charging Bay'));
+            assert(bayRequest && bayRequest.width === 250 && bayRequest.height === 200,
+                `Bay crop sent at ${bayRequest && `${bayRequest.width}x${bayRequest.height}`}`);
+            assert(server.requests.some(request => request.prompt.includes('region "Pen door"')), 'Door prompt not zone-aware');
+
+            const tipped = analysis.detections.find(detection => detection.type === 'robot_tipped');
+            assert(tipped && tipped.zoneId === 'zone-bay', 'Tipped robot not attributed to the charging bay');
+            near(tipped.boxes[0].x, 425 / 640, 'Tipped box x in frame');
+            near(tipped.boxes[0].width, 50 / 640, 'Tipped box width in frame');
+
+            const counts = analysis.detections.filter(detection => detection.type === 'robot_count');
+            assert(counts.length === 2, 'Expected one robot count per region');
+            assert(analysis.regions.length === 2 && analysis.summary.includes('Charging Bay: One robot tipped over'),
+                `Unexpected merged summary: ${analysis.summary}`);
+
+            // Per-zone detections survive combineAnalyses
+            const combined = engine.combineAnalyses({ general: analysis });
+            assert(combined.allDetections.filter(d => d.type === 'robot_count').length === 2,
+                'combineAnalyses merged detections from different regions');
+
+            // Explicit rois override the configured ones, and a failing region does not fail the frame
+            server.requests = [];
+            const partial = await engine.analyzeFrame(frameData, 'general', {
+                rois: [ZONES[0], { id: 'roi-broken', name: 'Broken', x: 0, y: 0, width: 50, height: 50 }]
+            });
+            const broken = partial.regions.find(region => region.id === 'roi-broken');
+            assert(broken.error && partial.detections.every(d => d.roiId === 'zone-bay'),
+                'Failed region should be reported without detections');
+
+            // No regions at all: the whole frame is analysed as before
+            server.requests = [];
+            const whole = await engine.analyzeFrame(frameData, 'general', { rois: [] });
+            assert(!whole.regions && server.requests.length === 1 && !server.requests[0].prompt.includes('close-up'),
+                'Empty ROI list should analyse the full frame');
+
+            const stats = engine.getStatistics().roi;
+            assert(stats.framesSplit === 2 && stats.regionsAnalyzed === 3 && stats.regionErrors === 1,
+                `Unexpected ROI statistics: ${JSON.stringify(stats)}`);
+        } finally {
+            server.close();
+        }
+    }
+
+    // Test 4: Detection zones follow EventDetector edits and keep the configured rectangles
+    async testZoneUpdates() {
+        const door = { id: 'roi-door', name: 'Pen door', x: 0, y: 0, width: 160, height: 120 };
+        const engine = new VisionEngine({ roi_processing: true, roi_regions: [door] });
+        const eventDetector = new EventDetector({ zones: [ZONES[0]] });
+
+        // The server seeds the engine with the loaded zones and follows every change
+        engine.setRegionsOfInterest(eventDetector.zones);
+        eventDetector.on('zones-changed', zones => engine.setRegionsOfInterest(zones));
+        assert(engine.regionsOfInterest.map(roi => roi.id).join() === 'roi-door,zone-bay',
+            `Regions after startup: ${engine.regionsOfInterest.map(roi => roi.id)}`);
+
+        eventDetector.setZones([ZONES[1], ZONES[2]]);
+        assert(engine.regionsOfInterest.map(roi => roi.id).join() === 'roi-door,zone-ring,zone-edge',
+            `Regions after a zone edit: ${engine.regionsOfInterest.map(roi => roi.id)}`);
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Region-of-Interest Tests\n');
+        console.log('='.repeat(50));
+
+        await this.runTest('Resolve Regions', this.testResolveRois);
+        await this.runTest('Crop And Map', this.testCropAndMap);
+        await this.runTest('Vision Engine Regions', this.testVisionEngineRegions);
+        await this.runTest('Zone Updates', this.testZoneUpdates);
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new RoiProcessingTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = RoiProcessingTest;
@@ -0,0 +1,314 @@
+/**
+ * Vision Backend Tests
+ * Checks the request bodies built by the OpenAI chat, llama.cpp /completion,
+ * Ollama /api/generate and generic HTTP JSON adapters, and VisionEngine
+ * sending each model to its configured backend on a fake local server that
+ * speaks all four formats
+ */
+
+const VisionEngine = require('../src/vision/VisionEngine');
+const {
+    resolveBackend,
+    buildBackendRequest,
+    parseBackendResponse,
+    fillTemplate
+} = require('../src/vision/backends');
+const http = require('http');
+
+const IMAGE = Buffer.from('fake jpeg bytes').toString('base64');
+const REPLY = 'I can see 3 robots visible in the pen. One robot has tipped over and is lying on its side.';
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function chatMessages(text) {
+    return [{
+        role: 'user',
+        content: [
+            { type: 'text', text },
+            { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${IMAGE}` } }
+        ]
+    }];
+}
+
+// One server for every backend format; server.replies queues texts to send
+// before falling back to REPLY
+function startFakeBackendServer() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = { path: req.url, headers: req.headers, body: JSON.parse(body) };
+            server.requests.push(request);
+            const text = server.replies.length > 0 ? server.replies.shift() : REPLY;
+
+            let reply;
+            if (req.url === '/v1/chat/completions') {
+                reply = { choices: [{ message: { role: 'assistant', content: text } }] };
+            } else if (req.url === '/completion') {
+                reply = { content: text, stop: true };
+            } else if (req.url === '/api/generate') {
+                reply = { model: request.body.model, response: text, done: true };
+            } else if (req.url === '/custom/infer') {
+                reply = { result: { outputs: [{ text }] } };
+            } else {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply));
+        });
+    });
+    server.requests = [];
+    server.replies = [];
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+const HTTP_BACKEND = {
+    type: 'http',
+    path: '/custom/infer',
+    headers: { Authorization: 'Bearer test-token' },
+    template: {
+        inputs: { text: 'Task: {{prompt}}', image: '{{image_base64}}', format: '{{mime_type}}' },
+        parameters: { max_new_tokens: '{{max_tokens}}', temperature: '{{temperature}}' }
+    },
+    response_path: 'result.outputs.0.text'
+};
+
+class VisionBackendTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // Test 1: Request bodies, response parsing and backend resolution
+    async testAdapters() {
+        const defaults = { type: 'openai', baseUrl: 'http://gpu-box:8080/', apiPath: '/v1/chat/completions' };
+        const params = { modelName: 'llava:7b', maxTokens: 120, temperature: 0.2 };
+        const messages = chatMessages('Count the robots.');
+
+        const openai = resolveBackend({}, defaults);
+        assert(openai.url === 'http://gpu-box:8080/v1/chat/completions', `OpenAI url ${openai.url}`);
+        const chat = buildBackendRequest(openai, messages, params);
+        assert(chat.messages === messages && chat.max_tokens === 120 && chat.model === 'llava:7b', 'OpenAI body');
+
+        // Another type on the same server uses its own default path
+        const llamacpp = resolveBackend({ backend: { type: 'llamacpp' } }, defaults);
+        assert(llamacpp.url === 'http://gpu-box:8080/completion', `llama.cpp url ${llamacpp.url}`);
+        const completion = buildBackendRequest(llamacpp, messages, params);
+        assert(completion.prompt === 'USER: [img-1]\nCount the robots.\nASSISTANT:', `llama.cpp prompt ${JSON.stringify(completion.prompt)}`);
+        assert(completion.image_data.length === 1 && completion.image_data[0].data === IMAGE && completion.image_data[0].id === 1,
+            'llama.cpp image_data');
+        assert(completion.n_predict === 120 && completion.temperature === 0.2, 'llama.cpp sampling params');
+
+        const ollama = resolveBackend({ backend: { type: 'ollama', base_url: 'http://localhost:11434' } }, defaults);
+        assert(ollama.url === 'http://localhost:11434/api/generate', `Ollama url ${ollama.url}`);
+        const generate = buildBackendRequest(ollama, messages, params);
+        assert(generate.prompt === 'Count the robots.' && generate.images[0] === IMAGE && generate.stream === false,
+            `Ollama body ${JSON.stringify(generate)}`);
+        assert(generate.options.num_predict === 120, 'Ollama options');
+
+        // Whole-string placeholders keep their type
+        const custom = resolveBackend({ backend: HTTP_BACKEND }, defaults);
+        const body = buildBackendRequest(custom, messages, params);
+        assert(body.inputs.text === 'Task: Count the robots.' && body.inputs.image === IMAGE && body.inputs.format === 'image/jpeg',
+            `HTTP body ${JSON.stringify(body.inputs)}`);
+        assert(body.parameters.max_new_tokens === 120 && body.parameters.temperature === 0.2, 'HTTP numbers became strings');
+        assert(custom.headers.Authorization === 'Bearer test-token', 'HTTP headers');
+
+        assert(parseBackendResponse(openai, { choices: [{ message: { content: 'a' } }] }) === 'a', 'OpenAI parse');
+        assert(parseBackendResponse(llamacpp, { content: 'b' }) === 'b', 'llama.cpp parse');
+        assert(parseBackendResponse(ollama, { response: 'c' }) === 'c', 'Ollama parse');
+        assert(parseBackendResponse(custom, { result: { outputs: [{ text: 'd' }] } }) === 'd', 'HTTP parse');
+
+        const failures = [
+            () => parseBackendResponse(openai, { error: 'overloaded' }),
+            () => parseBackendResponse(ollama, { content: 'wrong format' }),
+            () => parseBackendResponse(custom, { result: {} }),
+            () => resolveBackend({ backend: { type: 'grpc' } }, defaults),
+            () => resolveBackend({ backend: { type: 'http', path: '/x' } }, defaults),
+            () => resolveBackend({ backend: { type: 'http', template: {}, response_path: 'a' } }, defaults),
+            () => fillTemplate({ a: '{{missing}}' }, {})
+        ];
+        failures.forEach((fn, index) => {
+            let threw = false;
+            try {
+                fn();
+            } catch (error) {
+                threw = true;
+            }
+            assert(threw, `Failure case ${index + 1} did not throw`);
+        });
+    }
+
+    // Test 2: VisionEngine sends each model to its backend and parses every reply the same way
+    async testEngineRouting() {
+        const server = await startFakeBackendServer();
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        const engine = new VisionEngine({ base_url: baseUrl, cache_timeout: 1, max_retries: 0 });
+
+        try {
+            await wait(200);
+            engine.models = {
+                'chat-model': { id: 'chat-model', hardware: ['cpu'], endpoints: { api: { model: 'smolvlm' } }, parameters: { max_tokens: 100 } },
+                'llama-model': { id: 'llama-model', backend: { type: 'llamacpp' }, parameters: { max_tokens: 110 } },
+                'ollama-model': { id: 'ollama-model', hardware: ['cpu'], backend: { type: 'ollama' }, endpoints: { api: { model: 'llava:7b' } } },
+                'http-model': { id: 'http-model', backend: HTTP_BACKEND },
+                'broken-model': { id: 'broken-model', backend: { type: 'grpc' } }
+            };
+            engine.initializePromptTemplates();
+
+            const frameData = { cameraId: 'cam-001', timestamp: new Date().toISOString(), image: IMAGE };
+            const expected = {
+                'chat-model': '/v1/chat/completions',
+                'llama-model': '/completion',
+                'ollama-model': '/api/generate',
+                'http-model': '/custom/infer'
+            };
+            for (const [modelId, requestPath] of Object.entries(expected)) {
+                const analysis = await engine.analyzeFrame(frameData, 'general', { model: modelId });
+                const request = server.requests[server.requests.length - 1];
+                assert(request.path === requestPath, `${modelId} went to ${request.path}`);
+                assert(analysis.content === REPLY && analysis.modelId === modelId, `${modelId} reply not parsed`);
+                assert(analysis.detections.some(d => d.type === 'robot_tipped'), `${modelId} lost the tipped detection`);
+                assert(analysis.detections.some(d => d.type === 'robot_count' && d.count === 3), `${modelId} lost the robot count`);
+            }
+
+            const [chat, llama, ollama, custom] = server.requests;
+            assert(chat.body.model === 'smolvlm' && chat.body.messages[0].content[1].image_url.url.endsWith(IMAGE), 'Chat request body');
+            assert(llama.body.image_data[0].data === IMAGE && llama.body.n_predict === 110, 'llama.cpp request body');
+            assert(ollama.body.model === 'llava:7b' && ollama.body.images[0] === IMAGE, 'Ollama request body');
+            assert(custom.headers.authorization === 'Bearer test-token' && custom.body.inputs.image === IMAGE, 'HTTP request body');
+
+            const backends = engine.getAvailableModels().map(model => `${model.id}:${model.backend}`);
+            assert(backends.join() === 'chat-model:openai,ollama-model:ollama', `Available models ${backends.join()}`);
+
+            // A bad backend config fails at once, without reaching the server
+            const before = server.requests.length;
+            let rejected = null;
+            try {
+                await engine.analyzeFrame(frameData, 'general', { model: 'broken-model' });
+            } catch (error) {
+                rejected = error;
+            }
+            assert(rejected && /Unknown vision backend "grpc"/.test(rejected.message), 'Unknown backend accepted');
+            assert(server.requests.length === before, 'Broken backend reached the server');
+        } finally {
+            server.close();
+        }
+    }
+
+    // Test 3: JSON-mode corrections on a completion backend, and the legacy api_path
+    async testConversationsAndDefaults() {
+        const server = await startFakeBackendServer();
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const engine = new VisionEngine({ base_url: baseUrl, cache_timeout: 1, output_mode: 'json' });
+            await wait(200);
+            engine.models = { 'ollama-model': { id: 'ollama-model', backend: { type: 'ollama' } } };
+            engine.initializePromptTemplates();
+
+            // The first reply is not JSON, so the correction goes back as a transcript
+            server.replies.push('Three robots, all upright.');
+            server.replies.push(JSON.stringify({ robot_count: 3, humans_present: false, confidence: 0.9, summary: '3 robots upright' }));
+            const frameData = { cameraId: 'cam-002', timestamp: new Date().toISOString(), image: IMAGE };
+            const analysis = await engine.analyzeFrame(frameData, 'count', { model: 'ollama-model' });
+
+            assert(server.requests.length === 2, `Expected a correction request, got ${server.requests.length} requests`);
+            const correction = server.requests[1].body;
+            assert(correction.prompt.startsWith('USER: ') && correction.prompt.includes('\nASSISTANT: Three robots, all upright.\nUSER: Your reply was not valid'),
+                `Correction prompt ${JSON.stringify(correction.prompt)}`);
+            assert(correction.prompt.endsWith('\nASSISTANT:') && correction.images.length === 1, 'Correction transcript or image');
+            assert(analysis.outputMode === 'json' && analysis.structured.robot_count === 3, 'Corrected JSON not used');
+
+            // Engines pointed at /completion keep talking llama.cpp's native format
+            server.requests = [];
+            const legacy = new VisionEngine({ base_url: baseUrl, api_path: '/completion', cache_timeout: 1 });
+            await wait(200);
+            legacy.models = { 'smol': { id: 'smol' } };
+            legacy.initializePromptTemplates();
+            const reply = await legacy.analyzeFrame({ ...frameData, cameraId: 'cam-003' }, 'general', { model: 'smol' });
+            assert(server.requests[0].path === '/completion' && Array.isArray(server.requests[0].body.image_data),
+                'Legacy api_path did not use llama.cpp format');
+            assert(reply.content === REPLY, 'Legacy reply not parsed');
+            assert(legacy.getStatistics().backend === 'llamacpp', 'Default backend not reported');
+        } finally {
+            server.close();
+        }
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Vision Backend Tests\n');
+        console.log('='.repeat(50));
+
+        await this.runTest('Adapters', this.testAdapters);
+        await this.runTest('Engine Routing', this.testEngineRouting);
+        await this.runTest('Conversations and Defaults', this.testConversationsAndDefaults);
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new VisionBackendTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = VisionBackendTest;
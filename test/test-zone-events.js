@@ -0,0 +1,301 @@
+/**
+ * Zone Event Tests
+ * Drives EventDetector with tracked robot positions on a fake clock and checks
+ * zone entry, exit and dwell events, that restricted, required and
+ * speed-limited zone rules raise one violation per breach and re-arm once the
+ * rule holds again, and that zone lookups and confirmations are kept per
+ * camera and zone
+ */
+
+const EventDetector = require('../src/detection/EventDetector');
+
+const ZONE_EVENTS = ['zone_entry', 'zone_exit', 'zone_dwell', 'zone_violation'];
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function zone(id, rule, extra = {}) {
+    return { id, name: id, coordinates: { x: 0, y: 0, width: 100, height: 100 }, rule, ...extra };
+}
+
+// Detector whose robot positions are set by the test, on a clock the test advances
+function setup(zones, clock) {
+    const detector = new EventDetector({ zones });
+    const source = { positions: new Map(), getPositions: async () => new Map(source.positions) };
+    detector.setPositionSource(source);
+
+    const events = [];
+    detector.on('event', event => {
+        if (ZONE_EVENTS.includes(event.type)) events.push(event);
+    });
+
+    let frameId = 0;
+    const frame = async (positions, seconds = 1, cameraId = 'cam-1') => {
+        clock.now += seconds * 1000;
+        source.positions = new Map(Object.entries(positions));
+        await detector.processAnalysis({ content: '', detections: [] }, {
+            cameraId,
+            frameId: `frame-${++frameId}`,
+            timestamp: new Date(clock.now).toISOString()
+        });
+    };
+
+    return { detector, events, frame };
+}
+
+function types(events) {
+    return events.map(event => event.type).join();
+}
+
+class ZoneEventTest {
+    constructor() {
+        this.testResults = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+        this.clock = { now: 1000000 };
+    }
+
+    async runTest(testName, testFn) {
+        this.totalTests++;
+        console.log(`\n📋 Running: ${testName}`);
+
+        try {
+            await testFn.call(this);
+            this.passedTests++;
+            console.log(`✅ PASSED: ${testName}`);
+            this.testResults.push({ test: testName, status: 'PASSED' });
+        } catch (error) {
+            console.error(`❌ FAILED: ${testName}`);
+            console.error(`   Error: ${error.message}`);
+            this.testResults.push({ test: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // Test 1: Entry, dwell and exit follow the robot in and out of a zone
+    async testEntryDwellExit() {
+        const { events, frame } = setup([zone('bay', { max_dwell: 10 })], this.clock);
+
+        await frame({ 'robot-1': { x: 150, y: 50 } });
+        await frame({ 'robot-1': { x: 50, y: 50 } });
+        assert(types(events) === 'zone_entry', `After entering: ${types(events)}`);
+        assert(events[0].robotId === 'robot-1' && events[0].zoneId === 'bay', 'Entry not tied to robot and zone');
+
+        await frame({ 'robot-1': { x: 60, y: 50 } }, 5);
+        assert(events.length === 1, `Dwell raised early: ${types(events)}`);
+        await frame({ 'robot-1': { x: 60, y: 50 } }, 6);
+        await frame({ 'robot-1': { x: 60, y: 50 } }, 6);
+        assert(types(events) === 'zone_entry,zone_dwell', `Dwell not raised once: ${types(events)}`);
+        assert(events[1].metadata.dwellTime === 11000 && events[1].metadata.maxDwell === 10, 'Wrong dwell details');
+
+        await frame({ 'robot-1': { x: 150, y: 50 } });
+        assert(types(events) === 'zone_entry,zone_dwell,zone_exit', `After leaving: ${types(events)}`);
+        assert(events[2].metadata.dwellTime === 18000, `Exit dwell time ${events[2].metadata.dwellTime}`);
+
+        // Robots that drop out of tracking leave the zone
+        await frame({ 'robot-1': { x: 50, y: 50 } });
+        await frame({}, 31);
+        assert(events[4].type === 'zone_exit' && events[4].metadata.reason === 'tracking_lost', 'Lost robot did not leave the zone');
+    }
+
+    // Test 2: A robot parked in a restricted zone raises one violation, re-armed after it leaves
+    async testRestrictedOncePerBreach() {
+        const { detector, events, frame } = setup([zone('pit', { type: 'restricted' })], this.clock);
+
+        for (let i = 0; i < 6; i++) {
+            await frame({ 'robot-1': { x: 50, y: 50 } });
+        }
+        const violations = () => events.filter(event => event.type === 'zone_violation');
+        assert(violations().length === 1, `Expected one violation while parked, got ${violations().length}`);
+        assert(violations()[0].metadata.violationType === 'restricted_entry' && violations()[0].confirmations === 2,
+            'Violation not confirmed over two frames');
+
+        await frame({ 'robot-1': { x: 150, y: 50 } });
+        const robotState = detector.zoneOccupancy.get('cam-1').get('robot-1');
+        assert(!robotState.violations.has('pit'), 'Violation not re-armed when the robot left');
+
+        for (let i = 0; i < 4; i++) {
+            await frame({ 'robot-1': { x: 50, y: 50 } });
+        }
+        assert(violations().length === 2, `Expected a second violation after re-entering, got ${violations().length}`);
+        assert(types(events) === 'zone_entry,zone_violation,zone_exit,zone_entry,zone_violation', `Events: ${types(events)}`);
+    }
+
+    // Test 3: Leaving a required zone only counts after the grace period
+    async testRequiredGracePeriod() {
+        const { events, frame } = setup([zone('charger', { type: 'required', grace_period: 10 })], this.clock);
+        const violations = () => events.filter(event => event.type === 'zone_violation');
+
+        await frame({ 'robot-1': { x: 50, y: 50 } });
+        await frame({ 'robot-1': { x: 150, y: 50 } });
+        await frame({ 'robot-1': { x: 150, y: 50 } }, 8);
+        assert(violations().length === 0, 'Violation raised inside the grace period');
+
+        await frame({ 'robot-1': { x: 150, y: 50 } }, 3);
+        await frame({ 'robot-1': { x: 150, y: 50 } });
+        await frame({ 'robot-1': { x: 150, y: 50 } }, 5);
+        assert(violations().length === 1, `Expected one violation after the grace period, got ${violations().length}`);
+        assert(violations()[0].metadata.violationType === 'required_zone_exit' && violations()[0].metadata.outsideFor === 12000,
+            `Unexpected violation ${JSON.stringify(violations()[0].metadata)}`);
+
+        // Coming back resets both the grace period and the breach
+        await frame({ 'robot-1': { x: 50, y: 50 } });
+        await frame({ 'robot-1': { x: 150, y: 50 } });
+        await frame({ 'robot-1': { x: 150, y: 50 } }, 5);
+        assert(violations().length === 1, 'Grace period not restarted after returning');
+        await frame({ 'robot-1': { x: 150, y: 50 } }, 6);
+        await frame({ 'robot-1': { x: 150, y: 50 } });
+        assert(violations().length === 2, `Expected a second violation, got ${violations().length}`);
+    }
+
+    // Test 4: Speeding in a speed-limited zone raises one violation per burst
+    async testSpeedLimit() {
+        const lane = zone('lane', { type: 'speed_limited', max_speed: 10 }, { coordinates: { x: 0, y: 0, width: 1000, height: 100 } });
+        const { events, frame } = setup([lane], this.clock);
+        const violations = () => events.filter(event => event.type === 'zone_violation');
+
+        await frame({ 'robot-1': { x: 10, y: 50 } });
+        await frame({ 'robot-1': { x: 15, y: 50 } });
+        assert(violations().length === 0, 'Violation below the speed limit');
+
+        for (const x of [45, 75, 105, 135]) {
+            await frame({ 'robot-1': { x, y: 50 } });
+        }
+        assert(violations().length === 1, `Expected one violation while speeding, got ${violations().length}`);
+        assert(violations()[0].metadata.speed === 30 && violations()[0].metadata.maxSpeed === 10,
+            `Unexpected speed details ${JSON.stringify(violations()[0].metadata)}`);
+
+        await frame({ 'robot-1': { x: 138, y: 50 } });
+        for (const x of [170, 200]) {
+            await frame({ 'robot-1': { x, y: 50 } });
+        }
+        assert(violations().length === 2, `Expected a second violation after slowing down, got ${violations().length}`);
+    }
+
+    // Test 5: Zones of other cameras are ignored by position and text lookups
+    async testCameraScopedZones() {
+        const zones = [
+            zone('zone-a', {}, { camera_id: 'cam-a' }),
+            zone('zone-b', {}, { metadata: { camera_id: 'cam-b' } }),
+            zone('zone-all', {}, { coordinates: { x: 200, y: 0, width: 100, height: 100 } })
+        ];
+        const { detector, frame } = setup(zones, this.clock);
+
+        const ids = (point, cameraId) => detector.findZonesAt(point, cameraId).map(z => z.id).join();
+        assert(ids({ x: 50, y: 50 }, 'cam-a') === 'zone-a', `cam-a zones: ${ids({ x: 50, y: 50 }, 'cam-a')}`);
+        assert(ids({ x: 50, y: 50 }, 'cam-b') === 'zone-b', `cam-b zones: ${ids({ x: 50, y: 50 }, 'cam-b')}`);
+        assert(ids({ x: 250, y: 50 }, 'cam-c') === 'zone-all', 'Zone without camera_id not shared');
+
+        const states = [];
+        detector.on('robot-state', state => states.push(state));
+        await frame({ 'robot-1': { x: 50, y: 50 } }, 1, 'cam-b');
+        assert(states[0].metadata.zoneId === 'zone-b', `Robot state zone ${states[0].metadata.zoneId}`);
+        await frame({ 'robot-2': { x: 50, y: 50 } }, 1, 'cam-c');
+        assert(states[1].metadata.zoneId === null, `Robot on cam-c placed in ${states[1].metadata.zoneId}`);
+
+        const frameData = { cameraId: 'cam-b' };
+        assert(detector.identifyZone(frameData, { content: 'robot near zone-a' }) === null, 'Text matched a zone of another camera');
+        assert(detector.identifyZone(frameData, { content: 'robot near zone-b' }).id === 'zone-b', 'Text did not match the camera zone');
+        assert(detector.identifyZone(frameData, { content: '' }, { x: 50, y: 50 }).id === 'zone-b', 'Position matched another camera');
+    }
+
+    // Test 6: Confirmations are counted per camera, robot and zone
+    async testConfirmationKeys() {
+        const zones = [
+            zone('pit-1', { type: 'restricted' }),
+            zone('pit-2', { type: 'restricted' })
+        ];
+        const { detector, events, frame } = setup(zones, this.clock);
+        const violations = () => events.filter(event => event.type === 'zone_violation');
+
+        // One frame each of two overlapping zones must not confirm either
+        await frame({ 'robot-1': { x: 50, y: 50 } });
+        assert(violations().length === 0, `Violations from one frame: ${violations().map(e => e.zoneId)}`);
+        await frame({ 'robot-1': { x: 50, y: 50 } });
+        assert(violations().map(e => e.zoneId).sort().join() === 'pit-1,pit-2', `Confirmed zones: ${violations().map(e => e.zoneId)}`);
+
+        // The same robot ID on two cameras is confirmed separately
+        const event = cameraId => ({ type: 'zone_violation', cameraId, robotId: 'robot-9', zoneId: 'pit-1', confidence: 0.9, metadata: {} });
+        assert(await detector.confirmEvent(event('cam-a')) === null, 'First frame on cam-a confirmed');
+        assert(await detector.confirmEvent(event('cam-b')) === null, 'Frames of two cameras confirmed together');
+        assert((await detector.confirmEvent(event('cam-a'))).cameraId === 'cam-a', 'Second frame on cam-a not confirmed');
+    }
+
+    // Test 7: Without positions, text matches raise one violation per breach
+    async testTextFallback() {
+        const detector = new EventDetector({ zones: [zone('loading bay', { type: 'restricted' })] });
+        const events = [];
+        detector.on('event', event => events.push(event));
+
+        const analyse = content => detector.processAnalysis({ content, detections: [] }, { cameraId: 'cam-1', timestamp: new Date().toISOString() });
+        for (let i = 0; i < 5; i++) {
+            await analyse('A robot is in the loading bay');
+        }
+        assert(events.filter(event => event.type === 'zone_violation').length === 1, 'Text violation repeated while it lasted');
+
+        await analyse('The floor is clear');
+        await analyse('A robot is in the loading bay');
+        await analyse('A robot is in the loading bay');
+        assert(events.filter(event => event.type === 'zone_violation').length === 2, 'Text violation not re-armed');
+    }
+
+    // Run all tests
+    async runAllTests() {
+        console.log('🚀 Starting Zone Event Tests\n');
+        console.log('='.repeat(50));
+
+        // Dwell times, grace periods and speeds follow the test clock
+        const realNow = Date.now;
+        Date.now = () => this.clock.now;
+
+        try {
+            await this.runTest('Entry, Dwell And Exit', this.testEntryDwellExit);
+            await this.runTest('Restricted Zone Once Per Breach', this.testRestrictedOncePerBreach);
+            await this.runTest('Required Zone Grace Period', this.testRequiredGracePeriod);
+            await this.runTest('Speed Limit', this.testSpeedLimit);
+            await this.runTest('Camera Scoped Zones', this.testCameraScopedZones);
+            await this.runTest('Confirmation Keys', this.testConfirmationKeys);
+            await this.runTest('Text Fallback', this.testTextFallback);
+        } finally {
+            Date.now = realNow;
+        }
+
+        // Print summary
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 TEST SUMMARY');
+        console.log('='.repeat(50));
+        console.log(`Total Tests: ${this.totalTests}`);
+        console.log(`Passed: ${this.passedTests}`);
+        console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+        if (this.passedTests === this.totalTests) {
+            console.log('\n✅ All tests passed! 🎉');
+        } else {
+            console.log('\n❌ Some tests failed. Check the output above for details.');
+        }
+
+        return {
+            total: this.totalTests,
+            passed: this.passedTests,
+            failed: this.totalTests - this.passedTests,
+            results: this.testResults
+        };
+    }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+    const test = new ZoneEventTest();
+    test.runAllTests()
+        .then(results => {
+            process.exit(results.failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Test runner error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ZoneEventTest;